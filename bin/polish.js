@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview GlideAware Command-Line Runner
+ * @description Polishes ServiceNow scripts and JSON files with the same
+ * pipeline and rules as the browser app, for CI jobs and pre-commit hooks.
+ *
+ *   polish [options] <files or directories...>
+ *
+ * Exits with 1 when any file has errors or fails to parse (or, with --check,
+ * when any file is not polished yet), and with 2 on usage or I/O problems.
+ */
+
+import { readFile, writeFile, readdir, stat } from 'node:fs/promises';
+import { join, extname } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import {
+  polishSource,
+  locateInSource,
+  detectLanguage,
+  createFileReport,
+  summarizeReports,
+  formatReport,
+  importProfile,
+  parseScriptInclude,
+  importCustomDictionary,
+  applyCustomDictionary,
+  REPORT_FORMATS,
+  RELEASES,
+  LANGUAGE_TARGETS,
+  SCRIPT_TYPES,
+  AUTO_SCRIPT_TYPE,
+  NO_LANGUAGE_TARGET,
+  AUTO_LANGUAGE_TARGET,
+  resolveLanguageTarget,
+  BUSINESS_RULE_OPERATIONS
+} from '../src/utils/index.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const USAGE = `Usage: polish [options] <files or directories...>
+
+Options:
+  --check               Exit with 1 if any file is not polished yet
+  --fix                 Write the polished output back to the files
+  --format <format>     Report format: ${Object.keys(REPORT_FORMATS).join(', ')} (default text)
+  --json                Same as --format json
+  --profile <file>      Rule profile exported from the app
+  --dictionary <file>   Custom classes: a dictionary exported from the app, or
+                        Script Include source (.js); may be repeated
+  --release <id>        Target ServiceNow release (default ${RELEASES[RELEASES.length - 1].id})
+  --language <id>       JavaScript mode of server scripts: ${Object.keys(LANGUAGE_TARGETS).join(', ')}, or auto
+                        for es2021 with --scoped and es5 otherwise
+                        (default none: no syntax checks or rewrites)
+  --script-type <id>    Script type for JavaScript files (default auto-detect)
+  --scoped              Treat JavaScript files as scoped application code
+  --table <name>        Table of Business Rule scripts (with a business_rule_* script type)
+  --operations <list>   Operations of Business Rule scripts, comma-separated:
+                        ${BUSINESS_RULE_OPERATIONS.join(', ')} (default insert,update)
+  -h, --help            Show this help
+
+Directories are searched recursively for .js and .json files.`;
+
+/** File extensions collected from directories */
+const EXTENSIONS = new Set(['.js', '.json']);
+
+/** Directories never searched */
+const IGNORED_DIRECTORIES = new Set(['node_modules', 'dist']);
+
+const EXIT = { OK: 0, FAILED: 1, USAGE: 2 };
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Collects the files to polish from the command-line paths.
+ *
+ * @param {string[]} paths - Files and directories
+ * @returns {Promise<string[]>} File paths
+ */
+async function collectFiles(paths) {
+  const files = [];
+  for (const path of paths) {
+    const info = await stat(path);
+    if (!info.isDirectory()) {
+      files.push(path);
+      continue;
+    }
+    const entries = await readdir(path, { withFileTypes: true });
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      if (entry.name.startsWith('.') || IGNORED_DIRECTORIES.has(entry.name)) continue;
+      const child = join(path, entry.name);
+      if (entry.isDirectory()) files.push(...await collectFiles([child]));
+      else if (EXTENSIONS.has(extname(entry.name).toLowerCase())) files.push(child);
+    }
+  }
+  return files;
+}
+
+/**
+ * Reads custom classes from dictionary files and Script Includes.
+ *
+ * @param {string[]} paths - Dictionary (.json) and Script Include (.js) files
+ * @returns {Promise<Object[]>} Custom classes, in file order
+ * @throws {Error} If a file is not a dictionary or defines no class
+ */
+async function readDictionaries(paths) {
+  const classes = [];
+  for (const path of paths) {
+    const source = await readFile(path, 'utf8');
+    try {
+      classes.push(...(extname(path).toLowerCase() === '.json'
+        ? importCustomDictionary(JSON.parse(source))
+        : parseScriptInclude(source)));
+    } catch (error) {
+      throw new Error(`${path}: ${error.message}`);
+    }
+  }
+  return classes;
+}
+
+/**
+ * Reads the tool version from package.json.
+ *
+ * @returns {Promise<string|undefined>}
+ */
+async function readToolVersion() {
+  try {
+    const pkg = JSON.parse(await readFile(new URL('../package.json', import.meta.url), 'utf8'));
+    return pkg.version;
+  } catch {
+    return undefined;
+  }
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+/**
+ * Runs the CLI.
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        check: { type: 'boolean' },
+        fix: { type: 'boolean' },
+        format: { type: 'string', default: 'text' },
+        json: { type: 'boolean' },
+        profile: { type: 'string' },
+        dictionary: { type: 'string', multiple: true },
+        release: { type: 'string' },
+        language: { type: 'string', default: NO_LANGUAGE_TARGET },
+        'script-type': { type: 'string', default: AUTO_SCRIPT_TYPE },
+        scoped: { type: 'boolean' },
+        table: { type: 'string' },
+        operations: { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT.USAGE;
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT.OK;
+  }
+
+  const format = values.json ? 'json' : values.format;
+  const scriptType = values['script-type'];
+  if (!REPORT_FORMATS[format]) {
+    console.error(`Unknown format "${format}"\n\n${USAGE}`);
+    return EXIT.USAGE;
+  }
+  if (scriptType !== AUTO_SCRIPT_TYPE && !SCRIPT_TYPES[scriptType]) {
+    console.error(`Unknown script type "${scriptType}" (expected ${Object.keys(SCRIPT_TYPES).join(', ')})`);
+    return EXIT.USAGE;
+  }
+  if (values.release && !RELEASES.some(release => release.id === values.release)) {
+    console.error(`Unknown release "${values.release}" (expected ${RELEASES.map(release => release.id).join(', ')})`);
+    return EXIT.USAGE;
+  }
+  const languages = [NO_LANGUAGE_TARGET, AUTO_LANGUAGE_TARGET, ...Object.keys(LANGUAGE_TARGETS)];
+  if (!languages.includes(values.language)) {
+    console.error(`Unknown language "${values.language}" (expected ${languages.join(', ')})`);
+    return EXIT.USAGE;
+  }
+  const operations = values.operations ? values.operations.split(',').map(op => op.trim()).filter(Boolean) : undefined;
+  const unknownOperation = operations && operations.find(op => !BUSINESS_RULE_OPERATIONS.includes(op));
+  if (unknownOperation) {
+    console.error(`Unknown operation "${unknownOperation}" (expected ${BUSINESS_RULE_OPERATIONS.join(', ')})`);
+    return EXIT.USAGE;
+  }
+  if (positionals.length === 0) {
+    console.error(USAGE);
+    return EXIT.USAGE;
+  }
+
+  let profile;
+  let files;
+  try {
+    if (values.profile) {
+      profile = importProfile(JSON.parse(await readFile(values.profile, 'utf8')));
+    }
+    if (values.dictionary) {
+      applyCustomDictionary(await readDictionaries(values.dictionary));
+    }
+    files = await collectFiles(positionals);
+  } catch (error) {
+    console.error(error.message);
+    return EXIT.USAGE;
+  }
+
+  const reports = [];
+  for (const file of files) {
+    const source = await readFile(file, 'utf8');
+    const language = detectLanguage(file);
+    const polishOptions = {
+      language,
+      scriptType,
+      scopedApp: !!values.scoped,
+      release: values.release,
+      languageTarget: resolveLanguageTarget(values.language, { scopedApp: !!values.scoped }),
+      businessRule: { table: values.table, operations },
+      profile
+    };
+    const result = await polishSource(source, polishOptions);
+    // Findings point into the file as it is after the run: the polished
+    // output once --fix writes it, the source otherwise
+    const report = createFileReport(file, source, values.fix ? result : locateInSource(source, result, polishOptions), language);
+    if (values.fix && report.changed) await writeFile(file, report.output);
+    reports.push(report);
+  }
+
+  console.log(formatReport(reports, format, { toolVersion: await readToolVersion(), fixed: !!values.fix }));
+
+  const summary = summarizeReports(reports);
+  const unpolished = values.check && !values.fix && summary.changed > 0;
+  return summary.errors > 0 || summary.failed > 0 || unpolished ? EXIT.FAILED : EXIT.OK;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (error) => {
+    console.error(error.stack || error.message);
+    process.exitCode = EXIT.USAGE;
+  }
+);
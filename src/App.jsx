@@ -14,11 +14,35 @@ import ReactFlow, {
   MiniMap
 } from 'reactflow';
 import 'reactflow/dist/style.css';
-import { polishCode, polishJson, formatCodeStructure } from './utils/codePolish';
-import { parseCode, extractControlFlow } from './utils/astParser';
+import { runTask, createLatestTask, isCancelled } from './utils/worker/polishClient';
+import { toEditorMarker, toRelatedMarkers } from './utils/diagnostics';
+import { DEFAULT_PROFILE } from './utils/ruleProfiles';
+import {
+  getAllProfiles,
+  getActiveProfileId,
+  getTargetRelease,
+  setTargetRelease as saveTargetRelease,
+  getLanguageTarget,
+  setLanguageTarget as saveLanguageTarget
+} from './utils/storage/profileStorage';
+import { RELEASES, LATEST_RELEASE, getRelease, getApiStatus, getApiHistory } from './utils/fixes/servicenowReleases';
+import { applyCustomDictionary } from './utils/customDictionary';
+import { getCustomClasses } from './utils/storage/dictionaryStorage';
+import { createFileReport } from './utils/reports/fileReport';
+import { formatSarifReport } from './utils/reports/sarifReport';
+import { formatJunitReport } from './utils/reports/junitReport';
+import { SCRIPT_TYPES, AUTO_SCRIPT_TYPE, BUSINESS_RULE_TYPES, detectScriptType } from './utils/scriptTypes';
+import { DEFAULT_BUSINESS_RULE_OPERATIONS } from './utils/warnings/businessRuleWarnings';
+import { LANGUAGE_TARGETS, NO_LANGUAGE_TARGET, AUTO_LANGUAGE_TARGET, resolveLanguageTarget } from './utils/languageTargets';
+import { registerServiceNowIntelliSense } from './utils/intellisense';
+import { registerQuickFixProvider, setQuickFixDiagnostics } from './utils/codeActions';
 import { generateFlowDiagram, getFlowStats } from './utils/flowGenerator';
 import FlowNode from './components/FlowNode';
 import Icon from './components/Icon';
+import ProfileSettings from './components/ProfileSettings';
+import DictionarySettings from './components/DictionarySettings';
+import EncodedQueryPanel from './components/EncodedQueryPanel';
+import BusinessRuleBar from './components/BusinessRuleBar';
 import TaskBoard from './components/Plan/TaskBoard';
 import NoteEditor from './components/Plan/NoteEditor';
 import DrawingCanvas from './components/Plan/DrawingCanvas';
@@ -195,6 +219,51 @@ const SAMPLE_JS_DIFF_RIGHT = `// Business Rule: Auto-assign high priority incide
     gs.info('Auto-assignment complete. Assigned: ' + count);
 })(current, previous);`;
 
+// =============================================================================
+// LIVE LINTING
+// =============================================================================
+
+/** Delay after the last keystroke before the input is linted */
+const LINT_DEBOUNCE_MS = 400;
+
+/** Owner id for the live lint markers on the input model */
+const LINT_MARKER_OWNER = 'glideaware-lint';
+
+// =============================================================================
+// WORKER TASKS
+// =============================================================================
+
+// Pipeline tasks run in the polish worker; each call cancels the previous one
+const polishCodeLatest = createLatestTask('polishCode');
+const polishJsonLatest = createLatestTask('polishJson');
+const formatStructureLatest = createLatestTask('formatCodeStructure');
+const controlFlowLatest = createLatestTask('controlFlow');
+
+// =============================================================================
+// REPORT EXPORT
+// =============================================================================
+
+/** File name the exported reports use for the polished input */
+const REPORT_FILE_NAMES = { javascript: 'input.js', json: 'input.json' };
+
+/** Report formats offered for download */
+const REPORT_EXPORTS = {
+  sarif: {
+    label: 'SARIF 2.1.0',
+    description: 'For code review and code scanning tools',
+    formatter: formatSarifReport,
+    extension: 'sarif',
+    mimeType: 'application/sarif+json'
+  },
+  junit: {
+    label: 'JUnit XML',
+    description: 'For build dashboards',
+    formatter: formatJunitReport,
+    extension: 'xml',
+    mimeType: 'application/xml'
+  }
+};
+
 // =============================================================================
 // MONACO EDITOR THEME
 // =============================================================================
@@ -297,6 +366,12 @@ function App() {
   const [showModeInfo, setShowModeInfo] = useState(false);
   const modeInfoRef = useRef(null);
   const [outputCode, setOutputCode] = useState('');
+  const [scriptType, setScriptType] = useState(AUTO_SCRIPT_TYPE);
+  const [scopedApp, setScopedApp] = useState(false);
+  // Table and operations of a Business Rule script; when it runs is its script type
+  const [businessRule, setBusinessRule] = useState({ table: '', operations: DEFAULT_BUSINESS_RULE_OPERATIONS });
+  const [showEncodedQueries, setShowEncodedQueries] = useState(false);
+  const [comparePreview, setComparePreview] = useState(null); // { title, icon, noun, items } of a rewrite previewed in Compare
   const [isProcessing, setIsProcessing] = useState(false);
   const [status, setStatus] = useState({ type: 'ready', message: 'Ready to polish' });
   const [toast, setToast] = useState({ show: false, messages: [], type: 'success' });
@@ -306,7 +381,18 @@ function App() {
   const [metrics, setMetrics] = useState(null);
   const [changedLines, setChangedLines] = useState([]);
   const [showFixesDropdown, setShowFixesDropdown] = useState(false);
+  // Individual edits of the last JavaScript polish: { code, options, edits }
+  const [editReview, setEditReview] = useState(null);
+  const [rejectedEdits, setRejectedEdits] = useState(new Set());
   const fixesDropdownRef = useRef(null);
+  // Report of the last polish, for SARIF / JUnit export
+  const [polishReport, setPolishReport] = useState(null);
+  const [showReportMenu, setShowReportMenu] = useState(false);
+  const reportMenuRef = useRef(null);
+
+  // Script type the Polish pipeline would detect for the current input
+  const detectedScriptType = useMemo(() => detectScriptType(inputCode), [inputCode]);
+  const effectiveScriptType = scriptType === AUTO_SCRIPT_TYPE ? detectedScriptType : scriptType;
 
   // Code A (left panel) polish results for Compare mode
   const [fixesA, setFixesA] = useState([]);
@@ -317,6 +403,7 @@ function App() {
   const [showFixesDropdownA, setShowFixesDropdownA] = useState(false);
   const fixesDropdownARef = useRef(null);
   const outputEditorRef = useRef(null);
+  const [inputEditor, setInputEditor] = useState(null);
   const monacoRef = useRef(null);
   const decorationsRef = useRef([]);
   const primaryActionRef = useRef(null);
@@ -336,6 +423,16 @@ function App() {
   const diffEditorRef = useRef(null);
   const diffSyncingRef = useRef(false);
 
+  // Rule profile state
+  const [activeProfile, setActiveProfile] = useState(DEFAULT_PROFILE);
+  const [targetRelease, setTargetRelease] = useState(LATEST_RELEASE);
+  const [languageTarget, setLanguageTarget] = useState(NO_LANGUAGE_TARGET);
+  const [showProfileSettings, setShowProfileSettings] = useState(false);
+
+  // Custom API dictionary state (in-house Script Includes)
+  const [customClasses, setCustomClasses] = useState([]);
+  const [showDictionarySettings, setShowDictionarySettings] = useState(false);
+
   // Toast notification (supports single string or array of messages)
   const toastTimeoutRef = useRef(null);
   const showToast = useCallback((message, type = 'success') => {
@@ -350,6 +447,72 @@ function App() {
     }, TOAST_DURATION);
   }, []);
 
+  // Load the active rule profile
+  useEffect(() => {
+    (async () => {
+      try {
+        const [profiles, activeId] = await Promise.all([getAllProfiles(), getActiveProfileId()]);
+        setActiveProfile(profiles.find(p => p.id === activeId) || DEFAULT_PROFILE);
+      } catch {
+        // Fall back to the default profile when storage is unavailable
+      }
+    })();
+  }, []);
+
+  // Load the target release
+  useEffect(() => {
+    getTargetRelease().then(setTargetRelease).catch(() => {
+      // Target the latest release when storage is unavailable
+    });
+  }, []);
+
+  /**
+   * Changes and remembers the target release
+   */
+  const handleTargetReleaseChange = useCallback((id) => {
+    setTargetRelease(id);
+    saveTargetRelease(id).catch(() => {
+      showToast('Failed to save the target release', 'error');
+    });
+  }, [showToast]);
+
+  // Load the JavaScript mode
+  useEffect(() => {
+    getLanguageTarget().then(setLanguageTarget).catch(() => {
+      // Pick the mode from the scoped app setting when storage is unavailable
+    });
+  }, []);
+
+  /**
+   * Changes and remembers the JavaScript mode of server scripts
+   */
+  const handleLanguageTargetChange = useCallback((id) => {
+    setLanguageTarget(id);
+    saveLanguageTarget(id).catch(() => {
+      showToast('Failed to save the JavaScript mode', 'error');
+    });
+  }, [showToast]);
+
+  // No syntax checks or rewrites until a mode is chosen; auto is ES2021 for
+  // scoped apps and ES5 for global scripts
+  const resolvedLanguage = resolveLanguageTarget(languageTarget, { scopedApp });
+  const autoLanguage = resolveLanguageTarget(AUTO_LANGUAGE_TARGET, { scopedApp });
+
+  // Load the custom dictionary
+  useEffect(() => {
+    getCustomClasses().then(setCustomClasses).catch(() => {
+      // Use the built-in dictionary when storage is unavailable
+    });
+  }, []);
+
+  // Merge the custom dictionary here (IntelliSense) and in the polish worker
+  useEffect(() => {
+    applyCustomDictionary(customClasses);
+    runTask('applyCustomDictionary', [customClasses]).catch(() => {
+      showToast('Failed to apply the custom dictionary', 'error');
+    });
+  }, [customClasses, showToast]);
+
   // -------------------------------------------------------------------------
   // Plan Mode Handlers
   // -------------------------------------------------------------------------
@@ -499,6 +662,20 @@ function App() {
     diffSyncingRef.current = false;
   }, []);
 
+  // Scrolls an editor to a diagnostic's range and selects it
+  const revealDiagnostic = useCallback((editor, diagnostic) => {
+    if (!editor || !diagnostic.line) return;
+    const range = {
+      startLineNumber: diagnostic.line,
+      startColumn: diagnostic.column,
+      endLineNumber: diagnostic.endLine || diagnostic.line,
+      endColumn: diagnostic.endColumn || diagnostic.column
+    };
+    editor.revealRangeInCenter(range);
+    editor.setSelection(range);
+    editor.focus();
+  }, []);
+
   // Polish both Code A and Code B in Compare mode
   const handlePolishDiffBoth = useCallback(async () => {
     if (!diffLeftJs.trim() && !diffRightJs.trim()) {
@@ -517,7 +694,7 @@ function App() {
       // Polish Code A (left panel)
       if (diffLeftJs.trim()) {
         const originalA = diffLeftJs;
-        const resultA = await polishCode(diffLeftJs);
+        const resultA = await runTask('polishCode', [diffLeftJs, { release: targetRelease, languageTarget: resolvedLanguage, profile: activeProfile }]);
         if (resultA.success) {
           setDiffEditorValues(resultA.output, undefined);
           setFixesA(resultA.fixes);
@@ -539,7 +716,7 @@ function App() {
       // Polish Code B (right panel)
       if (diffRightJs.trim()) {
         const originalB = diffRightJs;
-        const resultB = await polishCode(diffRightJs);
+        const resultB = await runTask('polishCode', [diffRightJs, { release: targetRelease, languageTarget: resolvedLanguage, profile: activeProfile }]);
         if (resultB.success) {
           setDiffEditorValues(undefined, resultB.output);
           setFixes(resultB.fixes);
@@ -583,7 +760,7 @@ function App() {
     } finally {
       setIsProcessing(false);
     }
-  }, [diffLeftJs, diffRightJs, setDiffEditorValues, showToast]);
+  }, [diffLeftJs, diffRightJs, targetRelease, resolvedLanguage, activeProfile, setDiffEditorValues, showToast]);
 
   // Load sample JS diff code
   const handleLoadJsDiffSample = useCallback(() => {
@@ -625,6 +802,87 @@ function App() {
   }, [diffLeftJs, diffRightJs, fixes, warnings, errors, metrics, changedLines,
       fixesA, warningsA, errorsA, metricsA, changedLinesA, setDiffEditorValues, showToast]);
 
+  // Rewrite GlideRecord idioms with GlideQuery and preview the result in Compare
+  const handleGlideQueryMigration = useCallback(async () => {
+    if (!inputCode.trim()) {
+      showToast('Please paste some code first', 'error');
+      return;
+    }
+    if (getApiStatus(getApiHistory('GlideQuery'), targetRelease).status === 'unavailable') {
+      showToast(`GlideQuery is not available in ${getRelease(targetRelease).name}`, 'error');
+      return;
+    }
+
+    try {
+      const result = await runTask('migrateToGlideQuery', [inputCode]);
+      if (result.migrations.length === 0) {
+        showToast('No GlideRecord idioms to migrate to GlideQuery', 'error');
+        return;
+      }
+      setDiffEditorValues(inputCode, result.code);
+      setComparePreview({
+        title: 'GlideQuery migration',
+        icon: 'swap',
+        items: result.migrations.map(migration => ({
+          key: migration.start,
+          line: migration.line,
+          code: migration.variable,
+          text: migration.label
+        }))
+      });
+      setJsSubMode('diff');
+      setStatus({ type: 'ready', message: 'Review the GlideQuery migration' });
+      showToast(`${result.migrations.length} GlideQuery migration${result.migrations.length === 1 ? '' : 's'} to review`, 'success');
+    } catch (error) {
+      showToast(`Migration failed: ${error.message}`, 'error');
+    }
+  }, [inputCode, targetRelease, setDiffEditorValues, showToast]);
+
+  // Rewrite the syntax for the JavaScript mode (modernize for ES2021,
+  // downlevel for ES5) and preview the result in Compare
+  const handleLanguageTransform = useCallback(async () => {
+    if (!inputCode.trim()) {
+      showToast('Please paste some code first', 'error');
+      return;
+    }
+
+    const target = LANGUAGE_TARGETS[resolvedLanguage];
+    try {
+      const result = await runTask('applyLanguageFixes', [inputCode, { language: resolvedLanguage }]);
+      if (result.fixes.length === 0) {
+        showToast(`Nothing to rewrite for ${target.short} mode`, 'error');
+        return;
+      }
+      setDiffEditorValues(inputCode, result.processed);
+      setComparePreview({
+        title: `${target.short} rewrite`,
+        icon: 'code',
+        items: result.fixes.map(fix => ({ key: fix.ruleId, line: fix.line, text: fix.message }))
+      });
+      setJsSubMode('diff');
+      setStatus({ type: 'ready', message: `Review the ${target.short} rewrite` });
+      showToast(`${result.edits.length} ${target.short} rewrite${result.edits.length === 1 ? '' : 's'} to review`, 'success');
+    } catch (error) {
+      showToast(`Rewrite failed: ${error.message}`, 'error');
+    }
+  }, [inputCode, resolvedLanguage, setDiffEditorValues, showToast]);
+
+  // Apply the previewed rewrite (including edits made to Code B) to the input
+  const handleApplyPreview = useCallback(() => {
+    setInputCode(diffRightJs);
+    setComparePreview(null);
+    setJsSubMode('format');
+    setStatus({ type: 'ready', message: 'Ready to polish' });
+    showToast(`${comparePreview.title} applied`, 'success');
+  }, [diffRightJs, comparePreview, showToast]);
+
+  const handleDiscardPreview = useCallback(() => {
+    setComparePreview(null);
+    setJsSubMode('format');
+    setStatus({ type: 'ready', message: 'Ready to polish' });
+    showToast(`${comparePreview.title} discarded`, 'success');
+  }, [comparePreview, showToast]);
+
   // Custom node types for React Flow
   const nodeTypes = useMemo(() => ({
     custom: FlowNode
@@ -689,8 +947,19 @@ function App() {
     setSelectedFlowNode(null);
 
     // Step 1: Light formatting (structural cleanup only, no code changes)
-    const formatResult = await formatCodeStructure(visualizeCode);
-    
+    let formatResult;
+    let flow;
+    try {
+      formatResult = await formatStructureLatest(visualizeCode, { profile: activeProfile });
+      // Steps 2-3: Parse the formatted code and extract its control flow
+      flow = formatResult.success ? await controlFlowLatest(formatResult.output) : null;
+    } catch (error) {
+      if (isCancelled(error)) return;
+      setVisualizeError(error.message);
+      showToast(`Error: ${error.message}`, 'error');
+      return;
+    }
+
     if (!formatResult.success) {
       setVisualizeError(`Format error: ${formatResult.error}`);
       setFlowNodes([]);
@@ -705,11 +974,8 @@ function App() {
     // Update the editor with formatted code
     setVisualizeCode(formattedCode);
 
-    // Step 2: Parse the formatted code
-    const { ast, error } = parseCode(formattedCode);
-    
-    if (error) {
-      setVisualizeError(`Parse error: ${error}`);
+    if (flow.error) {
+      setVisualizeError(`Parse error: ${flow.error}`);
       setFlowNodes([]);
       setFlowEdges([]);
       setFlowStats(null);
@@ -717,9 +983,8 @@ function App() {
       return;
     }
 
-    // Step 3: Extract control flow
-    const controlFlowNodes = extractControlFlow(ast, formattedCode);
-    
+    const controlFlowNodes = flow.nodes;
+
     if (controlFlowNodes.length === 0) {
       setVisualizeError('No control flow structures found in the code');
       setFlowNodes([]);
@@ -748,7 +1013,7 @@ function App() {
     setFlowEdges(edges);
     setFlowStats(getFlowStats(filteredNodes));
     showToast(`Flow diagram generated with ${nodes.length} nodes`, 'success');
-  }, [visualizeCode, visualizeViewMode, filterFlowNodes, showToast, setFlowNodes, setFlowEdges, setVisualizeCode]);
+  }, [visualizeCode, visualizeViewMode, activeProfile, filterFlowNodes, showToast, setFlowNodes, setFlowEdges, setVisualizeCode]);
 
   // Handle node click in flow diagram (click-to-code)
   const handleFlowNodeClick = useCallback((event, node) => {
@@ -951,11 +1216,13 @@ function App() {
     setIsProcessing(true);
     setStatus({ type: 'processing', message: mode === 'json' ? 'Formatting...' : 'Polishing...' });
 
+    let superseded = false;
     try {
       // Use appropriate polisher based on mode
       const result = mode === 'json' 
-        ? await polishJson(inputCode)
-        : await polishCode(inputCode);
+        ? await polishJsonLatest(inputCode, { profile: activeProfile })
+        : await polishCodeLatest(inputCode, { scriptType, scopedApp, release: targetRelease, languageTarget: resolvedLanguage, businessRule, profile: activeProfile });
+      setPolishReport(createFileReport(REPORT_FILE_NAMES[mode], inputCode, result, mode));
 
       if (result.success) {
         setOutputCode(result.output);
@@ -963,6 +1230,10 @@ function App() {
         setWarnings(result.warnings || []);
         setErrors(result.errors || []);
         setMetrics(result.metrics);
+        setEditReview(result.edits && result.edits.length > 0
+          ? { code: inputCode, options: { scriptType, scopedApp, release: targetRelease, languageTarget: resolvedLanguage, businessRule, profile: activeProfile }, edits: result.edits }
+          : null);
+        setRejectedEdits(new Set());
         
         // Compute diff for highlighting
         const changes = computeLineDiff(inputCode, result.output);
@@ -981,17 +1252,72 @@ function App() {
         setFixes(result.fixes);
         setWarnings(result.warnings || []);
         setErrors(result.errors || []);
+        setEditReview(null);
         setChangedLines([]);
         setStatus({ type: 'error', message: 'Errors found' });
         showToast(result.error, 'error');
       }
     } catch (error) {
+      // A newer polish took over; it reports its own outcome
+      superseded = isCancelled(error);
+      if (superseded) return;
       setStatus({ type: 'error', message: mode === 'json' ? 'Failed to format' : 'Failed to polish' });
       showToast(`Error: ${error.message}`, 'error');
     } finally {
-      setIsProcessing(false);
+      if (!superseded) setIsProcessing(false);
+    }
+  }, [inputCode, mode, scriptType, scopedApp, targetRelease, resolvedLanguage, businessRule, activeProfile, showToast]);
+
+  // Accept or reject one edit of the last polish
+  const toggleEditRejected = useCallback((id) => {
+    setRejectedEdits(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }, []);
+
+  // Re-render the last polish with only the accepted edits
+  const handleApplyEditReview = useCallback(async () => {
+    if (!editReview) return;
+    if (editReview.code !== inputCode) {
+      showToast('Input changed since the last polish - polish again to review its edits', 'error');
+      return;
+    }
+
+    setIsProcessing(true);
+    setStatus({ type: 'processing', message: 'Re-rendering...' });
+
+    let superseded = false;
+    try {
+      const result = await polishCodeLatest(inputCode, { ...editReview.options, rejectedEdits });
+      setPolishReport(createFileReport(REPORT_FILE_NAMES.javascript, inputCode, result, 'javascript'));
+      const accepted = editReview.edits.length - rejectedEdits.size;
+
+      if (result.success) {
+        setOutputCode(result.output);
+        setFixes(result.fixes);
+        setWarnings(result.warnings || []);
+        setErrors(result.errors || []);
+        setMetrics(result.metrics);
+        setChangedLines(computeLineDiff(inputCode, result.output));
+        setStatus({ type: 'ready', message: `Re-rendered with ${accepted} of ${editReview.edits.length} edits` });
+        showToast(`Output re-rendered with ${accepted} of ${editReview.edits.length} edits`, 'success');
+      } else {
+        setErrors(result.errors || []);
+        setStatus({ type: 'error', message: 'Errors found' });
+        showToast(result.error, 'error');
+      }
+    } catch (error) {
+      superseded = isCancelled(error);
+      if (superseded) return;
+      setStatus({ type: 'error', message: 'Failed to re-render' });
+      showToast(`Error: ${error.message}`, 'error');
+    } finally {
+      if (!superseded) setIsProcessing(false);
     }
-  }, [inputCode, mode, showToast]);
+  }, [editReview, rejectedEdits, inputCode, showToast]);
 
   // Load sample code
   const handleLoadSample = useCallback(() => {
@@ -1002,6 +1328,8 @@ function App() {
     setWarnings([]);
     setErrors([]);
     setMetrics(null);
+    setEditReview(null);
+    setPolishReport(null);
     setChangedLines([]);
     showToast(`Sample ${mode === 'json' ? 'JSON' : 'code'} loaded`, 'success');
   }, [mode, showToast]);
@@ -1014,6 +1342,8 @@ function App() {
     setWarnings([]);
     setErrors([]);
     setMetrics(null);
+    setEditReview(null);
+    setPolishReport(null);
     setChangedLines([]);
     setStatus({ type: 'ready', message: 'Ready to polish' });
   }, []);
@@ -1080,6 +1410,28 @@ function App() {
     showToast(`Downloaded ${filesDownloaded} file${filesDownloaded > 1 ? 's' : ''}`, 'success');
   }, [inputCode, outputCode, mode, showToast]);
 
+  // Download the findings of the last polish as a SARIF or JUnit report
+  const handleDownloadReport = useCallback((format) => {
+    setShowReportMenu(false);
+    if (!polishReport) {
+      showToast('Polish some code first', 'error');
+      return;
+    }
+
+    const { formatter, extension, mimeType, label } = REPORT_EXPORTS[format];
+    const blob = new Blob([formatter([polishReport])], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `glideaware-report.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    showToast(`Downloaded ${label} report`, 'success');
+  }, [polishReport, showToast]);
+
   // Handle mode toggle
   const handleModeToggle = useCallback((newMode) => {
     if (newMode === mode) return;
@@ -1087,12 +1439,15 @@ function App() {
     setMode(newMode);
     setJsonSubMode('format');
     setJsSubMode('format');
+    setComparePreview(null);
     setInputCode('');
     setOutputCode('');
     setFixes([]);
     setWarnings([]);
     setErrors([]);
     setMetrics(null);
+    setEditReview(null);
+    setPolishReport(null);
     setChangedLines([]);
     setDiffLeftJson('');
     setDiffRightJson('');
@@ -1122,6 +1477,7 @@ function App() {
     if (newSubMode === jsSubMode) return;
     
     setJsSubMode(newSubMode);
+    setComparePreview(null);
     if (newSubMode === 'diff') {
       setStatus({ type: 'ready', message: 'Ready to compare' });
       showToast('Switched to Compare', 'success');
@@ -1164,8 +1520,14 @@ function App() {
     monaco.editor.defineTheme('sn-dark', customTheme);
     monaco.editor.setTheme('sn-dark');
 
+    // Glide API completions, signature help, hovers, and quick fixes (registered once)
+    registerServiceNowIntelliSense(monaco);
+    registerQuickFixProvider(monaco);
+
     // Store editor reference
-    if (!isInput) {
+    if (isInput) {
+      setInputEditor(editor);
+    } else {
       outputEditorRef.current = editor;
       
       // Apply highlighting if we have changes
@@ -1196,6 +1558,49 @@ function App() {
     }
   }, [changedLines, outputCode, applyHighlighting, diffHighlightEnabled]);
 
+  // Live lint the JavaScript input as editor markers (debounced, no formatting)
+  useEffect(() => {
+    const monaco = monacoRef.current;
+    const model = inputEditor && inputEditor.getModel();
+    if (!monaco || !model || model.isDisposed()) return;
+
+    if (mode !== 'javascript' || jsSubMode !== 'format') {
+      monaco.editor.setModelMarkers(model, LINT_MARKER_OWNER, []);
+      setQuickFixDiagnostics(model, []);
+      return;
+    }
+
+    // Linting runs in the worker; a newer edit cancels the pending request
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      if (model.isDisposed()) return;
+      let diagnostics;
+      try {
+        diagnostics = await runTask(
+          'lintCode',
+          [model.getValue(), { scriptType, scopedApp, release: targetRelease, languageTarget: resolvedLanguage, businessRule, profile: activeProfile }],
+          { signal: controller.signal }
+        );
+      } catch {
+        return; // Cancelled, or the worker failed; keep the current markers
+      }
+      if (model.isDisposed()) return;
+      const markers = diagnostics
+        .flatMap(diagnostic => [
+          toEditorMarker(diagnostic, monaco.MarkerSeverity),
+          ...toRelatedMarkers(diagnostic, monaco.MarkerSeverity)
+        ])
+        .filter(Boolean);
+      monaco.editor.setModelMarkers(model, LINT_MARKER_OWNER, markers);
+      setQuickFixDiagnostics(model, diagnostics);
+    }, LINT_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [inputEditor, inputCode, mode, jsSubMode, scriptType, scopedApp, targetRelease, resolvedLanguage, businessRule, activeProfile, customClasses]);
+
   // Keep refs updated so Monaco action always has latest version
   useEffect(() => {
     // Primary action depends on current mode and sub-mode
@@ -1254,13 +1659,16 @@ function App() {
       if (modeInfoRef.current && !modeInfoRef.current.contains(e.target)) {
         setShowModeInfo(false);
       }
+      if (reportMenuRef.current && !reportMenuRef.current.contains(e.target)) {
+        setShowReportMenu(false);
+      }
     };
 
-    if (showFixesDropdown || showFixesDropdownA || showSettings || showVisualizeSettings || showModeInfo) {
+    if (showFixesDropdown || showFixesDropdownA || showSettings || showVisualizeSettings || showModeInfo || showReportMenu) {
       document.addEventListener('mousedown', handleClickOutside);
     }
     return () => document.removeEventListener('mousedown', handleClickOutside);
-  }, [showFixesDropdown, showFixesDropdownA, showSettings, showVisualizeSettings, showModeInfo]);
+  }, [showFixesDropdown, showFixesDropdownA, showSettings, showVisualizeSettings, showModeInfo, showReportMenu]);
 
   // Update status message based on current app mode and sub-modes
   useEffect(() => {
@@ -1879,6 +2287,32 @@ function App() {
         ) : mode === 'javascript' && jsSubMode === 'diff' ? (
           /* JavaScript Diff View */
           <div className="js-diff-layout">
+            {/* Rewrite Preview (GlideQuery migration, language transforms) */}
+            {comparePreview && (
+              <div className="compare-preview-bar">
+                <div className="compare-preview-summary">
+                  <span className="compare-preview-title">
+                    <Icon name={comparePreview.icon} size={14} /> {comparePreview.title} preview
+                    <small>Code A is your script, Code B the proposal. Edit Code B before applying if needed.</small>
+                  </span>
+                  <ul className="compare-preview-list">
+                    {comparePreview.items.map(item => (
+                      <li key={item.key}>
+                        <span className="fix-location">Ln {item.line}</span> {item.code && <code>{item.code}</code>} {item.text}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+                <div className="compare-preview-actions">
+                  <button className="panel-btn" onClick={handleDiscardPreview}>
+                    <Icon name="x" size={14} /> Discard
+                  </button>
+                  <button className="panel-btn active" onClick={handleApplyPreview}>
+                    <Icon name="check" size={14} /> Apply
+                  </button>
+                </div>
+              </div>
+            )}
             {/* Panel Headers Row */}
             <div className="js-diff-headers">
               {/* Code A Panel Header */}
@@ -1915,7 +2349,7 @@ function App() {
                                 {fixesA.map((fix, index) => (
                                   <li key={index} className="fix-item">
                                     <span className="fix-icon"><Icon name="check" size={12} /></span>
-                                    <span className="fix-text">{fix}</span>
+                                    <span className="fix-text">{fix.message}</span>
                                   </li>
                                 ))}
                               </ul>
@@ -1928,9 +2362,15 @@ function App() {
                               </div>
                               <ul className="fixes-list errors-list">
                                 {errorsA.map((error, index) => (
-                                  <li key={index} className="fix-item error-item">
+                                  <li
+                                    key={index}
+                                    className={`fix-item error-item ${error.line ? 'locatable' : ''}`}
+                                    title={error.line ? `${error.ruleId} — click to jump to line ${error.line}` : error.ruleId}
+                                    onClick={() => { if (error.line) { revealDiagnostic(diffEditorRef.current?.getOriginalEditor(), error); setShowFixesDropdownA(false); } }}
+                                  >
                                     <span className="fix-icon error-icon"><Icon name="x" size={12} /></span>
-                                    <span className="fix-text">{error}</span>
+                                    <span className="fix-text">{error.message}</span>
+                                    {error.line && <span className="fix-location">Ln {error.line}</span>}
                                   </li>
                                 ))}
                               </ul>
@@ -1943,9 +2383,15 @@ function App() {
                               </div>
                               <ul className="fixes-list warnings-list">
                                 {warningsA.map((warning, index) => (
-                                  <li key={index} className="fix-item warning-item">
+                                  <li
+                                    key={index}
+                                    className={`fix-item warning-item ${warning.line ? 'locatable' : ''}`}
+                                    title={warning.line ? `${warning.ruleId} — click to jump to line ${warning.line}` : warning.ruleId}
+                                    onClick={() => { if (warning.line) { revealDiagnostic(diffEditorRef.current?.getOriginalEditor(), warning); setShowFixesDropdownA(false); } }}
+                                  >
                                     <span className="fix-icon warning-icon"><Icon name="warning" size={12} /></span>
-                                    <span className="fix-text">{warning}</span>
+                                    <span className="fix-text">{warning.message}</span>
+                                    {warning.line && <span className="fix-location">Ln {warning.line}</span>}
                                   </li>
                                 ))}
                               </ul>
@@ -1997,7 +2443,7 @@ function App() {
                                 {fixes.map((fix, index) => (
                                   <li key={index} className="fix-item">
                                     <span className="fix-icon"><Icon name="check" size={12} /></span>
-                                    <span className="fix-text">{fix}</span>
+                                    <span className="fix-text">{fix.message}</span>
                                   </li>
                                 ))}
                               </ul>
@@ -2010,9 +2456,15 @@ function App() {
                               </div>
                               <ul className="fixes-list errors-list">
                                 {errors.map((error, index) => (
-                                  <li key={index} className="fix-item error-item">
+                                  <li
+                                    key={index}
+                                    className={`fix-item error-item ${error.line ? 'locatable' : ''}`}
+                                    title={error.line ? `${error.ruleId} — click to jump to line ${error.line}` : error.ruleId}
+                                    onClick={() => { if (error.line) { revealDiagnostic(diffEditorRef.current?.getModifiedEditor(), error); setShowFixesDropdown(false); } }}
+                                  >
                                     <span className="fix-icon error-icon"><Icon name="x" size={12} /></span>
-                                    <span className="fix-text">{error}</span>
+                                    <span className="fix-text">{error.message}</span>
+                                    {error.line && <span className="fix-location">Ln {error.line}</span>}
                                   </li>
                                 ))}
                               </ul>
@@ -2025,9 +2477,15 @@ function App() {
                               </div>
                               <ul className="fixes-list warnings-list">
                                 {warnings.map((warning, index) => (
-                                  <li key={index} className="fix-item warning-item">
+                                  <li
+                                    key={index}
+                                    className={`fix-item warning-item ${warning.line ? 'locatable' : ''}`}
+                                    title={warning.line ? `${warning.ruleId} — click to jump to line ${warning.line}` : warning.ruleId}
+                                    onClick={() => { if (warning.line) { revealDiagnostic(diffEditorRef.current?.getModifiedEditor(), warning); setShowFixesDropdown(false); } }}
+                                  >
                                     <span className="fix-icon warning-icon"><Icon name="warning" size={12} /></span>
-                                    <span className="fix-text">{warning}</span>
+                                    <span className="fix-text">{warning.message}</span>
+                                    {warning.line && <span className="fix-location">Ln {warning.line}</span>}
                                   </li>
                                 ))}
                               </ul>
@@ -2091,6 +2549,62 @@ function App() {
                               <span className="toggle-label">{diffHighlightEnabled ? 'On' : 'Off'}</span>
                             </button>
                           </label>
+                          <div className="settings-item">
+                            <span className="settings-label">
+                              Rule Profile
+                              <small>{activeProfile.name}</small>
+                            </span>
+                            <button
+                              className="settings-profile-btn"
+                              onClick={() => { setShowSettings(false); setShowProfileSettings(true); }}
+                            >
+                              <Icon name="settings" size={12} /> Manage
+                            </button>
+                          </div>
+                          <div className="settings-item">
+                            <span className="settings-label">
+                              Custom Dictionary
+                              <small>{customClasses.length} {customClasses.length === 1 ? 'class' : 'classes'}</small>
+                            </span>
+                            <button
+                              className="settings-profile-btn"
+                              onClick={() => { setShowSettings(false); setShowDictionarySettings(true); }}
+                            >
+                              <Icon name="list" size={12} /> Manage
+                            </button>
+                          </div>
+                          <label className="settings-item">
+                            <span className="settings-label">
+                              Target Release
+                              <small>Deprecated and unavailable APIs</small>
+                            </span>
+                            <select
+                              className="script-type-select"
+                              value={targetRelease}
+                              onChange={(e) => handleTargetReleaseChange(e.target.value)}
+                            >
+                              {RELEASES.map(release => (
+                                <option key={release.id} value={release.id}>{release.name}</option>
+                              ))}
+                            </select>
+                          </label>
+                          <label className="settings-item">
+                            <span className="settings-label">
+                              JavaScript Mode
+                              <small>Server script syntax and rewrites</small>
+                            </span>
+                            <select
+                              className="script-type-select"
+                              value={languageTarget}
+                              onChange={(e) => handleLanguageTargetChange(e.target.value)}
+                            >
+                              <option value={NO_LANGUAGE_TARGET}>None (no checks)</option>
+                              <option value={AUTO_LANGUAGE_TARGET}>Auto ({LANGUAGE_TARGETS[autoLanguage].short})</option>
+                              {Object.entries(LANGUAGE_TARGETS).map(([id, target]) => (
+                                <option key={id} value={id}>{target.label}</option>
+                              ))}
+                            </select>
+                          </label>
                         </div>
                       </div>
                     )}
@@ -2127,6 +2641,10 @@ function App() {
                   const originalEditor = editor.getOriginalEditor();
                   const modifiedEditor = editor.getModifiedEditor();
 
+                  // Restore content set while the Compare view was closed
+                  originalEditor.setValue(diffLeftJs);
+                  modifiedEditor.setValue(diffRightJs);
+
                   // Sync state from editor changes (typing only, skip imperative updates)
                   originalEditor.onDidChangeModelContent(() => {
                     if (!diffSyncingRef.current) setDiffLeftJs(originalEditor.getValue());
@@ -2272,6 +2790,65 @@ function App() {
                   Original {mode === 'json' ? 'JSON' : 'Code'}
                 </div>
                 <div className="panel-actions">
+                  {mode === 'javascript' && (
+                    <select
+                      className="script-type-select"
+                      value={scriptType}
+                      onChange={(e) => setScriptType(e.target.value)}
+                      title="Script type - decides which globals exist and which fixes and warnings apply"
+                    >
+                      <option value={AUTO_SCRIPT_TYPE}>
+                        Auto-detect ({SCRIPT_TYPES[detectedScriptType].label})
+                      </option>
+                      {['General', 'Server', 'Client', 'Service Portal'].map(group => (
+                        <optgroup key={group} label={group}>
+                          {Object.entries(SCRIPT_TYPES)
+                            .filter(([, type]) => type.group === group)
+                            .map(([id, type]) => (
+                              <option key={id} value={id}>{type.label}</option>
+                            ))}
+                        </optgroup>
+                      ))}
+                    </select>
+                  )}
+                  {mode === 'javascript' && (
+                    <button
+                      className={`panel-btn ${scopedApp ? 'active' : ''}`}
+                      onClick={() => setScopedApp(!scopedApp)}
+                      title="Scoped application - rewrite and report global-only APIs"
+                    >
+                      <Icon name={scopedApp ? 'check' : 'code'} size={14} /> Scoped app
+                    </button>
+                  )}
+                  {mode === 'javascript' && (
+                    <button
+                      className={`panel-btn ${showEncodedQueries ? 'active' : ''}`}
+                      onClick={() => setShowEncodedQueries(!showEncodedQueries)}
+                      title="Encoded queries - read them as conditions and convert to and from addQuery()"
+                    >
+                      <Icon name="filter" size={14} /> Queries
+                    </button>
+                  )}
+                  {mode === 'javascript' && (
+                    <button
+                      className="panel-btn"
+                      onClick={handleGlideQueryMigration}
+                      title="Migrate to GlideQuery - rewrite GlideRecord idioms and preview them in Compare"
+                    >
+                      <Icon name="swap" size={14} /> GlideQuery
+                    </button>
+                  )}
+                  {mode === 'javascript' && resolvedLanguage && (
+                    <button
+                      className="panel-btn"
+                      onClick={handleLanguageTransform}
+                      title={resolvedLanguage === 'es5'
+                        ? 'Downlevel to ES5 - rewrite modern syntax for global scripts and preview it in Compare'
+                        : 'Modernize for ES2021 - use let/const, template literals, and arrow callbacks, previewed in Compare'}
+                    >
+                      <Icon name="code" size={14} /> {resolvedLanguage === 'es5' ? 'To ES5' : 'Modernize'}
+                    </button>
+                  )}
                   <button className="panel-btn" onClick={handleLoadSample}>
                     <Icon name="clipboard" size={14} /> Load Sample
                   </button>
@@ -2280,6 +2857,14 @@ function App() {
                   </button>
                 </div>
               </div>
+              {mode === 'javascript' && BUSINESS_RULE_TYPES.includes(effectiveScriptType) && (
+                <BusinessRuleBar
+                  scriptType={effectiveScriptType}
+                  onScriptTypeChange={setScriptType}
+                  businessRule={businessRule}
+                  onChange={setBusinessRule}
+                />
+              )}
               <div className="editor-container">
                 <Editor
                   key={`input-${mode}`}
@@ -2328,12 +2913,50 @@ function App() {
                                 {fixes.map((fix, index) => (
                                   <li key={index} className="fix-item">
                                     <span className="fix-icon"><Icon name="check" size={12} /></span>
-                                    <span className="fix-text">{fix}</span>
+                                    <span className="fix-text">{fix.message}</span>
                                   </li>
                                 ))}
                               </ul>
                             </>
                           )}
+                          {editReview && mode === 'javascript' && (
+                            <>
+                              <div className="fixes-dropdown-header edits-header">
+                                <span className="fixes-dropdown-title"><Icon name="pencil" size={14} /> Review Edits</span>
+                                <button
+                                  className="edits-apply-btn"
+                                  onClick={handleApplyEditReview}
+                                  disabled={isProcessing}
+                                  title="Re-render the output with only the accepted edits"
+                                >
+                                  Re-render
+                                </button>
+                              </div>
+                              <ul className="fixes-list edits-list">
+                                {editReview.edits.map((edit) => {
+                                  const rejected = rejectedEdits.has(edit.id);
+                                  return (
+                                    <li
+                                      key={edit.id}
+                                      className={`fix-item edit-item locatable ${rejected ? 'rejected' : ''}`}
+                                      title={`${edit.ruleId} — click to ${rejected ? 'accept' : 'reject'}`}
+                                      onClick={() => toggleEditRejected(edit.id)}
+                                    >
+                                      <span className={`fix-icon ${rejected ? 'error-icon' : ''}`}>
+                                        <Icon name={rejected ? 'x' : 'check'} size={12} />
+                                      </span>
+                                      <span className="fix-text">
+                                        <code className="edit-before">{edit.before || '∅'}</code>
+                                        {' → '}
+                                        <code className="edit-after">{edit.after || '∅'}</code>
+                                      </span>
+                                      <span className="fix-location">Ln {edit.line}</span>
+                                    </li>
+                                  );
+                                })}
+                              </ul>
+                            </>
+                          )}
                           {errors.length > 0 && (
                             <>
                               <div className="fixes-dropdown-header errors-header">
@@ -2341,9 +2964,15 @@ function App() {
                               </div>
                               <ul className="fixes-list errors-list">
                                 {errors.map((error, index) => (
-                                  <li key={index} className="fix-item error-item">
+                                  <li
+                                    key={index}
+                                    className={`fix-item error-item ${error.line ? 'locatable' : ''}`}
+                                    title={error.line ? `${error.ruleId} — click to jump to line ${error.line}` : error.ruleId}
+                                    onClick={() => { if (error.line) { revealDiagnostic(outputEditorRef.current, error); setShowFixesDropdown(false); } }}
+                                  >
                                     <span className="fix-icon error-icon"><Icon name="x" size={12} /></span>
-                                    <span className="fix-text">{error}</span>
+                                    <span className="fix-text">{error.message}</span>
+                                    {error.line && <span className="fix-location">Ln {error.line}</span>}
                                   </li>
                                 ))}
                               </ul>
@@ -2356,9 +2985,15 @@ function App() {
                               </div>
                               <ul className="fixes-list warnings-list">
                                 {warnings.map((warning, index) => (
-                                  <li key={index} className="fix-item warning-item">
+                                  <li
+                                    key={index}
+                                    className={`fix-item warning-item ${warning.line ? 'locatable' : ''}`}
+                                    title={warning.line ? `${warning.ruleId} — click to jump to line ${warning.line}` : warning.ruleId}
+                                    onClick={() => { if (warning.line) { revealDiagnostic(outputEditorRef.current, warning); setShowFixesDropdown(false); } }}
+                                  >
                                     <span className="fix-icon warning-icon"><Icon name="warning" size={12} /></span>
-                                    <span className="fix-text">{warning}</span>
+                                    <span className="fix-text">{warning.message}</span>
+                                    {warning.line && <span className="fix-location">Ln {warning.line}</span>}
                                   </li>
                                 ))}
                               </ul>
@@ -2389,6 +3024,35 @@ function App() {
                   >
                     <Icon name="download" size={14} /> Download
                   </button>
+                  {/* Report Export Dropdown */}
+                  <div className="settings-dropdown-container" ref={reportMenuRef}>
+                    <button
+                      className={`panel-btn ${showReportMenu ? 'active' : ''}`}
+                      onClick={() => setShowReportMenu(!showReportMenu)}
+                      disabled={!polishReport}
+                      title="Export fixes, warnings, and errors as a report"
+                    >
+                      <Icon name="document" size={14} /> Report
+                    </button>
+                    {showReportMenu && (
+                      <div className="settings-dropdown">
+                        <div className="settings-dropdown-header">
+                          <span className="settings-dropdown-title"><Icon name="document" size={14} /> Export Report</span>
+                        </div>
+                        <div className="settings-list">
+                          {Object.entries(REPORT_EXPORTS).map(([format, { label, description }]) => (
+                            <button key={format} className="settings-item report-option" onClick={() => handleDownloadReport(format)}>
+                              <span className="settings-label">
+                                <strong>{label}</strong>
+                                <small>{description}</small>
+                              </span>
+                              <Icon name="download" size={14} />
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                  </div>
                   {/* Settings Dropdown */}
                   <div className="settings-dropdown-container" ref={settingsDropdownRef}>
                     <button 
@@ -2416,6 +3080,62 @@ function App() {
                               <span className="toggle-label">{diffHighlightEnabled ? 'On' : 'Off'}</span>
                             </button>
                           </label>
+                          <div className="settings-item">
+                            <span className="settings-label">
+                              Rule Profile
+                              <small>{activeProfile.name}</small>
+                            </span>
+                            <button
+                              className="settings-profile-btn"
+                              onClick={() => { setShowSettings(false); setShowProfileSettings(true); }}
+                            >
+                              <Icon name="settings" size={12} /> Manage
+                            </button>
+                          </div>
+                          <div className="settings-item">
+                            <span className="settings-label">
+                              Custom Dictionary
+                              <small>{customClasses.length} {customClasses.length === 1 ? 'class' : 'classes'}</small>
+                            </span>
+                            <button
+                              className="settings-profile-btn"
+                              onClick={() => { setShowSettings(false); setShowDictionarySettings(true); }}
+                            >
+                              <Icon name="list" size={12} /> Manage
+                            </button>
+                          </div>
+                          <label className="settings-item">
+                            <span className="settings-label">
+                              Target Release
+                              <small>Deprecated and unavailable APIs</small>
+                            </span>
+                            <select
+                              className="script-type-select"
+                              value={targetRelease}
+                              onChange={(e) => handleTargetReleaseChange(e.target.value)}
+                            >
+                              {RELEASES.map(release => (
+                                <option key={release.id} value={release.id}>{release.name}</option>
+                              ))}
+                            </select>
+                          </label>
+                          <label className="settings-item">
+                            <span className="settings-label">
+                              JavaScript Mode
+                              <small>Server script syntax and rewrites</small>
+                            </span>
+                            <select
+                              className="script-type-select"
+                              value={languageTarget}
+                              onChange={(e) => handleLanguageTargetChange(e.target.value)}
+                            >
+                              <option value={NO_LANGUAGE_TARGET}>None (no checks)</option>
+                              <option value={AUTO_LANGUAGE_TARGET}>Auto ({LANGUAGE_TARGETS[autoLanguage].short})</option>
+                              {Object.entries(LANGUAGE_TARGETS).map(([id, target]) => (
+                                <option key={id} value={id}>{target.label}</option>
+                              ))}
+                            </select>
+                          </label>
                         </div>
                       </div>
                     )}
@@ -2451,6 +3171,15 @@ function App() {
                 )}
               </div>
             </section>
+
+            {/* Encoded Query Panel */}
+            {mode === 'javascript' && showEncodedQueries && (
+              <EncodedQueryPanel
+                code={inputCode}
+                onClose={() => setShowEncodedQueries(false)}
+                showToast={showToast}
+              />
+            )}
           </>
         )}
       </main>
@@ -2751,6 +3480,26 @@ function App() {
         </div>
       </footer>
 
+      {/* Rule Profile Settings */}
+      {showProfileSettings && (
+        <ProfileSettings
+          activeProfileId={activeProfile.id}
+          onActivate={setActiveProfile}
+          onClose={() => setShowProfileSettings(false)}
+          showToast={showToast}
+        />
+      )}
+
+      {/* Custom Dictionary Settings */}
+      {showDictionarySettings && (
+        <DictionarySettings
+          classes={customClasses}
+          onChange={setCustomClasses}
+          onClose={() => setShowDictionarySettings(false)}
+          showToast={showToast}
+        />
+      )}
+
       {/* Toast Notification */}
       <div className={`toast ${toast.show ? 'show' : ''} ${toast.type}`}>
         {toast.messages.map((msg, i) => (
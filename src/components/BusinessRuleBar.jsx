@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Business Rule Bar Component
+ * @description Metadata bar shown above the input editor for Business Rule
+ * scripts: when the rule runs, its table, and the operations that trigger it.
+ * The Business Rule analysis uses these to tell recursion and lost changes
+ * apart from intended saves.
+ */
+
+import { BUSINESS_RULE_OPERATIONS } from '../utils/warnings/businessRuleWarnings';
+
+/** When a Business Rule runs, as script type ids */
+const WHEN_OPTIONS = [
+  { id: 'business_rule_before', label: 'before' },
+  { id: 'business_rule_after', label: 'after' },
+  { id: 'business_rule_async', label: 'async' }
+];
+
+/**
+ * BusinessRuleBar - Table, when, and operations of a Business Rule script
+ *
+ * @param {Object} props
+ * @param {string} props.scriptType - Business Rule script type id (decides when, if it has a phase)
+ * @param {Function} props.onScriptTypeChange - Called with the script type of another "when"
+ * @param {{ table: string, operations: string[] }} props.businessRule - Table and operations
+ * @param {Function} props.onChange - Called with the updated table and operations
+ */
+function BusinessRuleBar({ scriptType, onScriptTypeChange, businessRule, onChange }) {
+  const toggleOperation = (operation) => {
+    const operations = businessRule.operations.includes(operation)
+      ? businessRule.operations.filter(op => op !== operation)
+      : BUSINESS_RULE_OPERATIONS.filter(op => op === operation || businessRule.operations.includes(op));
+    onChange({ ...businessRule, operations });
+  };
+
+  return (
+    <div className="business-rule-bar">
+      <span className="business-rule-label">Business Rule</span>
+      <select
+        value={scriptType}
+        onChange={(e) => onScriptTypeChange(e.target.value)}
+        title="When the rule runs"
+      >
+        {!WHEN_OPTIONS.some(({ id }) => id === scriptType) && (
+          <option value={scriptType} disabled>when?</option>
+        )}
+        {WHEN_OPTIONS.map(({ id, label }) => (
+          <option key={id} value={id}>{label}</option>
+        ))}
+      </select>
+      <input
+        type="text"
+        value={businessRule.table}
+        onChange={(e) => onChange({ ...businessRule, table: e.target.value.trim() })}
+        placeholder="table, e.g. incident"
+        title="Table the rule runs on"
+        spellCheck={false}
+      />
+      {BUSINESS_RULE_OPERATIONS.map(operation => (
+        <label key={operation} className="business-rule-operation">
+          <input
+            type="checkbox"
+            checked={businessRule.operations.includes(operation)}
+            onChange={() => toggleOperation(operation)}
+          />
+          {operation}
+        </label>
+      ))}
+    </div>
+  );
+}
+
+export default BusinessRuleBar;
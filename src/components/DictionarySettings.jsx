@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Custom Dictionary Settings Component
+ * @description Modal for managing the custom API dictionary: add in-house
+ * Script Includes by pasting their source, import or export the dictionary
+ * as a JSON file, and remove classes. Classes persist to IndexedDB and are
+ * used by typo correction, IntelliSense, and the visualizer.
+ */
+
+import { useState, useCallback, useRef } from 'react';
+import Icon from './Icon';
+import {
+  parseScriptInclude,
+  exportCustomDictionary,
+  importCustomDictionary,
+  DICTIONARY_FILENAME
+} from '../utils/customDictionary';
+import {
+  getCustomClasses,
+  saveCustomClasses,
+  deleteCustomClass,
+  clearCustomClasses
+} from '../utils/storage/dictionaryStorage';
+import { downloadAsJson } from '../utils/storage/planStorage';
+
+// =============================================================================
+// DICTIONARY SETTINGS COMPONENT
+// =============================================================================
+
+/**
+ * DictionarySettings - Modal editor for the custom API dictionary
+ *
+ * @param {Object} props
+ * @param {Array} props.classes - Custom classes currently in use
+ * @param {Function} props.onChange - Called with the stored classes after every change
+ * @param {Function} props.onClose - Closes the modal
+ * @param {Function} props.showToast - Shows a status toast
+ */
+function DictionarySettings({ classes, onChange, onClose, showToast }) {
+  const [source, setSource] = useState('');
+  const fileInputRef = useRef(null);
+
+  /**
+   * Saves classes and reloads the stored dictionary
+   */
+  const saveClasses = useCallback(async (added) => {
+    await saveCustomClasses(added);
+    onChange(await getCustomClasses());
+  }, [onChange]);
+
+  const handleAddScriptInclude = useCallback(async () => {
+    try {
+      const parsed = parseScriptInclude(source);
+      await saveClasses(parsed);
+      setSource('');
+      showToast(`Added ${parsed.map(cls => cls.name).join(', ')}`, 'success');
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  }, [source, saveClasses, showToast]);
+
+  const handleDelete = useCallback(async (name) => {
+    try {
+      await deleteCustomClass(name);
+      onChange(await getCustomClasses());
+      showToast(`Removed ${name}`, 'success');
+    } catch {
+      showToast('Failed to remove class', 'error');
+    }
+  }, [onChange, showToast]);
+
+  const handleClear = useCallback(async () => {
+    try {
+      await clearCustomClasses();
+      onChange([]);
+      showToast('Custom dictionary cleared', 'success');
+    } catch {
+      showToast('Failed to clear dictionary', 'error');
+    }
+  }, [onChange, showToast]);
+
+  const handleExport = useCallback(() => {
+    downloadAsJson(exportCustomDictionary(classes), DICTIONARY_FILENAME);
+    showToast(`Exported ${classes.length} classes`, 'success');
+  }, [classes, showToast]);
+
+  const handleImport = useCallback(async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const imported = importCustomDictionary(JSON.parse(await file.text()));
+      await saveClasses(imported);
+      showToast(`Imported ${imported.length} classes`, 'success');
+    } catch (error) {
+      showToast(`Failed to import dictionary: ${error.message}`, 'error');
+    } finally {
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    }
+  }, [saveClasses, showToast]);
+
+  return (
+    <div className="task-modal-overlay" onClick={onClose}>
+      <div className="task-modal profile-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="task-edit-form">
+          <div className="task-edit-header">
+            <Icon name="list" size={18} />
+            <span className="profile-modal-title">Custom Dictionary</span>
+            <button className="close-btn" onClick={onClose} title="Close">
+              <Icon name="x" size={18} />
+            </button>
+          </div>
+
+          <div className="task-edit-body">
+            <p className="profile-note">
+              Methods of these classes are never &quot;corrected&quot; into Glide methods, typos of
+              them are corrected against their own methods, and they are highlighted in the visualizer.
+            </p>
+
+            <div className="task-edit-field full">
+              <label>Add Script Include</label>
+              <textarea
+                className="dictionary-source"
+                value={source}
+                placeholder={'var IncidentUtils = Class.create();\nIncidentUtils.prototype = {\n    getOpenIncidents: function(caller) { ... },\n    type: \'IncidentUtils\'\n};'}
+                spellCheck={false}
+                onChange={(e) => setSource(e.target.value)}
+              />
+              <div className="dictionary-source-actions">
+                <button className="panel-btn" onClick={handleAddScriptInclude} disabled={!source.trim()}>
+                  <Icon name="plus" size={14} /> Add Classes
+                </button>
+              </div>
+            </div>
+
+            <div className="task-edit-field full">
+              <label>Classes ({classes.length})</label>
+              {classes.length === 0 ? (
+                <p className="profile-note">No custom classes yet. Paste a Script Include or import a dictionary file.</p>
+              ) : (
+                <ul className="profile-rules">
+                  {classes.map(cls => (
+                    <li key={cls.name} className="profile-rule">
+                      <span className="profile-rule-text" title={cls.methods.join(', ')}>
+                        <code>{cls.name}{cls.extends ? ` extends ${cls.extends}` : ''}</code>
+                        <span className="profile-rule-description">
+                          {cls.methods.length > 0 ? cls.methods.join(', ') : 'No methods'}
+                        </span>
+                      </span>
+                      <button className="panel-btn" onClick={() => handleDelete(cls.name)} title={`Remove ${cls.name}`}>
+                        <Icon name="trash" size={14} />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+
+          <div className="task-edit-footer profile-actions">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json"
+              onChange={handleImport}
+              style={{ display: 'none' }}
+            />
+            <button className="panel-btn" onClick={() => fileInputRef.current?.click()}>
+              <Icon name="document" size={14} /> Import
+            </button>
+            <button className="panel-btn" onClick={handleExport} disabled={classes.length === 0}>
+              <Icon name="download" size={14} /> Export
+            </button>
+            <button className="panel-btn" onClick={handleClear} disabled={classes.length === 0}>
+              <Icon name="trash" size={14} /> Clear All
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DictionarySettings;
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Encoded Query Panel Component
+ * @description Side panel of the JavaScript polish view. Lists the encoded
+ * queries of the script as readable conditions with their errors, and
+ * converts between encoded queries and addQuery()/addOrCondition() script.
+ */
+
+import { useState, useMemo, useCallback } from 'react';
+import Icon from './Icon';
+import {
+  findEncodedQueries,
+  parseEncodedQuery,
+  describeCondition,
+  encodedQueryToScript,
+  scriptToEncodedQuery
+} from '../utils/encodedQuery';
+
+// =============================================================================
+// CONDITION LIST
+// =============================================================================
+
+/**
+ * QueryConditions - Readable condition list of one parsed encoded query
+ *
+ * @param {Object} props
+ * @param {Object} props.parsed - Result of parseEncodedQuery()
+ */
+function QueryConditions({ parsed }) {
+  return (
+    <ul className="query-conditions">
+      {parsed.groups.map((group, groupIndex) => [
+        groupIndex > 0 && <li key={`nq-${groupIndex}`} className="query-keyword">New query</li>,
+        ...group.clauses.map((clause, clauseIndex) => (
+          <li key={`${groupIndex}-${clauseIndex}`} className="query-clause">
+            {clauseIndex > 0 && <span className="query-keyword">and</span>}
+            {clause.related ? (
+              <code>{clause.related}</code>
+            ) : clause.conditions.map((condition, conditionIndex) => (
+              <div key={conditionIndex} className="query-condition">
+                {conditionIndex > 0 && <span className="query-keyword">or</span>}
+                {describeCondition(condition)}
+              </div>
+            ))}
+          </li>
+        ))
+      ])}
+      {parsed.orderBy.map(({ field, descending }) => (
+        <li key={`order-${field}`} className="query-clause query-order">
+          Order by {field}{descending ? ' (descending)' : ''}
+        </li>
+      ))}
+      {parsed.groupBy.map(field => (
+        <li key={`group-${field}`} className="query-clause query-order">Group by {field}</li>
+      ))}
+      {parsed.errors.map(error => (
+        <li key={`error-${error.start}`} className="query-error">
+          <Icon name="x" size={12} /> {error.message}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// =============================================================================
+// ENCODED QUERY PANEL COMPONENT
+// =============================================================================
+
+/**
+ * EncodedQueryPanel - Encoded query viewer and converter
+ *
+ * @param {Object} props
+ * @param {string} props.code - Script shown in the input editor
+ * @param {Function} props.onClose - Closes the panel
+ * @param {Function} props.showToast - Shows a status toast
+ */
+function EncodedQueryPanel({ code, onClose, showToast }) {
+  const [source, setSource] = useState('');
+  const [converted, setConverted] = useState('');
+
+  const queries = useMemo(() => findEncodedQueries(code).map(found => ({
+    ...found,
+    line: found.node.loc.start.line,
+    parsed: parseEncodedQuery(found.query)
+  })), [code]);
+
+  const copy = useCallback(async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      showToast('Copied to clipboard!', 'success');
+    } catch {
+      showToast('Failed to copy', 'error');
+    }
+  }, [showToast]);
+
+  const handleCopyScript = useCallback((found) => {
+    try {
+      copy(encodedQueryToScript(found.query, { receiver: found.receiver }));
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  }, [copy, showToast]);
+
+  const handleConvert = useCallback((toScript) => {
+    try {
+      setConverted(toScript ? encodedQueryToScript(source.trim()) : scriptToEncodedQuery(source));
+    } catch (error) {
+      setConverted('');
+      showToast(error.message, 'error');
+    }
+  }, [source, showToast]);
+
+  const parsedSource = useMemo(() => {
+    const trimmed = source.trim();
+    return trimmed && !/[\s;(]/.test(trimmed) ? parseEncodedQuery(trimmed) : null;
+  }, [source]);
+
+  return (
+    <aside className="encoded-query-panel">
+      <div className="panel-header">
+        <div className="panel-title">
+          <Icon name="filter" size={14} /> Encoded Queries
+        </div>
+        <button className="close-btn" onClick={onClose} title="Close">
+          <Icon name="x" size={16} />
+        </button>
+      </div>
+
+      <div className="encoded-query-body">
+        <section className="encoded-query-section">
+          <h4>In this script ({queries.length})</h4>
+          {queries.length === 0 ? (
+            <p className="profile-note">No literal addEncodedQuery() or setEncodedQuery() queries in the script.</p>
+          ) : queries.map((found, index) => (
+            <div key={index} className="encoded-query-item">
+              <div className="encoded-query-item-header">
+                <code>{found.receiver}.{found.method}()</code>
+                <span className="encoded-query-line">line {found.line}</span>
+                <button
+                  className="panel-btn"
+                  onClick={() => handleCopyScript(found)}
+                  disabled={found.parsed.errors.length > 0}
+                  title="Copy the equivalent addQuery() calls"
+                >
+                  <Icon name="copy" size={12} /> addQuery()
+                </button>
+              </div>
+              <QueryConditions parsed={found.parsed} />
+            </div>
+          ))}
+        </section>
+
+        <section className="encoded-query-section">
+          <h4>Convert</h4>
+          <textarea
+            className="encoded-query-source"
+            value={source}
+            placeholder={'active=true^priorityIN1,2^ORDERBYnumber\n\nor\n\ngr.addQuery(\'active\', true);\ngr.orderBy(\'number\');'}
+            spellCheck={false}
+            onChange={(e) => setSource(e.target.value)}
+          />
+          {parsedSource && <QueryConditions parsed={parsedSource} />}
+          <div className="encoded-query-actions">
+            <button className="panel-btn" onClick={() => handleConvert(true)} disabled={!source.trim()}>
+              <Icon name="code" size={14} /> To addQuery()
+            </button>
+            <button className="panel-btn" onClick={() => handleConvert(false)} disabled={!source.trim()}>
+              <Icon name="filter" size={14} /> To encoded query
+            </button>
+          </div>
+          {converted && (
+            <div className="encoded-query-result">
+              <pre>{converted}</pre>
+              <button className="panel-btn" onClick={() => copy(converted)}>
+                <Icon name="copy" size={12} /> Copy
+              </button>
+            </div>
+          )}
+        </section>
+      </div>
+    </aside>
+  );
+}
+
+export default EncodedQueryPanel;
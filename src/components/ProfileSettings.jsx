@@ -0,0 +1,386 @@
+/**
+ * @fileoverview Rule Profile Settings Component
+ * @description Modal for managing rule configuration profiles: pick the
+ * active profile, edit rule on/off and severity, generic warning thresholds,
+ * and Prettier options, and share profiles as JSON files.
+ * Profiles persist to IndexedDB.
+ */
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+import Icon from './Icon';
+import {
+  DEFAULT_PROFILE,
+  DEFAULT_PROFILE_ID,
+  CONFIGURABLE_RULES,
+  PRETTIER_OPTION_CHOICES,
+  getRuleSeverity,
+  isRuleEnabled,
+  exportProfile,
+  importProfile,
+  generateProfileFilename
+} from '../utils/ruleProfiles';
+import {
+  getAllProfiles,
+  saveProfile,
+  deleteProfile,
+  setActiveProfileId
+} from '../utils/storage/profileStorage';
+import { downloadAsJson } from '../utils/storage/planStorage';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Generic warning thresholds shown in the editor
+ */
+const THRESHOLD_FIELDS = [
+  { key: 'maxLineLength', label: 'Max line length' },
+  { key: 'maxNestingDepth', label: 'Max nesting depth' },
+  { key: 'maxParams', label: 'Max parameters' },
+  { key: 'maxFunctionLines', label: 'Max function lines' }
+];
+
+/**
+ * Prettier options shown in the editor, per language
+ */
+const PRETTIER_FIELDS = {
+  javascript: [
+    { key: 'printWidth', label: 'Print width', type: 'number' },
+    { key: 'tabWidth', label: 'Tab width', type: 'number' },
+    { key: 'trailingComma', label: 'Trailing commas', type: 'select', options: PRETTIER_OPTION_CHOICES.trailingComma },
+    { key: 'arrowParens', label: 'Arrow parens', type: 'select', options: PRETTIER_OPTION_CHOICES.arrowParens },
+    { key: 'useTabs', label: 'Use tabs', type: 'boolean' },
+    { key: 'semi', label: 'Semicolons', type: 'boolean' },
+    { key: 'singleQuote', label: 'Single quotes', type: 'boolean' },
+    { key: 'bracketSpacing', label: 'Bracket spacing', type: 'boolean' }
+  ],
+  json: [
+    { key: 'printWidth', label: 'Print width', type: 'number' },
+    { key: 'tabWidth', label: 'Tab width', type: 'number' },
+    { key: 'useTabs', label: 'Use tabs', type: 'boolean' }
+  ]
+};
+
+const SEVERITY_OPTIONS = ['error', 'warning', 'info'];
+
+// =============================================================================
+// PROFILE SETTINGS COMPONENT
+// =============================================================================
+
+/**
+ * ProfileSettings - Modal editor for rule profiles
+ *
+ * @param {Object} props
+ * @param {string} props.activeProfileId - Id of the profile currently in use
+ * @param {Function} props.onActivate - Called with the profile to use from now on
+ * @param {Function} props.onClose - Closes the modal
+ * @param {Function} props.showToast - Shows a status toast
+ */
+function ProfileSettings({ activeProfileId, onActivate, onClose, showToast }) {
+  const [profiles, setProfiles] = useState([DEFAULT_PROFILE]);
+  const [draft, setDraft] = useState(null);
+  const [isDirty, setIsDirty] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const isDefault = !draft || draft.id === DEFAULT_PROFILE_ID;
+
+  /**
+   * Loads the stored profiles and selects one for editing
+   */
+  const loadProfiles = useCallback(async (selectId) => {
+    try {
+      const all = await getAllProfiles();
+      setProfiles(all);
+      setDraft(all.find(p => p.id === selectId) || all[0]);
+      setIsDirty(false);
+    } catch {
+      showToast('Failed to load profiles', 'error');
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    loadProfiles(activeProfileId);
+  }, [loadProfiles, activeProfileId]);
+
+  /**
+   * Updates the draft profile being edited
+   */
+  const updateDraft = useCallback((updater) => {
+    setDraft(prev => updater(prev));
+    setIsDirty(true);
+  }, []);
+
+  const updateRule = useCallback((ruleId, changes) => {
+    updateDraft(prev => {
+      const setting = { ...prev.rules[ruleId], ...changes };
+      if (setting.enabled !== false) delete setting.enabled;
+      if (!setting.severity) delete setting.severity;
+      const rules = { ...prev.rules, [ruleId]: setting };
+      if (Object.keys(setting).length === 0) delete rules[ruleId];
+      return { ...prev, rules };
+    });
+  }, [updateDraft]);
+
+  const updateThreshold = useCallback((key, value) => {
+    updateDraft(prev => ({ ...prev, thresholds: { ...prev.thresholds, [key]: value } }));
+  }, [updateDraft]);
+
+  const updatePrettier = useCallback((language, key, value) => {
+    updateDraft(prev => ({
+      ...prev,
+      prettier: { ...prev.prettier, [language]: { ...prev.prettier[language], [key]: value } }
+    }));
+  }, [updateDraft]);
+
+  /**
+   * Saves the draft and, if it is the active profile, applies it right away
+   */
+  const handleSave = useCallback(async () => {
+    try {
+      const saved = await saveProfile(draft);
+      await loadProfiles(saved.id);
+      if (saved.id === activeProfileId) onActivate(saved);
+      showToast(`Profile "${saved.name}" saved`, 'success');
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  }, [draft, activeProfileId, onActivate, loadProfiles, showToast]);
+
+  /**
+   * Starts a new profile from the one being viewed
+   */
+  const handleDuplicate = useCallback(async () => {
+    try {
+      const copy = await saveProfile({ ...draft, id: null, name: `${draft.name} (copy)` });
+      await loadProfiles(copy.id);
+      showToast(`Profile "${copy.name}" created`, 'success');
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  }, [draft, loadProfiles, showToast]);
+
+  const handleDelete = useCallback(async () => {
+    try {
+      await deleteProfile(draft.id);
+      if (draft.id === activeProfileId) {
+        await setActiveProfileId(DEFAULT_PROFILE_ID);
+        onActivate(DEFAULT_PROFILE);
+      }
+      await loadProfiles(DEFAULT_PROFILE_ID);
+      showToast(`Profile "${draft.name}" deleted`, 'success');
+    } catch {
+      showToast('Failed to delete profile', 'error');
+    }
+  }, [draft, activeProfileId, onActivate, loadProfiles, showToast]);
+
+  const handleActivate = useCallback(async () => {
+    try {
+      await setActiveProfileId(draft.id);
+      onActivate(profiles.find(p => p.id === draft.id) || DEFAULT_PROFILE);
+      showToast(`Using profile "${draft.name}"`, 'success');
+    } catch {
+      showToast('Failed to switch profile', 'error');
+    }
+  }, [draft, profiles, onActivate, showToast]);
+
+  const handleExport = useCallback(() => {
+    downloadAsJson(exportProfile(draft), generateProfileFilename(draft));
+    showToast(`Profile "${draft.name}" exported`, 'success');
+  }, [draft, showToast]);
+
+  const handleImport = useCallback(async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const imported = importProfile(JSON.parse(await file.text()));
+      const saved = await saveProfile(imported);
+      await loadProfiles(saved.id);
+      showToast(`Profile "${saved.name}" imported`, 'success');
+    } catch (error) {
+      showToast(`Failed to import profile: ${error.message}`, 'error');
+    } finally {
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    }
+  }, [loadProfiles, showToast]);
+
+  if (!draft) return null;
+
+  return (
+    <div className="task-modal-overlay" onClick={onClose}>
+      <div className="task-modal profile-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="task-edit-form">
+          <div className="task-edit-header">
+            <Icon name="settings" size={18} />
+            <span className="profile-modal-title">Rule Profiles</span>
+            <select
+              className="profile-select"
+              value={draft.id}
+              onChange={(e) => loadProfiles(e.target.value)}
+            >
+              {profiles.map(p => (
+                <option key={p.id} value={p.id}>
+                  {p.name}{p.id === activeProfileId ? ' (active)' : ''}
+                </option>
+              ))}
+            </select>
+            <button className="close-btn" onClick={onClose} title="Close">
+              <Icon name="x" size={18} />
+            </button>
+          </div>
+
+          <div className="task-edit-body">
+            {isDefault && (
+              <p className="profile-note">The default profile is read-only. Duplicate it to customize rules and formatting.</p>
+            )}
+
+            <div className="task-edit-field full">
+              <label>Name</label>
+              <input
+                type="text"
+                value={draft.name}
+                disabled={isDefault}
+                onChange={(e) => updateDraft(prev => ({ ...prev, name: e.target.value }))}
+              />
+            </div>
+
+            {/* Thresholds */}
+            <div className="task-edit-row profile-grid">
+              {THRESHOLD_FIELDS.map(({ key, label }) => (
+                <div key={key} className="task-edit-field">
+                  <label>{label}</label>
+                  <input
+                    type="number"
+                    min={1}
+                    value={draft.thresholds[key]}
+                    disabled={isDefault}
+                    onChange={(e) => updateThreshold(key, parseInt(e.target.value, 10) || 1)}
+                  />
+                </div>
+              ))}
+            </div>
+
+            {/* Prettier options */}
+            {Object.entries(PRETTIER_FIELDS).map(([language, fields]) => (
+              <div key={language} className="task-edit-field full">
+                <label>Prettier ({language === 'json' ? 'JSON' : 'JavaScript'})</label>
+                <div className="task-edit-row profile-grid">
+                  {fields.map(({ key, label, type, options }) => (
+                    <div key={key} className="task-edit-field">
+                      <label>{label}</label>
+                      {type === 'number' && (
+                        <input
+                          type="number"
+                          min={1}
+                          value={draft.prettier[language][key]}
+                          disabled={isDefault}
+                          onChange={(e) => updatePrettier(language, key, parseInt(e.target.value, 10) || 1)}
+                        />
+                      )}
+                      {type === 'select' && (
+                        <select
+                          value={draft.prettier[language][key]}
+                          disabled={isDefault}
+                          onChange={(e) => updatePrettier(language, key, e.target.value)}
+                        >
+                          {options.map(option => <option key={option} value={option}>{option}</option>)}
+                        </select>
+                      )}
+                      {type === 'boolean' && (
+                        <select
+                          value={draft.prettier[language][key] ? 'on' : 'off'}
+                          disabled={isDefault}
+                          onChange={(e) => updatePrettier(language, key, e.target.value === 'on')}
+                        >
+                          <option value="on">On</option>
+                          <option value="off">Off</option>
+                        </select>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+
+            {/* Rules */}
+            {CONFIGURABLE_RULES.map(({ group, rules }) => (
+              <div key={group} className="task-edit-field full">
+                <label>{group} Rules</label>
+                <ul className="profile-rules">
+                  {Object.entries(rules).map(([ruleId, rule]) => {
+                    const enabled = isRuleEnabled(draft, ruleId);
+                    return (
+                      <li key={ruleId} className={`profile-rule ${enabled ? '' : 'disabled'}`}>
+                        <input
+                          type="checkbox"
+                          checked={enabled}
+                          disabled={isDefault}
+                          onChange={(e) => updateRule(ruleId, { enabled: e.target.checked })}
+                        />
+                        <span className="profile-rule-text" title={rule.description}>
+                          <code>{ruleId}</code>
+                          <span className="profile-rule-description">{rule.description}</span>
+                        </span>
+                        <select
+                          value={getRuleSeverity(draft, ruleId)}
+                          disabled={isDefault || !enabled}
+                          onChange={(e) => updateRule(ruleId, {
+                            severity: e.target.value === rule.severity ? undefined : e.target.value
+                          })}
+                        >
+                          {SEVERITY_OPTIONS.map(severity => (
+                            <option key={severity} value={severity}>{severity}</option>
+                          ))}
+                        </select>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            ))}
+          </div>
+
+          <div className="task-edit-footer profile-actions">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json"
+              onChange={handleImport}
+              style={{ display: 'none' }}
+            />
+            <button className="panel-btn" onClick={() => fileInputRef.current?.click()}>
+              <Icon name="document" size={14} /> Import
+            </button>
+            <button className="panel-btn" onClick={handleExport}>
+              <Icon name="download" size={14} /> Export
+            </button>
+            <button className="panel-btn" onClick={handleDuplicate}>
+              <Icon name="copy" size={14} /> Duplicate
+            </button>
+            {!isDefault && (
+              <button className="panel-btn" onClick={handleDelete}>
+                <Icon name="trash" size={14} /> Delete
+              </button>
+            )}
+            {!isDefault && (
+              <button className="panel-btn" onClick={handleSave} disabled={!isDirty}>
+                <Icon name="check" size={14} /> Save
+              </button>
+            )}
+            <button
+              className={`panel-btn ${draft.id === activeProfileId ? 'active' : ''}`}
+              onClick={handleActivate}
+              disabled={draft.id === activeProfileId || isDirty}
+              title={isDirty ? 'Save the profile before using it' : 'Use this profile for Polish, Format, and live linting'}
+            >
+              <Icon name="check" size={14} /> {draft.id === activeProfileId ? 'Active' : 'Use Profile'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ProfileSettings;
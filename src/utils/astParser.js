@@ -11,10 +11,11 @@ import * as acorn from 'acorn';
 // =============================================================================
 
 /**
- * ServiceNow-specific API classes for visualization highlighting
+ * ServiceNow-specific API classes for visualization highlighting. Custom
+ * classes are appended by applyCustomDictionary() in customDictionary.js.
  * @see https://www.servicenow.com/docs/r/api-reference/api-reference.html
  */
-const SERVICENOW_CLASSES = [
+export const SERVICENOW_CLASSES = [
   // Core database classes
   'GlideRecord',
   'GlideRecordSecure',
@@ -653,19 +654,23 @@ const GLIDE_AJAX_METHODS = [
 // =============================================================================
 
 /**
- * Parses JavaScript code into an AST using Acorn
+ * Parses JavaScript code into an AST using Acorn. The newest syntax is
+ * accepted; which syntax the target engine mode supports is checked by
+ * languageWarnings.js.
  * @param {string} code - The JavaScript code to parse
+ * @param {Object} [options] - Acorn option overrides (e.g. { ecmaVersion: 2020 })
  * @returns {Object} - { ast: Object|null, error: string|null }
  */
-export function parseCode(code) {
+export function parseCode(code, options = {}) {
   try {
     const ast = acorn.parse(code, {
-      ecmaVersion: 2020,
+      ecmaVersion: 'latest',
       sourceType: 'script',
       locations: true,
       ranges: true,
       allowReturnOutsideFunction: true,
-      allowAwaitOutsideFunction: true
+      allowAwaitOutsideFunction: true,
+      ...options
     });
     return { ast, error: null };
   } catch (error) {
@@ -0,0 +1,420 @@
+/**
+ * @fileoverview AST Walker and Scope Analysis
+ * @description Generic traversal for Acorn ASTs with ancestor tracking, plus
+ * lightweight lexical scope analysis so analyzers can resolve an identifier
+ * to the declaration it refers to (respecting shadowing by parameters,
+ * nested functions, and block-scoped let/const).
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Node properties that never contain child nodes */
+const SKIPPED_KEYS = new Set(['type', 'start', 'end', 'loc', 'range']);
+
+/** Loop statement types */
+const LOOP_TYPES = new Set([
+  'WhileStatement',
+  'DoWhileStatement',
+  'ForStatement',
+  'ForInStatement',
+  'ForOfStatement'
+]);
+
+/** Function node types */
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression'
+]);
+
+/** Array methods whose callback runs once per element */
+const ITERATION_METHODS = new Set([
+  'forEach', 'map', 'filter', 'reduce', 'reduceRight',
+  'some', 'every', 'find', 'findIndex', 'flatMap'
+]);
+
+/** Human-readable loop labels */
+const LOOP_LABELS = {
+  WhileStatement: 'while loop',
+  DoWhileStatement: 'do-while loop',
+  ForStatement: 'for loop',
+  ForInStatement: 'for-in loop',
+  ForOfStatement: 'for-of loop'
+};
+
+// =============================================================================
+// TRAVERSAL
+// =============================================================================
+
+/**
+ * Walks an AST depth-first, calling `visit(node, ancestors)` for every node
+ * before its children. `ancestors` runs from the root to the node's parent.
+ *
+ * @param {Object} root - AST root node
+ * @param {Function} visit - Visitor callback
+ */
+export function walk(root, visit) {
+  const ancestors = [];
+
+  const visitNode = (node) => {
+    visit(node, ancestors);
+    ancestors.push(node);
+    for (const key of Object.keys(node)) {
+      if (SKIPPED_KEYS.has(key)) continue;
+      const value = node[key];
+      if (Array.isArray(value)) {
+        for (const child of value) {
+          if (child && typeof child.type === 'string') visitNode(child);
+        }
+      } else if (value && typeof value.type === 'string') {
+        visitNode(value);
+      }
+    }
+    ancestors.pop();
+  };
+
+  visitNode(root);
+}
+
+// =============================================================================
+// NODE HELPERS
+// =============================================================================
+
+/**
+ * @param {Object} node - AST node
+ * @returns {boolean} True if the node is a function
+ */
+export function isFunctionNode(node) {
+  return !!node && FUNCTION_TYPES.has(node.type);
+}
+
+/**
+ * @param {Object} node - AST node
+ * @returns {boolean} True if the node is a loop statement
+ */
+export function isLoopNode(node) {
+  return !!node && LOOP_TYPES.has(node.type);
+}
+
+/**
+ * Returns the property name of a non-computed (or string-literal) member access.
+ *
+ * @param {Object} member - MemberExpression node
+ * @returns {string|null}
+ */
+export function getPropertyName(member) {
+  if (!member || member.type !== 'MemberExpression') return null;
+  if (!member.computed && member.property.type === 'Identifier') return member.property.name;
+  if (member.property.type === 'Literal' && typeof member.property.value === 'string') {
+    return member.property.value;
+  }
+  return null;
+}
+
+/**
+ * Describes a `receiver.method(...)` call.
+ *
+ * @param {Object} node - CallExpression node
+ * @returns {{ object: Object, objectName: string|null, method: string }|null}
+ */
+export function getMemberCall(node) {
+  if (!node || node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression') return null;
+  const method = getPropertyName(node.callee);
+  if (!method) return null;
+  const object = node.callee.object;
+  return {
+    object,
+    objectName: object.type === 'Identifier' ? object.name : null,
+    method
+  };
+}
+
+/**
+ * Returns the value of a string literal (including expression-free template literals).
+ *
+ * @param {Object} node - AST node
+ * @returns {string|null}
+ */
+export function getStringValue(node) {
+  if (!node) return null;
+  if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+/**
+ * Checks whether an identifier refers to a variable, as opposed to naming a
+ * property, a method, or a label.
+ *
+ * @param {Object} node - Identifier node
+ * @param {Object} [parent] - Its parent
+ * @returns {boolean}
+ */
+export function isVariableReference(node, parent) {
+  if (!node || node.type !== 'Identifier') return false;
+  if (!parent) return true;
+  switch (parent.type) {
+    case 'MemberExpression':
+      return parent.property !== node || parent.computed;
+    case 'Property':
+    case 'MethodDefinition':
+    case 'PropertyDefinition':
+      return parent.key !== node || parent.computed;
+    case 'LabeledStatement':
+    case 'BreakStatement':
+    case 'ContinueStatement':
+    case 'MetaProperty':
+      return false;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Finds the nearest enclosing function of a node.
+ *
+ * @param {Object[]} ancestors - Ancestor chain from walk()
+ * @returns {Object|null} Function node, or null at top level
+ */
+export function getEnclosingFunction(ancestors) {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    if (isFunctionNode(ancestors[i])) return ancestors[i];
+  }
+  return null;
+}
+
+/**
+ * Finds the loop a node executes in, if any.
+ *
+ * Loop bodies and conditions count; `for` initializers and the iterated
+ * collection of `for-in`/`for-of` run once and do not. Callbacks passed to
+ * array iteration methods (forEach, map, ...) count as loops. Other inline
+ * function expressions are treated as running where they are written, while
+ * function declarations end the search.
+ *
+ * @param {Object[]} ancestors - Ancestor chain from walk()
+ * @param {Object} node - The node being checked
+ * @returns {{ node: Object, label: string }|null} Enclosing loop and its description
+ */
+export function getEnclosingLoop(ancestors, node) {
+  let child = node;
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    const ancestor = ancestors[i];
+
+    if (ancestor.type === 'FunctionDeclaration') return null;
+
+    if (isFunctionNode(ancestor)) {
+      const parent = ancestors[i - 1];
+      const call = parent && getMemberCall(parent);
+      if (call && ITERATION_METHODS.has(call.method) && parent.arguments[0] === ancestor) {
+        return { node: parent, label: `${call.method}() callback` };
+      }
+    }
+
+    if (isLoopNode(ancestor)) {
+      const runsOnce =
+        (ancestor.type === 'ForStatement' && child === ancestor.init) ||
+        ((ancestor.type === 'ForInStatement' || ancestor.type === 'ForOfStatement') && child === ancestor.right);
+      if (!runsOnce) {
+        return { node: ancestor, label: LOOP_LABELS[ancestor.type] };
+      }
+    }
+
+    child = ancestor;
+  }
+  return null;
+}
+
+/**
+ * Finds the innermost statement that sits directly in a statement list
+ * (program, block, or switch case) and contains a node. Useful for inserting
+ * a line before or after the statement a node belongs to.
+ *
+ * @param {Object} root - AST root node
+ * @param {Object} target - Node to locate
+ * @returns {{ statement: Object, body: Object[] }|null} Statement and the list it belongs to
+ */
+export function findEnclosingStatement(root, target) {
+  let found = null;
+  walk(root, (node) => {
+    let body = null;
+    if (node.type === 'Program' || node.type === 'BlockStatement') body = node.body;
+    else if (node.type === 'SwitchCase') body = node.consequent;
+    if (!body) return;
+    const statement = body.find(s => s.start <= target.start && target.end <= s.end);
+    if (statement) found = { statement, body };
+  });
+  return found;
+}
+
+// =============================================================================
+// SCOPE ANALYSIS
+// =============================================================================
+
+/**
+ * A declared name and what is known about its value.
+ * @typedef {Object} Binding
+ * @property {string} name - Variable name
+ * @property {Object} scope - Scope node the binding belongs to
+ * @property {string|null} className - Class of the `new X()` value assigned to it, if any
+ * @property {Object|null} init - The `new X()` expression that set className
+ */
+
+/**
+ * Returns the scope node that a declaration of the given kind belongs to.
+ *
+ * @param {Object[]} ancestors - Ancestor chain of the declaration
+ * @param {'var'|'let'|'const'|'param'} kind - Declaration kind
+ * @returns {Object} Scope node (Program, function, block, for, or catch clause)
+ */
+function getDeclarationScope(ancestors, kind) {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    const node = ancestors[i];
+    if (node.type === 'Program' || isFunctionNode(node)) return node;
+    if (kind !== 'var' && (node.type === 'BlockStatement' || node.type === 'CatchClause' || isLoopNode(node))) {
+      return node;
+    }
+  }
+  return ancestors[0];
+}
+
+/**
+ * Collects identifier names bound by a declaration pattern.
+ *
+ * @param {Object} pattern - Identifier or destructuring pattern
+ * @param {string[]} [names] - Accumulator
+ * @returns {string[]}
+ */
+function collectPatternNames(pattern, names = []) {
+  if (!pattern) return names;
+  switch (pattern.type) {
+    case 'Identifier':
+      names.push(pattern.name);
+      break;
+    case 'ObjectPattern':
+      pattern.properties.forEach(prop => collectPatternNames(prop.type === 'RestElement' ? prop.argument : prop.value, names));
+      break;
+    case 'ArrayPattern':
+      pattern.elements.forEach(el => collectPatternNames(el, names));
+      break;
+    case 'RestElement':
+      collectPatternNames(pattern.argument, names);
+      break;
+    case 'AssignmentPattern':
+      collectPatternNames(pattern.left, names);
+      break;
+  }
+  return names;
+}
+
+/**
+ * @param {Object} node - AST node
+ * @returns {string|null} Class name if node is `new ClassName(...)`
+ */
+function getNewClassName(node) {
+  if (node && node.type === 'NewExpression' && node.callee.type === 'Identifier') {
+    return node.callee.name;
+  }
+  return null;
+}
+
+/**
+ * Builds a scope table for a program: every declared variable, parameter, and
+ * function name is recorded on its scope, and variables assigned a `new X()`
+ * value remember the class. Assignments to undeclared names create implicit
+ * globals, mirroring sloppy-mode JavaScript (common in ServiceNow scripts).
+ *
+ * @param {Object} ast - Program node
+ * @returns {{ resolve: Function, bindings: Binding[] }} Resolver and all bindings
+ */
+export function analyzeScopes(ast) {
+  const scopes = new Map();
+  const bindings = [];
+
+  const declare = (scope, name) => {
+    if (!scopes.has(scope)) scopes.set(scope, new Map());
+    const table = scopes.get(scope);
+    if (!table.has(name)) {
+      const binding = { name, scope, className: null, init: null };
+      table.set(name, binding);
+      bindings.push(binding);
+    }
+    return table.get(name);
+  };
+
+  /**
+   * Resolves a name as seen from a node's position.
+   *
+   * @param {string} name - Identifier name
+   * @param {Object[]} ancestors - Ancestor chain of the reference
+   * @returns {Binding|null}
+   */
+  const resolve = (name, ancestors) => {
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+      const table = scopes.get(ancestors[i]);
+      if (table && table.has(name)) return table.get(name);
+    }
+    return null;
+  };
+
+  // Pass 1: declarations (hoisting means a use may precede its declaration)
+  walk(ast, (node, ancestors) => {
+    if (node.type === 'VariableDeclaration') {
+      const scope = getDeclarationScope([...ancestors, node], node.kind);
+      node.declarations.forEach(declarator => {
+        const names = collectPatternNames(declarator.id);
+        names.forEach(name => {
+          const binding = declare(scope, name);
+          const className = declarator.id.type === 'Identifier' ? getNewClassName(declarator.init) : null;
+          if (className) {
+            binding.className = className;
+            binding.init = declarator.init;
+          }
+        });
+      });
+    } else if (isFunctionNode(node)) {
+      if (node.type === 'FunctionDeclaration' && node.id) {
+        declare(getDeclarationScope(ancestors, 'var'), node.id.name);
+      } else if (node.type === 'FunctionExpression' && node.id) {
+        declare(node, node.id.name);
+      }
+      node.params.forEach(param => {
+        collectPatternNames(param).forEach(name => declare(node, name));
+      });
+    } else if (node.type === 'CatchClause' && node.param) {
+      collectPatternNames(node.param).forEach(name => declare(node, name));
+    }
+  });
+
+  // Pass 2: `name = new X()` assignments to existing or implicit globals
+  walk(ast, (node, ancestors) => {
+    if (node.type !== 'AssignmentExpression' || node.operator !== '=' || node.left.type !== 'Identifier') return;
+    const className = getNewClassName(node.right);
+    if (!className) return;
+    const binding = resolve(node.left.name, ancestors) || declare(ast, node.left.name);
+    if (!binding.className) {
+      binding.className = className;
+      binding.init = node.right;
+    }
+  });
+
+  return { resolve, bindings };
+}
+
+export default {
+  walk,
+  isFunctionNode,
+  isLoopNode,
+  getPropertyName,
+  getMemberCall,
+  getStringValue,
+  isVariableReference,
+  getEnclosingFunction,
+  getEnclosingLoop,
+  findEnclosingStatement,
+  analyzeScopes
+};
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Quick-Fix Code Actions for Monaco
+ * @description Offers each diagnostic's quick fix as a lightbulb code action.
+ * Analyzers attach the fix (precise text edits) to the diagnostic; this
+ * module remembers the latest diagnostics per editor model and turns the
+ * ones under the cursor into Monaco code actions.
+ */
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+/** Latest diagnostics per model: model -> { versionId, diagnostics } */
+const modelDiagnostics = new WeakMap();
+
+/** Monaco instances the provider is already registered on */
+const registered = new WeakSet();
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Converts a diagnostic or text edit location into a Monaco range object.
+ *
+ * @param {{ line: number, column: number, endLine: number, endColumn: number }} location - 1-based location
+ * @returns {Object} IRange
+ */
+function toRange(location) {
+  return {
+    startLineNumber: location.line,
+    startColumn: location.column,
+    endLineNumber: location.endLine,
+    endColumn: location.endColumn
+  };
+}
+
+/**
+ * Checks whether a diagnostic's range touches a Monaco range.
+ *
+ * @param {Object} diagnostic - Located diagnostic
+ * @param {Object} range - Monaco range requested by the editor
+ * @returns {boolean}
+ */
+function touches(diagnostic, range) {
+  const startsAfter = diagnostic.line > range.endLineNumber ||
+    (diagnostic.line === range.endLineNumber && diagnostic.column > range.endColumn);
+  const endsBefore = diagnostic.endLine < range.startLineNumber ||
+    (diagnostic.endLine === range.startLineNumber && diagnostic.endColumn < range.startColumn);
+  return !startsAfter && !endsBefore;
+}
+
+// =============================================================================
+// MAIN EXPORTS
+// =============================================================================
+
+/**
+ * Records the diagnostics computed for a model's current text. Quick fixes
+ * are only offered while the model is still at that version, so edits never
+ * land on text that changed since the analysis.
+ *
+ * @param {Object} model - Monaco text model
+ * @param {Diagnostic[]} diagnostics - Diagnostics for the model's current value
+ */
+export function setQuickFixDiagnostics(model, diagnostics) {
+  modelDiagnostics.set(model, { versionId: model.getVersionId(), diagnostics });
+}
+
+/**
+ * Registers the quick-fix code action provider for JavaScript. Repeated
+ * calls (one per editor mount) register it only once.
+ *
+ * @param {Object} monaco - Monaco namespace from @monaco-editor/react
+ */
+export function registerQuickFixProvider(monaco) {
+  if (!monaco || registered.has(monaco)) return;
+  registered.add(monaco);
+
+  monaco.languages.registerCodeActionProvider('javascript', {
+    providedCodeActionKinds: ['quickfix'],
+    provideCodeActions(model, range, context) {
+      const entry = modelDiagnostics.get(model);
+      if (!entry || entry.versionId !== model.getVersionId()) return { actions: [], dispose() {} };
+
+      const actions = entry.diagnostics
+        .filter(d => d.quickFix && d.line && touches(d, range))
+        .map(d => ({
+          title: d.quickFix.title,
+          kind: 'quickfix',
+          isPreferred: true,
+          diagnostics: context.markers.filter(m => m.code === d.ruleId &&
+            m.startLineNumber === d.line && m.startColumn === d.column),
+          edit: {
+            edits: d.quickFix.edits.map(edit => ({
+              resource: model.uri,
+              versionId: entry.versionId,
+              textEdit: { range: toRange(edit), text: edit.text }
+            }))
+          }
+        }));
+
+      return { actions, dispose() {} };
+    }
+  });
+}
+
+export default registerQuickFixProvider;
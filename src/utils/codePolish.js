@@ -9,45 +9,283 @@ import * as prettier from 'prettier/standalone';
 import * as babelPlugin from 'prettier/plugins/babel';
 import * as estreePlugin from 'prettier/plugins/estree';
 
-import { applyGenericFixes } from './fixes/genericFixes';
-import { applyServiceNowFixes } from './fixes/servicenowFixes';
-import { applyJsonFixes } from './fixes/jsonFixes';
-import { analyzeGenericWarnings } from './warnings/genericWarnings';
-import { analyzeServiceNowWarnings } from './warnings/servicenowWarnings';
-import { analyzeJsonWarnings } from './warnings/jsonWarnings';
+import { applyGenericFixes, GENERIC_FIX_MESSAGES } from './fixes/genericFixes.js';
+import { applyServiceNowFixes, SERVICENOW_FIX_MESSAGES } from './fixes/servicenowFixes.js';
+import { applyJsonFixes } from './fixes/jsonFixes.js';
+import { applyScopedFixes, SCOPED_FIX_MESSAGES } from './fixes/scopedFixes.js';
+import { applyLanguageFixes, LANGUAGE_FIX_MESSAGES } from './fixes/languageFixes.js';
+import { createEditTracker, toReviewEdits, applyTrackedEdits, editId } from './fixes/editTracker.js';
+import { analyzeTypoSuggestions, FUZZY_FIX_MESSAGES } from './fixes/fuzzyMatcher.js';
+import { analyzeGenericWarnings } from './warnings/genericWarnings.js';
+import { analyzeServiceNowWarnings } from './warnings/servicenowWarnings.js';
+import { analyzeSignatureWarnings } from './warnings/signatureWarnings.js';
+import { analyzeReleaseWarnings } from './warnings/releaseWarnings.js';
+import { analyzeEncodedQueries } from './warnings/encodedQueryWarnings.js';
+import { analyzeLanguageWarnings } from './warnings/languageWarnings.js';
+import { analyzeNestedQueries } from './warnings/nestedQueryWarnings.js';
+import { analyzeBusinessRule } from './warnings/businessRuleWarnings.js';
+import { analyzeJsonWarnings } from './warnings/jsonWarnings.js';
+import { SEVERITY, createDiagnostic, createFix, offsetToPosition, locationFromOffsets } from './diagnostics.js';
+import { parseCode } from './astParser.js';
+import { parseSuppressions, filterSuppressed } from './suppressions.js';
+import { resolveScriptType, ENVIRONMENT, BUSINESS_RULE_WHEN } from './scriptTypes.js';
+import { applyRuleSettings, isRuleEnabled, getThresholds, getPrettierOptions } from './ruleProfiles.js';
 
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
 
-/** Prettier configuration for JavaScript (ServiceNow) */
+/**
+ * Prettier configuration for JavaScript (ServiceNow). Width, indentation,
+ * and punctuation options come from the rule profile (see ruleProfiles.js).
+ */
 const JS_PRETTIER_CONFIG = {
   parser: 'babel',
   plugins: [babelPlugin, estreePlugin],
-  printWidth: 100,
-  tabWidth: 4,
-  useTabs: false,
-  semi: true,
-  singleQuote: true,
   quoteProps: 'as-needed',
-  trailingComma: 'none',
-  bracketSpacing: true,
   bracketSameLine: false,
-  arrowParens: 'always',
   proseWrap: 'preserve',
   endOfLine: 'lf'
 };
 
-/** Prettier configuration for JSON */
+/** Prettier configuration for JSON; width and indentation come from the rule profile */
 const JSON_PRETTIER_CONFIG = {
   parser: 'json',
   plugins: [babelPlugin, estreePlugin],
-  printWidth: 80,
-  tabWidth: 2,
-  useTabs: false,
   endOfLine: 'lf'
 };
 
+/**
+ * Formatting rule reported by the pipeline itself
+ */
+export const FORMAT_RULES = {
+  'format/prettier': {
+    severity: SEVERITY.INFO,
+    description: 'Formats the code with Prettier'
+  }
+};
+
+/**
+ * Syntax error rule reported by the pipeline itself
+ */
+export const SYNTAX_RULES = {
+  'js/syntax-error': {
+    severity: SEVERITY.ERROR,
+    description: 'Code does not parse as JavaScript'
+  }
+};
+
+/**
+ * Verification rules reported by the pipeline itself
+ */
+export const VERIFY_RULES = {
+  'polish/unsafe-fix': {
+    severity: SEVERITY.WARNING,
+    description: 'A fix rule broke the syntax of valid code; its edits were left out'
+  },
+  'polish/unstable-output': {
+    severity: SEVERITY.WARNING,
+    description: 'Polishing the output again changes it; the listed fix rules are not idempotent'
+  },
+  'polish/invalid-output': {
+    severity: SEVERITY.ERROR,
+    description: 'The polished output of valid code no longer parses'
+  }
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Applies a rule profile's on/off and severity settings, then splits the
+ * diagnostics into warnings and errors by their final severity.
+ *
+ * @param {Diagnostic[]} diagnostics - Diagnostics from the analyzers
+ * @param {Object} [profile] - Active rule profile
+ * @returns {{ warnings: Diagnostic[], errors: Diagnostic[] }}
+ */
+function partitionDiagnostics(diagnostics, profile) {
+  const configured = applyRuleSettings(diagnostics, profile);
+  return {
+    warnings: configured.filter(d => d.severity !== SEVERITY.ERROR),
+    errors: configured.filter(d => d.severity === SEVERITY.ERROR)
+  };
+}
+
+/**
+ * Builds a located syntax-error diagnostic from a Prettier parse error.
+ * Prettier reports 1-based line and column in `error.loc.start`.
+ *
+ * @param {string} ruleId - Rule id for the diagnostic
+ * @param {Error} prettierError - Error thrown by prettier.format
+ * @returns {Object} Diagnostic (unlocated if Prettier gave no position)
+ */
+function syntaxErrorDiagnostic(ruleId, prettierError) {
+  const message = prettierError.message.split('\n')[0];
+  const start = prettierError.loc && prettierError.loc.start;
+  const location = start
+    ? { line: start.line, column: start.column, endLine: start.line, endColumn: start.column + 1 }
+    : null;
+  return createDiagnostic(ruleId, SEVERITY.ERROR, message, location);
+}
+
+/**
+ * Returns the language target that applies to a script: client scripts run
+ * in the browser, so only server scripts are held to a JavaScript mode.
+ *
+ * @param {Object} scriptType - Resolved script type
+ * @param {string} [languageTarget] - Language target id from the options
+ * @returns {string|undefined}
+ */
+function getScriptLanguage(scriptType, languageTarget) {
+  return scriptType.environment === ENVIRONMENT.CLIENT ? undefined : languageTarget;
+}
+
+/**
+ * Returns the Business Rule metadata of a script: when it runs comes from
+ * the script type, the table and operations from the options. Only a script
+ * type the user picked has a `when`; detected and other script types get
+ * none, so the Business Rule analysis skips them.
+ *
+ * @param {Object} scriptType - Resolved script type
+ * @param {{ table?: string, operations?: string[] }} [businessRule] - Business Rule options
+ * @returns {{ when?: string, table?: string, operations?: string[] }}
+ */
+function getBusinessRule(scriptType, businessRule) {
+  return { ...businessRule, when: scriptType.detected ? undefined : BUSINESS_RULE_WHEN[scriptType.id] };
+}
+
+/**
+ * Checks whether code parses as JavaScript, with the newest syntax allowed.
+ *
+ * @param {string} code - Code to parse
+ * @returns {boolean}
+ */
+function parses(code) {
+  return !parseCode(code, { ecmaVersion: 'latest' }).error;
+}
+
+/**
+ * Finds the fix rules whose edits break the syntax of code that parses.
+ * Rules are added back one at a time, in the order they ran; a rule whose
+ * edits make the code stop parsing is unsafe and stays out.
+ *
+ * @param {string} code - Original code (parses)
+ * @param {TrackedEdit[]} edits - Edits against the original code
+ * @param {Set<string>} skippedEdits - Ids of edits already left out
+ * @returns {string[]} Unsafe rule ids
+ */
+function findUnsafeRules(code, edits, skippedEdits) {
+  const rules = [...new Set(edits.filter(e => !skippedEdits.has(editId(e))).map(e => e.ruleId))];
+  const kept = new Set();
+  const unsafe = [];
+  for (const ruleId of rules) {
+    kept.add(ruleId);
+    if (!parses(applyTrackedEdits(code, edits.filter(e => kept.has(e.ruleId)), skippedEdits))) {
+      kept.delete(ruleId);
+      unsafe.push(ruleId);
+    }
+  }
+  return unsafe;
+}
+
+/**
+ * Fix messages by rule id, given the number of changes and the changes as
+ * `{ before, after }`, for the rules whose messages count or list them
+ */
+const FIX_MESSAGES = {
+  ...GENERIC_FIX_MESSAGES,
+  ...SERVICENOW_FIX_MESSAGES,
+  ...FUZZY_FIX_MESSAGES,
+  ...SCOPED_FIX_MESSAGES,
+  ...LANGUAGE_FIX_MESSAGES
+};
+
+/**
+ * Describes the fixes that were applied. Fixes of rules with no edit left are
+ * dropped; rules with some edits left out get one fix describing the edits
+ * that remain, so counts and corrections match the output.
+ *
+ * @param {Diagnostic[]} fixes - Fixes as reported by the fix passes
+ * @param {string} code - Original code
+ * @param {TrackedEdit[]} edits - Edits against the original code
+ * @param {Set<string>} skippedEdits - Ids of edits left out
+ * @returns {Diagnostic[]}
+ */
+function describeAppliedFixes(fixes, code, edits, skippedEdits) {
+  const appliedByRule = new Map();
+  const skippedRules = new Set();
+  for (const edit of edits) {
+    if (!appliedByRule.has(edit.ruleId)) appliedByRule.set(edit.ruleId, []);
+    if (skippedEdits.has(editId(edit))) skippedRules.add(edit.ruleId);
+    else appliedByRule.get(edit.ruleId).push(edit);
+  }
+
+  const described = new Set();
+  return fixes.flatMap(fix => {
+    const applied = appliedByRule.get(fix.ruleId);
+    if (!skippedRules.has(fix.ruleId) || (applied.length > 0 && !FIX_MESSAGES[fix.ruleId])) return [fix];
+    if (applied.length === 0 || described.has(fix.ruleId)) return [];
+    described.add(fix.ruleId);
+    const changes = applied.map(edit => ({ before: code.slice(edit.start, edit.end), after: edit.text }));
+    const [first] = applied;
+    return [createFix(
+      fix.ruleId,
+      FIX_MESSAGES[fix.ruleId](changes.length, changes),
+      locationFromOffsets(code, first.start, first.end)
+    )];
+  });
+}
+
+/**
+ * Verifies a polish result: the output must still parse if the input did,
+ * and polishing the output again must not change it. Every fix rule that
+ * changes the output on the second run is reported.
+ *
+ * @param {string} output - Polished output
+ * @param {boolean} inputParses - Whether the polished input parsed
+ * @param {Object} options - Options of the second run (without rejected edits)
+ * @returns {Promise<{ diagnostics: Diagnostic[], parsed: boolean, idempotent: boolean, unstableRules: string[] }>}
+ */
+async function verifyOutput(output, inputParses, options) {
+  const diagnostics = [];
+
+  const parsed = !inputParses || parses(output);
+  if (!parsed) {
+    diagnostics.push(createDiagnostic('polish/invalid-output', SEVERITY.ERROR, 'The polished output no longer parses'));
+  }
+
+  const again = await polishCode(output, { ...options, verify: false });
+  const unstableRules = again.success && again.output !== output
+    ? [...new Set(again.fixes.map(fix => fix.ruleId))]
+    : [];
+  if (unstableRules.length > 0) {
+    let offset = 0;
+    while (output[offset] === again.output[offset]) offset++;
+    const lineEnd = output.indexOf('\n', offset);
+    diagnostics.push(createDiagnostic(
+      'polish/unstable-output',
+      SEVERITY.WARNING,
+      `Polishing the output again changes it (${unstableRules.join(', ')})`,
+      locationFromOffsets(output, offset, lineEnd === -1 ? output.length : lineEnd)
+    ));
+  }
+
+  return { diagnostics, parsed, idempotent: unstableRules.length === 0, unstableRules };
+}
+
+/**
+ * Applies a rule profile to the { warnings, errors } result of the JSON analyzer.
+ *
+ * @param {{ warnings: Diagnostic[], errors: Diagnostic[] }} result - JSON analyzer result
+ * @param {Object} [profile] - Active rule profile
+ * @returns {{ warnings: Diagnostic[], errors: Diagnostic[] }}
+ */
+function configureJsonDiagnostics(result, profile) {
+  return partitionDiagnostics([...result.errors, ...result.warnings], profile);
+}
+
 // =============================================================================
 // JAVASCRIPT FORMATTING
 // =============================================================================
@@ -56,40 +294,146 @@ const JSON_PRETTIER_CONFIG = {
  * Main formatting function for JavaScript (ServiceNow) code.
  * Applies generic fixes, ServiceNow fixes, and Prettier formatting.
  *
+ * Every individual fix is returned in `edits` with its location in the input
+ * and its before/after text. Passing the ids of unwanted edits in
+ * `options.rejectedEdits` re-runs the polish with only the remaining edits
+ * applied; ids are derived from the input, so they stay valid across re-runs.
+ * Warnings and edits silenced by `glideaware-disable` comments or switched
+ * off in the rule profile are left out.
+ *
+ * Fixes never change string, comment, or regular expression contents unless a
+ * rule targets them. The result is verified: if the fixes would break the
+ * syntax of code that parses, the responsible rules' edits are left out
+ * (`polish/unsafe-fix`), and the output is re-parsed and polished a second
+ * time to confirm nothing changes (`polish/unstable-output`). The second run
+ * is skipped when edits were rejected, since it would offer them again.
+ *
  * @param {string} code - The code to format
- * @returns {Promise<Object>} Result object with output, fixes, warnings, errors, and metrics
+ * @param {Object} [options] - Polish options
+ * @param {string} [options.scriptType] - Script type id, or 'auto' (default) to detect from the code
+ * @param {boolean} [options.scopedApp] - Apply scoped-app fixes and report global-only APIs
+ * @param {string} [options.release] - Target ServiceNow release id (default the latest release)
+ * @param {string} [options.languageTarget] - JavaScript mode of server scripts ('es5' or 'es2021'); in ES5
+ * mode modern syntax is downleveled, and syntax the mode lacks is reported (default no checks)
+ * @param {Object} [options.businessRule] - Metadata of a Business Rule script: `table` and `operations`
+ * (insert, update, delete, query); when it runs comes from the script type
+ * @param {Set<string>} [options.rejectedEdits] - Ids of edits to leave out
+ * @param {Object} [options.profile] - Rule profile (rules, thresholds, Prettier options)
+ * @param {boolean} [options.verify] - Re-parse and re-polish the output (default true)
+ * @returns {Promise<Object>} Result object with output, fixes, edits, warnings, errors, metrics,
+ * scriptType, and verification
  */
-export async function polishCode(code) {
+export async function polishCode(code, options = {}) {
   if (!code || code.trim() === '') {
     return {
       success: false,
       error: 'No code provided',
       output: '',
       fixes: [],
+      edits: [],
       warnings: [],
       errors: []
     };
   }
 
+  // Resolve the script type once so every stage agrees on it
+  const scriptType = resolveScriptType(code, options.scriptType);
+  const snOptions = { scriptType: scriptType.id, scopedApp: !!options.scopedApp };
+  const language = getScriptLanguage(scriptType, options.languageTarget);
+
+  const rejectedEdits = options.rejectedEdits || new Set();
+  const { profile } = options;
+
   try {
+    // Each pass reports its edits against its own input; the tracker maps
+    // them back onto the original code
+    const tracker = createEditTracker(code);
+
     // Step 1: Apply generic JavaScript fixes
-    const { processed: genericProcessed, fixes: genericFixes } = applyGenericFixes(code);
+    const genericResult = applyGenericFixes(code);
+    tracker.apply(genericResult.edits);
 
     // Step 2: Apply ServiceNow-specific fixes (includes fuzzy matching)
-    const snResult = applyServiceNowFixes(genericProcessed);
-    const snProcessed = snResult.processed;
-    const snFixes = snResult.fixes;
-    const snSuggestions = snResult.suggestions || []; // Low-confidence fuzzy matches
+    const snResult = applyServiceNowFixes(tracker.text, snOptions);
+    tracker.apply(snResult.edits);
+
+    // Step 2b: Rewrite global-only APIs for scoped applications
+    const scopedResult = options.scopedApp
+      ? applyScopedFixes(tracker.text)
+      : { fixes: [], edits: [] };
+    tracker.apply(scopedResult.edits);
+
+    // Step 2c: Downlevel modern syntax for ES5 mode
+    const languageResult = language === 'es5'
+      ? applyLanguageFixes(tracker.text, { language })
+      : { fixes: [], edits: [] };
+    tracker.apply(languageResult.edits);
+
+    // Step 2d: Leave out suppressed, disabled, and rejected edits, and fixes with no edit left
+    const suppressions = parseSuppressions(code);
+    const trackedEdits = tracker.edits;
+    const skippedEdits = new Set(rejectedEdits);
+    const suppressedEdits = new Set();
+    for (const edit of trackedEdits) {
+      const position = offsetToPosition(code, edit.start);
+      if (!isRuleEnabled(profile, edit.ruleId) ||
+          suppressions.isSuppressed(edit.ruleId, position.line, position.column)) {
+        suppressedEdits.add(editId(edit));
+        skippedEdits.add(editId(edit));
+      }
+    }
 
-    // Combine all fixes
-    const allFixes = [...genericFixes, ...snFixes];
+    // Step 2e: Re-parse the fixed code. If the input parsed and the fixes
+    // broke it, leave out the edits of the rules responsible
+    const inputParses = parses(code);
+    let snProcessed = skippedEdits.size > 0
+      ? applyTrackedEdits(code, trackedEdits, skippedEdits)
+      : tracker.text;
+    const unsafeRules = inputParses && !parses(snProcessed)
+      ? findUnsafeRules(code, trackedEdits, skippedEdits)
+      : [];
+    if (unsafeRules.length > 0) {
+      for (const edit of trackedEdits) {
+        if (unsafeRules.includes(edit.ruleId)) {
+          suppressedEdits.add(editId(edit));
+          skippedEdits.add(editId(edit));
+        }
+      }
+      snProcessed = applyTrackedEdits(code, trackedEdits, skippedEdits);
+    }
+    const unsafeDiagnostics = unsafeRules.map(ruleId => createDiagnostic(
+      'polish/unsafe-fix',
+      SEVERITY.WARNING,
+      `Left out the ${ruleId} fixes: they would break the syntax`
+    ));
+
+    const edits = toReviewEdits(code, trackedEdits).filter(e => !suppressedEdits.has(e.id));
+
+    // Combine all fixes, described by the edits that were applied
+    const allFixes = describeAppliedFixes(
+      [...genericResult.fixes, ...snResult.fixes, ...scopedResult.fixes, ...languageResult.fixes],
+      code,
+      trackedEdits,
+      skippedEdits
+    );
 
     // Step 3: Format with Prettier
-    const formatted = await prettier.format(snProcessed, JS_PRETTIER_CONFIG);
+    const prettierOptions = { ...JS_PRETTIER_CONFIG, ...getPrettierOptions(profile, 'javascript') };
+    if (language === 'es5' && prettierOptions.trailingComma === 'all') {
+      // Trailing commas in parameter lists and calls are ES2017 syntax
+      prettierOptions.trailingComma = 'es5';
+    }
+    const formatted = await prettier.format(snProcessed, prettierOptions);
 
     // Step 4: Analyze for warnings and errors
-    const genericWarnings = analyzeGenericWarnings(formatted);
-    const snWarningsResult = analyzeServiceNowWarnings(formatted);
+    const genericWarnings = analyzeGenericWarnings(formatted, getThresholds(profile));
+    const snWarningsResult = analyzeServiceNowWarnings(formatted, snOptions);
+    const signatureWarnings = analyzeSignatureWarnings(formatted);
+    const releaseWarnings = analyzeReleaseWarnings(formatted, { release: options.release });
+    const encodedQueryErrors = analyzeEncodedQueries(formatted);
+    const nestedQueryWarnings = analyzeNestedQueries(formatted);
+    const businessRuleWarnings = analyzeBusinessRule(formatted, getBusinessRule(scriptType, options.businessRule));
+    const languageWarnings = analyzeLanguageWarnings(formatted, { language });
 
     // Handle both array format and { warnings, errors } format
     let snWarnings = [];
@@ -101,9 +445,26 @@ export async function polishCode(code) {
       snErrors = snWarningsResult.errors || [];
     }
 
-    // Include fuzzy match suggestions as warnings (low confidence)
-    const allWarnings = [...genericWarnings, ...snWarnings, ...snSuggestions];
-    const allErrors = [...snErrors];
+    // Include fuzzy match suggestions as warnings (low confidence),
+    // located against the formatted output so they line up in the editor
+    const snSuggestions = analyzeTypoSuggestions(formatted);
+
+    // Step 5: Verify that the output parses and that polishing it again
+    // changes nothing
+    const verified = options.verify !== false && rejectedEdits.size === 0
+      ? await verifyOutput(formatted, inputParses, {
+        scriptType: scriptType.id, scopedApp: !!options.scopedApp, languageTarget: options.languageTarget, profile
+      })
+      : { diagnostics: [], parsed: null, idempotent: null, unstableRules: [] };
+
+    const { warnings: allWarnings, errors: allErrors } = partitionDiagnostics(filterSuppressed(
+      [
+        ...snErrors, ...genericWarnings, ...snWarnings, ...signatureWarnings, ...releaseWarnings,
+        ...encodedQueryErrors, ...nestedQueryWarnings, ...businessRuleWarnings, ...languageWarnings, ...snSuggestions,
+        ...unsafeDiagnostics, ...verified.diagnostics
+      ],
+      parseSuppressions(formatted)
+    ), profile);
 
     // Calculate metrics
     const metrics = {
@@ -117,10 +478,18 @@ export async function polishCode(code) {
     return {
       success: true,
       output: formatted,
-      fixes: allFixes.length > 0 ? allFixes : ['Code formatted'],
+      fixes: allFixes.length > 0 ? allFixes : [createFix('format/prettier', 'Code formatted')],
+      edits,
       warnings: allWarnings,
       errors: allErrors,
-      metrics
+      metrics,
+      scriptType,
+      verification: {
+        unsafeRules,
+        parsed: verified.parsed,
+        idempotent: verified.idempotent,
+        unstableRules: verified.unstableRules
+      }
     };
   } catch (prettierError) {
     // Extract error location from Prettier error message
@@ -140,8 +509,10 @@ export async function polishCode(code) {
       error: `Code has syntax errors:\n${errorInfo}`,
       output: code,
       fixes: [],
+      edits: [],
       warnings: [],
-      errors: []
+      errors: [syntaxErrorDiagnostic('js/syntax-error', prettierError)],
+      scriptType
     };
   }
 }
@@ -156,9 +527,11 @@ export async function polishCode(code) {
  * This ensures AST positions align correctly with displayed code.
  *
  * @param {string} code - The code to format
+ * @param {Object} [options] - Format options
+ * @param {Object} [options.profile] - Rule profile supplying the Prettier options
  * @returns {Promise<Object>} Result object with formatted output or error
  */
-export async function formatCodeStructure(code) {
+export async function formatCodeStructure(code, options = {}) {
   if (!code || code.trim() === '') {
     return {
       success: false,
@@ -169,7 +542,10 @@ export async function formatCodeStructure(code) {
 
   try {
     // Only apply Prettier formatting - no custom fixes
-    const formatted = await prettier.format(code, JS_PRETTIER_CONFIG);
+    const formatted = await prettier.format(code, {
+      ...JS_PRETTIER_CONFIG,
+      ...getPrettierOptions(options.profile, 'javascript')
+    });
 
     return {
       success: true,
@@ -196,6 +572,47 @@ export async function formatCodeStructure(code) {
   }
 }
 
+// =============================================================================
+// LIVE LINTING
+// =============================================================================
+
+/**
+ * Analyzes code as written, without fixes or formatting, for inline editor
+ * markers. Runs the generic, ServiceNow, nested query, Business Rule,
+ * signature, release, encoded query, language target, and typo analyzers and
+ * drops findings silenced by `glideaware-disable` comments or the rule profile. Syntax errors are left to the editor's own JavaScript
+ * validation; while the code does not parse, only the analyzers that need no
+ * syntax tree report.
+ *
+ * @param {string} code - The code to analyze
+ * @param {Object} [options] - Same options as polishCode (scriptType, scopedApp, release, languageTarget,
+ * businessRule, profile)
+ * @returns {Diagnostic[]} Located and unlocated diagnostics
+ */
+export function lintCode(code, options = {}) {
+  if (!code || code.trim() === '') return [];
+
+  const scriptType = resolveScriptType(code, options.scriptType);
+  const snOptions = { scriptType: scriptType.id, scopedApp: !!options.scopedApp };
+
+  const snResult = analyzeServiceNowWarnings(code, snOptions);
+  const snDiagnostics = Array.isArray(snResult)
+    ? snResult
+    : [...(snResult.warnings || []), ...(snResult.errors || [])];
+
+  return applyRuleSettings(filterSuppressed([
+    ...analyzeGenericWarnings(code, getThresholds(options.profile)),
+    ...snDiagnostics,
+    ...analyzeSignatureWarnings(code),
+    ...analyzeReleaseWarnings(code, { release: options.release }),
+    ...analyzeEncodedQueries(code),
+    ...analyzeNestedQueries(code),
+    ...analyzeBusinessRule(code, getBusinessRule(scriptType, options.businessRule)),
+    ...analyzeLanguageWarnings(code, { language: getScriptLanguage(scriptType, options.languageTarget) }),
+    ...analyzeTypoSuggestions(code)
+  ], parseSuppressions(code)), options.profile);
+}
+
 // =============================================================================
 // JSON FORMATTING
 // =============================================================================
@@ -205,9 +622,11 @@ export async function formatCodeStructure(code) {
  * Applies JSON fixes, validation, and Prettier formatting.
  *
  * @param {string} code - The JSON content to format
+ * @param {Object} [options] - Format options
+ * @param {Object} [options.profile] - Rule profile (rule settings and Prettier options)
  * @returns {Promise<Object>} Result object with output, fixes, warnings, errors, and metrics
  */
-export async function polishJson(code) {
+export async function polishJson(code, options = {}) {
   if (!code || code.trim() === '') {
     return {
       success: false,
@@ -219,6 +638,9 @@ export async function polishJson(code) {
     };
   }
 
+  const { profile } = options;
+  const prettierConfig = { ...JSON_PRETTIER_CONFIG, ...getPrettierOptions(profile, 'json') };
+
   try {
     // Step 1: Apply JSON-specific fixes (comments, trailing commas, quotes)
     const { processed, fixes } = applyJsonFixes(code);
@@ -229,10 +651,10 @@ export async function polishJson(code) {
     // If there are syntax errors, try Prettier anyway (may fix some issues)
     if (jsonWarningsResult.errors.length > 0) {
       try {
-        const formatted = await prettier.format(processed, JSON_PRETTIER_CONFIG);
+        const formatted = await prettier.format(processed, prettierConfig);
 
         // Re-analyze the formatted output
-        const finalWarnings = analyzeJsonWarnings(formatted);
+        const finalWarnings = configureJsonDiagnostics(analyzeJsonWarnings(formatted), profile);
 
         const metrics = {
           originalLines: code.split('\n').length,
@@ -245,29 +667,30 @@ export async function polishJson(code) {
         return {
           success: true,
           output: formatted,
-          fixes: fixes.length > 0 ? fixes : ['JSON formatted'],
+          fixes: fixes.length > 0 ? fixes : [createFix('format/prettier', 'JSON formatted')],
           warnings: finalWarnings.warnings,
           errors: finalWarnings.errors,
           metrics
         };
       } catch {
         // Prettier also failed, return original errors
+        const { warnings, errors } = configureJsonDiagnostics(jsonWarningsResult, profile);
         return {
           success: false,
-          error: jsonWarningsResult.errors.join('\n'),
+          error: jsonWarningsResult.errors.map(e => e.message).join('\n'),
           output: processed,
           fixes,
-          warnings: jsonWarningsResult.warnings,
-          errors: jsonWarningsResult.errors
+          warnings,
+          errors
         };
       }
     }
 
     // Step 3: Format with Prettier
-    const formatted = await prettier.format(processed, JSON_PRETTIER_CONFIG);
+    const formatted = await prettier.format(processed, prettierConfig);
 
     // Step 4: Analyze formatted output
-    const finalWarnings = analyzeJsonWarnings(formatted);
+    const finalWarnings = configureJsonDiagnostics(analyzeJsonWarnings(formatted), profile);
 
     // Calculate metrics
     const metrics = {
@@ -281,7 +704,7 @@ export async function polishJson(code) {
     return {
       success: true,
       output: formatted,
-      fixes: fixes.length > 0 ? fixes : ['JSON formatted'],
+      fixes: fixes.length > 0 ? fixes : [createFix('format/prettier', 'JSON formatted')],
       warnings: finalWarnings.warnings,
       errors: finalWarnings.errors,
       metrics
@@ -305,9 +728,23 @@ export async function polishJson(code) {
       output: code,
       fixes: [],
       warnings: [],
-      errors: []
+      errors: [syntaxErrorDiagnostic('json/syntax-error', prettierError)]
     };
   }
 }
 
+/**
+ * Analyzes JSON content as written for reports about the file itself. The
+ * JSON fixes run first, as in polishJson, but Prettier does not, so findings
+ * keep the lines of the input (block comments the fixes remove aside).
+ *
+ * @param {string} code - The JSON content to analyze
+ * @param {Object} [options] - Same options as polishJson (profile)
+ * @returns {{ warnings: Diagnostic[], errors: Diagnostic[] }}
+ */
+export function lintJson(code, options = {}) {
+  if (!code || code.trim() === '') return { warnings: [], errors: [] };
+  return configureJsonDiagnostics(analyzeJsonWarnings(applyJsonFixes(code).processed), options.profile);
+}
+
 export default polishCode;
@@ -0,0 +1,353 @@
+/**
+ * @fileoverview Custom API Dictionary
+ * @description In-house Script Includes (and any other custom classes) that
+ * typo correction, IntelliSense, and the visualizer should know about.
+ * Classes are read from pasted Script Include source — `Class.create()` with
+ * a prototype object literal, `Object.extendsObject()`, or class syntax — or
+ * from an exported JSON dictionary file. Applying a dictionary merges its
+ * classes into CONTEXT_METHOD_MAP, CLASS_NAMES, ALL_METHODS, and the
+ * visualizer's SERVICENOW_CLASSES, replacing the previously applied one.
+ */
+
+import { parseCode, SERVICENOW_CLASSES } from './astParser.js';
+import { walk, isFunctionNode, getPropertyName } from './astWalker.js';
+import {
+  CLASS_NAMES,
+  GLOBAL_OBJECTS,
+  CONTEXT_METHOD_MAP,
+  ALL_METHODS
+} from './fixes/servicenowDictionary.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Version of the exported dictionary file format */
+export const DICTIONARY_FILE_VERSION = 1;
+
+/** Filename of dictionary exports */
+export const DICTIONARY_FILENAME = 'glideaware-dictionary.json';
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/** Prototype members that are never called as methods */
+const NON_METHODS = new Set(['initialize', 'constructor']);
+
+/**
+ * Built-in dictionary entries, captured before any custom class is merged
+ */
+const BUILT_IN = {
+  names: new Set([...CLASS_NAMES, ...GLOBAL_OBJECTS, ...Object.keys(CONTEXT_METHOD_MAP)]),
+  classNames: new Set(CLASS_NAMES),
+  contexts: new Set(Object.keys(CONTEXT_METHOD_MAP)),
+  methods: new Set(ALL_METHODS),
+  visualized: new Set(SERVICENOW_CLASSES)
+};
+
+// =============================================================================
+// TYPES
+// =============================================================================
+
+/**
+ * @typedef {Object} CustomClass
+ * @property {string} name - Class name, as used in `new Name()`
+ * @property {string|null} extends - Base class whose methods it inherits
+ * @property {string[]} methods - Methods the class defines itself
+ */
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Validates a custom class definition.
+ *
+ * @param {Object} raw - Class from storage, a dictionary file, or the parser
+ * @returns {CustomClass}
+ * @throws {Error} If the definition is malformed or names a built-in API
+ */
+export function normalizeClass(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('Invalid dictionary: each class must be an object');
+  if (typeof raw.name !== 'string' || !IDENTIFIER.test(raw.name)) {
+    throw new Error('Invalid dictionary: class name must be an identifier');
+  }
+  if (BUILT_IN.names.has(raw.name)) throw new Error(`Invalid dictionary: ${raw.name} is a built-in API`);
+  if (!Array.isArray(raw.methods) || raw.methods.some(method => typeof method !== 'string' || !IDENTIFIER.test(method))) {
+    throw new Error(`Invalid dictionary: methods of ${raw.name} must be a list of identifiers`);
+  }
+  if (raw.extends != null && (typeof raw.extends !== 'string' || !IDENTIFIER.test(raw.extends))) {
+    throw new Error(`Invalid dictionary: base class of ${raw.name} must be an identifier`);
+  }
+  return {
+    name: raw.name,
+    extends: raw.extends || null,
+    methods: [...new Set(raw.methods)]
+  };
+}
+
+// =============================================================================
+// SCRIPT INCLUDE PARSING
+// =============================================================================
+
+/**
+ * Returns the name of an object literal or class member key.
+ *
+ * @param {Object} member - Property or MethodDefinition node
+ * @returns {string|null}
+ */
+function getKeyName(member) {
+  if (member.computed) return null;
+  if (member.key.type === 'Identifier') return member.key.name;
+  return typeof member.key.value === 'string' ? member.key.value : null;
+}
+
+/**
+ * Returns the name a base class expression refers to (`Base` or `global.Base`).
+ *
+ * @param {Object} node - Expression node
+ * @returns {string|null}
+ */
+function getClassName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  return getPropertyName(node);
+}
+
+/**
+ * Returns the function-valued properties of an object literal.
+ *
+ * @param {Object} object - ObjectExpression node
+ * @returns {string[]}
+ */
+function getObjectMethods(object) {
+  return object.properties
+    .filter(prop => prop.type === 'Property' && isFunctionNode(prop.value))
+    .map(getKeyName)
+    .filter(name => name && !NON_METHODS.has(name));
+}
+
+/**
+ * Returns the methods of a class body, static methods included.
+ *
+ * @param {Object} node - ClassDeclaration or ClassExpression node
+ * @returns {string[]}
+ */
+function getClassMethods(node) {
+  return node.body.body
+    .filter(member => member.type === 'MethodDefinition' && member.kind === 'method')
+    .map(getKeyName)
+    .filter(name => name && !NON_METHODS.has(name));
+}
+
+/**
+ * Reads the value assigned to `X.prototype`: an object literal, or
+ * `Object.extendsObject(Base, { ... })`.
+ *
+ * @param {Object} node - Assigned expression
+ * @returns {{ base: string|null, methods: string[] }}
+ */
+function readPrototype(node) {
+  if (node.type === 'ObjectExpression') return { base: null, methods: getObjectMethods(node) };
+  if (node.type === 'CallExpression' && getPropertyName(node.callee) === 'extendsObject') {
+    const [base, object] = node.arguments;
+    return {
+      base: getClassName(base),
+      methods: object && object.type === 'ObjectExpression' ? getObjectMethods(object) : []
+    };
+  }
+  return { base: null, methods: [] };
+}
+
+/**
+ * Checks for `Class.create()`.
+ *
+ * @param {Object} node - Expression node
+ * @returns {boolean}
+ */
+function isClassCreate(node) {
+  return !!node && node.type === 'CallExpression' &&
+    node.callee.type === 'MemberExpression' &&
+    getClassName(node.callee.object) === 'Class' &&
+    getPropertyName(node.callee) === 'create';
+}
+
+/**
+ * Reads the classes a Script Include defines. Recognizes `Class.create()`
+ * with `X.prototype = { ... }` or `Object.extendsObject(Base, { ... })`,
+ * `X.prototype.method = function`, static `X.method = function` on a
+ * class found earlier, and `class X extends Base { ... }`.
+ *
+ * @param {string} source - Script Include source
+ * @returns {CustomClass[]} Classes in order of definition
+ * @throws {Error} If the source does not parse or defines no class
+ */
+export function parseScriptInclude(source) {
+  const { ast, error } = parseCode(source, { ecmaVersion: 'latest' });
+  if (error) throw new Error(`Script Include does not parse: ${error}`);
+
+  const classes = new Map(); // Name → { name, extends, methods: Set }
+  const define = (name, base = null) => {
+    if (!classes.has(name)) classes.set(name, { name, extends: null, methods: new Set() });
+    const cls = classes.get(name);
+    if (base) cls.extends = base;
+    return cls;
+  };
+  const addMethods = (name, methods, base) => {
+    const cls = define(name, base);
+    methods.forEach(method => cls.methods.add(method));
+  };
+
+  walk(ast, (node) => {
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier') {
+      if (isClassCreate(node.init)) define(node.id.name);
+      if (node.init && node.init.type === 'ClassExpression') {
+        addMethods(node.id.name, getClassMethods(node.init), getClassName(node.init.superClass));
+      }
+    } else if (node.type === 'ClassDeclaration' && node.id) {
+      addMethods(node.id.name, getClassMethods(node), getClassName(node.superClass));
+    } else if (node.type === 'AssignmentExpression' && node.operator === '=' && node.left.type === 'MemberExpression') {
+      const { object } = node.left;
+      const property = getPropertyName(node.left);
+      if (property === 'prototype' && object.type === 'Identifier') {
+        const { base, methods } = readPrototype(node.right);
+        addMethods(object.name, methods, base);
+      } else if (property && isFunctionNode(node.right)) {
+        if (object.type === 'MemberExpression' && getPropertyName(object) === 'prototype' &&
+            object.object.type === 'Identifier') {
+          addMethods(object.object.name, [property]);
+        } else if (object.type === 'Identifier' && classes.has(object.name)) {
+          addMethods(object.name, [property]);
+        }
+      }
+    }
+  });
+
+  if (classes.size === 0) {
+    throw new Error('No Script Include class found (expected Class.create(), a prototype object, or a class declaration)');
+  }
+  return [...classes.values()].map(cls => normalizeClass({ ...cls, methods: [...cls.methods] }));
+}
+
+// =============================================================================
+// MERGING
+// =============================================================================
+
+/**
+ * Removes everything but the built-in entries from a list, in place.
+ *
+ * @param {string[]} list - Dictionary list
+ * @param {Set<string>} builtIn - Its built-in entries
+ */
+function keepBuiltIn(list, builtIn) {
+  const kept = list.filter(item => builtIn.has(item));
+  list.splice(0, list.length, ...kept);
+}
+
+/**
+ * Collects the methods a class inherits through its `extends` chain, from
+ * other custom classes or a built-in API.
+ *
+ * @param {CustomClass} cls - Custom class
+ * @param {Map<string, CustomClass>} byName - Custom classes by name
+ * @returns {string[]}
+ */
+function getInheritedMethods(cls, byName) {
+  const methods = [];
+  const seen = new Set([cls.name]);
+  let base = cls.extends;
+  while (base && !seen.has(base)) {
+    seen.add(base);
+    if (byName.has(base)) {
+      methods.push(...byName.get(base).methods);
+      base = byName.get(base).extends;
+    } else {
+      methods.push(...(CONTEXT_METHOD_MAP[base] || []));
+      base = null;
+    }
+  }
+  return methods;
+}
+
+/**
+ * Merges custom classes into the dictionary, replacing the classes merged
+ * before. Later classes replace earlier ones of the same name; an empty
+ * list restores the built-in dictionary.
+ *
+ * @param {Object[]} classes - Custom class definitions
+ * @returns {CustomClass[]} The classes now merged
+ * @throws {Error} If a definition is malformed (nothing is changed then)
+ */
+export function applyCustomDictionary(classes = []) {
+  const byName = new Map(classes.map(raw => {
+    const cls = normalizeClass(raw);
+    return [cls.name, cls];
+  }));
+
+  keepBuiltIn(CLASS_NAMES, BUILT_IN.classNames);
+  keepBuiltIn(ALL_METHODS, BUILT_IN.methods);
+  keepBuiltIn(SERVICENOW_CLASSES, BUILT_IN.visualized);
+  for (const context of Object.keys(CONTEXT_METHOD_MAP)) {
+    if (!BUILT_IN.contexts.has(context)) delete CONTEXT_METHOD_MAP[context];
+  }
+
+  const knownMethods = new Set(ALL_METHODS);
+  for (const cls of byName.values()) {
+    CONTEXT_METHOD_MAP[cls.name] = [...new Set([...cls.methods, ...getInheritedMethods(cls, byName)])];
+    CLASS_NAMES.push(cls.name);
+    SERVICENOW_CLASSES.push(cls.name);
+    for (const method of cls.methods) {
+      if (!knownMethods.has(method)) {
+        knownMethods.add(method);
+        ALL_METHODS.push(method);
+      }
+    }
+  }
+
+  return [...byName.values()];
+}
+
+// =============================================================================
+// IMPORT / EXPORT
+// =============================================================================
+
+/**
+ * Wraps custom classes in the shareable file format.
+ *
+ * @param {CustomClass[]} classes - Classes to export
+ * @returns {Object} File contents
+ */
+export function exportCustomDictionary(classes) {
+  return {
+    version: DICTIONARY_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    appName: 'GlideAware Studio',
+    classes: classes.map(normalizeClass)
+  };
+}
+
+/**
+ * Reads custom classes from a dictionary file.
+ *
+ * @param {Object} data - Parsed file contents
+ * @returns {CustomClass[]}
+ * @throws {Error} If the file is not a dictionary or a class is malformed
+ */
+export function importCustomDictionary(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.classes)) {
+    throw new Error('Invalid dictionary file format');
+  }
+  if (data.version > DICTIONARY_FILE_VERSION) {
+    throw new Error(`Dictionary file version ${data.version} is newer than this app supports`);
+  }
+  return data.classes.map(normalizeClass);
+}
+
+export default {
+  DICTIONARY_FILE_VERSION,
+  DICTIONARY_FILENAME,
+  normalizeClass,
+  parseScriptInclude,
+  applyCustomDictionary,
+  exportCustomDictionary,
+  importCustomDictionary
+};
@@ -0,0 +1,332 @@
+/**
+ * @fileoverview Diagnostics - Structured Results for the Polish Pipeline
+ * @description Shared shape for every fix, warning, and error produced by the
+ * fixes/warnings analyzers. Each diagnostic carries a stable rule id, a severity,
+ * a human-readable message, and (when known) a 1-based source range that maps
+ * directly onto Monaco editor positions.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Severity levels, ordered from most to least severe
+ */
+export const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+// =============================================================================
+// DIAGNOSTIC CREATION
+// =============================================================================
+
+/**
+ * A located, structured result from the polish pipeline.
+ * @typedef {Object} Diagnostic
+ * @property {string} ruleId - Stable rule identifier (e.g. 'sn/update-in-loop')
+ * @property {'error'|'warning'|'info'} severity - Severity level
+ * @property {string} message - Human-readable description
+ * @property {number|null} line - 1-based start line, or null if not locatable
+ * @property {number|null} column - 1-based start column
+ * @property {number|null} endLine - 1-based end line
+ * @property {number|null} endColumn - 1-based end column (exclusive)
+ * @property {string|null} suggestion - Optional suggested replacement for the range
+ * @property {QuickFix|null} quickFix - Optional mechanical fix for this occurrence
+ * @property {RelatedLocation[]} [related] - Other places involved, e.g. the outer query of a nested query
+ * @property {string} [legacyRuleId] - Older rule id of the same finding, whose suppressions and profile settings apply too
+ */
+
+/**
+ * A secondary range that explains a diagnostic.
+ * @typedef {Location & { message: string }} RelatedLocation
+ */
+
+/**
+ * A text replacement; an empty range (start equals end) is an insertion.
+ * @typedef {Location & { text: string }} TextEdit
+ */
+
+/**
+ * A mechanical fix for one diagnostic occurrence, offered as an editor code action.
+ * @typedef {Object} QuickFix
+ * @property {string} title - Action title (e.g. "Add a default value")
+ * @property {TextEdit[]} edits - Edits against the analyzed code
+ */
+
+/**
+ * Source range in 1-based line/column coordinates.
+ * @typedef {Object} Location
+ * @property {number} line
+ * @property {number} column
+ * @property {number} endLine
+ * @property {number} endColumn
+ */
+
+/**
+ * Creates a diagnostic object.
+ *
+ * @param {string} ruleId - Stable rule identifier
+ * @param {'error'|'warning'|'info'} severity - Severity level
+ * @param {string} message - Human-readable description
+ * @param {Location|null} [location] - Source range, if known
+ * @param {string|null} [suggestion] - Suggested replacement text for the range
+ * @param {QuickFix|null} [quickFix] - Mechanical fix for this occurrence
+ * @returns {Diagnostic}
+ */
+export function createDiagnostic(ruleId, severity, message, location = null, suggestion = null, quickFix = null) {
+  return {
+    ruleId,
+    severity,
+    message,
+    line: location ? location.line : null,
+    column: location ? location.column : null,
+    endLine: location ? location.endLine : null,
+    endColumn: location ? location.endColumn : null,
+    suggestion,
+    quickFix
+  };
+}
+
+/**
+ * Attaches related locations to a diagnostic.
+ *
+ * @param {Diagnostic} diagnostic - Diagnostic to extend
+ * @param {Array<{ location: Location, message: string }>} related - Related ranges and what they are
+ * @returns {Diagnostic}
+ */
+export function withRelatedLocations(diagnostic, related) {
+  return { ...diagnostic, related: related.map(({ location, message }) => ({ ...location, message })) };
+}
+
+/**
+ * Creates a quick fix from one or more text edits.
+ *
+ * @param {string} title - Action title
+ * @param {TextEdit|TextEdit[]} edits - Edit or edits to apply together
+ * @returns {QuickFix}
+ */
+export function createQuickFix(title, edits) {
+  return { title, edits: Array.isArray(edits) ? edits : [edits] };
+}
+
+/**
+ * Creates a text edit replacing a range (or inserting at an empty range).
+ *
+ * @param {Location} location - Range to replace
+ * @param {string} text - Replacement text
+ * @returns {TextEdit}
+ */
+export function createEdit(location, text) {
+  return {
+    line: location.line,
+    column: location.column,
+    endLine: location.endLine,
+    endColumn: location.endColumn,
+    text
+  };
+}
+
+/**
+ * Creates an informational diagnostic describing an applied fix.
+ * Fix locations point into the text the fix was applied to.
+ *
+ * @param {string} ruleId - Stable fix rule identifier
+ * @param {string} message - Description of the applied fix
+ * @param {Location|null} [location] - Location of the first affected range
+ * @returns {Diagnostic}
+ */
+export function createFix(ruleId, message, location = null) {
+  return createDiagnostic(ruleId, SEVERITY.INFO, message, location);
+}
+
+// =============================================================================
+// LOCATION HELPERS
+// =============================================================================
+
+/**
+ * Converts a character offset into a 1-based line/column position.
+ *
+ * @param {string} code - Source text
+ * @param {number} offset - 0-based character offset
+ * @returns {{ line: number, column: number }}
+ */
+export function offsetToPosition(code, offset) {
+  const before = code.substring(0, offset);
+  const lines = before.split('\n');
+  return {
+    line: lines.length,
+    column: lines[lines.length - 1].length + 1
+  };
+}
+
+/**
+ * Builds a location from a pair of character offsets.
+ *
+ * @param {string} code - Source text
+ * @param {number} start - 0-based start offset
+ * @param {number} end - 0-based end offset (exclusive)
+ * @returns {Location}
+ */
+export function locationFromOffsets(code, start, end) {
+  const startPos = offsetToPosition(code, start);
+  const endPos = offsetToPosition(code, end);
+  return {
+    line: startPos.line,
+    column: startPos.column,
+    endLine: endPos.line,
+    endColumn: endPos.column
+  };
+}
+
+/**
+ * Builds a location from an Acorn node parsed with `locations: true`.
+ * Acorn lines are already 1-based; columns are 0-based.
+ *
+ * @param {Object} node - AST node with a `loc` property
+ * @returns {Location|null}
+ */
+export function locationFromNode(node) {
+  if (!node || !node.loc) return null;
+  return {
+    line: node.loc.start.line,
+    column: node.loc.start.column + 1,
+    endLine: node.loc.end.line,
+    endColumn: node.loc.end.column + 1
+  };
+}
+
+/**
+ * Builds a location spanning a whole line.
+ *
+ * @param {string[]} lines - Source split into lines
+ * @param {number} index - 0-based line index
+ * @returns {Location}
+ */
+export function locationFromLine(lines, index) {
+  return {
+    line: index + 1,
+    column: 1,
+    endLine: index + 1,
+    endColumn: lines[index].length + 1
+  };
+}
+
+/**
+ * Collects every match of a global regex as located results.
+ *
+ * @param {string} code - Source text
+ * @param {RegExp} pattern - Regex with the global flag
+ * @returns {Array<{ match: RegExpExecArray, location: Location }>}
+ */
+export function findMatches(code, pattern) {
+  const results = [];
+  const regex = pattern.global ? new RegExp(pattern.source, pattern.flags) : new RegExp(pattern.source, pattern.flags + 'g');
+  let match;
+  while ((match = regex.exec(code)) !== null) {
+    results.push({
+      match,
+      location: locationFromOffsets(code, match.index, match.index + match[0].length)
+    });
+    // Avoid infinite loops on zero-width matches
+    if (match[0].length === 0) regex.lastIndex++;
+  }
+  return results;
+}
+
+/**
+ * Returns the location of the first match of a regex, or null.
+ *
+ * @param {string} code - Source text
+ * @param {RegExp} pattern - Regex to search for
+ * @returns {Location|null}
+ */
+export function findFirstLocation(code, pattern) {
+  const regex = new RegExp(pattern.source, pattern.flags.replace('g', ''));
+  const match = regex.exec(code);
+  if (!match) return null;
+  return locationFromOffsets(code, match.index, match.index + match[0].length);
+}
+
+// =============================================================================
+// FORMATTING
+// =============================================================================
+
+/**
+ * Formats a diagnostic as a single line of text (for toasts, logs, and text reports).
+ *
+ * @param {Diagnostic|string} diagnostic - Diagnostic (plain strings pass through)
+ * @returns {string}
+ */
+export function formatDiagnostic(diagnostic) {
+  if (typeof diagnostic === 'string') return diagnostic;
+  const where = diagnostic.line ? `Line ${diagnostic.line}:${diagnostic.column} ` : '';
+  return `${where}${diagnostic.message}`;
+}
+
+/**
+ * Converts a located diagnostic into a Monaco editor marker.
+ *
+ * @param {Diagnostic} diagnostic - Diagnostic with a location
+ * @param {Object} markerSeverity - monaco.MarkerSeverity enum
+ * @returns {Object|null} Marker data, or null if the diagnostic has no location
+ */
+export function toEditorMarker(diagnostic, markerSeverity) {
+  if (!diagnostic.line) return null;
+  const severities = {
+    [SEVERITY.ERROR]: markerSeverity.Error,
+    [SEVERITY.WARNING]: markerSeverity.Warning,
+    [SEVERITY.INFO]: markerSeverity.Info
+  };
+  return {
+    severity: severities[diagnostic.severity] || markerSeverity.Info,
+    message: diagnostic.suggestion ? `${diagnostic.message}\nSuggestion: ${diagnostic.suggestion}` : diagnostic.message,
+    code: diagnostic.ruleId,
+    source: 'GlideAware',
+    startLineNumber: diagnostic.line,
+    startColumn: diagnostic.column,
+    endLineNumber: diagnostic.endLine || diagnostic.line,
+    endColumn: diagnostic.endColumn || diagnostic.column + 1
+  };
+}
+
+/**
+ * Converts the related locations of a diagnostic into informational Monaco
+ * editor markers, so every place involved is highlighted.
+ *
+ * @param {Diagnostic} diagnostic - Diagnostic
+ * @param {Object} markerSeverity - monaco.MarkerSeverity enum
+ * @returns {Object[]} Marker data
+ */
+export function toRelatedMarkers(diagnostic, markerSeverity) {
+  return (diagnostic.related || []).map(related => ({
+    severity: markerSeverity.Info,
+    message: related.message,
+    code: diagnostic.ruleId,
+    source: 'GlideAware',
+    startLineNumber: related.line,
+    startColumn: related.column,
+    endLineNumber: related.endLine,
+    endColumn: related.endColumn
+  }));
+}
+
+export default {
+  SEVERITY,
+  createDiagnostic,
+  withRelatedLocations,
+  createFix,
+  createQuickFix,
+  createEdit,
+  offsetToPosition,
+  locationFromOffsets,
+  locationFromNode,
+  locationFromLine,
+  findMatches,
+  findFirstLocation,
+  formatDiagnostic,
+  toEditorMarker,
+  toRelatedMarkers
+};
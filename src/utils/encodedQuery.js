@@ -0,0 +1,623 @@
+/**
+ * @fileoverview Encoded Queries
+ * @description Parses ServiceNow encoded queries such as
+ * `active=true^priorityIN1,2^ORassigned_toISEMPTY^ORDERBYDESCsys_created_on`
+ * into a condition tree, reports their malformed parts, describes their
+ * conditions in words, and converts between encoded queries and the
+ * equivalent GlideRecord addQuery()/addOrCondition() script.
+ *
+ * In an encoded query `^` joins conditions with AND and `^OR` adds an
+ * alternative to the condition before it, so OR binds tighter than AND.
+ * `^NQ` starts another query with the condition after it; the results of
+ * both are combined. A literal `^` inside a value is written `^^`.
+ */
+
+import { parseCode } from './astParser.js';
+import { walk, getMemberCall, getStringValue } from './astWalker.js';
+
+// =============================================================================
+// OPERATORS
+// =============================================================================
+
+/**
+ * Condition operators by their encoded form. `script` is the operator
+ * addQuery() accepts for it (null if it has none); `noValue` operators
+ * take no value; `list` operators take comma-separated values.
+ */
+export const ENCODED_QUERY_OPERATORS = {
+  '=': { label: 'is', script: '=' },
+  '!=': { label: 'is not', script: '!=' },
+  '>': { label: 'is greater than', script: '>' },
+  '>=': { label: 'is greater than or is', script: '>=' },
+  '<': { label: 'is less than', script: '<' },
+  '<=': { label: 'is less than or is', script: '<=' },
+  IN: { label: 'is one of', script: 'IN', list: true },
+  'NOT IN': { label: 'is not one of', script: 'NOT IN', list: true },
+  STARTSWITH: { label: 'starts with', script: 'STARTSWITH' },
+  ENDSWITH: { label: 'ends with', script: 'ENDSWITH' },
+  LIKE: { label: 'contains', script: 'CONTAINS' },
+  'NOT LIKE': { label: 'does not contain', script: 'DOES NOT CONTAIN' },
+  INSTANCEOF: { label: 'is a', script: 'INSTANCEOF' },
+  ISEMPTY: { label: 'is empty', script: null, noValue: true },
+  ISNOTEMPTY: { label: 'is not empty', script: null, noValue: true },
+  EMPTYSTRING: { label: 'is empty string', script: null, noValue: true },
+  ANYTHING: { label: 'is anything', script: null, noValue: true },
+  VALCHANGES: { label: 'changes', script: null, noValue: true },
+  CHANGESFROM: { label: 'changes from', script: null },
+  CHANGESTO: { label: 'changes to', script: null },
+  SAMEAS: { label: 'is the same as field', script: null },
+  NSAMEAS: { label: 'is different from field', script: null },
+  GT_FIELD: { label: 'is greater than field', script: null },
+  LT_FIELD: { label: 'is less than field', script: null },
+  GT_OR_EQUALS_FIELD: { label: 'is greater than or is field', script: null },
+  LT_OR_EQUALS_FIELD: { label: 'is less than or is field', script: null },
+  BETWEEN: { label: 'is between', script: null },
+  ON: { label: 'is on', script: null },
+  NOTON: { label: 'is not on', script: null },
+  DATEPART: { label: 'is on date part', script: null },
+  RELATIVEGT: { label: 'is after (relative)', script: null },
+  RELATIVEGE: { label: 'is on or after (relative)', script: null },
+  RELATIVELT: { label: 'is before (relative)', script: null },
+  RELATIVELE: { label: 'is on or before (relative)', script: null },
+  RELATIVEEE: { label: 'is on (relative)', script: null },
+  MORETHAN: { label: 'is more than', script: null },
+  LESSTHAN: { label: 'is less than', script: null },
+  DYNAMIC: { label: 'is (dynamic)', script: null }
+};
+
+/** Encoded operator for each addQuery() operator */
+const SCRIPT_OPERATORS = Object.fromEntries(
+  Object.entries(ENCODED_QUERY_OPERATORS)
+    .filter(([, operator]) => operator.script)
+    .map(([encoded, operator]) => [operator.script, encoded])
+);
+
+/** Operators, longest first so `NOT IN` wins over `IN` and `>=` over `>` */
+const OPERATOR_TOKENS = Object.keys(ENCODED_QUERY_OPERATORS).sort((a, b) => b.length - a.length);
+
+const OPERATOR_ALTERNATION = OPERATOR_TOKENS.map(token => token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+
+/** field, operator, value */
+const CONDITION_PATTERN = new RegExp(`^([A-Za-z_][\\w.]*?)(${OPERATOR_ALTERNATION})([\\s\\S]*)$`);
+
+/** Word operators, to recognize them when written in lower case */
+const WORD_OPERATORS = OPERATOR_TOKENS.filter(token => /^[A-Z]/.test(token));
+
+/** Field names, dot-walked fields included */
+const FIELD_PATTERN = /^[A-Za-z_][\w.]*$/;
+
+/** Methods whose first argument is an encoded query */
+const ENCODED_QUERY_METHODS = new Set(['addEncodedQuery', 'setEncodedQuery']);
+
+// =============================================================================
+// TYPES
+// =============================================================================
+
+/**
+ * One condition of an encoded query. Offsets are into the encoded string.
+ * @typedef {Object} QueryCondition
+ * @property {string} field - Field name (may be dot-walked)
+ * @property {string} operator - Encoded operator (a key of ENCODED_QUERY_OPERATORS)
+ * @property {string} value - Value, with `^^` unescaped
+ * @property {number} start - Offset of the condition
+ * @property {number} end - Offset after the condition
+ */
+
+/**
+ * Conditions joined by OR. A related list query (`RLQUERY...ENDRLQUERY`)
+ * has no conditions and keeps its encoded text in `related`.
+ * @typedef {Object} QueryClause
+ * @property {QueryCondition[]} conditions
+ * @property {string} [related]
+ */
+
+/**
+ * Parsed encoded query: groups joined by `^NQ`, each a list of clauses
+ * joined by AND.
+ * @typedef {Object} ParsedQuery
+ * @property {{ clauses: QueryClause[] }[]} groups
+ * @property {{ field: string, descending: boolean }[]} orderBy
+ * @property {string[]} groupBy
+ * @property {{ message: string, start: number, end: number, replacement?: string }[]} errors
+ */
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * Splits an encoded query at the `^` separators, leaving `^^` escapes in
+ * their terms.
+ *
+ * @param {string} query - Encoded query
+ * @returns {{ text: string, start: number, end: number }[]}
+ */
+function splitTerms(query) {
+  const terms = [];
+  let start = 0;
+  for (let i = 0; i < query.length; i++) {
+    if (query[i] !== '^') continue;
+    if (query[i + 1] === '^') {
+      i++;
+      continue;
+    }
+    terms.push({ text: query.slice(start, i), start, end: i });
+    start = i + 1;
+  }
+  terms.push({ text: query.slice(start), start, end: query.length });
+  return terms;
+}
+
+/**
+ * Finds a word operator written in the wrong case, preferring the longest
+ * (`descriptionlikefoo` is LIKE, not ON).
+ *
+ * @param {string} text - Encoded condition
+ * @returns {{ field: string, written: string, operator: string, value: string }|null}
+ */
+function findMiscasedOperator(text) {
+  let best = null;
+  for (let i = 1; i < text.length; i++) {
+    if (!FIELD_PATTERN.test(text.slice(0, i))) break;
+    const operator = WORD_OPERATORS.find(token => text.slice(i, i + token.length).toUpperCase() === token);
+    if (operator && (!best || operator.length > best.operator.length)) {
+      best = { field: text.slice(0, i), written: text.slice(i, i + operator.length), operator, value: text.slice(i + operator.length) };
+    }
+  }
+  return best;
+}
+
+/**
+ * Parses one condition term.
+ *
+ * @param {string} text - Encoded condition, without an `OR` prefix
+ * @param {number} start - Offset of the condition in the query
+ * @returns {{ condition: QueryCondition }|{ error: Object }}
+ */
+function parseCondition(text, start) {
+  const end = start + text.length;
+  const fail = (message, replacement) => ({ error: { message, start, end, ...(replacement && { replacement }) } });
+  const match = text.match(CONDITION_PATTERN);
+
+  if (!match) {
+    const miscased = findMiscasedOperator(text);
+    if (miscased) {
+      const { field, written, operator, value } = miscased;
+      return fail(`Unknown operator "${written}" in "${text}": operators are upper case (${operator})`, field + operator + value);
+    }
+    if (FIELD_PATTERN.test(text)) return fail(`Condition "${text}" has no operator`);
+    return fail(`Unknown operator in "${text}"`);
+  }
+
+  const [, field, operator, rawValue] = match;
+  const definition = ENCODED_QUERY_OPERATORS[operator];
+  if (operator === '=' && rawValue.startsWith('=')) {
+    return fail(`Unknown operator "==" in "${text}": use =`, field + '=' + rawValue.slice(1));
+  }
+  if (operator === '<' && rawValue.startsWith('>')) {
+    return fail(`Unknown operator "<>" in "${text}": use !=`, field + '!=' + rawValue.slice(1));
+  }
+  if (definition.noValue && rawValue) return fail(`${operator} takes no value, but "${field}${operator}" is followed by "${rawValue}"`);
+  if (definition.list && !rawValue) return fail(`${operator} in "${text}" needs a comma-separated list of values`);
+  if (operator === 'BETWEEN' && !rawValue.includes('@')) {
+    return fail(`BETWEEN in "${text}" needs two values separated by @`);
+  }
+
+  return { condition: { field, operator, value: rawValue.replace(/\^\^/g, '^'), start, end } };
+}
+
+/**
+ * Parses an encoded query into its condition tree. Malformed parts are
+ * collected in `errors` and left out of the tree.
+ *
+ * @param {string} query - Encoded query
+ * @returns {ParsedQuery}
+ */
+export function parseEncodedQuery(query) {
+  const result = { groups: [], orderBy: [], groupBy: [], errors: [] };
+  const terms = splitTerms(query);
+  let group = { clauses: [] };
+  let clause = null; // Clause an ^OR term would join
+
+  const fail = (message, start, end) => result.errors.push({ message, start, end });
+
+  for (let i = 0; i < terms.length; i++) {
+    const { text, start, end } = terms[i];
+
+    // An empty query is fine; a leading or trailing ^ is an empty condition
+    // (a leading ^OR or ^NQ is reported as dangling below)
+    if (text === '') {
+      if (i > 0) fail('Dangling ^: there is no condition after it', start - 1, start);
+      else if (terms.length > 1 && !/^(OR|NQ)/.test(terms[1].text)) fail('Dangling ^: there is no condition before it', end, end + 1);
+      continue;
+    }
+
+    if (text === 'EQ') {
+      clause = null;
+    } else if (text.startsWith('NQ')) {
+      if (group.clauses.length === 0) {
+        fail('Dangling ^NQ: there is no condition before it', start, end);
+      } else if (text === 'NQ') {
+        fail('Dangling ^NQ: there is no condition after it', start, end);
+      } else {
+        result.groups.push(group);
+        group = { clauses: [] };
+        const parsed = parseCondition(text.slice(2), start + 2);
+        if (parsed.error) result.errors.push(parsed.error);
+        clause = { conditions: parsed.error ? [] : [parsed.condition] };
+        if (!parsed.error) group.clauses.push(clause);
+        continue;
+      }
+      clause = null;
+    } else if (text.startsWith('RLQUERY')) {
+      const last = terms.findIndex((term, index) => index > i && term.text.startsWith('ENDRLQUERY'));
+      if (last === -1) {
+        fail('RLQUERY without a closing ENDRLQUERY', start, query.length);
+        break;
+      }
+      group.clauses.push({ conditions: [], related: query.slice(start, terms[last].end) });
+      clause = null;
+      i = last;
+    } else if (/^ORDERBY(DESC)?/.test(text) || text.startsWith('GROUPBY')) {
+      const [, keyword, field] = text.match(/^(ORDERBYDESC|ORDERBY|GROUPBY)(.*)$/);
+      if (!FIELD_PATTERN.test(field)) {
+        fail(`${keyword} needs a field name`, start, end);
+      } else if (keyword === 'GROUPBY') {
+        result.groupBy.push(field);
+      } else {
+        result.orderBy.push({ field, descending: keyword === 'ORDERBYDESC' });
+      }
+      clause = null;
+    } else if (text.startsWith('OR')) {
+      if (!clause) {
+        fail('Dangling ^OR: there is no condition before it to combine with', start, end);
+      } else if (text === 'OR') {
+        fail('Dangling ^OR: there is no condition after it', start, end);
+      } else {
+        const parsed = parseCondition(text.slice(2), start + 2);
+        if (parsed.error) result.errors.push(parsed.error);
+        else clause.conditions.push(parsed.condition);
+      }
+    } else {
+      const parsed = parseCondition(text, start);
+      if (parsed.error) {
+        // Alternatives of a malformed condition are still checked
+        result.errors.push(parsed.error);
+        clause = { conditions: [] };
+      } else {
+        clause = { conditions: [parsed.condition] };
+        group.clauses.push(clause);
+      }
+    }
+  }
+
+  if (group.clauses.length > 0) result.groups.push(group);
+  return result;
+}
+
+// =============================================================================
+// DESCRIPTION
+// =============================================================================
+
+/**
+ * Describes a condition in words, e.g. `priority is one of 1, 2`.
+ *
+ * @param {QueryCondition} condition
+ * @returns {string}
+ */
+export function describeCondition({ field, operator, value }) {
+  const { label, noValue, list } = ENCODED_QUERY_OPERATORS[operator];
+  if (noValue) return `${field} ${label}`;
+  if (list) return `${field} ${label} ${value.split(',').join(', ')}`;
+  if (operator === 'BETWEEN') return `${field} ${label} ${value.split('@').join(' and ')}`;
+  return `${field} ${label} ${value === '' ? '(empty)' : value}`;
+}
+
+// =============================================================================
+// ENCODING
+// =============================================================================
+
+/**
+ * Encodes a condition.
+ *
+ * @param {QueryCondition} condition
+ * @returns {string}
+ */
+function encodeCondition({ field, operator, value }) {
+  return field + operator + value.replace(/\^/g, '^^');
+}
+
+/**
+ * Encodes a clause: its conditions joined by `^OR`.
+ *
+ * @param {QueryClause} clause
+ * @returns {string}
+ */
+function encodeClause(clause) {
+  return clause.related || clause.conditions.map(encodeCondition).join('^OR');
+}
+
+/**
+ * Builds the encoded string of a condition tree.
+ *
+ * @param {ParsedQuery} query
+ * @returns {string}
+ */
+export function stringifyEncodedQuery(query) {
+  const order = [
+    ...query.orderBy.map(({ field, descending }) => (descending ? 'ORDERBYDESC' : 'ORDERBY') + field),
+    ...query.groupBy.map(field => 'GROUPBY' + field)
+  ];
+  return [
+    query.groups.map(group => group.clauses.map(encodeClause).join('^')).join('^NQ'),
+    ...order
+  ].filter(Boolean).join('^');
+}
+
+// =============================================================================
+// CONVERSION TO SCRIPT
+// =============================================================================
+
+/**
+ * Quotes a value as a single-quoted JavaScript string.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function quote(value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+/**
+ * Returns the arguments of the addQuery()/addOrCondition() call for a
+ * condition, or null if the condition has no such call.
+ *
+ * @param {QueryCondition} condition
+ * @returns {string|null}
+ */
+function getQueryArguments({ field, operator, value }) {
+  const { script } = ENCODED_QUERY_OPERATORS[operator];
+  if (!script) return null;
+  if (operator === '=') return `${quote(field)}, ${quote(value)}`;
+  return `${quote(field)}, ${quote(script)}, ${quote(value)}`;
+}
+
+/**
+ * Converts an encoded query into GlideRecord calls. Conditions that have no
+ * addQuery() equivalent (such as `ON` or `SAMEAS`) keep an
+ * addEncodedQuery() call for their clause.
+ *
+ * @param {string} query - Encoded query
+ * @param {Object} [options]
+ * @param {string} [options.receiver='gr'] - Record variable the calls are made on
+ * @returns {string} One statement per line
+ * @throws {Error} If the query is malformed or uses ^NQ
+ */
+export function encodedQueryToScript(query, options = {}) {
+  const receiver = options.receiver || 'gr';
+  const parsed = parseEncodedQuery(query);
+  if (parsed.errors.length > 0) throw new Error(`Invalid encoded query: ${parsed.errors[0].message}`);
+  if (parsed.groups.length > 1) throw new Error('Cannot convert: queries joined by ^NQ have no addQuery() equivalent');
+
+  const lines = [];
+  let conditionVariables = 0;
+
+  for (const clause of parsed.groups.length > 0 ? parsed.groups[0].clauses : []) {
+    const [first, ...alternatives] = clause.conditions;
+    const args = clause.conditions.map(getQueryArguments);
+
+    if (clause.related || (alternatives.length > 0 && args.includes(null))) {
+      lines.push(`${receiver}.addEncodedQuery(${quote(encodeClause(clause))});`);
+    } else if (alternatives.length > 0) {
+      conditionVariables++;
+      const name = conditionVariables === 1 ? 'qc' : `qc${conditionVariables}`;
+      lines.push(`var ${name} = ${receiver}.addQuery(${args[0]});`);
+      args.slice(1).forEach(arg => lines.push(`${name}.addOrCondition(${arg});`));
+    } else if (first.operator === 'ISEMPTY') {
+      lines.push(`${receiver}.addNullQuery(${quote(first.field)});`);
+    } else if (first.operator === 'ISNOTEMPTY') {
+      lines.push(`${receiver}.addNotNullQuery(${quote(first.field)});`);
+    } else if (args[0]) {
+      lines.push(`${receiver}.addQuery(${args[0]});`);
+    } else {
+      lines.push(`${receiver}.addEncodedQuery(${quote(encodeClause(clause))});`);
+    }
+  }
+
+  for (const { field, descending } of parsed.orderBy) {
+    lines.push(`${receiver}.${descending ? 'orderByDesc' : 'orderBy'}(${quote(field)});`);
+  }
+  for (const field of parsed.groupBy) {
+    lines.push(`${receiver}.groupBy(${quote(field)});`);
+  }
+  return lines.join('\n');
+}
+
+// =============================================================================
+// CONVERSION FROM SCRIPT
+// =============================================================================
+
+/** Query-building methods read from a script */
+const QUERY_METHODS = new Set([
+  'addQuery', 'addOrCondition', 'addEncodedQuery', 'addNullQuery', 'addNotNullQuery',
+  'addActiveQuery', 'orderBy', 'orderByDesc', 'groupBy'
+]);
+
+/**
+ * Returns the value of a string, number, or boolean literal argument.
+ *
+ * @param {Object} node - Argument node
+ * @returns {string|null}
+ */
+function getLiteralValue(node) {
+  const string = getStringValue(node);
+  if (string !== null) return string;
+  if (node.type === 'Literal' && (typeof node.value === 'number' || typeof node.value === 'boolean')) {
+    return String(node.value);
+  }
+  return null;
+}
+
+/**
+ * Builds a condition from addQuery()/addOrCondition() arguments.
+ *
+ * @param {string[]} args - Literal argument values
+ * @param {string} method - Method name, for messages
+ * @returns {QueryCondition}
+ */
+function conditionFromArguments(args, method) {
+  const [field, operator, value] = args.length === 2 ? [args[0], '=', args[1]] : args;
+  const encoded = SCRIPT_OPERATORS[operator.toUpperCase()];
+  if (ENCODED_QUERY_OPERATORS[operator.toUpperCase()] && !encoded) {
+    throw new Error(`Cannot convert: ${method}() does not take the operator "${operator}", which only encoded queries use`);
+  }
+  if (!encoded) throw new Error(`Cannot convert: unknown ${method}() operator "${operator}"`);
+  return { field, operator: encoded, value, start: 0, end: 0 };
+}
+
+/**
+ * Parses an encoded query passed to a script call, adding its ordering to
+ * the query being built.
+ *
+ * @param {string} encoded - Encoded query
+ * @param {ParsedQuery} query - Query being built
+ * @returns {QueryClause[]} Its clauses
+ */
+function mergeEncodedQuery(encoded, query) {
+  const parsed = parseEncodedQuery(encoded);
+  if (parsed.errors.length > 0) throw new Error(`Invalid encoded query: ${parsed.errors[0].message}`);
+  if (parsed.groups.length > 1) throw new Error('Cannot convert: an encoded query joined by ^NQ cannot be combined with other conditions');
+  query.orderBy.push(...parsed.orderBy);
+  query.groupBy.push(...parsed.groupBy);
+  return parsed.groups.length > 0 ? parsed.groups[0].clauses : [];
+}
+
+/**
+ * Converts GlideRecord query calls (addQuery(), addOrCondition(),
+ * addNullQuery(), addEncodedQuery(), orderBy(), ...) into the equivalent
+ * encoded query. Other calls are ignored.
+ *
+ * @param {string} code - Script building one query
+ * @returns {string} Encoded query
+ * @throws {Error} If the script does not parse, queries several records, or
+ * passes anything but literals to the query methods
+ */
+export function scriptToEncodedQuery(code) {
+  const { ast } = parseCode(code, { ecmaVersion: 'latest' });
+  if (!ast) throw new Error('Invalid query script: the code does not parse');
+
+  const calls = [];
+  const declarations = new Map(); // call node -> variable holding its condition
+  walk(ast, node => {
+    const call = getMemberCall(node);
+    if (call && !node.callee.computed && QUERY_METHODS.has(call.method)) calls.push({ node, ...call });
+    if (node.type === 'VariableDeclarator' && node.init && node.id.type === 'Identifier') {
+      declarations.set(node.init, node.id.name);
+    }
+    if (node.type === 'AssignmentExpression' && node.left.type === 'Identifier') {
+      declarations.set(node.right, node.left.name);
+    }
+  });
+  calls.sort((a, b) => a.node.callee.property.start - b.node.callee.property.start);
+
+  const query = { groups: [{ clauses: [] }], orderBy: [], groupBy: [], errors: [] };
+  const { clauses } = query.groups[0];
+  const conditionVariables = new Map();
+  const callClauses = new Map();
+  const receivers = new Set();
+
+  const clauseOf = object => {
+    if (object.type === 'Identifier' && conditionVariables.has(object.name)) return conditionVariables.get(object.name);
+    return callClauses.get(object) || null;
+  };
+
+  for (const { node, object, method } of calls) {
+    const args = node.arguments.map(getLiteralValue);
+    if (args.includes(null)) throw new Error(`Cannot convert: ${method}() arguments must be literals`);
+
+    let clause = clauseOf(object);
+    if (method === 'addOrCondition') {
+      if (!clause) throw new Error('Cannot convert: addOrCondition() is not called on a query condition');
+      if (args.length < 2) throw new Error('Cannot convert: addOrCondition() needs a field and a value');
+      clause.conditions.push(conditionFromArguments(args, method));
+    } else {
+      if (clause) throw new Error(`Cannot convert: ${method}() is called on a query condition`);
+      receivers.add(code.slice(object.start, object.end));
+
+      if (method === 'addQuery' && args.length === 1) {
+        clauses.push(...mergeEncodedQuery(args[0], query));
+      } else if (method === 'addQuery') {
+        if (args.length < 2) throw new Error('Cannot convert: addQuery() needs a field and a value');
+        clause = { conditions: [conditionFromArguments(args, method)] };
+        clauses.push(clause);
+      } else if (method === 'addEncodedQuery') {
+        clauses.push(...mergeEncodedQuery(args[0] || '', query));
+      } else if (method === 'addNullQuery' || method === 'addNotNullQuery') {
+        const operator = method === 'addNullQuery' ? 'ISEMPTY' : 'ISNOTEMPTY';
+        clauses.push({ conditions: [{ field: args[0], operator, value: '', start: 0, end: 0 }] });
+      } else if (method === 'addActiveQuery') {
+        clauses.push({ conditions: [{ field: 'active', operator: '=', value: 'true', start: 0, end: 0 }] });
+      } else if (method === 'groupBy') {
+        query.groupBy.push(args[0]);
+      } else {
+        query.orderBy.push({ field: args[0], descending: method === 'orderByDesc' });
+      }
+    }
+
+    if (clause) {
+      callClauses.set(node, clause);
+      if (declarations.has(node)) conditionVariables.set(declarations.get(node), clause);
+    }
+  }
+
+  if (receivers.size === 0) throw new Error('Cannot convert: the script has no addQuery() or addEncodedQuery() calls');
+  if (receivers.size > 1) throw new Error(`Cannot convert: the script queries more than one record (${[...receivers].join(', ')})`);
+  return stringifyEncodedQuery(query);
+}
+
+// =============================================================================
+// SCRIPT SCANNING
+// =============================================================================
+
+/**
+ * Finds the literal encoded queries a script passes to addEncodedQuery()
+ * and setEncodedQuery().
+ *
+ * @param {string} code - Script to scan
+ * @returns {{ query: string, receiver: string, method: string, node: Object, contentStart: number|null }[]}
+ * `node` is the string literal; `contentStart` is the offset of the query
+ * text in the code, or null if the literal has escapes that shift offsets
+ */
+export function findEncodedQueries(code) {
+  const found = [];
+  const { ast } = parseCode(code, { ecmaVersion: 'latest' });
+  if (!ast) return found;
+
+  walk(ast, node => {
+    const call = getMemberCall(node);
+    if (!call || !ENCODED_QUERY_METHODS.has(call.method)) return;
+    const literal = node.arguments[0];
+    const query = getStringValue(literal);
+    if (query === null) return;
+
+    const raw = code.slice(literal.start + 1, literal.end - 1);
+    found.push({
+      query,
+      receiver: code.slice(call.object.start, call.object.end),
+      method: call.method,
+      node: literal,
+      contentStart: raw === query ? literal.start + 1 : null
+    });
+  });
+  return found;
+}
+
+export default {
+  ENCODED_QUERY_OPERATORS,
+  parseEncodedQuery,
+  describeCondition,
+  stringifyEncodedQuery,
+  encodedQueryToScript,
+  scriptToEncodedQuery,
+  findEncodedQueries
+};
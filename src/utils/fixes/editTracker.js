@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Edit Tracker
+ * @description Records every individual replacement a fix pass makes, expressed
+ * against the text the tracker started from. Passes rewrite the text in several
+ * steps, so each new edit is mapped back through the earlier ones; an edit that
+ * rewrites text produced by an earlier edit absorbs it. The result is a list of
+ * non-overlapping edits on the original text that can be reviewed and applied
+ * in any subset.
+ *
+ * Pattern replacements are literal-aware: a match that starts or ends inside
+ * a string, template, regular expression, or comment is skipped unless the
+ * rule declares that kind of literal editable (see literalRanges.js).
+ */
+
+import { locationFromOffsets } from '../diagnostics.js';
+import { findLiteralRanges, isCodeRange } from './literalRanges.js';
+
+// =============================================================================
+// TYPES
+// =============================================================================
+
+/**
+ * One recorded replacement, in coordinates of the tracker's original text.
+ * @typedef {Object} TrackedEdit
+ * @property {string} ruleId - Fix rule that made the edit
+ * @property {number} start - Start offset in the original text
+ * @property {number} end - End offset in the original text (exclusive)
+ * @property {string} text - Replacement text
+ * @property {boolean} cosmetic - Whitespace/punctuation-only edit that needs no review
+ */
+
+/**
+ * A reviewable edit as returned by the polish pipeline.
+ * @typedef {Object} ReviewEdit
+ * @property {string} id - Stable id within one polish result
+ * @property {string} ruleId - Fix rule that made the edit
+ * @property {string} before - Original text
+ * @property {string} after - Replacement text
+ * @property {number} start - Start offset in the polished input
+ * @property {number} end - End offset in the polished input
+ * @property {number} line - 1-based start line in the polished input
+ * @property {number} column - 1-based start column
+ * @property {number} endLine - 1-based end line
+ * @property {number} endColumn - 1-based end column (exclusive)
+ */
+
+// =============================================================================
+// TRACKER
+// =============================================================================
+
+/**
+ * Creates an edit tracker over some text.
+ *
+ * @param {string} original - Text before any edits
+ * @returns {{ text: string, edits: TrackedEdit[], apply: Function, replace: Function, locate: Function }}
+ */
+export function createEditTracker(original) {
+  let text = original;
+  let edits = []; // Sorted by start, never overlapping
+  let literalRanges = null; // Literal ranges of the current text, scanned on demand
+
+  /**
+   * Returns the literal ranges of the current text.
+   */
+  const currentLiteralRanges = () => {
+    if (!literalRanges) literalRanges = findLiteralRanges(text);
+    return literalRanges;
+  };
+
+  /**
+   * Calls `visit` for each match of a pattern in the current text that the
+   * literal ranges allow, with the replace-style match arguments.
+   */
+  const forEachCodeMatch = (pattern, editable, visit) => {
+    text.replace(pattern, (...args) => {
+      const hasGroups = typeof args[args.length - 1] === 'object';
+      const offset = args[args.length - (hasGroups ? 3 : 2)];
+      const match = args[0];
+      if (isCodeRange(currentLiteralRanges(), offset, offset + match.length, editable)) {
+        visit(offset, match, args);
+      }
+      return match;
+    });
+  };
+
+  /**
+   * Maps an offset in the current text to the original text, for the start
+   * of a range. Offsets inside an earlier edit's output map to its start.
+   */
+  const mapStart = (offset) => {
+    let delta = 0;
+    for (const edit of edits) {
+      const curStart = edit.start + delta;
+      const curEnd = curStart + edit.text.length;
+      if (offset < curStart) break;
+      if (offset < curEnd) return edit.start;
+      delta += edit.text.length - (edit.end - edit.start);
+    }
+    return offset - delta;
+  };
+
+  /**
+   * Maps an offset in the current text to the original text, for the end
+   * of a range. Offsets inside an earlier edit's output map to its end.
+   */
+  const mapEnd = (offset) => {
+    let delta = 0;
+    for (const edit of edits) {
+      const curStart = edit.start + delta;
+      const curEnd = curStart + edit.text.length;
+      if (offset <= curStart) break;
+      if (offset <= curEnd) return edit.end;
+      delta += edit.text.length - (edit.end - edit.start);
+    }
+    return offset - delta;
+  };
+
+  /**
+   * Records one replacement of [start, end) in the current text.
+   */
+  const record = (start, end, replacement, ruleId, cosmetic) => {
+    const insertion = start === end;
+    let delta = 0;
+    let extendedStart = start;
+    let extendedEnd = end;
+    const absorbed = [];
+
+    for (const edit of edits) {
+      const curStart = edit.start + delta;
+      const curEnd = curStart + edit.text.length;
+      const overlaps = insertion
+        ? curStart < start && start < curEnd
+        : start < curEnd && curStart < end;
+      if (overlaps) {
+        absorbed.push(edit);
+        extendedStart = Math.min(extendedStart, curStart);
+        extendedEnd = Math.max(extendedEnd, curEnd);
+      }
+      delta += edit.text.length - (edit.end - edit.start);
+    }
+
+    const origStart = mapStart(start);
+    const origEnd = insertion ? origStart : mapEnd(end);
+    const merged = text.slice(extendedStart, start) + replacement + text.slice(end, extendedEnd);
+
+    edits = edits.filter(edit => !absorbed.includes(edit));
+    edits.push({
+      ruleId,
+      start: Math.min(origStart, ...absorbed.map(e => e.start)),
+      end: Math.max(origEnd, ...absorbed.map(e => e.end)),
+      text: merged,
+      cosmetic: cosmetic && absorbed.every(e => e.cosmetic)
+    });
+    edits.sort((a, b) => a.start - b.start || a.end - b.end);
+
+    text = text.slice(0, start) + replacement + text.slice(end);
+    literalRanges = null;
+  };
+
+  return {
+    /** Current text with every edit applied */
+    get text() {
+      return text;
+    },
+
+    /** Recorded edits against the original text */
+    get edits() {
+      return edits.map(edit => ({ ...edit }));
+    },
+
+    /**
+     * Applies edits expressed against the current text, such as the edits of
+     * another tracker that started from this tracker's current text. Edits must
+     * not overlap each other; each may carry its own ruleId and cosmetic flag.
+     *
+     * @param {Array<{ start: number, end: number, text: string, ruleId?: string, cosmetic?: boolean }>} list - Edits
+     * @param {string} [ruleId] - Default rule id
+     * @param {boolean} [cosmetic] - Default for whether the edits need no review
+     * @returns {number} Number of edits applied
+     */
+    apply(list, ruleId, cosmetic = false) {
+      const ordered = [...list].sort((a, b) => b.start - a.start);
+      for (const edit of ordered) {
+        record(edit.start, edit.end, edit.text, edit.ruleId || ruleId, edit.cosmetic ?? cosmetic);
+      }
+      return ordered.length;
+    },
+
+    /**
+     * Replaces every match of a global pattern, like String.prototype.replace.
+     * String replacements are inserted literally (no `$1` patterns); use a
+     * replacer function for captures. Matches whose replacement equals the
+     * matched text are not recorded, and matches that cut into a literal are
+     * skipped without calling the replacer.
+     *
+     * @param {RegExp} pattern - Global regular expression
+     * @param {string|Function} replacement - Replacement text or replacer function
+     * @param {string} ruleId - Rule id for the recorded edits
+     * @param {boolean} [cosmetic] - Whether the edits need no review
+     * @param {Object} [options] - Replace options
+     * @param {string[]} [options.editable] - Literal kinds (LITERAL_KIND) the rule may edit inside
+     * @returns {number} Number of matches that changed
+     */
+    replace(pattern, replacement, ruleId, cosmetic = false, options = {}) {
+      const list = [];
+      forEachCodeMatch(pattern, options.editable, (offset, match, args) => {
+        const value = typeof replacement === 'function' ? replacement(...args) : replacement;
+        if (value !== match) list.push({ start: offset, end: offset + match.length, text: value });
+      });
+      return this.apply(list, ruleId, cosmetic);
+    },
+
+    /**
+     * Finds the first match of a pattern that `replace` would consider, for
+     * locating a fix diagnostic before the text changes.
+     *
+     * @param {RegExp} pattern - Regular expression (global or not)
+     * @param {Object} [options] - Same options as replace
+     * @returns {{ line: number, column: number, endLine: number, endColumn: number }|null}
+     */
+    locate(pattern, options = {}) {
+      const global = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+      let location = null;
+      forEachCodeMatch(global, options.editable, (offset, match) => {
+        if (!location) location = locationFromOffsets(text, offset, offset + match.length);
+      });
+      return location;
+    }
+  };
+}
+
+// =============================================================================
+// REVIEW HELPERS
+// =============================================================================
+
+/**
+ * Returns the id of a tracked edit, stable across re-runs on the same text.
+ *
+ * @param {TrackedEdit} edit - Edit from a tracker
+ * @returns {string} e.g. 'sn/replace-gs-now@120'
+ */
+export function editId(edit) {
+  return `${edit.ruleId}@${edit.start}`;
+}
+
+/**
+ * Turns tracked edits into reviewable edits with ids, before/after text,
+ * and locations in the original text. Cosmetic edits are left out.
+ *
+ * @param {string} original - Text the edits apply to
+ * @param {TrackedEdit[]} edits - Edits from a tracker
+ * @returns {ReviewEdit[]}
+ */
+export function toReviewEdits(original, edits) {
+  return edits
+    .filter(edit => !edit.cosmetic)
+    .map(edit => ({
+      id: editId(edit),
+      ruleId: edit.ruleId,
+      before: original.slice(edit.start, edit.end),
+      after: edit.text,
+      start: edit.start,
+      end: edit.end,
+      ...locationFromOffsets(original, edit.start, edit.end)
+    }));
+}
+
+/**
+ * Applies tracked edits to the original text, skipping rejected ones.
+ * Cosmetic edits can be skipped too.
+ *
+ * @param {string} original - Text the edits apply to
+ * @param {TrackedEdit[]} edits - Edits from a tracker
+ * @param {Set<string>} [rejectedIds] - Ids (from editId) to leave out
+ * @returns {string}
+ */
+export function applyTrackedEdits(original, edits, rejectedIds = new Set()) {
+  let result = original;
+  const ordered = [...edits].sort((a, b) => b.start - a.start || b.end - a.end);
+  for (const edit of ordered) {
+    if (rejectedIds.has(editId(edit))) continue;
+    result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+  }
+  return result;
+}
+
+export default createEditTracker;
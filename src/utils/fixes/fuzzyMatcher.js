@@ -5,9 +5,11 @@
  *
  * Features:
  * - Damerau-Levenshtein distance (handles transpositions)
- * - Context-aware matching (type inference)
+ * - Context-aware matching (scope-aware type inference over the AST, with a
+ *   regex fallback for code that does not parse)
  * - Confidence tiers for different correction behaviors
  * - Guardrails to prevent false positives
+ * - Names inside strings, comments, and regular expressions are ignored
  */
 
 import {
@@ -16,6 +18,62 @@ import {
   CONTEXT_METHOD_MAP,
   ALL_METHODS,
 } from './servicenowDictionary.js';
+import {
+  SEVERITY,
+  createDiagnostic,
+  createFix,
+  createQuickFix,
+  createEdit,
+  locationFromOffsets
+} from '../diagnostics.js';
+import { findLiteralRanges, isCodeRange } from './literalRanges.js';
+import { parseCode } from '../astParser.js';
+import { walk, getMemberCall } from '../astWalker.js';
+import { inferTypes, PRIMITIVE_TYPES } from '../typeInference.js';
+
+// =============================================================================
+// RULE METADATA
+// =============================================================================
+
+/**
+ * Fuzzy typo rules keyed by stable rule id
+ */
+export const FUZZY_FIX_RULES = {
+  'sn/fuzzy-typo': {
+    severity: SEVERITY.INFO,
+    description: 'Corrects a near-certain misspelling of a ServiceNow class or method'
+  },
+  'sn/fuzzy-likely-typo': {
+    severity: SEVERITY.INFO,
+    description: 'Corrects a likely misspelling of a ServiceNow class or method'
+  }
+};
+
+/**
+ * Fix messages by rule id, given the number of corrections and the
+ * corrections themselves as `{ before, after }`
+ */
+export const FUZZY_FIX_MESSAGES = {
+  'sn/fuzzy-typo': (n, corrections) => `Fixed ${n} typo(s): ${listCorrections(corrections)}`,
+  'sn/fuzzy-likely-typo': (n, corrections) => `Auto-corrected ${n} likely typo(s): ${listCorrections(corrections)}`
+};
+
+/**
+ * @returns {string} Distinct corrections, e.g. 'getValeu → getValue, qurey → query'
+ */
+function listCorrections(corrections) {
+  return [...new Set(corrections.map(c => `${c.before} → ${c.after}`))].join(', ');
+}
+
+/**
+ * Typo suggestion rules keyed by stable rule id
+ */
+export const TYPO_SUGGESTION_RULES = {
+  'sn/possible-typo': {
+    severity: SEVERITY.WARNING,
+    description: 'Name resembles a ServiceNow class or method but is too uncertain to correct'
+  }
+};
 
 // =============================================================================
 // CONFIGURATION
@@ -107,7 +165,8 @@ export function similarityScore(a, b) {
 
 /**
  * Infers variable types from code using regex-based analysis.
- * Tracks: var x = new ClassName(...) patterns.
+ * Tracks: var x = new ClassName(...) patterns. Used for code that does not
+ * parse; parsed code is typed by inferTypes() in typeInference.js.
  * 
  * @param {string} code - The code to analyze
  * @returns {Map<string, string>} Map of variable names to their inferred types
@@ -269,20 +328,30 @@ export function findBestClassMatch(className) {
   return findBestMatch(className, CLASS_NAMES);
 }
 
+/**
+ * Returns the methods valid on a receiver of the given types: the union of
+ * their dictionaries, or every known method if the type is unknown or any
+ * of the types has no dictionary.
+ *
+ * @param {string|string[]|null} contextType - Type or possible types of the receiver
+ * @returns {string[]}
+ */
+export function getMethodDictionary(contextType) {
+  const types = [].concat(contextType || []);
+  if (types.length === 0 || types.some(type => !CONTEXT_METHOD_MAP[type])) return ALL_METHODS;
+  if (types.length === 1) return CONTEXT_METHOD_MAP[types[0]];
+  return [...new Set(types.flatMap(type => CONTEXT_METHOD_MAP[type]))];
+}
+
 /**
  * Finds the best fuzzy match for a method name, optionally scoped by type.
  * 
  * @param {string} methodName - The method name to match
- * @param {string|null} contextType - The type context (e.g., 'GlideRecord', 'gs')
+ * @param {string|string[]|null} contextType - The type context (e.g., 'GlideRecord', 'gs'), or possible types
  * @returns {FuzzyMatchResult}
  */
 export function findBestMethodMatch(methodName, contextType = null) {
-  // Use context-specific dictionary if available
-  const dictionary = contextType && CONTEXT_METHOD_MAP[contextType]
-    ? CONTEXT_METHOD_MAP[contextType]
-    : ALL_METHODS;
-  
-  return findBestMatch(methodName, dictionary);
+  return findBestMatch(methodName, getMethodDictionary(contextType));
 }
 
 // =============================================================================
@@ -302,17 +371,118 @@ export function findBestMethodMatch(methodName, contextType = null) {
  */
 
 /**
- * Analyzes code and finds all potential corrections.
+ * Sorts a correction into auto-fixes or suggestions by its match result.
+ *
+ * @param {Object} result - FuzzyMatchResult
+ * @param {Correction} correction - Correction built from it
+ * @param {Correction[]} corrections - High/medium confidence corrections
+ * @param {Correction[]} suggestions - Low confidence suggestions
+ */
+function collectCorrection(result, correction, corrections, suggestions) {
+  if (result.shouldAutoFix) {
+    corrections.push(correction);
+  } else {
+    suggestions.push(correction);
+  }
+}
+
+/**
+ * Finds corrections in parsed code. Method receivers are typed by scope
+ * analysis, so `current`, parameters, reassigned variables, and chained
+ * calls are matched against their own API. Receivers typed as plain
+ * JavaScript values are skipped; untyped names fall back to every method.
+ *
+ * @param {Object} ast - Program node
+ * @returns {{ corrections: Correction[], suggestions: Correction[] }}
+ */
+function analyzeTree(ast) {
+  const corrections = [];
+  const suggestions = [];
+  const { typeOf } = inferTypes(ast);
+
+  walk(ast, (node, ancestors) => {
+    // Class instantiation: new ClassName(...)
+    if (node.type === 'NewExpression' && node.callee.type === 'Identifier') {
+      const className = node.callee.name;
+      if (!/^[A-Z]/.test(className) || CLASS_NAMES.includes(className)) return;
+      const result = findBestClassMatch(className);
+      if (result.match && result.confidence) {
+        collectCorrection(result, {
+          original: className,
+          corrected: result.match,
+          startIndex: node.callee.start,
+          endIndex: node.callee.end,
+          confidence: result.confidence,
+          type: 'class',
+          context: null,
+          distance: result.distance,
+          similarity: result.similarity,
+        }, corrections, suggestions);
+      }
+      return;
+    }
+
+    // Method calls: receiver.methodName(...)
+    const call = getMemberCall(node);
+    if (!call || node.callee.computed) return;
+
+    const types = typeOf(call.object, ancestors);
+    if (types.length > 0 && types.every(type => PRIMITIVE_TYPES.has(type))) return;
+    if (types.length === 0 && !['Identifier', 'MemberExpression', 'ThisExpression'].includes(call.object.type)) return;
+
+    if (getMethodDictionary(types).includes(call.method)) return;
+
+    const result = findBestMethodMatch(call.method, types);
+    if (result.match && result.confidence) {
+      const property = node.callee.property;
+      collectCorrection(result, {
+        original: call.method,
+        corrected: result.match,
+        startIndex: property.start,
+        endIndex: property.end,
+        confidence: result.confidence,
+        type: 'method',
+        context: types.length > 0 ? types.join('|') : null,
+        distance: result.distance,
+        similarity: result.similarity,
+      }, corrections, suggestions);
+    }
+  });
+
+  corrections.sort((a, b) => b.startIndex - a.startIndex);
+  suggestions.sort((a, b) => b.startIndex - a.startIndex);
+
+  return { corrections, suggestions };
+}
+
+/**
+ * Analyzes code and finds all potential corrections. Parsed code is
+ * analyzed on its AST; code that does not parse (such as a script being
+ * typed) falls back to pattern matching with regex type inference.
  * 
  * @param {string} code - The code to analyze
  * @returns {{ corrections: Correction[], suggestions: Correction[] }}
  */
 export function analyzeCode(code) {
+  const { ast } = parseCode(code, { ecmaVersion: 'latest' });
+  return ast ? analyzeTree(ast) : analyzeText(code);
+}
+
+/**
+ * Finds corrections with regular expressions, for code that does not parse.
+ * 
+ * @param {string} code - The code to analyze
+ * @returns {{ corrections: Correction[], suggestions: Correction[] }}
+ */
+function analyzeText(code) {
   const corrections = [];  // High/medium confidence - will be auto-fixed
   const suggestions = [];  // Low confidence - will only be suggested as warnings
   
   // Infer variable types
   const typeMap = inferVariableTypes(code);
+
+  // Names inside strings, comments, and regular expressions are not code
+  const literalRanges = findLiteralRanges(code);
   
   // Pattern for class instantiation: new ClassName(
   const classPattern = /\bnew\s+([A-Z]\w*)\s*\(/g;
@@ -323,6 +493,7 @@ export function analyzeCode(code) {
     
     // Skip if already valid
     if (CLASS_NAMES.includes(className)) continue;
+    if (!isCodeRange(literalRanges, match.index, match.index + fullMatch.length)) continue;
     
     const result = findBestClassMatch(className);
     
@@ -352,7 +523,8 @@ export function analyzeCode(code) {
   const methodPattern = /(\b\w+)\.(\w+)\s*\(/g;
   
   while ((match = methodPattern.exec(code)) !== null) {
-    const [, receiver, methodName] = match;
+    const [fullMatch, receiver, methodName] = match;
+    if (!isCodeRange(literalRanges, match.index, match.index + fullMatch.length)) continue;
     
     // Get the context type for this receiver
     const contextType = getReceiverType(receiver, typeMap);
@@ -417,49 +589,93 @@ export function applyCorrections(code, corrections) {
   return result;
 }
 
+/**
+ * Builds located warning diagnostics for low-confidence typo suggestions.
+ * Locations refer to the code passed in, so callers should analyze the
+ * text that is actually displayed.
+ * 
+ * @param {string} code - The code to analyze
+ * @returns {import('../diagnostics.js').Diagnostic[]} Suggestion diagnostics in source order
+ */
+export function analyzeTypoSuggestions(code) {
+  const { suggestions } = analyzeCode(code);
+  
+  return suggestions
+    .slice()
+    .sort((a, b) => a.startIndex - b.startIndex)
+    .map(suggestion => {
+      const location = locationFromOffsets(code, suggestion.startIndex, suggestion.endIndex);
+      return createDiagnostic(
+        'sn/possible-typo',
+        SEVERITY.WARNING,
+        `Possible typo: "${suggestion.original}" - did you mean "${suggestion.corrected}"?`,
+        location,
+        suggestion.corrected,
+        createQuickFix(`Change to "${suggestion.corrected}"`, createEdit(location, suggestion.corrected))
+      );
+    });
+}
+
 /**
  * Main entry point: analyze and correct code with fuzzy matching.
  * 
  * @param {string} code - The code to process
- * @returns {{ processed: string, fixes: string[], suggestions: string[] }}
+ * @returns {{ processed: string, fixes: Diagnostic[], edits: Object[], suggestions: Diagnostic[] }}
  */
 export function fuzzyCorrectCode(code) {
-  const { corrections, suggestions } = analyzeCode(code);
+  const { corrections } = analyzeCode(code);
   
   // Apply auto-fixes
   const processed = applyCorrections(code, corrections);
   
-  // Generate fix messages
+  // Generate fix diagnostics
   const fixes = [];
-  const suggestionMessages = [];
   
   // Group corrections by confidence
   const highConfidence = corrections.filter(c => c.confidence === 'high');
   const mediumConfidence = corrections.filter(c => c.confidence === 'medium');
   
+  // Corrections are sorted descending, so the first occurrence is last
+  const firstLocation = (group) => {
+    const first = group[group.length - 1];
+    return locationFromOffsets(code, first.startIndex, first.endIndex);
+  };
+  
+  // Corrections are listed in source order
+  const describe = (ruleId, group) => FUZZY_FIX_MESSAGES[ruleId](
+    group.length,
+    [...group].reverse().map(c => ({ before: c.original, after: c.corrected }))
+  );
+  
   // High confidence fixes (silent)
   if (highConfidence.length > 0) {
-    const uniqueFixes = [...new Set(highConfidence.map(c => `${c.original} → ${c.corrected}`))];
-    fixes.push(`Fixed ${highConfidence.length} typo(s): ${uniqueFixes.join(', ')}`);
+    fixes.push(createFix('sn/fuzzy-typo', describe('sn/fuzzy-typo', highConfidence), firstLocation(highConfidence)));
   }
   
   // Medium confidence fixes (with note)
   if (mediumConfidence.length > 0) {
-    const uniqueFixes = [...new Set(mediumConfidence.map(c => `${c.original} → ${c.corrected}`))];
-    fixes.push(`Auto-corrected ${mediumConfidence.length} likely typo(s): ${uniqueFixes.join(', ')}`);
+    fixes.push(createFix(
+      'sn/fuzzy-likely-typo',
+      describe('sn/fuzzy-likely-typo', mediumConfidence),
+      firstLocation(mediumConfidence)
+    ));
   }
   
-  // Low confidence suggestions (warnings only)
-  for (const suggestion of suggestions) {
-    suggestionMessages.push(
-      `Possible typo: "${suggestion.original}" - did you mean "${suggestion.corrected}"?`
-    );
-  }
+  // Individual corrections, for review and selective application
+  const edits = corrections.map(c => ({
+    ruleId: c.confidence === 'high' ? 'sn/fuzzy-typo' : 'sn/fuzzy-likely-typo',
+    start: c.startIndex,
+    end: c.endIndex,
+    text: c.corrected,
+    cosmetic: false,
+  }));
   
+  // Low confidence suggestions (warnings only), located in the corrected code
   return {
     processed,
     fixes,
-    suggestions: suggestionMessages,
+    edits,
+    suggestions: analyzeTypoSuggestions(processed),
   };
 }
 
@@ -470,11 +686,13 @@ export default {
   damerauLevenshteinDistance,
   similarityScore,
   inferVariableTypes,
+  getMethodDictionary,
   findBestMatch,
   findBestClassMatch,
   findBestMethodMatch,
   analyzeCode,
   applyCorrections,
+  analyzeTypoSuggestions,
   fuzzyCorrectCode,
   CONFIG,
 };
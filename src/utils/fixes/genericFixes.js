@@ -2,71 +2,186 @@
  * @fileoverview Generic JavaScript Fixes
  * @description Pre-processing fixes that apply to any JavaScript code,
  * not specific to ServiceNow. These run before Prettier formatting.
+ * Whitespace and punctuation cleanups are recorded as cosmetic edits, which
+ * are always applied; boolean simplification is offered for review.
  */
 
+import { SEVERITY, createFix } from '../diagnostics.js';
+import { createEditTracker } from './editTracker.js';
+import { LITERAL_KIND } from './literalRanges.js';
+
+// =============================================================================
+// RULE METADATA
+// =============================================================================
+
+/**
+ * Generic fix rules keyed by stable rule id
+ */
+export const GENERIC_FIX_RULES = {
+  'generic/line-endings': {
+    severity: SEVERITY.INFO,
+    description: 'Normalizes Windows (CRLF) line endings to LF'
+  },
+  'generic/trailing-whitespace': {
+    severity: SEVERITY.INFO,
+    description: 'Removes trailing spaces and tabs at the end of lines'
+  },
+  'generic/multiple-semicolons': {
+    severity: SEVERITY.INFO,
+    description: 'Collapses repeated semicolons into one'
+  },
+  'generic/empty-statement': {
+    severity: SEVERITY.INFO,
+    description: 'Removes lines that contain only a semicolon'
+  },
+  'generic/keyword-spacing': {
+    severity: SEVERITY.INFO,
+    description: 'Adds a space between control flow keywords and their parenthesis'
+  },
+  'generic/blank-lines': {
+    severity: SEVERITY.INFO,
+    description: 'Reduces runs of blank lines'
+  },
+  'generic/boolean-comparison': {
+    severity: SEVERITY.INFO,
+    description: 'Removes redundant == true comparisons'
+  }
+};
+
+/**
+ * Fix messages by rule id, given the number of changes, for the rules that
+ * count them
+ */
+export const GENERIC_FIX_MESSAGES = {
+  'generic/trailing-whitespace': n => `Removed trailing whitespace from ${n} lines`,
+  'generic/multiple-semicolons': n => `Fixed ${n} multiple semicolons`
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Checks whether an offset lies inside the parenthesized header of a `for`
+ * loop, where `;;` separates empty clauses.
+ *
+ * @param {string} code - Code being fixed
+ * @param {number} offset - Offset to check
+ * @returns {boolean}
+ */
+function isInForHeader(code, offset) {
+  let depth = 0;
+  for (let i = offset - 1; i >= 0; i--) {
+    if (code[i] === ')') depth++;
+    if (code[i] === '(') {
+      if (depth === 0) return /\bfor\s*$/.test(code.slice(Math.max(0, i - 10), i));
+      depth--;
+    }
+  }
+  return false;
+}
+
+/**
+ * Checks whether the code before an offset ends a statement, so a lone
+ * semicolon there is an empty statement of its own. After a control header
+ * such as `if (x)` it is the statement's body, and after an unterminated
+ * expression it keeps the next line from continuing that expression.
+ *
+ * @param {string} code - Code being fixed
+ * @param {number} offset - Offset of the semicolon line
+ * @returns {boolean}
+ */
+function followsCompleteStatement(code, offset) {
+  const before = code.slice(0, offset).trimEnd();
+  return before === '' || /[;{]$/.test(before);
+}
+
+// =============================================================================
+// MAIN EXPORT
+// =============================================================================
+
 /**
  * Applies generic pre-processing fixes before Prettier formatting.
+ * String, template, and regular expression contents are never changed;
+ * whitespace cleanups also apply inside comments.
  *
  * @param {string} code - The code to process
- * @returns {{ processed: string, fixes: string[] }} Processed code and list of applied fixes
+ * @returns {{ processed: string, fixes: Diagnostic[], edits: TrackedEdit[] }} Processed code,
+ * list of applied fixes, and the individual edits against the input
  */
 export function applyGenericFixes(code) {
-  let processed = code;
+  const tracker = createEditTracker(code);
   const fixes = [];
 
-  // Normalize line endings (Windows CRLF to Unix LF)
-  if (processed.includes('\r\n')) {
-    processed = processed.replace(/\r\n/g, '\n');
-    fixes.push('Normalized line endings to LF');
+  // Normalize line endings (Windows CRLF to Unix LF). Line breaks inside
+  // template literals read as LF either way.
+  const lineEndingOptions = { editable: [LITERAL_KIND.STRING, LITERAL_KIND.TEMPLATE, LITERAL_KIND.COMMENT] };
+  if (tracker.replace(/\r\n/g, '\n', 'generic/line-endings', true, lineEndingOptions) > 0) {
+    fixes.push(createFix('generic/line-endings', 'Normalized line endings to LF'));
   }
 
   // Remove trailing whitespace from lines
-  const trailingWhitespaceCount = (processed.match(/[ \t]+$/gm) || []).length;
+  const commentOptions = { editable: [LITERAL_KIND.COMMENT] };
+  const trailingWhitespaceLocation = tracker.locate(/[ \t]+$/m, commentOptions);
+  const trailingWhitespaceCount = tracker.replace(/[ \t]+$/gm, '', 'generic/trailing-whitespace', true, commentOptions);
   if (trailingWhitespaceCount > 0) {
-    processed = processed.replace(/[ \t]+$/gm, '');
-    fixes.push(`Removed trailing whitespace from ${trailingWhitespaceCount} lines`);
+    fixes.push(createFix(
+      'generic/trailing-whitespace',
+      GENERIC_FIX_MESSAGES['generic/trailing-whitespace'](trailingWhitespaceCount),
+      trailingWhitespaceLocation
+    ));
   }
 
-  // Fix multiple semicolons (;;; or more becomes single ;)
-  const multipleSemiCount = (processed.match(/;{2,}/g) || []).length;
+  // Fix multiple semicolons (;;; or more becomes single ;), except the
+  // empty clauses of a for loop header
+  const multipleSemiLocation = tracker.locate(/;{2,}/);
+  const multipleSemiCount = tracker.replace(
+    /;{2,}/g,
+    (match, offset, source) => (isInForHeader(source, offset) ? match : ';'),
+    'generic/multiple-semicolons',
+    true
+  );
   if (multipleSemiCount > 0) {
-    processed = processed.replace(/;{2,}/g, ';');
-    fixes.push(`Fixed ${multipleSemiCount} multiple semicolons`);
+    fixes.push(createFix('generic/multiple-semicolons', GENERIC_FIX_MESSAGES['generic/multiple-semicolons'](multipleSemiCount), multipleSemiLocation));
   }
 
   // Remove empty statements (standalone semicolons on their own line)
-  const emptyStatementsBefore = processed;
-  processed = processed.replace(/^\s*;\s*$/gm, '');
-  if (processed !== emptyStatementsBefore) {
-    fixes.push('Removed empty statements');
+  const emptyStatementLocation = tracker.locate(/^\s*;\s*$/m);
+  const emptyStatementCount = tracker.replace(
+    /^\s*;\s*$/gm,
+    (match, offset, source) => (followsCompleteStatement(source, offset) ? '' : match),
+    'generic/empty-statement',
+    true
+  );
+  if (emptyStatementCount > 0) {
+    fixes.push(createFix('generic/empty-statement', 'Removed empty statements', emptyStatementLocation));
   }
 
   // Ensure proper spacing after control flow keywords
-  const keywordBefore = processed;
-  processed = processed
-    .replace(/\bif\(/g, 'if (')
-    .replace(/\bfor\(/g, 'for (')
-    .replace(/\bwhile\(/g, 'while (')
-    .replace(/\bswitch\(/g, 'switch (')
-    .replace(/\bcatch\(/g, 'catch (')
-    .replace(/\btypeof\(/g, 'typeof (');
-  if (processed !== keywordBefore) {
-    fixes.push('Fixed spacing after keywords');
+  const keywordLocation = tracker.locate(/\b(if|for|while|switch|catch|typeof)\(/);
+  const keywordCount = tracker.replace(
+    /\b(if|for|while|switch|catch|typeof)\(/g,
+    (match, keyword) => `${keyword} (`,
+    'generic/keyword-spacing',
+    true
+  );
+  if (keywordCount > 0) {
+    fixes.push(createFix('generic/keyword-spacing', 'Fixed spacing after keywords', keywordLocation));
   }
 
   // Reduce excessive blank lines (4+ consecutive to max 2)
-  const multipleBlanksBefore = processed;
-  processed = processed.replace(/\n{4,}/g, '\n\n\n');
-  if (processed !== multipleBlanksBefore) {
-    fixes.push('Reduced excessive blank lines');
+  const blankLinesLocation = tracker.locate(/\n{4,}/, commentOptions);
+  if (tracker.replace(/\n{4,}/g, '\n\n\n', 'generic/blank-lines', true, commentOptions) > 0) {
+    fixes.push(createFix('generic/blank-lines', 'Reduced excessive blank lines', blankLinesLocation));
   }
 
-  // Simplify boolean comparisons (conservative: only remove == true)
-  const booleanBefore = processed;
-  processed = processed.replace(/\s*===?\s*true\b/g, '');
-  if (processed !== booleanBefore) {
-    fixes.push('Simplified boolean comparisons (removed == true)');
+  // Simplify boolean comparisons (conservative: only remove == true, and
+  // never the tail of != true or !== true)
+  const booleanPattern = /(?<![!=<>])\s*===?\s*true\b/g;
+  const booleanLocation = tracker.locate(booleanPattern);
+  if (tracker.replace(booleanPattern, '', 'generic/boolean-comparison') > 0) {
+    fixes.push(createFix('generic/boolean-comparison', 'Simplified boolean comparisons (removed == true)', booleanLocation));
   }
 
-  return { processed, fixes };
+  return { processed: tracker.text, fixes, edits: tracker.edits };
 }
@@ -5,6 +5,54 @@
  * These run before Prettier formatting to handle common JSON5/relaxed JSON patterns.
  */
 
+import { SEVERITY, createFix } from '../diagnostics.js';
+
+// =============================================================================
+// RULE METADATA
+// =============================================================================
+
+/**
+ * JSON fix rules keyed by stable rule id
+ */
+export const JSON_FIX_RULES = {
+  'json/line-endings': {
+    severity: SEVERITY.INFO,
+    description: 'Normalizes Windows (CRLF) line endings to LF'
+  },
+  'json/trailing-whitespace': {
+    severity: SEVERITY.INFO,
+    description: 'Removes trailing spaces and tabs at the end of lines'
+  },
+  'json/remove-comments': {
+    severity: SEVERITY.INFO,
+    description: 'Removes // and /* */ comments, which JSON does not allow'
+  },
+  'json/remove-trailing-commas': {
+    severity: SEVERITY.INFO,
+    description: 'Removes commas before a closing ] or }'
+  },
+  'json/double-quotes': {
+    severity: SEVERITY.INFO,
+    description: 'Converts single-quoted strings to double quotes'
+  },
+  'json/quote-keys': {
+    severity: SEVERITY.INFO,
+    description: 'Adds double quotes around unquoted object keys'
+  },
+  'json/multiple-commas': {
+    severity: SEVERITY.INFO,
+    description: 'Collapses consecutive commas into one'
+  },
+  'json/blank-lines': {
+    severity: SEVERITY.INFO,
+    description: 'Reduces runs of blank lines'
+  },
+  'json/missing-closers': {
+    severity: SEVERITY.INFO,
+    description: 'Adds missing closing braces and brackets'
+  }
+};
+
 // =============================================================================
 // MAIN EXPORT
 // =============================================================================
@@ -14,7 +62,7 @@
  * Handles common JSON issues like comments, trailing commas, and missing brackets.
  *
  * @param {string} code - The JSON content to process
- * @returns {{ processed: string, fixes: string[] }} Processed JSON and list of applied fixes
+ * @returns {{ processed: string, fixes: Diagnostic[] }} Processed JSON and list of applied fixes
  */
 export function applyJsonFixes(code) {
   let processed = code;
@@ -27,63 +75,63 @@ export function applyJsonFixes(code) {
   // Normalize line endings (Windows CRLF to Unix LF)
   if (processed.includes('\r\n')) {
     processed = processed.replace(/\r\n/g, '\n');
-    fixes.push('Normalized line endings to LF');
+    fixes.push(createFix('json/line-endings', 'Normalized line endings to LF'));
   }
 
   // Remove trailing whitespace from each line
   const trailingCount = (processed.match(/[ \t]+$/gm) || []).length;
   if (trailingCount > 0) {
     processed = processed.replace(/[ \t]+$/gm, '');
-    fixes.push(`Removed trailing whitespace from ${trailingCount} lines`);
+    fixes.push(createFix('json/trailing-whitespace', `Removed trailing whitespace from ${trailingCount} lines`));
   }
 
   // Remove single-line comments (// ...) - not valid in JSON
-  const singleLineComments = processed.match(/\/\/[^\n]*/g);
-  if (singleLineComments && singleLineComments.length > 0) {
-    processed = removeSingleLineComments(processed);
-    fixes.push(`Removed ${singleLineComments.length} single-line comment(s)`);
+  const singleLineComments = removeSingleLineComments(processed);
+  if (singleLineComments.count > 0) {
+    processed = singleLineComments.code;
+    fixes.push(createFix('json/remove-comments', `Removed ${singleLineComments.count} single-line comment(s)`));
   }
 
   // Remove multi-line comments (/* ... */) - not valid in JSON
   const multiLineComments = processed.match(/\/\*[\s\S]*?\*\//g);
   if (multiLineComments && multiLineComments.length > 0) {
     processed = processed.replace(/\/\*[\s\S]*?\*\//g, '');
-    fixes.push(`Removed ${multiLineComments.length} multi-line comment(s)`);
+    fixes.push(createFix('json/remove-comments', `Removed ${multiLineComments.length} multi-line comment(s)`));
   }
 
   // Remove trailing commas before ] or } - not valid in JSON
   const trailingCommasBefore = processed;
   processed = removeTrailingCommas(processed);
   if (processed !== trailingCommasBefore) {
-    fixes.push('Removed trailing commas');
+    fixes.push(createFix('json/remove-trailing-commas', 'Removed trailing commas'));
   }
 
   // Convert single quotes to double quotes (JSON requires double quotes)
   const singleQuotesBefore = processed;
   processed = convertSingleToDoubleQuotes(processed);
   if (processed !== singleQuotesBefore) {
-    fixes.push('Converted single quotes to double quotes');
+    fixes.push(createFix('json/double-quotes', 'Converted single quotes to double quotes'));
   }
 
   // Quote unquoted keys (JavaScript-style object keys)
   const unquotedKeysBefore = processed;
   processed = quoteUnquotedKeys(processed);
   if (processed !== unquotedKeysBefore) {
-    fixes.push('Added quotes to unquoted keys');
+    fixes.push(createFix('json/quote-keys', 'Added quotes to unquoted keys'));
   }
 
   // Fix multiple consecutive commas (,, becomes ,)
   const multipleCommasBefore = processed;
   processed = processed.replace(/,(\s*,)+/g, ',');
   if (processed !== multipleCommasBefore) {
-    fixes.push('Fixed multiple consecutive commas');
+    fixes.push(createFix('json/multiple-commas', 'Fixed multiple consecutive commas'));
   }
 
   // Reduce excessive blank lines (3+ to 2)
   const emptyLinesBefore = processed;
   processed = processed.replace(/\n{3,}/g, '\n\n');
   if (processed !== emptyLinesBefore) {
-    fixes.push('Reduced excessive blank lines');
+    fixes.push(createFix('json/blank-lines', 'Reduced excessive blank lines'));
   }
 
   // Fix missing closing braces/brackets (structural repair)
@@ -106,7 +154,7 @@ export function applyJsonFixes(code) {
  * Tracks opening brackets and adds missing closers at the end.
  *
  * @param {string} code - JSON content
- * @returns {{ code: string, fixes: string[] }} Fixed code and fix messages
+ * @returns {{ code: string, fixes: Diagnostic[] }} Fixed code and fix diagnostics
  */
 function fixMissingClosingBrackets(code) {
   const fixes = [];
@@ -165,10 +213,10 @@ function fixMissingClosingBrackets(code) {
   }
 
   if (missingBraces > 0) {
-    fixes.push(`Added ${missingBraces} missing closing brace(s) '}'`);
+    fixes.push(createFix('json/missing-closers', `Added ${missingBraces} missing closing brace(s) '}'`));
   }
   if (missingBrackets > 0) {
-    fixes.push(`Added ${missingBrackets} missing closing bracket(s) ']'`);
+    fixes.push(createFix('json/missing-closers', `Added ${missingBrackets} missing closing bracket(s) ']'`));
   }
 
   return { code: result, fixes };
@@ -183,10 +231,11 @@ function fixMissingClosingBrackets(code) {
  * Comments inside strings are not removed.
  *
  * @param {string} code - JSON content
- * @returns {string} Code without single-line comments
+ * @returns {{ code: string, count: number }} Code without single-line comments, and how many were removed
  */
 function removeSingleLineComments(code) {
   let result = '';
+  let count = 0;
   let inString = false;
   let escaped = false;
   let i = 0;
@@ -218,6 +267,7 @@ function removeSingleLineComments(code) {
 
     // Found comment start outside of string - skip to end of line
     if (!inString && char === '/' && nextChar === '/') {
+      count++;
       while (i < code.length && code[i] !== '\n') {
         i++;
       }
@@ -228,7 +278,7 @@ function removeSingleLineComments(code) {
     i++;
   }
 
-  return result;
+  return { code: result, count };
 }
 
 // =============================================================================
@@ -0,0 +1,596 @@
+/**
+ * @fileoverview Language Target Fixes
+ * @description Syntax transforms between the JavaScript engine modes of
+ * ServiceNow scripts (see languageTargets.js). For ES5 mode, modern syntax
+ * with a direct ES5 form is downleveled: arrow functions, `let`/`const`,
+ * template literals, shorthand properties and methods, and `**`. For
+ * ES2021 mode, ES5 idioms are modernized: `var` becomes `let`/`const`,
+ * string concatenation becomes template literals, and function callbacks
+ * become arrow functions. A construct is only rewritten when the meaning is
+ * kept: functions that use `this` or `arguments` keep their form, and a
+ * declaration keeps its keyword when its variable is used outside the new
+ * scope or captured by closures in a loop. Runs on the AST so comments and
+ * strings are untouched.
+ */
+
+import { parseCode } from '../astParser.js';
+import { walk, isFunctionNode, isLoopNode, isVariableReference, analyzeScopes } from '../astWalker.js';
+import { SEVERITY, createFix, locationFromNode } from '../diagnostics.js';
+
+// =============================================================================
+// RULE METADATA
+// =============================================================================
+
+/**
+ * Language target fix rules keyed by stable rule id
+ */
+export const LANGUAGE_FIX_RULES = {
+  'es5/arrow-function': {
+    severity: SEVERITY.INFO,
+    description: 'ES5 mode: rewrites arrow functions that do not use this or arguments as function expressions'
+  },
+  'es5/let-const': {
+    severity: SEVERITY.INFO,
+    description: 'ES5 mode: rewrites let and const as var when no other variable of the function has the name'
+  },
+  'es5/template-literal': {
+    severity: SEVERITY.INFO,
+    description: 'ES5 mode: rewrites untagged template literals as string concatenation'
+  },
+  'es5/object-shorthand': {
+    severity: SEVERITY.INFO,
+    description: 'ES5 mode: expands shorthand properties and methods'
+  },
+  'es5/exponent-operator': {
+    severity: SEVERITY.INFO,
+    description: 'ES5 mode: rewrites a ** b as Math.pow(a, b)'
+  },
+  'modern/var': {
+    severity: SEVERITY.INFO,
+    description: 'ES2021 mode: rewrites var as const (let when reassigned) when the variable stays in its block'
+  },
+  'modern/template-literal': {
+    severity: SEVERITY.INFO,
+    description: 'ES2021 mode: rewrites string concatenation as template literals'
+  },
+  'modern/arrow-callback': {
+    severity: SEVERITY.INFO,
+    description: 'ES2021 mode: rewrites function callbacks that do not use this or arguments as arrow functions'
+  }
+};
+
+/** @returns {string} e.g. '1 arrow function', '2 arrow functions' */
+const count = (n, singular, plural = `${singular}s`) => `${n} ${n === 1 ? singular : plural}`;
+
+/**
+ * Fix messages by rule id, given the number of rewrites
+ */
+export const LANGUAGE_FIX_MESSAGES = {
+  'es5/arrow-function': n => `ES5 mode: rewrote ${count(n, 'arrow function')} as function expressions`,
+  'es5/let-const': n => `ES5 mode: replaced ${count(n, 'let/const declaration')} with var`,
+  'es5/template-literal': n => `ES5 mode: rewrote ${count(n, 'template literal')} as string concatenation`,
+  'es5/object-shorthand': n => `ES5 mode: expanded ${count(n, 'shorthand property or method', 'shorthand properties and methods')}`,
+  'es5/exponent-operator': n => `ES5 mode: rewrote ${count(n, '** operator')} as Math.pow()`,
+  'modern/var': n => `ES2021 mode: replaced ${count(n, 'var declaration')} with let/const`,
+  'modern/template-literal': n => `ES2021 mode: rewrote ${count(n, 'string concatenation')} as template literals`,
+  'modern/arrow-callback': n => `ES2021 mode: rewrote ${count(n, 'function callback')} as arrow functions`
+};
+
+/** Expressions that need no parentheses as an operand of `+` */
+const PLUS_OPERAND_TYPES = new Set([
+  'Identifier', 'Literal', 'MemberExpression', 'CallExpression', 'NewExpression', 'ThisExpression',
+  'TemplateLiteral', 'TaggedTemplateExpression', 'ArrayExpression', 'ChainExpression',
+  'UnaryExpression', 'UpdateExpression'
+]);
+
+/** Binary operators that bind tighter than (or as tight as) `+` */
+const TIGHTER_OPERATORS = new Set(['*', '/', '%', '**', '-']);
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @param {string} value - String value
+ * @returns {string} Single-quoted JavaScript string literal
+ */
+function quote(value) {
+  const escapes = { '\\': '\\\\', "'": "\\'", '\n': '\\n', '\r': '\\r', '\u2028': '\\u2028', '\u2029': '\\u2029' };
+  return `'${value.replace(/[\\'\n\r\u2028\u2029]/g, char => escapes[char])}'`;
+}
+
+/**
+ * Checks whether a function uses its own `this`, `arguments`, `super`, or
+ * `new.target`, which an arrow function would take from its surroundings.
+ *
+ * @param {Object} fn - Function node
+ * @returns {boolean}
+ */
+function usesOwnContext(fn) {
+  let uses = false;
+  walk(fn.body, (node, ancestors) => {
+    if (uses || ancestors.some(a => isFunctionNode(a) && a.type !== 'ArrowFunctionExpression')) return;
+    if (node.type === 'ThisExpression' || node.type === 'Super' || node.type === 'MetaProperty') uses = true;
+    if (node.type === 'Identifier' && node.name === 'arguments' &&
+        isVariableReference(node, ancestors[ancestors.length - 1])) uses = true;
+  });
+  return uses;
+}
+
+/**
+ * @param {Object[]} ancestors - Ancestor chain
+ * @returns {Object} Nearest enclosing function, or the program
+ */
+function getFunctionScope(ancestors) {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    if (isFunctionNode(ancestors[i])) return ancestors[i];
+  }
+  return ancestors[0];
+}
+
+/**
+ * @param {Object} container - Possible container
+ * @param {Object} node - Node
+ * @returns {boolean} True if the node lies inside the container's range
+ */
+function contains(container, node) {
+  return node.start >= container.start && node.end <= container.end;
+}
+
+/**
+ * Indexes the variable references of a program by binding and by name.
+ *
+ * @param {Object} ast - Program node
+ * @param {Function} resolve - Resolver from analyzeScopes()
+ * @returns {{ byBinding: Map, byName: Map }} Lists of { node, parent, ancestors, binding }
+ */
+function collectReferences(ast, resolve) {
+  const byBinding = new Map();
+  const byName = new Map();
+  walk(ast, (node, ancestors) => {
+    const parent = ancestors[ancestors.length - 1];
+    if (!isVariableReference(node, parent)) return;
+    const binding = resolve(node.name, ancestors);
+    const reference = { node, parent, ancestors: [...ancestors], binding };
+    if (binding) {
+      if (!byBinding.has(binding)) byBinding.set(binding, []);
+      byBinding.get(binding).push(reference);
+    }
+    if (!byName.has(node.name)) byName.set(node.name, []);
+    byName.get(node.name).push(reference);
+  });
+  return { byBinding, byName };
+}
+
+/**
+ * Maps every scope node (program, function, block, loop, catch clause) to
+ * its enclosing function or the program.
+ *
+ * @param {Object} ast - Program node
+ * @returns {Map<Object, Object>}
+ */
+function mapScopeFunctions(ast) {
+  const functions = new Map();
+  walk(ast, (node, ancestors) => {
+    functions.set(node, isFunctionNode(node) || ancestors.length === 0 ? node : getFunctionScope(ancestors));
+  });
+  return functions;
+}
+
+/**
+ * @param {Object} reference - Entry of collectReferences()
+ * @param {Object} fnScope - Function (or program) of the declaration
+ * @returns {boolean} True if the reference sits in a function nested in fnScope
+ */
+function isInNestedFunction(reference, fnScope) {
+  return reference.ancestors.some(a => isFunctionNode(a) && a !== fnScope && contains(fnScope, a));
+}
+
+/**
+ * @param {Object} declaration - VariableDeclaration node
+ * @param {Object} parent - Parent node
+ * @returns {boolean} True if the declaration is the head of a for, for-in, or for-of loop
+ */
+function isLoopHead(declaration, parent) {
+  return (parent.type === 'ForStatement' && parent.init === declaration) ||
+    ((parent.type === 'ForInStatement' || parent.type === 'ForOfStatement') && parent.left === declaration);
+}
+
+/**
+ * @param {Object} reference - Entry of collectReferences()
+ * @returns {boolean} True if the reference is assigned to
+ */
+function isWrite(reference) {
+  const { node, parent } = reference;
+  return (parent.type === 'AssignmentExpression' && parent.left === node) ||
+    parent.type === 'UpdateExpression' ||
+    ((parent.type === 'ForInStatement' || parent.type === 'ForOfStatement') && parent.left === node);
+}
+
+// =============================================================================
+// ES5 TRANSFORMS
+// =============================================================================
+
+/**
+ * `(a, b) => expr` → `function (a, b) { return expr; }`
+ */
+function downlevelArrow(node, ancestors, context) {
+  if (node.type !== 'ArrowFunctionExpression' || node.async) return null;
+  if (node.params.some(param => param.type !== 'Identifier') || usesOwnContext(node)) return null;
+  const parent = ancestors[ancestors.length - 1];
+  if (parent.type === 'ExpressionStatement') return null;
+
+  const paramsEnd = node.params.length > 0 ? node.params[node.params.length - 1].end : node.start;
+  const arrow = context.code.indexOf('=>', paramsEnd);
+  const edits = [{ start: node.start, end: arrow + 2, text: `function (${node.params.map(p => p.name).join(', ')})` }];
+  if (node.expression) {
+    edits.push({ start: arrow + 2, end: arrow + 2, text: ' { return' });
+    edits.push({ start: node.end, end: node.end, text: '; }', tail: true });
+  }
+  return edits;
+}
+
+/**
+ * `let x = 1;` / `const x = 1;` → `var x = 1;`
+ */
+function downlevelDeclaration(node, ancestors, context) {
+  if (node.type !== 'VariableDeclaration' || node.kind === 'var') return null;
+  if (node.declarations.some(declarator => declarator.id.type !== 'Identifier')) return null;
+
+  const fnScope = getFunctionScope(ancestors);
+  const loopHead = isLoopHead(node, ancestors[ancestors.length - 1]);
+  const inLoop = ancestors.some(a => isLoopNode(a) && contains(fnScope, a) && a !== fnScope);
+
+  for (const declarator of node.declarations) {
+    const name = declarator.id.name;
+    const binding = context.resolve(name, [...ancestors, node]);
+    if (!binding || (!declarator.init && inLoop && !loopHead)) return null;
+
+    // Another variable of the same name in the function would merge with it
+    const clash = context.bindings.some(other =>
+      other !== binding && other.name === name && context.scopeFunctions.get(other.scope) === fnScope);
+    if (clash) return null;
+
+    // Uses of an outer variable of the same name would see the hoisted var
+    const shadowed = (context.references.byName.get(name) || []).some(reference =>
+      contains(fnScope, reference.node) && reference.binding !== binding &&
+      (!reference.binding || contains(reference.binding.scope, fnScope)));
+    if (shadowed) return null;
+
+    // Closures in a loop capture one var instead of one binding per iteration
+    const references = context.references.byBinding.get(binding) || [];
+    if (inLoop && references.some(reference => isInNestedFunction(reference, fnScope))) return null;
+  }
+  return [{ start: node.start, end: node.start + node.kind.length, text: 'var' }];
+}
+
+/**
+ * `` `Hello ${name}!` `` → `'Hello ' + name + '!'`
+ */
+function downlevelTemplate(node, ancestors) {
+  if (node.type !== 'TemplateLiteral') return null;
+  const parent = ancestors[ancestors.length - 1];
+  if (parent.type === 'TaggedTemplateExpression' || node.quasis.some(quasi => quasi.value.cooked == null)) return null;
+
+  const { quasis, expressions } = node;
+  if (expressions.length === 0) return [{ start: node.start, end: node.end, text: quote(quasis[0].value.cooked) }];
+
+  const wrap = (parent.type === 'MemberExpression' && parent.object === node) ||
+    ((parent.type === 'CallExpression' || parent.type === 'NewExpression') && parent.callee === node) ||
+    ['UnaryExpression', 'UpdateExpression', 'AwaitExpression'].includes(parent.type) ||
+    (parent.type === 'BinaryExpression' && TIGHTER_OPERATORS.has(parent.operator));
+  const open = expression => PLUS_OPERAND_TYPES.has(expression.type) ? '' : '(';
+  const close = expression => PLUS_OPERAND_TYPES.has(expression.type) ? '' : ')';
+  const text = quasi => quasi.value.cooked;
+
+  const edits = [{
+    start: node.start,
+    end: expressions[0].start,
+    text: `${wrap ? '(' : ''}${text(quasis[0]) ? quote(text(quasis[0])) : "''"} + ${open(expressions[0])}`
+  }];
+  for (let i = 0; i < expressions.length - 1; i++) {
+    const middle = text(quasis[i + 1]) ? ` + ${quote(text(quasis[i + 1]))} + ` : ' + ';
+    edits.push({
+      start: expressions[i].end,
+      end: expressions[i + 1].start,
+      text: `${close(expressions[i])}${middle}${open(expressions[i + 1])}`
+    });
+  }
+  const last = expressions[expressions.length - 1];
+  const tail = text(quasis[quasis.length - 1]);
+  edits.push({
+    start: last.end,
+    end: node.end,
+    text: `${close(last)}${tail ? ` + ${quote(tail)}` : ''}${wrap ? ')' : ''}`
+  });
+  return edits;
+}
+
+/**
+ * `{ name, run() {} }` → `{ name: name, run: function () {} }`
+ */
+function downlevelShorthand(node, ancestors) {
+  const parent = ancestors[ancestors.length - 1];
+  if (node.type !== 'Property' || parent.type !== 'ObjectExpression' || node.computed || node.kind !== 'init') return null;
+  if (node.shorthand) {
+    return [{ start: node.start, end: node.end, text: `${node.key.name}: ${node.value.name}` }];
+  }
+  if (!node.method || node.value.async || node.value.generator) return null;
+  let usesSuper = false;
+  walk(node.value, child => {
+    if (child.type === 'Super') usesSuper = true;
+  });
+  return usesSuper ? null : [{ start: node.key.end, end: node.value.start, text: ': function ' }];
+}
+
+/**
+ * `a ** b` → `Math.pow(a, b)`
+ */
+function downlevelExponent(node, ancestors, context) {
+  if (node.type !== 'BinaryExpression' || node.operator !== '**') return null;
+  const operator = context.code.slice(node.left.end, node.right.start);
+  return [
+    { start: node.start, end: node.start, text: 'Math.pow(' },
+    { start: node.left.end, end: node.right.start, text: operator.replace(/\s*\*\*\s*/, ', ') },
+    { start: node.end, end: node.end, text: ')', tail: true }
+  ];
+}
+
+// =============================================================================
+// ES2021 TRANSFORMS
+// =============================================================================
+
+/**
+ * `var x = 1;` → `const x = 1;` (or `let` when reassigned)
+ */
+function modernizeDeclaration(node, ancestors, context) {
+  if (node.type !== 'VariableDeclaration' || node.kind !== 'var') return null;
+  if (node.declarations.some(declarator => declarator.id.type !== 'Identifier')) return null;
+
+  // Top-level vars are globals other scripts may share
+  const fnScope = getFunctionScope(ancestors);
+  if (fnScope.type === 'Program') return null;
+
+  const parent = ancestors[ancestors.length - 1];
+  const loopHead = isLoopHead(node, parent);
+  if (!loopHead && !['BlockStatement', 'SwitchCase'].includes(parent.type)) return null;
+  const inLoop = loopHead || ancestors.some(a => isLoopNode(a) && contains(fnScope, a) && a !== fnScope);
+
+  let kind = parent.type === 'ForStatement' ? 'let' : 'const';
+  for (const declarator of node.declarations) {
+    const name = declarator.id.name;
+    const binding = context.resolve(name, [...ancestors, node]);
+    if (!binding || fnScope.params.some(param => param.type === 'Identifier' && param.name === name)) return null;
+    if (!declarator.init && inLoop && !loopHead) return null;
+    if (!declarator.init && !loopHead) kind = 'let';
+
+    for (const reference of context.references.byBinding.get(binding) || []) {
+      if (reference.node === declarator.id) continue;
+      const redeclared = (reference.parent.type === 'VariableDeclarator' && reference.parent.id === reference.node) ||
+        (reference.parent.type === 'FunctionDeclaration' && reference.parent.id === reference.node);
+      if (redeclared || !contains(parent, reference.node) || reference.node.start < declarator.end) return null;
+      if (inLoop && isInNestedFunction(reference, fnScope)) return null;
+      if (isWrite(reference)) kind = 'let';
+    }
+  }
+  return [{ start: node.start, end: node.start + 3, text: kind }];
+}
+
+/**
+ * Escapes the raw contents of a string literal for a template literal.
+ *
+ * @param {string} raw - Source between the quotes
+ * @returns {string|null} Null when the literal has a legacy octal escape
+ */
+function toTemplateText(raw) {
+  if (/\\(?:[1-9]|0\d)/.test(raw)) return null;
+  let text = '';
+  for (let i = 0; i < raw.length; i++) {
+    const char = raw[i];
+    if (char === '\\') {
+      text += char + (raw[i + 1] || '');
+      i++;
+    } else if (char === '`' || (char === '$' && raw[i + 1] === '{')) {
+      text += `\\${char}`;
+    } else {
+      text += char;
+    }
+  }
+  return text;
+}
+
+/**
+ * `'Hello ' + name + '!'` → `` `Hello ${name}!` ``
+ */
+function modernizeConcatenation(node, ancestors, context) {
+  if (node.type !== 'BinaryExpression' || node.operator !== '+') return null;
+  const parent = ancestors[ancestors.length - 1];
+  if (parent.type === 'BinaryExpression' && parent.operator === '+' && parent.left === node) return null;
+
+  const operands = [];
+  let left = node;
+  while (left.type === 'BinaryExpression' && left.operator === '+') {
+    operands.unshift(left.right);
+    left = left.left;
+  }
+  operands.unshift(left);
+
+  const isString = operand => operand.type === 'Literal' && typeof operand.value === 'string';
+  const firstString = operands.findIndex(isString);
+  if (firstString < 0 || firstString > 1 || operands.every(isString)) return null;
+  if (operands.some(operand => operand.type === 'TemplateLiteral')) return null;
+
+  const { code } = context;
+  const gaps = [code.slice(node.start, operands[0].start), code.slice(operands[operands.length - 1].end, node.end)];
+  for (let i = 0; i < operands.length - 1; i++) gaps.push(code.slice(operands[i].end, operands[i + 1].start));
+  if (gaps.some(gap => !/^[\s()+]*$/.test(gap))) return null;
+
+  const open = operand => isString(operand) ? '' : '${';
+  const close = operand => isString(operand) ? '' : '}';
+  const edits = [{ start: node.start, end: operands[0].start, text: `\`${open(operands[0])}` }];
+  for (let i = 0; i < operands.length; i++) {
+    const operand = operands[i];
+    if (isString(operand)) {
+      const text = toTemplateText(operand.raw.slice(1, -1));
+      if (text === null) return null;
+      edits.push({ start: operand.start, end: operand.end, text });
+    }
+    if (i < operands.length - 1) {
+      edits.push({ start: operand.end, end: operands[i + 1].start, text: `${close(operand)}${open(operands[i + 1])}` });
+    }
+  }
+  const last = operands[operands.length - 1];
+  edits.push({ start: last.end, end: node.end, text: `${close(last)}\`` });
+  return edits;
+}
+
+/**
+ * `list.forEach(function (item) { ... })` → `list.forEach((item) => { ... })`
+ */
+function modernizeCallback(node, ancestors, context) {
+  if (node.type !== 'FunctionExpression' || node.id || node.async || node.generator) return null;
+  const parent = ancestors[ancestors.length - 1];
+  const isCallback = (parent.type === 'CallExpression' || parent.type === 'NewExpression') && parent.arguments.includes(node);
+  if (!isCallback || usesOwnContext(node)) return null;
+
+  const { code } = context;
+  const open = code.indexOf('(', node.start + 'function'.length);
+  const close = code.lastIndexOf(')', node.body.start);
+  return [
+    { start: node.start, end: open, text: '' },
+    { start: close + 1, end: node.body.start, text: ' => ' }
+  ];
+}
+
+/** Transforms by language target, in the order they are tried on each node */
+const TRANSFORMS = {
+  es5: [
+    ['es5/arrow-function', downlevelArrow],
+    ['es5/let-const', downlevelDeclaration],
+    ['es5/template-literal', downlevelTemplate],
+    ['es5/object-shorthand', downlevelShorthand],
+    ['es5/exponent-operator', downlevelExponent]
+  ],
+  es2021: [
+    ['modern/var', modernizeDeclaration],
+    ['modern/template-literal', modernizeConcatenation],
+    ['modern/arrow-callback', modernizeCallback]
+  ]
+};
+
+// =============================================================================
+// EDIT COMPOSITION
+// =============================================================================
+
+/**
+ * Orders the edits of nested rewrites. Insertions at the same offset are
+ * ordered so that closing text of inner rewrites comes first and opening
+ * text of outer rewrites comes first.
+ */
+function compareEdits(a, b) {
+  if (a.start !== b.start) return a.start - b.start;
+  const aInsert = a.start === a.end;
+  const bInsert = b.start === b.end;
+  if (aInsert !== bInsert) return aInsert ? -1 : 1;
+  if (Boolean(a.tail) !== Boolean(b.tail)) return a.tail ? -1 : 1;
+  if (a.tail) return b.depth - a.depth;
+  return a.depth - b.depth;
+}
+
+/**
+ * Combines the rewrites into non-overlapping edits. A rewrite inside another
+ * one becomes part of the outer edit; a rewrite that partly overlaps an
+ * earlier one is left out.
+ *
+ * @param {string} code - Source text
+ * @param {Array<{ ruleId: string, node: Object, edits: Object[] }>} rewrites - Rewrites in walk order
+ * @returns {{ edits: Object[], applied: Object[] }} Edits and the rewrites they contain
+ */
+function composeEdits(code, rewrites) {
+  const spans = rewrites
+    .map(rewrite => ({
+      ...rewrite,
+      start: Math.min(...rewrite.edits.map(edit => edit.start)),
+      end: Math.max(...rewrite.edits.map(edit => edit.end))
+    }))
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const outer = [];
+  for (const span of spans) {
+    const last = outer[outer.length - 1];
+    if (last && span.start >= last.start && span.end <= last.end) {
+      last.nested.push(span);
+    } else if (!last || span.start >= last.end) {
+      outer.push({ ...span, nested: [] });
+    }
+  }
+
+  const edits = outer.map(span => {
+    const parts = [span, ...span.nested].flatMap(s => s.edits).sort(compareEdits);
+    let text = '';
+    let position = span.start;
+    for (const part of parts) {
+      text += code.slice(position, part.start) + part.text;
+      position = part.end;
+    }
+    return { ruleId: span.ruleId, start: span.start, end: span.end, text: text + code.slice(position, span.end) };
+  });
+  return { edits, applied: outer.flatMap(span => [span, ...span.nested]) };
+}
+
+// =============================================================================
+// MAIN EXPORT
+// =============================================================================
+
+/**
+ * Applies the syntax transforms of a language target: downleveling for
+ * 'es5', modernization for 'es2021'. Without a known target, or for code
+ * that does not parse, the code is returned unchanged.
+ *
+ * @param {string} code - The code to process
+ * @param {Object} [options]
+ * @param {string} [options.language] - Language target id ('es5' or 'es2021')
+ * @returns {{ processed: string, fixes: Diagnostic[], edits: Object[] }} Processed code, list of
+ * applied fixes, and the individual edits against the input
+ */
+export function applyLanguageFixes(code, options = {}) {
+  const transforms = TRANSFORMS[options.language];
+  const unchanged = { processed: code, fixes: [], edits: [] };
+  if (!transforms) return unchanged;
+  const { ast } = parseCode(code, { ecmaVersion: 'latest' });
+  if (!ast) return unchanged;
+
+  const { resolve, bindings } = analyzeScopes(ast);
+  const context = {
+    code,
+    resolve,
+    bindings,
+    references: collectReferences(ast, resolve),
+    scopeFunctions: mapScopeFunctions(ast)
+  };
+
+  const rewrites = [];
+  walk(ast, (node, ancestors) => {
+    for (const [ruleId, transform] of transforms) {
+      const edits = transform(node, ancestors, context);
+      if (edits) rewrites.push({ ruleId, node, edits: edits.map(edit => ({ ...edit, depth: ancestors.length })) });
+    }
+  });
+  if (rewrites.length === 0) return unchanged;
+
+  const { edits, applied } = composeEdits(code, rewrites);
+  let processed = code;
+  for (const edit of [...edits].reverse()) {
+    processed = processed.slice(0, edit.start) + edit.text + processed.slice(edit.end);
+  }
+  if (parseCode(processed, { ecmaVersion: 'latest' }).error) return unchanged;
+
+  const fixes = transforms
+    .map(([ruleId]) => applied.filter(rewrite => rewrite.ruleId === ruleId))
+    .filter(list => list.length > 0)
+    .map(list => createFix(list[0].ruleId, LANGUAGE_FIX_MESSAGES[list[0].ruleId](list.length), locationFromNode(list[0].node)));
+
+  return { processed, fixes, edits };
+}
+
+export default applyLanguageFixes;
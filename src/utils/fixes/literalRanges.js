@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Literal Ranges
+ * @description Lexical scan of JavaScript that finds the string, template,
+ * regular expression, and comment ranges in a piece of code. Regex-based fix
+ * rules use it to leave literal contents alone: a match may contain whole
+ * literals (such as the quoted field name of `getValue('sys_id')`) but never
+ * start or end inside one, unless the rule explicitly edits that kind of
+ * literal. The scan never throws, so half-written code still gets ranges.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Kinds of literal range
+ */
+export const LITERAL_KIND = {
+  STRING: 'string',
+  TEMPLATE: 'template',
+  REGEX: 'regex',
+  COMMENT: 'comment'
+};
+
+/**
+ * Keywords after which a `/` starts a regular expression rather than a division
+ */
+const REGEX_AFTER_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+  'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+
+// =============================================================================
+// TYPES
+// =============================================================================
+
+/**
+ * One literal in the scanned code, delimiters included. Template literals
+ * are split around their `${...}` expressions, which are code.
+ * @typedef {Object} LiteralRange
+ * @property {'string'|'template'|'regex'|'comment'} kind - Literal kind
+ * @property {number} start - Start offset
+ * @property {number} end - End offset (exclusive)
+ */
+
+// =============================================================================
+// SCANNER
+// =============================================================================
+
+/**
+ * Returns the end of a quoted string starting at `start`. Unterminated
+ * strings end at the line break.
+ */
+function scanString(code, start) {
+  const quote = code[start];
+  let i = start + 1;
+  while (i < code.length) {
+    const ch = code[i];
+    if (ch === '\\') {
+      i += 2;
+    } else if (ch === quote) {
+      return i + 1;
+    } else if (ch === '\n') {
+      return i;
+    } else {
+      i++;
+    }
+  }
+  return code.length;
+}
+
+/**
+ * Scans one chunk of a template literal, from its opening backtick or the
+ * `}` that closes an expression, up to the closing backtick or the next `${`.
+ *
+ * @returns {{ end: number, opensExpression: boolean }}
+ */
+function scanTemplateChunk(code, start) {
+  let i = start + 1;
+  while (i < code.length) {
+    const ch = code[i];
+    if (ch === '\\') {
+      i += 2;
+    } else if (ch === '`') {
+      return { end: i + 1, opensExpression: false };
+    } else if (ch === '$' && code[i + 1] === '{') {
+      return { end: i + 2, opensExpression: true };
+    } else {
+      i++;
+    }
+  }
+  return { end: code.length, opensExpression: false };
+}
+
+/**
+ * Returns the end of a regular expression literal starting at `start`
+ * (flags included), or -1 if the line ends before the closing slash.
+ */
+function scanRegex(code, start) {
+  let i = start + 1;
+  let inClass = false;
+  while (i < code.length) {
+    const ch = code[i];
+    if (ch === '\n') return -1;
+    if (ch === '\\') {
+      i += 2;
+      continue;
+    }
+    if (ch === '[') inClass = true;
+    else if (ch === ']') inClass = false;
+    else if (ch === '/' && !inClass) {
+      i++;
+      while (i < code.length && /\w/.test(code[i])) i++;
+      return i;
+    }
+    i++;
+  }
+  return -1;
+}
+
+/**
+ * Finds the string, template, regular expression, and comment ranges of
+ * JavaScript code, in source order.
+ *
+ * @param {string} code - Code to scan
+ * @returns {LiteralRange[]}
+ */
+export function findLiteralRanges(code) {
+  const ranges = [];
+  const expressionDepths = []; // Brace depth at which each open `${` closes
+  let braceDepth = 0;
+  let regexAllowed = true; // Whether a `/` here starts a regular expression
+  let i = 0;
+
+  const push = (kind, start, end) => {
+    ranges.push({ kind, start, end });
+    i = end;
+  };
+
+  while (i < code.length) {
+    const ch = code[i];
+    const next = code[i + 1];
+
+    if (ch === '/' && next === '/') {
+      const lineEnd = code.indexOf('\n', i);
+      push(LITERAL_KIND.COMMENT, i, lineEnd === -1 ? code.length : lineEnd);
+    } else if (ch === '/' && next === '*') {
+      const close = code.indexOf('*/', i + 2);
+      push(LITERAL_KIND.COMMENT, i, close === -1 ? code.length : close + 2);
+    } else if (ch === '\'' || ch === '"') {
+      push(LITERAL_KIND.STRING, i, scanString(code, i));
+      regexAllowed = false;
+    } else if (ch === '`' || (ch === '}' && expressionDepths[expressionDepths.length - 1] === braceDepth)) {
+      if (ch === '}') expressionDepths.pop();
+      const chunk = scanTemplateChunk(code, i);
+      push(LITERAL_KIND.TEMPLATE, i, chunk.end);
+      if (chunk.opensExpression) {
+        expressionDepths.push(braceDepth);
+        regexAllowed = true;
+      } else {
+        regexAllowed = false;
+      }
+    } else if (ch === '/' && regexAllowed && scanRegex(code, i) !== -1) {
+      push(LITERAL_KIND.REGEX, i, scanRegex(code, i));
+      regexAllowed = false;
+    } else if (/[\w$]/.test(ch)) {
+      let end = i + 1;
+      while (end < code.length && /[\w$]/.test(code[end])) end++;
+      regexAllowed = REGEX_AFTER_KEYWORDS.has(code.slice(i, end));
+      i = end;
+    } else if (/\s/.test(ch)) {
+      i++;
+    } else {
+      if (ch === '{') braceDepth++;
+      if (ch === '}') braceDepth--;
+      regexAllowed = !(ch === ')' || ch === ']' || ch === '}');
+      i++;
+    }
+  }
+
+  return ranges;
+}
+
+// =============================================================================
+// QUERIES
+// =============================================================================
+
+/**
+ * Checks whether replacing [start, end) leaves every literal either untouched
+ * or replaced as a whole. Edits inside literals of the `editable` kinds are
+ * always allowed.
+ *
+ * @param {LiteralRange[]} ranges - Ranges from findLiteralRanges
+ * @param {number} start - Start offset of the replaced text
+ * @param {number} end - End offset of the replaced text (exclusive)
+ * @param {string[]} [editable] - Literal kinds the edit may change inside
+ * @returns {boolean}
+ */
+export function isCodeRange(ranges, start, end, editable = []) {
+  for (const range of ranges) {
+    if (range.start >= end) break;
+    const overlaps = start === end
+      ? range.start < start && start < range.end
+      : range.start < end && start < range.end;
+    if (!overlaps || editable.includes(range.kind)) continue;
+    if (start > range.start || end < range.end) return false;
+  }
+  return true;
+}
+
+export default {
+  LITERAL_KIND,
+  findLiteralRanges,
+  isCodeRange
+};
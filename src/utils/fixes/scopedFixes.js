@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Scoped Application Fixes
+ * @description Rewrites mechanical scoped-app incompatibilities: global-only
+ * gs logging calls become their scoped equivalents and global-only classes
+ * with a drop-in replacement are renamed (e.g. JSUtil → global.JSUtil).
+ * Runs on the AST so comments, strings, and shadowed names are untouched.
+ */
+
+import { GLOBAL_ONLY_APIS, GLOBAL_ONLY_GS_METHODS } from './servicenowDictionary.js';
+import { parseCode } from '../astParser.js';
+import { walk, getMemberCall, analyzeScopes } from '../astWalker.js';
+import { SEVERITY, createFix, locationFromNode } from '../diagnostics.js';
+
+// =============================================================================
+// RULE METADATA
+// =============================================================================
+
+/**
+ * Scoped application fix rules keyed by stable rule id
+ */
+export const SCOPED_FIX_RULES = {
+  'scoped/gs-logging': {
+    severity: SEVERITY.INFO,
+    description: 'Replaces global-only gs logging calls with their scoped equivalents'
+  },
+  'scoped/global-api': {
+    severity: SEVERITY.INFO,
+    description: 'Qualifies global-only classes that have a drop-in replacement (e.g. JSUtil → global.JSUtil)'
+  }
+};
+
+/**
+ * Fix messages by rule id, given the number of replacements and the
+ * replacements themselves as `{ before, after }` (whole calls for gs logging)
+ */
+export const SCOPED_FIX_MESSAGES = {
+  'scoped/gs-logging': (n, replacements) => `Scoped app: replaced ${tallyReplacements(replacements, callName)}`,
+  'scoped/global-api': (n, replacements) => `Scoped app: replaced ${tallyReplacements(replacements, name => name)}`
+};
+
+/** @returns {string} 'gs.log()' for the call gs.log('text', 'source') */
+function callName(call) {
+  return `${call.slice(0, call.indexOf('('))}()`;
+}
+
+/**
+ * Counts replacements by their label.
+ *
+ * @param {Array<{ before: string, after: string }>} replacements - Replacements made
+ * @param {Function} name - Maps replaced and replacing text to the name in the label
+ * @returns {string} e.g. '2 gs.log() → gs.info(), 1 gs.print() → gs.info()'
+ */
+function tallyReplacements(replacements, name) {
+  const counts = new Map();
+  for (const { before, after } of replacements) {
+    const label = `${name(before)} → ${name(after)}`;
+    counts.set(label, (counts.get(label) || 0) + 1);
+  }
+  return [...counts].map(([label, count]) => `${count} ${label}`).join(', ');
+}
+
+// =============================================================================
+// MAIN EXPORT
+// =============================================================================
+
+/**
+ * Applies scoped-application fixes. Code that does not parse is returned unchanged.
+ *
+ * @param {string} code - The code to process
+ * @returns {{ processed: string, fixes: Diagnostic[], edits: Object[] }} Processed code, list of
+ * applied fixes, and the individual edits against the input
+ */
+export function applyScopedFixes(code) {
+  const fixes = [];
+  const { ast } = parseCode(code, { ecmaVersion: 'latest' });
+  if (!ast) return { processed: code, fixes, edits: [] };
+
+  const { resolve } = analyzeScopes(ast);
+  const edits = [];
+  const gsRenames = new Map();    // 'log → info' -> { replacements, node }
+  const classRenames = new Map(); // 'JSUtil → global.JSUtil' -> { replacements, node }
+
+  const tally = (map, key, node) => {
+    if (!map.has(key)) map.set(key, { replacements: [], node });
+    const edit = edits[edits.length - 1];
+    map.get(key).replacements.push({ before: code.slice(edit.start, edit.end), after: edit.text });
+  };
+
+  walk(ast, (node, ancestors) => {
+    const parent = ancestors[ancestors.length - 1];
+
+    // Nodes inside a call already being rewritten as a whole are left alone
+    if (edits.some(edit => node.start >= edit.start && node.end <= edit.end)) return;
+
+    // gs.log(msg, source) → gs.info(msg)
+    const call = getMemberCall(node);
+    if (call && call.objectName === 'gs' && !resolve('gs', ancestors)) {
+      const rule = GLOBAL_ONLY_GS_METHODS[call.method];
+      if (rule && rule.replacement) {
+        const keptArgs = node.arguments.slice(0, rule.keepArgs)
+          .map(arg => code.slice(arg.start, arg.end))
+          .join(', ');
+        edits.push({
+          ruleId: 'scoped/gs-logging',
+          start: node.start,
+          end: node.end,
+          text: `gs.${rule.replacement}(${keptArgs})`
+        });
+        tally(gsRenames, `gs.${call.method}() → gs.${rule.replacement}()`, node);
+      }
+      return;
+    }
+
+    // JSUtil → global.JSUtil (references only, not property names or shadowed locals)
+    if (node.type === 'Identifier') {
+      const rule = GLOBAL_ONLY_APIS[node.name];
+      if (!rule || !rule.replacement) return;
+      if (parent && parent.type === 'MemberExpression' && parent.property === node && !parent.computed) return;
+      if (parent && parent.type === 'Property' && parent.key === node && !parent.computed) return;
+      if (resolve(node.name, ancestors)) return;
+      edits.push({ ruleId: 'scoped/global-api', start: node.start, end: node.end, text: rule.replacement });
+      tally(classRenames, `${node.name} → ${rule.replacement}`, node);
+    }
+  });
+
+  if (edits.length === 0) return { processed: code, fixes, edits };
+
+  // Apply from end to start to preserve offsets
+  let processed = code;
+  edits.sort((a, b) => b.start - a.start);
+  for (const edit of edits) {
+    processed = processed.slice(0, edit.start) + edit.text + processed.slice(edit.end);
+  }
+
+  for (const [ruleId, renames] of [['scoped/gs-logging', gsRenames], ['scoped/global-api', classRenames]]) {
+    for (const { replacements, node } of renames.values()) {
+      fixes.push(createFix(ruleId, SCOPED_FIX_MESSAGES[ruleId](replacements.length, replacements), locationFromNode(node)));
+    }
+  }
+
+  return { processed, fixes, edits: edits.reverse() };
+}
+
+export default applyScopedFixes;
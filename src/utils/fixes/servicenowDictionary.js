@@ -1,7 +1,9 @@
 /**
  * @fileoverview ServiceNow API Dictionary
  * @description Canonical list of valid ServiceNow API classes and methods.
- * Used for fuzzy matching to detect and correct typos.
+ * Used for fuzzy matching to detect and correct typos, for client/server
+ * boundary checks, for scoped application compatibility, and (via method
+ * signatures) for call arity and argument type checks.
  * Organized by class/context for context-aware corrections.
  */
 
@@ -854,9 +856,11 @@ export const GLIDE_QUERY_METHODS = [
   'orderBy',
   'orderByDesc',
   'limit',
+  'disableAutoSysFields',
   'disableWorkflow',
   'forceUpdate',
   'insert',
+  'insertOrUpdate',
   'update',
   'updateMultiple',
   'deleteMultiple',
@@ -873,6 +877,7 @@ export const GLIDE_QUERY_METHODS = [
   'having',
   'parse',
   'withAcls',
+  'withSecurityDataFilters',
 ];
 
 // =============================================================================
@@ -883,6 +888,37 @@ export const GLIDE_QUERY_CONDITION_METHODS = [
   'addOrCondition',
 ];
 
+// =============================================================================
+// GLIDE QUERY RESULT (Stream / Optional) METHODS
+// =============================================================================
+
+/** Stream returned by GlideQuery.select() */
+export const GLIDE_QUERY_STREAM_METHODS = [
+  'chunk',
+  'every',
+  'filter',
+  'find',
+  'flatMap',
+  'forEach',
+  'limit',
+  'map',
+  'reduce',
+  'some',
+  'toArray',
+];
+
+/** Optional returned by GlideQuery.selectOne(), get(), getBy(), insert(), and update() */
+export const GLIDE_QUERY_OPTIONAL_METHODS = [
+  'filter',
+  'flatMap',
+  'get',
+  'ifPresent',
+  'isEmpty',
+  'isPresent',
+  'map',
+  'orElse',
+];
+
 // =============================================================================
 // GLIDE TABLE HIERARCHY METHODS
 // =============================================================================
@@ -1052,6 +1088,15 @@ export const FLOW_API_METHODS = [
   'startAsync',
 ];
 
+// =============================================================================
+// KEY MANAGEMENT FRAMEWORK (sn_kmf_ns.KMFCryptoOperation) METHODS
+// =============================================================================
+export const KMF_CRYPTO_OPERATION_METHODS = [
+  'doOperation',
+  'withInputFormat',
+  'withOutputFormat',
+];
+
 // =============================================================================
 // GLIDE OAUTH CLIENT METHODS
 // =============================================================================
@@ -1223,6 +1268,9 @@ export const CLASS_NAMES = [
   'sn_fd',
   'FlowScriptAPI',
   
+  // Key Management Framework
+  'KMFCryptoOperation',
+  
   // OAuth
   'GlideOAuthClient',
   'GlideOAuthClientRequest',
@@ -1335,6 +1383,7 @@ export const GLOBAL_OBJECTS = [
   'sn_impex',
   'sn_interaction',
   'sn_km',
+  'sn_kmf_ns',
   'sn_ml',
   'sn_nlp',
   'sn_notification',
@@ -1350,6 +1399,558 @@ export const GLOBAL_OBJECTS = [
   'sn_templated_snip',
 ];
 
+// =============================================================================
+// API ENVIRONMENTS (client/server boundary)
+// =============================================================================
+
+/** APIs that only exist in the browser */
+export const CLIENT_ONLY_APIS = [
+  'GlideAjax',
+  'GlideForm',
+  'GlideList2',
+  'GlideDialogWindow',
+  'GlideDialogForm',
+  'GlideModal',
+  'g_form',
+  'g_user',
+  'g_list',
+  'g_menu',
+  'g_service_catalog',
+  'g_navigation',
+  'g_ui_scripts',
+  'g_dialog',
+  'g_modal',
+  'newValue',
+  'oldValue',
+  'isLoading',
+  'isTemplate',
+  'control',
+  'spUtil',
+  'spAriaUtil',
+  'spContextManager',
+  'spModal',
+];
+
+/** APIs available on both the server and the client */
+export const SHARED_APIS = [
+  'JSON',
+  'g_scratchpad',
+  'action',
+  'answer',
+  'event',
+];
+
+/**
+ * Where each dictionary class and global object can run: 'server', 'client',
+ * or 'both'. Anything not client-only or shared is server-only.
+ */
+export const API_ENVIRONMENTS = Object.fromEntries(
+  [...new Set([...CLASS_NAMES, ...GLOBAL_OBJECTS])].map(name => [
+    name,
+    CLIENT_ONLY_APIS.includes(name) ? 'client' : (SHARED_APIS.includes(name) ? 'both' : 'server')
+  ])
+);
+
+/**
+ * Suggested alternatives when an API is used on the wrong side of the boundary.
+ * `server` entries apply when a server-only API is used on the client and
+ * `client` entries when a client-only API is used on the server.
+ */
+export const BOUNDARY_ALTERNATIVES = {
+  server: {
+    default: 'fetch server data with GlideAjax and a client-callable Script Include',
+    GlideRecord: 'client-side GlideRecord is a synchronous server round-trip - use GlideAjax with a client-callable Script Include, or g_form.getReference() with a callback',
+    GlideRecordSecure: 'use GlideAjax with a client-callable Script Include',
+    GlideAggregate: 'use GlideAjax with a client-callable Script Include',
+    gs: 'use GlideAjax with a client-callable Script Include for server data, g_user for user details, and g_form.addInfoMessage() for messages',
+    current: 'read and write fields with g_form.getValue() / g_form.setValue()',
+    previous: 'compare against oldValue in an onChange Client Script',
+  },
+  client: {
+    default: 'move this logic to a Client Script, UI Policy, or UI Script',
+    g_form: 'read and write fields with current.getValue() / current.setValue()',
+    g_user: 'use gs.getUser() or gs.getUserID()',
+    GlideAjax: 'call the Script Include directly, e.g. new MyScriptInclude().myMethod()',
+    g_list: 'query the records with GlideRecord',
+  },
+};
+
+/**
+ * Returns where an API can run.
+ *
+ * @param {string} name - Class or global object name
+ * @returns {'server'|'client'|'both'|null} Environment, or null if unknown
+ */
+export function getApiEnvironment(name) {
+  return Object.prototype.hasOwnProperty.call(API_ENVIRONMENTS, name) ? API_ENVIRONMENTS[name] : null;
+}
+
+// =============================================================================
+// SCOPED APPLICATION AVAILABILITY
+// =============================================================================
+
+/**
+ * Classes and objects that only exist in the global scope.
+ * `replacement` is a drop-in name that works from a scoped app;
+ * `alternative` describes the scoped equivalent when no drop-in exists.
+ */
+export const GLOBAL_ONLY_APIS = {
+  GlideStringUtil: { replacement: 'global.GlideStringUtil' },
+  JSUtil: { replacement: 'global.JSUtil', alternative: 'gs.nil() for empty checks' },
+  ArrayUtil: { replacement: 'global.ArrayUtil' },
+  GlideRecordUtil: { replacement: 'global.GlideRecordUtil' },
+  TableUtils: { replacement: 'global.TableUtils' },
+  Workflow: { replacement: 'global.Workflow' },
+  XMLDocument: { replacement: 'XMLDocument2' },
+  GlideXMLUtil: { alternative: 'XMLDocument2' },
+  GlideHTTPRequest: { alternative: 'sn_ws.RESTMessageV2' },
+  GlideEncrypter: { alternative: 'GlideCertificateEncryption or a password2 field' },
+  GlideEvaluator: { alternative: 'GlideScopedEvaluator' },
+  GlideUpdateManager: { alternative: 'a global Script Include' },
+  GlideImpersonate: { alternative: 'a global Script Include' },
+  GlideAppLoader: { alternative: 'a global Script Include' },
+  J2js: { alternative: 'native JavaScript conversions' },
+  SNC: { alternative: 'a global Script Include' },
+  Packages: { alternative: 'a scoped Glide API or a global Script Include' },
+};
+
+/**
+ * GlideSystem (gs) methods that only exist in the global scope.
+ * `replacement` is the scoped method name; `keepArgs` is how many leading
+ * arguments the scoped method accepts (e.g. gs.log(msg, source) → gs.info(msg)).
+ */
+export const GLOBAL_ONLY_GS_METHODS = {
+  log: { replacement: 'info', keepArgs: 1 },
+  print: { replacement: 'info', keepArgs: 1 },
+  logError: { replacement: 'error', keepArgs: 1 },
+  logWarning: { replacement: 'warn', keepArgs: 1 },
+  sleep: { alternative: 'a scheduled job or event instead of blocking' },
+  dateGenerate: { alternative: 'new GlideDateTime()' },
+  dateDiff: { alternative: 'GlideDateTime.subtract()' },
+  getDisplayColumn: { alternative: 'GlideRecord.getDisplayName()' },
+  getXMLText: { alternative: 'XMLDocument2' },
+  getXMLNodeList: { alternative: 'XMLDocument2' },
+  workflowFlush: { alternative: 'the Workflow API via a global Script Include' },
+  setProperty: { alternative: 'a global Script Include or a system property record update' },
+  getPreference: { alternative: 'a GlideRecord query on sys_user_preference' },
+  setPreference: { alternative: 'a GlideRecord update on sys_user_preference' },
+  cacheFlush: { alternative: 'a global Script Include' },
+  loadGlobalScripts: { alternative: 'a global Script Include' },
+  setCurrentApplicationId: { alternative: 'a global Script Include' },
+};
+
+/**
+ * Scoped availability of every dictionary class and global object:
+ * 'global' (global scope only) or 'both'.
+ */
+export const SCOPE_AVAILABILITY = Object.fromEntries(
+  [...new Set([...CLASS_NAMES, ...GLOBAL_OBJECTS, ...Object.keys(GLOBAL_ONLY_APIS)])].map(name => [
+    name,
+    GLOBAL_ONLY_APIS[name] ? 'global' : 'both'
+  ])
+);
+
+/**
+ * Returns whether a class or global object can be used from a scoped app.
+ *
+ * @param {string} name - Class or global object name
+ * @returns {'global'|'both'|null} Availability, or null if unknown
+ */
+export function getScopeAvailability(name) {
+  return Object.prototype.hasOwnProperty.call(SCOPE_AVAILABILITY, name) ? SCOPE_AVAILABILITY[name] : null;
+}
+
+// =============================================================================
+// METHOD SIGNATURES
+// =============================================================================
+
+/**
+ * Parses a compact parameter list such as `'name: string, value?: any'`.
+ * A trailing `?` marks an optional parameter and a leading `...` a rest
+ * parameter. Types are `string`, `number`, `boolean`, `object`, `array`,
+ * `function`, `any`, or a class name; `|` separates alternatives.
+ *
+ * @param {string} params - Parameter list
+ * @param {string} [returns] - Return type
+ * @returns {{ params: Array<{ name: string, type: string, optional: boolean, rest: boolean }>, returns: string }}
+ */
+function sig(params, returns = 'void') {
+  const parsed = params
+    ? params.split(',').map(param => {
+      const [rawName, type] = param.split(':').map(part => part.trim());
+      const rest = rawName.startsWith('...');
+      const optional = rest || rawName.endsWith('?');
+      const name = rawName.replace(/^\.\.\./, '').replace(/\?$/, '');
+      return { name, type, optional, rest };
+    })
+    : [];
+  return { params: parsed, returns };
+}
+
+/** GlideRecord (also used by GlideRecordSecure, GlideAggregate, current, previous) */
+const GLIDE_RECORD_SIGNATURES = {
+  addQuery: sig('name: string, operator?: any, value?: any', 'GlideQueryCondition'),
+  addEncodedQuery: sig('query: string'),
+  addActiveQuery: sig('', 'GlideQueryCondition'),
+  addInactiveQuery: sig('', 'GlideQueryCondition'),
+  addNullQuery: sig('fieldName: string', 'GlideQueryCondition'),
+  addNotNullQuery: sig('fieldName: string', 'GlideQueryCondition'),
+  addOrCondition: sig('name: string, operator?: any, value?: any', 'GlideQueryCondition'),
+  addJoinQuery: sig('joinTable: string, primaryField?: string, joinTableField?: string', 'GlideQueryCondition'),
+  applyEncodedQuery: sig('query: string'),
+  query: sig('field?: string, value?: any'),
+  next: sig('', 'boolean'),
+  hasNext: sig('', 'boolean'),
+  get: sig('name: any, value?: any', 'boolean'),
+  getValue: sig('name: string', 'string'),
+  setValue: sig('name: string, value: any'),
+  getDisplayValue: sig('name?: string', 'string'),
+  getElement: sig('columnName: string', 'GlideElement'),
+  getUniqueValue: sig('', 'string'),
+  getRowCount: sig('', 'number'),
+  getTableName: sig('', 'string'),
+  getRecordClassName: sig('', 'string'),
+  getEncodedQuery: sig('', 'string'),
+  getLink: sig('noStack?: boolean', 'string'),
+  getLabel: sig('', 'string'),
+  insert: sig('', 'string'),
+  update: sig('reason?: string', 'string'),
+  deleteRecord: sig('', 'boolean'),
+  updateMultiple: sig(''),
+  deleteMultiple: sig(''),
+  setLimit: sig('maxNumRecords: number'),
+  chooseWindow: sig('firstRow: number, lastRow: number, forceCount?: boolean'),
+  orderBy: sig('name: string'),
+  orderByDesc: sig('name: string'),
+  setWorkflow: sig('enable: boolean'),
+  autoSysFields: sig('enable: boolean'),
+  setAbortAction: sig('abort: boolean'),
+  setForceUpdate: sig('force: boolean'),
+  setCategory: sig('category: string'),
+  initialize: sig(''),
+  newRecord: sig(''),
+  isValid: sig('', 'boolean'),
+  isValidRecord: sig('', 'boolean'),
+  isValidField: sig('columnName: string', 'boolean'),
+  isNewRecord: sig('', 'boolean'),
+  canRead: sig('', 'boolean'),
+  canWrite: sig('', 'boolean'),
+  canCreate: sig('', 'boolean'),
+  canDelete: sig('', 'boolean'),
+  hasAttachments: sig('', 'boolean'),
+};
+
+/** GlideAggregate-specific methods (inherits GlideRecord) */
+const GLIDE_AGGREGATE_SIGNATURES = {
+  addAggregate: sig('aggregate: string, fieldName?: string'),
+  getAggregate: sig('aggregate: string, fieldName?: string', 'string'),
+  groupBy: sig('fieldName: string'),
+  orderByAggregate: sig('aggregate: string, fieldName?: string'),
+  addHaving: sig('aggregate: string, operator: string, value: any'),
+  addTrend: sig('fieldName: string, timeInterval: string, numUnits?: number'),
+  setGroup: sig('group: boolean'),
+  getTotal: sig('aggregate: string, fieldName: string', 'number'),
+};
+
+/** GlideElement (fields such as current.state) */
+const GLIDE_ELEMENT_SIGNATURES = {
+  getDisplayValue: sig('maxCharacters?: number', 'string'),
+  setValue: sig('value: any'),
+  setDisplayValue: sig('value: any'),
+  getRefRecord: sig('', 'GlideRecord'),
+  getReferenceTable: sig('', 'string'),
+  getJournalEntry: sig('mostRecent: number', 'string'),
+  changes: sig('', 'boolean'),
+  changesFrom: sig('value: any', 'boolean'),
+  changesTo: sig('value: any', 'boolean'),
+  nil: sig('', 'boolean'),
+  toString: sig('', 'string'),
+  dateNumericValue: sig('', 'number'),
+  setDateNumericValue: sig('milliseconds: number'),
+  getChoices: sig('dependent?: string', 'array'),
+  getAttribute: sig('attributeName: string', 'string'),
+  getBooleanAttribute: sig('attributeName: string', 'boolean'),
+  getHTMLValue: sig('maxChars?: number', 'string'),
+  getED: sig('', 'object'),
+  getLabel: sig('', 'string'),
+  getName: sig('', 'string'),
+  getTableName: sig('', 'string'),
+  canRead: sig('', 'boolean'),
+  canWrite: sig('', 'boolean'),
+  setError: sig('errorMessage: string'),
+};
+
+/** GlideDateTime */
+const GLIDE_DATE_TIME_SIGNATURES = {
+  ...Object.fromEntries(
+    ['Seconds', 'Minutes', 'Days', 'Weeks', 'Months', 'Years'].flatMap(unit => {
+      const param = `${unit.toLowerCase()}: number`;
+      const variants = unit === 'Seconds' || unit === 'Minutes' ? [''] : ['', 'LocalTime', 'UTC'];
+      return variants.map(suffix => [`add${unit}${suffix}`, sig(param)]);
+    })
+  ),
+  add: sig('value: GlideTime|number'),
+  subtract: sig('start: GlideDateTime|GlideTime|number, end?: GlideDateTime', 'GlideDuration'),
+  getValue: sig('', 'string'),
+  setValue: sig('value: string|number|GlideDateTime'),
+  setValueUTC: sig('dateTime: string, format: string'),
+  getDisplayValue: sig('', 'string'),
+  setDisplayValue: sig('value: string, format?: string'),
+  getDisplayValueInternal: sig('', 'string'),
+  setDisplayValueInternal: sig('value: string'),
+  getNumericValue: sig('', 'number'),
+  setNumericValue: sig('milliseconds: number'),
+  setGlideDateTime: sig('dateTime: GlideDateTime'),
+  getDate: sig('', 'GlideDate'),
+  getTime: sig('', 'GlideTime'),
+  getLocalDate: sig('', 'GlideDate'),
+  getLocalTime: sig('', 'GlideTime'),
+  getDayOfMonth: sig('', 'number'),
+  getDayOfWeek: sig('', 'number'),
+  getMonth: sig('', 'number'),
+  getYear: sig('', 'number'),
+  getWeekOfYear: sig('', 'number'),
+  compareTo: sig('dateTime: GlideDateTime', 'number'),
+  equals: sig('dateTime: GlideDateTime|string', 'boolean'),
+  before: sig('dateTime: GlideDateTime', 'boolean'),
+  after: sig('dateTime: GlideDateTime', 'boolean'),
+  onOrBefore: sig('dateTime: GlideDateTime', 'boolean'),
+  onOrAfter: sig('dateTime: GlideDateTime', 'boolean'),
+  hasDate: sig('', 'boolean'),
+  getErrorMsg: sig('', 'string'),
+  getTZOffset: sig('', 'number'),
+  toString: sig('', 'string'),
+};
+
+/** GlideSystem (gs) */
+const GLIDE_SYSTEM_SIGNATURES = {
+  getProperty: sig('key: string, defaultValue?: any', 'string'),
+  info: sig('message: any, ...params: any'),
+  warn: sig('message: any, ...params: any'),
+  error: sig('message: any, ...params: any'),
+  debug: sig('message: any, ...params: any'),
+  log: sig('message: any, source?: string'),
+  logError: sig('message: any, source?: string'),
+  logWarning: sig('message: any, source?: string'),
+  print: sig('message: any'),
+  addInfoMessage: sig('message: string'),
+  addErrorMessage: sig('message: string'),
+  getMessage: sig('key: string, args?: any', 'string'),
+  getUserID: sig('', 'string'),
+  getUserName: sig('', 'string'),
+  getUserDisplayName: sig('', 'string'),
+  getUser: sig('', 'GlideUser'),
+  getSession: sig('', 'GlideSession'),
+  getSessionID: sig('', 'string'),
+  hasRole: sig('roleName: string', 'boolean'),
+  nil: sig('value: any', 'boolean'),
+  eventQueue: sig('name: string, record?: GlideRecord, parm1?: any, parm2?: any, queue?: string'),
+  eventQueueScheduled: sig('name: string, record: GlideRecord, parm1: any, parm2: any, expiration: GlideDateTime'),
+  tableExists: sig('tableName: string', 'boolean'),
+  generateGUID: sig('', 'string'),
+  include: sig('name: string', 'boolean'),
+  sleep: sig('milliseconds: number'),
+  daysAgo: sig('days: number', 'string'),
+  daysAgoStart: sig('days: number', 'string'),
+  daysAgoEnd: sig('days: number', 'string'),
+  hoursAgo: sig('hours: number', 'string'),
+  minutesAgo: sig('minutes: number', 'string'),
+  dateDiff: sig('startDate: string, endDate: string, numberOnly?: boolean', 'string'),
+  getCurrentScopeName: sig('', 'string'),
+  getCallerScopeName: sig('', 'string'),
+  isInteractive: sig('', 'boolean'),
+  isLoggedIn: sig('', 'boolean'),
+  setRedirect: sig('url: string|GlideRecord'),
+  urlEncode: sig('url: string', 'string'),
+  urlDecode: sig('url: string', 'string'),
+  base64Encode: sig('source: string', 'string'),
+  base64Decode: sig('source: string', 'string'),
+  xmlToJSON: sig('xmlString: string', 'object'),
+};
+
+/** GlideUser (gs.getUser()) */
+const GLIDE_USER_SIGNATURES = {
+  getID: sig('', 'string'),
+  getName: sig('', 'string'),
+  getFirstName: sig('', 'string'),
+  getLastName: sig('', 'string'),
+  getFullName: sig('', 'string'),
+  getEmail: sig('', 'string'),
+  hasRole: sig('role: string', 'boolean'),
+  isMemberOf: sig('group: string', 'boolean'),
+  getPreference: sig('name: string', 'string'),
+  savePreference: sig('name: string, value: string'),
+};
+
+/** GlideAjax (client) and AbstractAjaxProcessor (server) */
+const GLIDE_AJAX_SIGNATURES = {
+  addParam: sig('name: string, value: any'),
+  getXML: sig('callback: function, additionalParam?: any, answerParam?: any'),
+  getXMLAnswer: sig('callback: function, additionalParam?: any, answerParam?: any'),
+  getXMLWait: sig(''),
+  getAnswer: sig('', 'string'),
+  getParameter: sig('name: string', 'string'),
+  setScope: sig('scope: string'),
+};
+
+/** g_form (client) */
+const G_FORM_SIGNATURES = {
+  getValue: sig('fieldName: string', 'string'),
+  setValue: sig('fieldName: string, value: any, displayValue?: string'),
+  clearValue: sig('fieldName: string'),
+  getIntValue: sig('fieldName: string', 'number'),
+  getDecimalValue: sig('fieldName: string', 'number'),
+  getBooleanValue: sig('fieldName: string', 'boolean'),
+  getDisplayBox: sig('fieldName: string', 'object'),
+  getControl: sig('fieldName: string', 'object'),
+  getReference: sig('fieldName: string, callback?: function', 'GlideRecord'),
+  setMandatory: sig('fieldName: string, mandatory: boolean'),
+  setVisible: sig('fieldName: string, display: boolean'),
+  setDisplay: sig('fieldName: string, display: boolean'),
+  setReadOnly: sig('fieldName: string, readOnly: boolean'),
+  setDisabled: sig('fieldName: string, disabled: boolean'),
+  isMandatory: sig('fieldName: string', 'boolean'),
+  hasField: sig('fieldName: string', 'boolean'),
+  addOption: sig('fieldName: string, choiceValue: string, choiceLabel: string, choiceIndex?: number'),
+  removeOption: sig('fieldName: string, choiceValue: string'),
+  clearOptions: sig('fieldName: string'),
+  showFieldMsg: sig('fieldName: string, message: string, type?: string, scrollForm?: boolean'),
+  hideFieldMsg: sig('fieldName: string, clearAll?: boolean'),
+  showErrorBox: sig('fieldName: string, message: string, scrollForm?: boolean'),
+  hideErrorBox: sig('fieldName: string'),
+  addInfoMessage: sig('message: string'),
+  addErrorMessage: sig('message: string'),
+  clearMessages: sig(''),
+  flash: sig('fieldName: string, color: string, count: number'),
+  getLabelOf: sig('fieldName: string', 'string'),
+  setLabelOf: sig('fieldName: string, label: string'),
+  setSectionDisplay: sig('sectionName: string, display: boolean', 'boolean'),
+  getTableName: sig('', 'string'),
+  getUniqueValue: sig('', 'string'),
+  isNewRecord: sig('', 'boolean'),
+  save: sig(''),
+  submit: sig('verb?: string'),
+};
+
+/** g_user (client) */
+const G_USER_SIGNATURES = {
+  hasRole: sig('role: string, includeDefault?: boolean', 'boolean'),
+  hasRoleExactly: sig('role: string', 'boolean'),
+  hasRoleFromList: sig('roles: string', 'boolean'),
+  hasRoles: sig('', 'boolean'),
+  getFullName: sig('', 'string'),
+  getClientData: sig('key: string', 'string'),
+};
+
+/**
+ * Method signatures keyed by class or global object, then by method name.
+ * Only methods listed here are checked; others are assumed valid.
+ */
+export const METHOD_SIGNATURES = {
+  GlideRecord: GLIDE_RECORD_SIGNATURES,
+  GlideAggregate: GLIDE_AGGREGATE_SIGNATURES,
+  GlideElement: GLIDE_ELEMENT_SIGNATURES,
+  GlideDateTime: GLIDE_DATE_TIME_SIGNATURES,
+  GlideUser: GLIDE_USER_SIGNATURES,
+  GlideAjax: GLIDE_AJAX_SIGNATURES,
+  gs: GLIDE_SYSTEM_SIGNATURES,
+  g_form: G_FORM_SIGNATURES,
+  g_user: G_USER_SIGNATURES,
+};
+
+/** Classes and globals that share another entry's signatures */
+export const SIGNATURE_INHERITANCE = {
+  GlideRecordSecure: 'GlideRecord',
+  GlideAggregate: 'GlideRecord',
+  current: 'GlideRecord',
+  previous: 'GlideRecord',
+  AbstractAjaxProcessor: 'GlideAjax',
+};
+
+/**
+ * Looks up a method signature, following SIGNATURE_INHERITANCE.
+ *
+ * @param {string} className - Class or global object name (e.g. 'GlideRecord', 'gs')
+ * @param {string} method - Method name
+ * @returns {{ params: Object[], returns: string }|null} Signature, or null if unknown
+ */
+export function getMethodSignature(className, method) {
+  let owner = className;
+  while (owner) {
+    const signatures = METHOD_SIGNATURES[owner];
+    if (signatures && Object.prototype.hasOwnProperty.call(signatures, method)) return signatures[method];
+    owner = SIGNATURE_INHERITANCE[owner];
+  }
+  return null;
+}
+
+/**
+ * Formats a signature for display, e.g. `addQuery(name: string, value?: any): GlideQueryCondition`.
+ *
+ * @param {string} method - Method name
+ * @param {{ params: Object[], returns: string }} signature - Signature from METHOD_SIGNATURES
+ * @returns {string}
+ */
+export function formatSignature(method, signature) {
+  const params = signature.params
+    .map(p => `${p.rest ? '...' : ''}${p.name}${p.optional && !p.rest ? '?' : ''}: ${p.type}`)
+    .join(', ');
+  return `${method}(${params}): ${signature.returns}`;
+}
+
+// =============================================================================
+// RETURN TYPES
+// =============================================================================
+
+/**
+ * Return types of methods that yield another API object and have no entry
+ * in METHOD_SIGNATURES. Type inference follows these through chains such as
+ * request.execute().getBody() or gq.where(...).orderBy(...).
+ */
+export const METHOD_RETURN_TYPES = {
+  GlideElement: { getGlideObject: 'GlideDateTime' },
+  GlideQueryCondition: { addOrCondition: 'GlideQueryCondition', addCondition: 'GlideQueryCondition' },
+  GlideQuery: Object.fromEntries([
+    'where', 'whereNull', 'whereNotNull', 'orWhere', 'orWhereNull', 'orWhereNotNull',
+    'orderBy', 'orderByDesc', 'limit', 'disableAutoSysFields', 'disableWorkflow', 'forceUpdate', 'withAcls',
+    'withSecurityDataFilters'
+  ].map(method => [method, 'GlideQuery']).concat([
+    ['toGlideRecord', 'GlideRecord'],
+    ['select', 'Stream'],
+    ...['selectOne', 'get', 'getBy', 'insert', 'insertOrUpdate', 'update'].map(method => [method, 'Optional'])
+  ])),
+  Stream: Object.fromEntries(['map', 'flatMap', 'filter', 'limit', 'chunk'].map(method => [method, 'Stream'])),
+  Optional: Object.fromEntries(['map', 'flatMap', 'filter'].map(method => [method, 'Optional'])),
+  KMFCryptoOperation: { withInputFormat: 'KMFCryptoOperation', withOutputFormat: 'KMFCryptoOperation' },
+  RESTMessageV2: { execute: 'RESTResponseV2', executeAsync: 'RESTResponseV2' },
+  XMLDocument2: Object.fromEntries([
+    'getNode', 'getFirstNode', 'getNextNode', 'getDocumentElement', 'selectSingleNode',
+    'createElement', 'createElementWithTextValue'
+  ].map(method => [method, 'XMLNode'])),
+  XMLNode: { getFirstChild: 'XMLNode', getLastChild: 'XMLNode', appendChild: 'XMLNode' },
+  GlideOAuthClient: { requestToken: 'GlideOAuthClientResponse', requestTokenByRequest: 'GlideOAuthClientResponse' },
+  $sp: { getRecord: 'GlideRecord' }
+};
+
+/**
+ * Looks up what a method returns, from METHOD_RETURN_TYPES or the method's
+ * signature, following SIGNATURE_INHERITANCE.
+ *
+ * @param {string} className - Class or global object name
+ * @param {string} method - Method name
+ * @returns {string|null} Class name or primitive type, or null if unknown or void
+ */
+export function getMethodReturnType(className, method) {
+  let owner = className;
+  while (owner) {
+    const returns = METHOD_RETURN_TYPES[owner];
+    if (returns && Object.prototype.hasOwnProperty.call(returns, method)) return returns[method];
+    owner = SIGNATURE_INHERITANCE[owner];
+  }
+  const signature = getMethodSignature(className, method);
+  return signature && signature.returns !== 'void' ? signature.returns : null;
+}
+
 // =============================================================================
 // CONTEXT TO METHODS MAPPING
 // =============================================================================
@@ -1361,6 +1962,8 @@ export const CONTEXT_METHOD_MAP = {
   'GlideElement': GLIDE_ELEMENT_METHODS,
   'GlideQuery': GLIDE_QUERY_METHODS,
   'GlideQueryCondition': GLIDE_QUERY_CONDITION_METHODS,
+  'Stream': GLIDE_QUERY_STREAM_METHODS,
+  'Optional': GLIDE_QUERY_OPTIONAL_METHODS,
   'GlideDateTime': GLIDE_DATE_TIME_METHODS,
   'GlideDate': GLIDE_DATE_METHODS,
   'GlideTime': GLIDE_TIME_METHODS,
@@ -1393,6 +1996,7 @@ export const CONTEXT_METHOD_MAP = {
   '$sp': SP_METHODS,
   'GlideSPScriptable': SP_METHODS,
   'FlowAPI': FLOW_API_METHODS,
+  'KMFCryptoOperation': KMF_CRYPTO_OPERATION_METHODS,
   'GlideOAuthClient': GLIDE_OAUTH_CLIENT_METHODS,
   'GlideOAuthClientRequest': GLIDE_OAUTH_CLIENT_REQUEST_METHODS,
   'GlideOAuthClientResponse': GLIDE_OAUTH_CLIENT_RESPONSE_METHODS,
@@ -1443,6 +2047,8 @@ export const ALL_METHODS = [...new Set([
   ...GLIDE_FILTER_METHODS,
   ...GLIDE_QUERY_METHODS,
   ...GLIDE_QUERY_CONDITION_METHODS,
+  ...GLIDE_QUERY_STREAM_METHODS,
+  ...GLIDE_QUERY_OPTIONAL_METHODS,
   ...GLIDE_TABLE_HIERARCHY_METHODS,
   ...GLIDE_PLUGIN_MANAGER_METHODS,
   ...GLIDE_SECURE_RANDOM_METHODS,
@@ -1454,6 +2060,7 @@ export const ALL_METHODS = [...new Set([
   ...SP_METHODS,
   ...SP_UTIL_METHODS,
   ...FLOW_API_METHODS,
+  ...KMF_CRYPTO_OPERATION_METHODS,
   ...GLIDE_OAUTH_CLIENT_METHODS,
   ...GLIDE_OAUTH_CLIENT_REQUEST_METHODS,
   ...GLIDE_OAUTH_CLIENT_RESPONSE_METHODS,
@@ -1466,6 +2073,19 @@ export default {
   GLOBAL_OBJECTS,
   CONTEXT_METHOD_MAP,
   ALL_METHODS,
+  API_ENVIRONMENTS,
+  BOUNDARY_ALTERNATIVES,
+  getApiEnvironment,
+  GLOBAL_ONLY_APIS,
+  GLOBAL_ONLY_GS_METHODS,
+  SCOPE_AVAILABILITY,
+  getScopeAvailability,
+  METHOD_SIGNATURES,
+  SIGNATURE_INHERITANCE,
+  getMethodSignature,
+  formatSignature,
+  METHOD_RETURN_TYPES,
+  getMethodReturnType,
   // Individual method arrays for specific use cases
   GLIDE_RECORD_METHODS,
   GLIDE_AGGREGATE_METHODS,
@@ -6,9 +6,16 @@
  * Two-pass approach:
  * 1. Fast regex-based corrections for known common typos
  * 2. Fuzzy matching (Damerau-Levenshtein) for any remaining typos
+ *
+ * Neither pass changes text inside strings, comments, or regular expressions;
+ * rules that rewrite string arguments replace the whole literal.
  */
 
 import { fuzzyCorrectCode } from './fuzzyMatcher.js';
+import { createEditTracker } from './editTracker.js';
+import { SEVERITY, createFix, locationFromOffsets } from '../diagnostics.js';
+import { ENVIRONMENT, resolveScriptType, appliesToEnvironment } from '../scriptTypes.js';
+import { parseEncodedQuery } from '../encodedQuery.js';
 
 // =============================================================================
 // TYPO CORRECTION PATTERNS
@@ -220,7 +227,6 @@ const GLIDE_RECORD_TYPOS = [
   // groupBy (GlideAggregate)
   [/\.gruopBy\(/g, '.groupBy('],
   [/\.groupBY\(/g, '.groupBy('],
-  [/\.groupBy\(/g, '.groupBy('],
   [/\.grouBy\(/g, '.groupBy('],
   // getAttachments
   [/\.getAttachmnets\(/g, '.getAttachments('],
@@ -410,11 +416,9 @@ const GLIDE_ELEMENT_TYPOS = [
   [/\.chnagesFrom\(/g, '.changesFrom('],
   [/\.changesFromm\(/g, '.changesFrom('],
   [/\.changesFomr\(/g, '.changesFrom('],
-  [/\.changesFrom\(/g, '.changesFrom('],
   // changesTo
   [/\.chnagesTo\(/g, '.changesTo('],
   [/\.changesToo\(/g, '.changesTo('],
-  [/\.changesToo\(/g, '.changesTo('],
   [/\.changestTo\(/g, '.changesTo('],
   // nil
   [/\.nill\(/g, '.nil('],
@@ -440,7 +444,6 @@ const GLIDE_ELEMENT_TYPOS = [
   [/\.getChocies\(/g, '.getChoices('],
   [/\.getChioces\(/g, '.getChoices('],
   [/\.getChoicse\(/g, '.getChoices('],
-  [/\.getChioces\(/g, '.getChoices('],
   // getAttribute
   [/\.getAttriubte\(/g, '.getAttribute('],
   [/\.getAtributte\(/g, '.getAttribute('],
@@ -525,7 +528,7 @@ const CLASS_NAME_TYPOS = [
   [/GlideRecordSecrue/g, 'GlideRecordSecure'],
   [/GlideReocrdSecure/g, 'GlideRecordSecure'],
   [/GlideRecrodSecure/g, 'GlideRecordSecure'],
-  [/GlideRecordSecur/g, 'GlideRecordSecure'],
+  [/GlideRecordSecur\b/g, 'GlideRecordSecure'],
   // GlideAggregate
   [/GlideAggreaget/g, 'GlideAggregate'],
   [/GlideAggreagte/g, 'GlideAggregate'],
@@ -767,7 +770,7 @@ const CLASS_NAME_TYPOS = [
   [/GlidUpdateSet/g, 'GlideUpdateSet'],
   [/GlideUpdatSet/g, 'GlideUpdateSet'],
   // GlideImpersonate
-  [/GlideImpersonat/g, 'GlideImpersonate'],
+  [/GlideImpersonat\b/g, 'GlideImpersonate'],
   [/GlideImpersonae/g, 'GlideImpersonate'],
   [/GlidImpersonate/g, 'GlideImpersonate'],
   [/GlideImeprsonate/g, 'GlideImpersonate'],
@@ -968,7 +971,6 @@ const GLIDE_DURATION_TYPOS = [
   // getDayPart
   [/\.getDayPrat\(/g, '.getDayPart('],
   [/\.getDyaPart\(/g, '.getDayPart('],
-  [/\.getDayPart\(/g, '.getDayPart('],
   [/\.getDayprat\(/g, '.getDayPart('],
   // getDurationValue
   [/\.getDurationVlaue\(/g, '.getDurationValue('],
@@ -984,7 +986,6 @@ const GLIDE_DURATION_TYPOS = [
   [/\.getRoundedDayPrat\(/g, '.getRoundedDayPart('],
   [/\.getRoundedDyaPart\(/g, '.getRoundedDayPart('],
   [/\.getRoudnedDayPart\(/g, '.getRoundedDayPart('],
-  [/\.getRoundedDayPart\(/g, '.getRoundedDayPart('],
   // getValue
   [/\.getValeu\(/g, '.getValue('],
   [/\.getVlaue\(/g, '.getValue('],
@@ -1091,7 +1092,6 @@ const GLIDE_USER_TYPOS = [
   [/\.getRceord\(/g, '.getRecord('],
   // getRoles
   [/\.getRoels\(/g, '.getRoles('],
-  [/\.getRoles\(/g, '.getRoles('],
   [/\.getRole\(/g, '.getRoles('],
   [/\.getRoesl\(/g, '.getRoles('],
   // hasRole
@@ -1157,7 +1157,6 @@ const GLIDE_SESSION_TYPOS = [
   [/\.getLanguge\(/g, '.getLanguage('],
   [/\.getLangauge\(/g, '.getLanguage('],
   [/\.getLnguage\(/g, '.getLanguage('],
-  [/\.getLangauge\(/g, '.getLanguage('],
   // getSessionToken
   [/\.getSessionTkoen\(/g, '.getSessionToken('],
   [/\.getSessionToekn\(/g, '.getSessionToken('],
@@ -1495,9 +1494,6 @@ const GS_TYPOS = [
   // getDisplayName
   [/gs\.getDisplayNmae\(/g, 'gs.getDisplayName('],
   [/gs\.getDisplayNaem\(/g, 'gs.getDisplayName('],
-  // getCurrentScopeName
-  [/gs\.getCurrentScopeNmae\(/g, 'gs.getCurrentScopeName('],
-  [/gs\.getCurentScopeName\(/g, 'gs.getCurrentScopeName('],
   // getSession
   [/gs\.getSesion\(/g, 'gs.getSession('],
   [/gs\.getSesson\(/g, 'gs.getSession('],
@@ -1505,7 +1501,6 @@ const GS_TYPOS = [
   [/gs\.getTimeZoneNmae\(/g, 'gs.getTimeZoneName('],
   [/gs\.getTimZoneName\(/g, 'gs.getTimeZoneName('],
   // hoursAgo
-  [/gs\.hoursAgo\(/g, 'gs.hoursAgo('],
   [/gs\.horusAgo\(/g, 'gs.hoursAgo('],
   // hoursAgoStart
   [/gs\.hoursAgoStrat\(/g, 'gs.hoursAgoStart('],
@@ -1514,17 +1509,13 @@ const GS_TYPOS = [
   [/gs\.hoursAgoEdn\(/g, 'gs.hoursAgoEnd('],
   [/gs\.horusAgoEnd\(/g, 'gs.hoursAgoEnd('],
   // daysAgo
-  [/gs\.daysAgo\(/g, 'gs.daysAgo('],
-  [/gs\.daysAgo\(/g, 'gs.daysAgo('],
   [/gs\.daysago\(/g, 'gs.daysAgo('],
   // daysAgoStart
   [/gs\.daysAgoStrat\(/g, 'gs.daysAgoStart('],
   [/gs\.daysAgoStrt\(/g, 'gs.daysAgoStart('],
   // daysAgoEnd
   [/gs\.daysAgoEdn\(/g, 'gs.daysAgoEnd('],
-  [/gs\.daysAgoEdn\(/g, 'gs.daysAgoEnd('],
   // monthsAgo
-  [/gs\.monthsAgo\(/g, 'gs.monthsAgo('],
   [/gs\.monthsago\(/g, 'gs.monthsAgo('],
   [/gs\.montshAgo\(/g, 'gs.monthsAgo('],
   // monthsAgoStart
@@ -1532,13 +1523,9 @@ const GS_TYPOS = [
   [/gs\.montshAgoStart\(/g, 'gs.monthsAgoStart('],
   // quartersAgo
   [/gs\.quartersago\(/g, 'gs.quartersAgo('],
-  [/gs\.quartersAgo\(/g, 'gs.quartersAgo('],
   // yearsAgo
   [/gs\.yearsago\(/g, 'gs.yearsAgo('],
   [/gs\.yaersAgo\(/g, 'gs.yearsAgo('],
-  // beginningOfLastMonth
-  [/gs\.beginningOfLatsMonth\(/g, 'gs.beginningOfLastMonth('],
-  [/gs\.beginingOfLastMonth\(/g, 'gs.beginningOfLastMonth('],
   // beginningOfLastWeek
   [/gs\.beginningOfLatsWeek\(/g, 'gs.beginningOfLastWeek('],
   [/gs\.beginingOfLastWeek\(/g, 'gs.beginningOfLastWeek('],
@@ -1547,7 +1534,6 @@ const GS_TYPOS = [
   [/gs\.beginingOfLastYear\(/g, 'gs.beginningOfLastYear('],
   // beginningOfThisMonth
   [/gs\.beginningOfThisMont\(/g, 'gs.beginningOfThisMonth('],
-  [/gs\.beginingOfThisMonth\(/g, 'gs.beginningOfThisMonth('],
   // beginningOfThisQuarter
   [/gs\.beginningOfThisQuater\(/g, 'gs.beginningOfThisQuarter('],
   [/gs\.beginingOfThisQuarter\(/g, 'gs.beginningOfThisQuarter('],
@@ -1649,7 +1635,6 @@ const OTHER_TYPOS = [
   [/\.writeOutpt\(/g, '.writeOutput('],
   // XMLDocument2
   [/\.parseXMl\(/g, '.parseXML('],
-  [/\.parseXML\(/g, '.parseXML('],
   [/\.getDocuemntElement\(/g, '.getDocumentElement('],
   [/\.getDocumentElment\(/g, '.getDocumentElement('],
   [/\.createElementWithTextVlaue\(/g, '.createElementWithTextValue('],
@@ -1675,7 +1660,6 @@ const OTHER_TYPOS = [
   [/\.setFromm\(/g, '.setFrom('],
   [/\.setFrmo\(/g, '.setFrom('],
   [/\.setFrm\(/g, '.setFrom('],
-  [/\.setReplyTo\(/g, '.setReplyTo('],
   [/\.setRepltyTo\(/g, '.setReplyTo('],
   [/\.setReplyToo\(/g, '.setReplyTo('],
   [/\.setRelpyTo\(/g, '.setReplyTo('],
@@ -1683,142 +1667,235 @@ const OTHER_TYPOS = [
 
 /**
  * Applies typo fixes from a list of patterns
- * @param {string} code - The code to process
+ * @param {Object} tracker - Edit tracker holding the code being processed
  * @param {Array<[RegExp, string]>} typoList - List of [pattern, replacement] pairs
- * @returns {{ code: string, count: number }}
+ * @param {string} ruleId - Rule id recorded on each edit
+ * @returns {{ count: number, location: Object|null }}
  */
-function applyTypoFixes(code, typoList) {
-  let processed = code;
+function applyTypoFixes(tracker, typoList, ruleId) {
   let count = 0;
+  let location = null;
   
   for (const [pattern, replacement] of typoList) {
-    let matchCount = 0;
-    processed = processed.replace(pattern, () => {
-      matchCount++;
-      return replacement;
-    });
-    count += matchCount;
+    const firstMatch = location ? null : tracker.locate(pattern);
+    const matched = tracker.replace(pattern, replacement, ruleId);
+    if (matched > 0 && !location) location = firstMatch;
+    count += matched;
   }
   
-  return { code: processed, count };
+  return { count, location };
 }
 
 /**
- * Applies ServiceNow-specific fixes to code
+ * Returns the condition of an encoded query made of a single `field=value`
+ * condition, or null for any other query.
+ * @param {string} query - Encoded query
+ * @returns {Object|null} The condition
+ */
+function getSingleEqualityCondition(query) {
+  const { groups, orderBy, groupBy, errors } = parseEncodedQuery(query);
+  if (errors.length > 0 || orderBy.length > 0 || groupBy.length > 0 || groups.length !== 1) return null;
+  const { clauses } = groups[0];
+  if (clauses.length !== 1 || clauses[0].conditions.length !== 1) return null;
+  const [condition] = clauses[0].conditions;
+  const plain = condition.operator === '=' && !/^javascript:/i.test(condition.value) && !condition.value.includes('^');
+  return plain ? condition : null;
+}
+
+// =============================================================================
+// RULE METADATA
+// =============================================================================
+
+/**
+ * Typo pattern lists, one fix rule each. Lists of APIs that only exist on
+ * the server or the client carry that environment.
+ */
+export const TYPO_CATEGORIES = [
+  { id: 'sn/typo-glide-record', name: 'GlideRecord method', list: GLIDE_RECORD_TYPOS },
+  { id: 'sn/typo-glide-element', name: 'GlideElement method', list: GLIDE_ELEMENT_TYPOS },
+  { id: 'sn/typo-class-name', name: 'ServiceNow class name', list: CLASS_NAME_TYPOS },
+  { id: 'sn/typo-glide-date-time', name: 'GlideDateTime method', list: GLIDE_DATETIME_TYPOS, environment: ENVIRONMENT.SERVER },
+  { id: 'sn/typo-glide-schedule', name: 'GlideSchedule method', list: GLIDE_SCHEDULE_TYPOS, environment: ENVIRONMENT.SERVER },
+  { id: 'sn/typo-glide-duration', name: 'GlideDuration method', list: GLIDE_DURATION_TYPOS, environment: ENVIRONMENT.SERVER },
+  { id: 'sn/typo-glide-user', name: 'GlideUser method', list: GLIDE_USER_TYPOS, environment: ENVIRONMENT.SERVER },
+  { id: 'sn/typo-glide-session', name: 'GlideSession method', list: GLIDE_SESSION_TYPOS, environment: ENVIRONMENT.SERVER },
+  { id: 'sn/typo-web-service', name: 'REST/SOAP method', list: SN_WS_TYPOS, environment: ENVIRONMENT.SERVER },
+  { id: 'sn/typo-array-util', name: 'ArrayUtil method', list: ARRAY_UTIL_TYPOS, environment: ENVIRONMENT.SERVER },
+  { id: 'sn/typo-glide-sys-attachment', name: 'GlideSysAttachment method', list: GLIDE_SYS_ATTACHMENT_TYPOS, environment: ENVIRONMENT.SERVER },
+  { id: 'sn/typo-g-form', name: 'g_form method', list: G_FORM_TYPOS, environment: ENVIRONMENT.CLIENT },
+  { id: 'sn/typo-g-user', name: 'g_user method', list: G_USER_TYPOS, environment: ENVIRONMENT.CLIENT },
+  { id: 'sn/typo-glide-ajax', name: 'GlideAjax method', list: GLIDE_AJAX_TYPOS },
+  { id: 'sn/typo-gs', name: 'gs method', list: GS_TYPOS, environment: ENVIRONMENT.SERVER },
+  { id: 'sn/typo-other', name: 'ServiceNow API', list: OTHER_TYPOS }
+];
+
+/**
+ * ServiceNow fix rules keyed by stable rule id
+ */
+export const SERVICENOW_FIX_RULES = {
+  ...Object.fromEntries(TYPO_CATEGORIES.map(category => [category.id, {
+    severity: SEVERITY.INFO,
+    description: `Corrects known ${category.name} typos`
+  }])),
+  'sn/replace-gs-now': {
+    severity: SEVERITY.INFO,
+    description: 'Replaces gs.now() with new GlideDateTime().getDisplayValue()'
+  },
+  'sn/replace-gs-now-date-time': {
+    severity: SEVERITY.INFO,
+    description: 'Replaces gs.nowDateTime() with new GlideDateTime().getValue()'
+  },
+  'sn/unique-value': {
+    severity: SEVERITY.INFO,
+    description: "Replaces getValue('sys_id') with getUniqueValue()"
+  },
+  'sn/replace-gs-print': {
+    severity: SEVERITY.INFO,
+    description: 'Replaces gs.print() with gs.info()'
+  },
+  'sn/add-query-concat': {
+    severity: SEVERITY.INFO,
+    description: "Rewrites addQuery('field=' + value) as addQuery('field', value)"
+  },
+  'sn/simplify-encoded-query': {
+    severity: SEVERITY.INFO,
+    description: 'Rewrites a single-condition addEncodedQuery() as addQuery()'
+  },
+  'sn/strict-string-equality': {
+    severity: SEVERITY.INFO,
+    description: 'Uses === to compare two string literals'
+  }
+};
+
+/**
+ * Fix messages by rule id, given the number of changes
+ */
+export const SERVICENOW_FIX_MESSAGES = {
+  ...Object.fromEntries(TYPO_CATEGORIES.map(category => [
+    category.id,
+    n => `Fixed ${n} ${category.name} typo${n > 1 ? 's' : ''}`
+  ])),
+  'sn/replace-gs-now': n => `Replaced ${n} gs.now() with GlideDateTime`,
+  'sn/replace-gs-now-date-time': n => `Replaced ${n} gs.nowDateTime() with GlideDateTime`,
+  'sn/unique-value': n => `Replaced ${n} getValue('sys_id') with getUniqueValue()`,
+  'sn/replace-gs-print': n => `Replaced ${n} gs.print() with gs.info()`,
+  'sn/add-query-concat': n => `Fixed ${n} string concatenation in addQuery() calls`,
+  'sn/simplify-encoded-query': n => `Simplified ${n} addEncodedQuery() to addQuery()`,
+  'sn/strict-string-equality': n => `Converted ${n} string comparison(s) to strict equality (===)`
+};
+
+/**
+ * Applies ServiceNow-specific fixes to code.
+ * Fixes for APIs that only exist on the server (gs, GlideDateTime, ...) or only
+ * on the client (g_form, g_user, GlideAjax) are skipped for other script types.
  * @param {string} code - The code to process
- * @returns {{ processed: string, fixes: string[] }}
+ * @param {Object} [options] - Fix options
+ * @param {string} [options.scriptType] - Script type id, or 'auto' to detect from the code
+ * @returns {{ processed: string, fixes: Diagnostic[], suggestions: Diagnostic[], edits: TrackedEdit[] }}
  */
-export function applyServiceNowFixes(code) {
-  let processed = code;
+export function applyServiceNowFixes(code, options = {}) {
+  const tracker = createEditTracker(code);
   const fixes = [];
+  const scriptType = resolveScriptType(code, options.scriptType);
+  const runsOnServer = appliesToEnvironment(ENVIRONMENT.SERVER, scriptType);
 
   // Apply typo corrections for each category
-  const typoCategories = [
-    { name: 'GlideRecord method', list: GLIDE_RECORD_TYPOS },
-    { name: 'GlideElement method', list: GLIDE_ELEMENT_TYPOS },
-    { name: 'ServiceNow class name', list: CLASS_NAME_TYPOS },
-    { name: 'GlideDateTime method', list: GLIDE_DATETIME_TYPOS },
-    { name: 'GlideSchedule method', list: GLIDE_SCHEDULE_TYPOS },
-    { name: 'GlideDuration method', list: GLIDE_DURATION_TYPOS },
-    { name: 'GlideUser method', list: GLIDE_USER_TYPOS },
-    { name: 'GlideSession method', list: GLIDE_SESSION_TYPOS },
-    { name: 'REST/SOAP method', list: SN_WS_TYPOS },
-    { name: 'ArrayUtil method', list: ARRAY_UTIL_TYPOS },
-    { name: 'GlideSysAttachment method', list: GLIDE_SYS_ATTACHMENT_TYPOS },
-    { name: 'g_form method', list: G_FORM_TYPOS },
-    { name: 'g_user method', list: G_USER_TYPOS },
-    { name: 'GlideAjax method', list: GLIDE_AJAX_TYPOS },
-    { name: 'gs method', list: GS_TYPOS },
-    { name: 'ServiceNow API', list: OTHER_TYPOS },
-  ];
 
-  for (const category of typoCategories) {
-    const result = applyTypoFixes(processed, category.list);
-    processed = result.code;
+  for (const category of TYPO_CATEGORIES) {
+    if (!appliesToEnvironment(category.environment, scriptType)) continue;
+    const result = applyTypoFixes(tracker, category.list, category.id);
     if (result.count > 0) {
-      fixes.push(`Fixed ${result.count} ${category.name} typo${result.count > 1 ? 's' : ''}`);
+      fixes.push(createFix(category.id, SERVICENOW_FIX_MESSAGES[category.id](result.count), result.location));
     }
   }
 
   // Intelligent fix: Replace gs.now()
   const gsNowPattern = /\bgs\.now\s*\(\s*\)/g;
-  const gsNowMatches = processed.match(gsNowPattern) || [];
-  if (gsNowMatches.length > 0) {
-    processed = processed.replace(gsNowPattern, 'new GlideDateTime().getDisplayValue()');
-    fixes.push(`Replaced ${gsNowMatches.length} gs.now() with GlideDateTime`);
+  if (runsOnServer) {
+    const location = tracker.locate(gsNowPattern);
+    const count = tracker.replace(gsNowPattern, 'new GlideDateTime().getDisplayValue()', 'sn/replace-gs-now');
+    if (count > 0) {
+      fixes.push(createFix('sn/replace-gs-now', SERVICENOW_FIX_MESSAGES['sn/replace-gs-now'](count), location));
+    }
   }
 
   // Intelligent fix: Replace gs.nowDateTime()
   const gsNowDateTimePattern = /\bgs\.nowDateTime\s*\(\s*\)/g;
-  const gsNowDateTimeMatches = processed.match(gsNowDateTimePattern) || [];
-  if (gsNowDateTimeMatches.length > 0) {
-    processed = processed.replace(gsNowDateTimePattern, 'new GlideDateTime().getValue()');
-    fixes.push(`Replaced ${gsNowDateTimeMatches.length} gs.nowDateTime() with GlideDateTime`);
+  if (runsOnServer) {
+    const location = tracker.locate(gsNowDateTimePattern);
+    const count = tracker.replace(gsNowDateTimePattern, 'new GlideDateTime().getValue()', 'sn/replace-gs-now-date-time');
+    if (count > 0) {
+      fixes.push(createFix('sn/replace-gs-now-date-time', SERVICENOW_FIX_MESSAGES['sn/replace-gs-now-date-time'](count), location));
+    }
   }
 
   // Intelligent fix: getValue('sys_id') → getUniqueValue()
   const getSysIdPattern = /\.getValue\s*\(\s*['"]sys_id['"]\s*\)/g;
-  const getSysIdMatches = processed.match(getSysIdPattern) || [];
-  if (getSysIdMatches.length > 0) {
-    processed = processed.replace(getSysIdPattern, '.getUniqueValue()');
-    fixes.push(`Replaced ${getSysIdMatches.length} getValue('sys_id') with getUniqueValue()`);
+  const getSysIdLocation = tracker.locate(getSysIdPattern);
+  const getSysIdCount = tracker.replace(getSysIdPattern, '.getUniqueValue()', 'sn/unique-value');
+  if (getSysIdCount > 0) {
+    fixes.push(createFix('sn/unique-value', SERVICENOW_FIX_MESSAGES['sn/unique-value'](getSysIdCount), getSysIdLocation));
   }
 
   // Intelligent fix: Replace gs.print()
   const gsPrintPattern = /\bgs\.print\s*\(/g;
-  const gsPrintMatches = processed.match(gsPrintPattern) || [];
-  if (gsPrintMatches.length > 0) {
-    processed = processed.replace(gsPrintPattern, 'gs.info(');
-    fixes.push(`Replaced ${gsPrintMatches.length} gs.print() with gs.info()`);
+  if (runsOnServer) {
+    const location = tracker.locate(gsPrintPattern);
+    const count = tracker.replace(gsPrintPattern, 'gs.info(', 'sn/replace-gs-print');
+    if (count > 0) {
+      fixes.push(createFix('sn/replace-gs-print', SERVICENOW_FIX_MESSAGES['sn/replace-gs-print'](count), location));
+    }
   }
 
   // Intelligent fix: String concatenation in addQuery
   const concatQueryPattern = /\.addQuery\s*\(\s*['"](\w+)=['"]\s*\+\s*(\w+)\s*\)/g;
-  let concatCount = 0;
-  processed = processed.replace(concatQueryPattern, (match, field, value) => {
-    concatCount++;
-    return `.addQuery('${field}', ${value})`;
-  });
+  const concatLocation = tracker.locate(concatQueryPattern);
+  const concatCount = tracker.replace(
+    concatQueryPattern,
+    (match, field, value) => `.addQuery('${field}', ${value})`,
+    'sn/add-query-concat'
+  );
   if (concatCount > 0) {
-    fixes.push(`Fixed ${concatCount} string concatenation in addQuery() calls`);
+    fixes.push(createFix('sn/add-query-concat', SERVICENOW_FIX_MESSAGES['sn/add-query-concat'](concatCount), concatLocation));
   }
 
-  // Intelligent fix: Simple addEncodedQuery → addQuery
-  const simpleEncodedPattern = /\.addEncodedQuery\s*\(\s*['"](\w+)=([^'^"]+)['"]\s*\)/g;
-  let encodedCount = 0;
-  processed = processed.replace(simpleEncodedPattern, (match, field, value) => {
-    if (!value.includes('^') && !value.includes('!=') && !value.includes('LIKE') && 
-        !value.includes('IN') && !value.includes('STARTSWITH') && !value.includes('ENDSWITH') &&
-        !value.includes('CONTAINS') && !value.includes('ORDERBY') && !value.includes('NULL')) {
-      encodedCount++;
-      return `.addQuery('${field}', '${value}')`;
-    }
-    return match;
-  });
+  // Intelligent fix: Simple addEncodedQuery → addQuery. Only a query that
+  // parses to a single equality condition is rewritten; `javascript:` values
+  // are evaluated by encoded queries but not by addQuery().
+  const simpleEncodedPattern = /\.addEncodedQuery\s*\(\s*(['"])([^'"\\\n]*)\1\s*\)/g;
+  let encodedLocation = null;
+  const encodedCount = tracker.replace(simpleEncodedPattern, (match, quote, query, offset, source) => {
+    const condition = getSingleEqualityCondition(query);
+    if (!condition) return match;
+    if (!encodedLocation) encodedLocation = locationFromOffsets(source, offset, offset + match.length);
+    return `.addQuery('${condition.field}', '${condition.value}')`;
+  }, 'sn/simplify-encoded-query');
   if (encodedCount > 0) {
-    fixes.push(`Simplified ${encodedCount} addEncodedQuery() to addQuery()`);
+    fixes.push(createFix('sn/simplify-encoded-query', SERVICENOW_FIX_MESSAGES['sn/simplify-encoded-query'](encodedCount), encodedLocation));
   }
 
-  // Intelligent fix: String literal loose equality to strict equality
-  const stringEqualityPattern = /(['"][^'"]*['"])\s*==\s*(['"][^'"]*['"])/g;
-  let strictCount = 0;
-  processed = processed.replace(stringEqualityPattern, (match, left, right) => {
-    strictCount++;
-    return `${left} === ${right}`;
-  });
+  // Intelligent fix: String literal loose equality to strict equality.
+  // Both operands must be whole string literals; only the operator changes.
+  const stringEqualityPattern = /('[^'\n]*'|"[^"\n]*")\s*==\s*('[^'\n]*'|"[^"\n]*")/g;
+  const strictLocation = tracker.locate(stringEqualityPattern);
+  const strictCount = tracker.replace(
+    stringEqualityPattern,
+    (match, left, right) => `${left} === ${right}`,
+    'sn/strict-string-equality'
+  );
   if (strictCount > 0) {
-    fixes.push(`Converted ${strictCount} string comparison(s) to strict equality (===)`);
+    fixes.push(createFix('sn/strict-string-equality', SERVICENOW_FIX_MESSAGES['sn/strict-string-equality'](strictCount), strictLocation));
   }
 
   // ==========================================================================
   // PASS 2: Fuzzy Matching (catches typos not covered by regex patterns)
   // ==========================================================================
-  const fuzzyResult = fuzzyCorrectCode(processed);
-  processed = fuzzyResult.processed;
+  const fuzzyResult = fuzzyCorrectCode(tracker.text);
+  tracker.apply(fuzzyResult.edits);
   fixes.push(...fuzzyResult.fixes);
   
   // Fuzzy suggestions are low-confidence and returned separately
   const suggestions = fuzzyResult.suggestions;
 
-  return { processed, fixes, suggestions };
+  return { processed: tracker.text, fixes, suggestions, edits: tracker.edits };
 }
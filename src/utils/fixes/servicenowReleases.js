@@ -0,0 +1,137 @@
+/**
+ * @fileoverview ServiceNow Release Metadata
+ * @description The family releases the analyzers can target, and the release
+ * history of dictionary APIs: the release each API became available in, was
+ * deprecated in, and was removed in. Release warnings compare these with the
+ * selected target release. APIs without an entry are assumed to be available
+ * and current on every release.
+ */
+
+// =============================================================================
+// RELEASES
+// =============================================================================
+
+/**
+ * Supported family releases, oldest first. The first entry also stands for
+ * every release before it.
+ */
+export const RELEASES = [
+  { id: 'orlando', name: 'Orlando' },
+  { id: 'paris', name: 'Paris' },
+  { id: 'quebec', name: 'Quebec' },
+  { id: 'rome', name: 'Rome' },
+  { id: 'sandiego', name: 'San Diego' },
+  { id: 'tokyo', name: 'Tokyo' },
+  { id: 'utah', name: 'Utah' },
+  { id: 'vancouver', name: 'Vancouver' },
+  { id: 'washingtondc', name: 'Washington DC' },
+  { id: 'xanadu', name: 'Xanadu' },
+  { id: 'yokohama', name: 'Yokohama' },
+  { id: 'zurich', name: 'Zurich' },
+  { id: 'australia', name: 'Australia' }
+];
+
+/** Release targeted when none is selected */
+export const LATEST_RELEASE = RELEASES[RELEASES.length - 1].id;
+
+const RELEASE_INDEX = Object.fromEntries(RELEASES.map((release, index) => [release.id, index]));
+
+// =============================================================================
+// API RELEASE HISTORY
+// =============================================================================
+
+/**
+ * Release history keyed by class or global name, or by `Type.method` for
+ * single methods (types as in CONTEXT_METHOD_MAP). `since`, `deprecated`,
+ * and `removed` are release ids; `replacement` is what to use instead.
+ */
+export const API_RELEASES = {
+  // Added
+  GlideQuery: { since: 'paris' },
+  'GlideQuery.disableAutoSysFields': { since: 'quebec' },
+  'GlideQuery.withSecurityDataFilters': { since: 'washingtondc' },
+  KMFCryptoOperation: { since: 'rome' },
+  'FlowAPI.getRunner': { since: 'rome' },
+
+  // Deprecated
+  GlideHTTPRequest: { deprecated: 'orlando', replacement: 'sn_ws.RESTMessageV2' },
+  RESTMessage: { deprecated: 'orlando', replacement: 'sn_ws.RESTMessageV2' },
+  SOAPMessage: { deprecated: 'orlando', replacement: 'sn_ws.SOAPMessageV2' },
+  XMLDocument: { deprecated: 'orlando', replacement: 'XMLDocument2' },
+  GlideXMLUtil: { deprecated: 'orlando', replacement: 'XMLDocument2' },
+  GlideDialogWindow: { deprecated: 'orlando', replacement: 'GlideModal' },
+  'GlideDateTime.addDays': { deprecated: 'orlando', replacement: 'addDaysLocalTime() or addDaysUTC()' },
+  'GlideDateTime.addWeeks': { deprecated: 'orlando', replacement: 'addWeeksLocalTime() or addWeeksUTC()' },
+  'GlideDateTime.addMonths': { deprecated: 'orlando', replacement: 'addMonthsLocalTime() or addMonthsUTC()' },
+  'GlideDateTime.addYears': { deprecated: 'orlando', replacement: 'addYearsLocalTime() or addYearsUTC()' },
+  'GlideDateTime.getDayOfMonth': { deprecated: 'orlando', replacement: 'getDayOfMonthLocalTime() or getDayOfMonthUTC()' },
+  'GlideDateTime.getDayOfWeek': { deprecated: 'orlando', replacement: 'getDayOfWeekLocalTime() or getDayOfWeekUTC()' },
+  'GlideDateTime.getMonth': { deprecated: 'orlando', replacement: 'getMonthLocalTime() or getMonthUTC()' },
+  'GlideDateTime.getYear': { deprecated: 'orlando', replacement: 'getYearLocalTime() or getYearUTC()' },
+
+  // Removed
+  GlideEncrypter: { deprecated: 'washingtondc', removed: 'zurich', replacement: 'sn_kmf_ns.KMFCryptoOperation' }
+};
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+/**
+ * Returns a release by id.
+ *
+ * @param {string} id - Release id
+ * @returns {{ id: string, name: string }|null}
+ */
+export function getRelease(id) {
+  return id in RELEASE_INDEX ? RELEASES[RELEASE_INDEX[id]] : null;
+}
+
+/**
+ * Checks whether `a` is the same release as `b` or a later one.
+ *
+ * @param {string} a - Release id
+ * @param {string} b - Release id
+ * @returns {boolean}
+ */
+function isAtLeast(a, b) {
+  return RELEASE_INDEX[a] >= RELEASE_INDEX[b];
+}
+
+/**
+ * Works out the status of an API on a release from its history.
+ *
+ * @param {Object} history - Entry of API_RELEASES
+ * @param {string} [release] - Target release id (default the latest)
+ * @returns {{ status: 'available'|'deprecated'|'unavailable', reason: string|null }}
+ * `reason` is 'since' or 'removed' for unavailable APIs
+ */
+export function getApiStatus(history, release = LATEST_RELEASE) {
+  if (!history) return { status: 'available', reason: null };
+  if (history.since && !isAtLeast(release, history.since)) return { status: 'unavailable', reason: 'since' };
+  if (history.removed && isAtLeast(release, history.removed)) return { status: 'unavailable', reason: 'removed' };
+  if (history.deprecated && isAtLeast(release, history.deprecated)) return { status: 'deprecated', reason: null };
+  return { status: 'available', reason: null };
+}
+
+/**
+ * Looks up the release history of a class or global, or of one of its
+ * methods.
+ *
+ * @param {string} name - Class or global name
+ * @param {string} [method] - Method name
+ * @returns {Object|null} Entry of API_RELEASES
+ */
+export function getApiHistory(name, method) {
+  const key = method ? `${name}.${method}` : name;
+  return Object.prototype.hasOwnProperty.call(API_RELEASES, key) ? API_RELEASES[key] : null;
+}
+
+export default {
+  RELEASES,
+  LATEST_RELEASE,
+  API_RELEASES,
+  getRelease,
+  getApiStatus,
+  getApiHistory
+};
@@ -0,0 +1,910 @@
+/**
+ * @fileoverview GlideQuery Migration
+ * @description Recognizes common GlideRecord idioms and rewrites them as the
+ * equivalent GlideQuery chain: query-and-iterate loops, get-by-sys_id,
+ * existence checks, counts (GlideAggregate COUNT, getRowCount(), and loops
+ * that only count records), and updateMultiple() / deleteMultiple(). An idiom is only rewritten when its record variable is
+ * used nowhere else and the record is read in ways a GlideQuery result
+ * supports (field values, display values, the sys_id). GlideQuery returns
+ * typed values where GlideRecord returns strings and checks values against
+ * field types, so a migration is a proposal to review, not a guaranteed
+ * equivalence.
+ */
+
+import { parseCode } from './astParser.js';
+import {
+  walk,
+  isFunctionNode,
+  isLoopNode,
+  getMemberCall,
+  getStringValue,
+  isVariableReference,
+  analyzeScopes
+} from './astWalker.js';
+import { offsetToPosition } from './diagnostics.js';
+
+// =============================================================================
+// IDIOMS
+// =============================================================================
+
+/**
+ * Migrated GlideRecord idioms keyed by id, with the GlideQuery form they become
+ */
+export const MIGRATION_IDIOMS = {
+  'query-iterate': 'query() and while (next()) → select().forEach()',
+  'get-by-id': 'if (get()) → get().ifPresent()',
+  exists: 'query() and hasNext() → selectOne().isPresent()',
+  count: 'GlideAggregate COUNT, getRowCount(), or a counting loop → count()',
+  'update-multiple': 'setValue() and updateMultiple() → updateMultiple({ ... })',
+  'delete-multiple': 'deleteMultiple() → deleteMultiple()'
+};
+
+/**
+ * GlideRecord calls that only configure the query or the values to write
+ */
+const BUILDER_METHODS = new Set([
+  'addQuery', 'addEncodedQuery', 'addNullQuery', 'addNotNullQuery', 'addActiveQuery',
+  'orderBy', 'orderByDesc', 'setLimit', 'setWorkflow', 'autoSysFields', 'addAggregate', 'setValue'
+]);
+
+/**
+ * addQuery() operators that GlideQuery's where() accepts under the same name
+ */
+const WHERE_OPERATORS = new Set([
+  '=', '!=', '>', '>=', '<', '<=', 'IN', 'NOT IN',
+  'STARTSWITH', 'ENDSWITH', 'CONTAINS', 'DOES NOT CONTAIN', 'INSTANCEOF'
+]);
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @param {string} value - Raw string
+ * @returns {string} Single-quoted JavaScript string literal
+ */
+function quote(value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * @param {Object} node - AST node
+ * @param {string} name - Variable name
+ * @param {string} method - Method name
+ * @param {number} [argCount] - Required argument count
+ * @returns {boolean} True if the node is `name.method(...)`
+ */
+function isRecordCall(node, name, method, argCount = 0) {
+  const call = getMemberCall(node);
+  return !!call && call.objectName === name && call.method === method &&
+    !node.callee.computed && node.arguments.length === argCount;
+}
+
+/**
+ * @param {Object} statement - Statement node
+ * @param {string} name - Variable name
+ * @param {string} method - Method name
+ * @returns {boolean} True if the statement is `name.method();`
+ */
+function isRecordCallStatement(statement, name, method) {
+  return !!statement && statement.type === 'ExpressionStatement' && isRecordCall(statement.expression, name, method);
+}
+
+/**
+ * Detects the indentation unit of a script: a tab, or the smallest space
+ * indentation outside block comments (two spaces when nothing is indented).
+ *
+ * @param {string} code - Source text
+ * @returns {string}
+ */
+function getIndentUnit(code) {
+  const indents = code.split('\n')
+    .filter(line => !/^\s*\*/.test(line))
+    .map(line => line.match(/^[ \t]*/)[0])
+    .filter(indent => indent.length > 0 && indent.length < 9);
+  if (indents.some(indent => indent.startsWith('\t'))) return '\t';
+  return indents.length > 0 ? ' '.repeat(Math.min(...indents.map(indent => indent.length))) : '  ';
+}
+
+/**
+ * @param {string} code - Source text
+ * @param {number} offset - Offset on the line
+ * @returns {string} Leading whitespace of the line containing the offset
+ */
+function getLineIndent(code, offset) {
+  const lineStart = code.lastIndexOf('\n', offset - 1) + 1;
+  return code.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Applies non-overlapping replacements to a slice of the source.
+ *
+ * @param {string} code - Source text
+ * @param {number} start - Slice start offset
+ * @param {number} end - Slice end offset
+ * @param {{ start: number, end: number, text: string }[]} edits - Replacements inside the slice
+ * @returns {string}
+ */
+function applyEdits(code, start, end, edits) {
+  let text = '';
+  let position = start;
+  for (const edit of [...edits].sort((a, b) => a.start - b.start)) {
+    text += code.slice(position, edit.start) + edit.text;
+    position = edit.end;
+  }
+  return text + code.slice(position, end);
+}
+
+/**
+ * Groups every variable reference of a program by binding. A reference is an
+ * initialization when it is a declarator with a value or the target of `=`.
+ *
+ * @param {Object} ast - Program node
+ * @param {Function} resolve - Resolver from analyzeScopes()
+ * @returns {Map<Object, { node: Object, init: boolean, declaration: boolean }[]>}
+ */
+function collectReferences(ast, resolve) {
+  const references = new Map();
+  walk(ast, (node, ancestors) => {
+    const parent = ancestors[ancestors.length - 1];
+    if (!isVariableReference(node, parent)) return;
+    const binding = resolve(node.name, ancestors);
+    if (!binding) return;
+    const declaration = parent.type === 'VariableDeclarator' && parent.id === node;
+    const init = (declaration && !!parent.init) ||
+      (parent.type === 'AssignmentExpression' && parent.left === node);
+    if (!references.has(binding)) references.set(binding, []);
+    references.get(binding).push({ node, init, declaration });
+  });
+  return references;
+}
+
+// =============================================================================
+// RECORD AND QUERY BUILDERS
+// =============================================================================
+
+/**
+ * Matches `var gr = new GlideRecord(table);` (or GlideAggregate).
+ *
+ * @param {Object} statement - Statement node
+ * @returns {{ name: string, className: string, table: Object, id: Object }|null}
+ */
+function getRecordDeclaration(statement) {
+  if (statement.type !== 'VariableDeclaration' || statement.declarations.length !== 1) return null;
+  const [declarator] = statement.declarations;
+  const init = declarator.init;
+  if (declarator.id.type !== 'Identifier' || !init || init.type !== 'NewExpression') return null;
+  if (init.callee.type !== 'Identifier' || !['GlideRecord', 'GlideAggregate'].includes(init.callee.name)) return null;
+  if (init.arguments.length !== 1 || init.arguments[0].type === 'SpreadElement') return null;
+  return { name: declarator.id.name, className: init.callee.name, table: init.arguments[0], id: declarator.id };
+}
+
+/**
+ * Matches a statement that configures the record: a builder call such as
+ * `gr.addQuery(...)`, or a field assignment `gr.field = value`.
+ *
+ * @param {Object} statement - Statement node
+ * @param {string} name - Record variable name
+ * @returns {{ method: string, args?: Object[], field?: string, value?: Object, object: Object }|null}
+ */
+function getBuilder(statement, name) {
+  if (statement.type !== 'ExpressionStatement') return null;
+  const expression = statement.expression;
+  const call = getMemberCall(expression);
+  if (call && call.objectName === name && !expression.callee.computed && BUILDER_METHODS.has(call.method)) {
+    if (expression.arguments.some(arg => arg.type === 'SpreadElement')) return null;
+    return { method: call.method, args: expression.arguments, object: call.object };
+  }
+  if (expression.type === 'AssignmentExpression' && expression.operator === '=' &&
+      expression.left.type === 'MemberExpression' && !expression.left.computed &&
+      expression.left.object.type === 'Identifier' && expression.left.object.name === name) {
+    return { method: 'assign', field: expression.left.property.name, value: expression.right, object: expression.left.object };
+  }
+  return null;
+}
+
+/**
+ * Converts an IN / NOT IN value to an array: a comma-separated string literal
+ * is split, an array literal is kept.
+ *
+ * @param {Object} node - Value node
+ * @param {string} code - Source text
+ * @returns {string|null}
+ */
+function toArrayValue(node, code) {
+  if (node.type === 'ArrayExpression') return code.slice(node.start, node.end);
+  const value = getStringValue(node);
+  if (value === null) return null;
+  return `[${value.split(',').map(item => quote(item.trim())).join(', ')}]`;
+}
+
+/**
+ * Translates the builder calls of a record into the start of a GlideQuery
+ * chain. Literal encoded queries are combined into GlideQuery.parse().
+ *
+ * @param {Object} record - Result of getRecordDeclaration()
+ * @param {Object[]} builders - Results of getBuilder()
+ * @param {string} code - Source text
+ * @param {'select'|'exists'|'count'|'write'} mode - What the chain ends with
+ * @returns {{ head: string, steps: string[], values: string[] }|null} Null when a call has no GlideQuery form
+ */
+function buildChain(record, builders, code, mode) {
+  const source = node => code.slice(node.start, node.end);
+  const table = source(record.table);
+  const steps = [];
+  const values = [];
+  const encoded = [];
+  let aggregates = 0;
+
+  for (const builder of builders) {
+    const { method, args } = builder;
+    const literal = args ? args.map(getStringValue) : [];
+
+    switch (method) {
+      case 'addQuery':
+        if (args.length === 1) {
+          encoded.push(args[0]);
+        } else if (args.length === 2) {
+          steps.push(`.where(${source(args[0])}, ${source(args[1])})`);
+        } else if (args.length === 3 && WHERE_OPERATORS.has(literal[1])) {
+          const operator = literal[1];
+          const value = operator.endsWith('IN') ? toArrayValue(args[2], code) : source(args[2]);
+          if (value === null) return null;
+          steps.push(`.where(${source(args[0])}, ${quote(operator)}, ${value})`);
+        } else {
+          return null;
+        }
+        break;
+      case 'addEncodedQuery':
+        if (args.length !== 1) return null;
+        encoded.push(args[0]);
+        break;
+      case 'addNullQuery':
+      case 'addNotNullQuery':
+        if (args.length !== 1) return null;
+        steps.push(`.${method === 'addNullQuery' ? 'whereNull' : 'whereNotNull'}(${source(args[0])})`);
+        break;
+      case 'addActiveQuery':
+        if (args.length !== 0) return null;
+        steps.push(".where('active', true)");
+        break;
+      case 'orderBy':
+      case 'orderByDesc':
+        if (args.length !== 1) return null;
+        if (mode === 'select') steps.push(`.${method}(${source(args[0])})`);
+        break;
+      case 'setLimit':
+        if (args.length !== 1 || mode === 'write' || mode === 'count') return null;
+        if (mode === 'select') steps.push(`.limit(${source(args[0])})`);
+        break;
+      case 'setWorkflow':
+      case 'autoSysFields': {
+        if (args.length !== 1 || args[0].type !== 'Literal' || typeof args[0].value !== 'boolean') return null;
+        if (mode === 'write' && args[0].value === false) {
+          steps.push(method === 'setWorkflow' ? '.disableWorkflow()' : '.disableAutoSysFields()');
+        }
+        break;
+      }
+      case 'addAggregate':
+        if (mode !== 'count' || args.length !== 1 || literal[0] !== 'COUNT') return null;
+        aggregates++;
+        break;
+      case 'setValue':
+        if (mode !== 'write' || args.length !== 2 || literal[0] === null) return null;
+        values.push(`${IDENTIFIER.test(literal[0]) ? literal[0] : quote(literal[0])}: ${source(args[1])}`);
+        break;
+      case 'assign':
+        if (mode !== 'write') return null;
+        values.push(`${builder.field}: ${source(builder.value)}`);
+        break;
+      default:
+        return null;
+    }
+  }
+
+  if (mode === 'count' && aggregates !== (record.className === 'GlideAggregate' ? 1 : 0)) return null;
+
+  let head = `new GlideQuery(${table})`;
+  if (encoded.length === 1) {
+    head = `GlideQuery.parse(${table}, ${source(encoded[0])})`;
+  } else if (encoded.length > 1) {
+    const queries = encoded.map(getStringValue);
+    if (queries.includes(null)) return null;
+    head = `GlideQuery.parse(${table}, ${quote(queries.join('^'))})`;
+  }
+  return { head, steps, values };
+}
+
+// =============================================================================
+// RECORD USAGE IN CALLBACK BODIES
+// =============================================================================
+
+/**
+ * Rewrites the body of a `while (gr.next())` loop or `if (gr.get())` branch
+ * as the body of a GlideQuery callback. Field reads stay as they are and are
+ * collected for the selection; getValue('f') becomes `gr.f`,
+ * getDisplayValue('f') and `gr.f.getDisplayValue()` become `gr.f$DISPLAY`,
+ * and getUniqueValue() becomes `gr.sys_id`. In a loop, `continue` becomes
+ * `return`. Writes, other record methods, dot-walks, and control flow that
+ * would leave the callback are not supported.
+ *
+ * @param {Object} body - Loop or branch body
+ * @param {string} name - Record variable name
+ * @param {Set<Object>} recordReferences - Identifier nodes of the record variable
+ * @param {string} code - Source text
+ * @param {boolean} loop - True for a loop body
+ * @returns {{ edits: Object[], fields: string[], accounted: Object[] }|null}
+ */
+function rewriteBody(body, name, recordReferences, code, loop) {
+  const edits = [];
+  const fields = [];
+  const accounted = [];
+  let supported = true;
+
+  const addField = field => {
+    if (field !== 'sys_id' && !fields.includes(field)) fields.push(field);
+  };
+
+  walk(body, (node, ancestors) => {
+    if (!supported) return;
+    const inFunction = ancestors.some(isFunctionNode);
+    const inOrdinaryFunction = ancestors.some(ancestor => isFunctionNode(ancestor) && ancestor.type !== 'ArrowFunctionExpression');
+
+    switch (node.type) {
+      case 'ReturnStatement':
+      case 'YieldExpression':
+      case 'AwaitExpression':
+        if (!inFunction) supported = false;
+        return;
+      case 'ThisExpression':
+        if (!inOrdinaryFunction) supported = false;
+        return;
+      case 'BreakStatement':
+        if (node.label || !(inFunction || ancestors.some(ancestor => isLoopNode(ancestor) || ancestor.type === 'SwitchStatement'))) {
+          supported = false;
+        }
+        return;
+      case 'ContinueStatement':
+        if (node.label) {
+          supported = false;
+        } else if (!inFunction && !ancestors.some(isLoopNode)) {
+          if (loop) edits.push({ start: node.start, end: node.start + 'continue'.length, text: 'return' });
+          else supported = false;
+        }
+        return;
+      case 'Identifier':
+        break;
+      default:
+        return;
+    }
+
+    if (node.name === 'arguments' && !inOrdinaryFunction) supported = false;
+    if (!recordReferences.has(node)) return;
+    accounted.push(node);
+
+    const parent = ancestors[ancestors.length - 1];
+    const grandparent = ancestors[ancestors.length - 2];
+    const outer = ancestors[ancestors.length - 3];
+    if (!parent || parent.type !== 'MemberExpression' || parent.object !== node || parent.computed) {
+      supported = false;
+      return;
+    }
+    const property = parent.property.name;
+
+    if (grandparent && grandparent.type === 'CallExpression' && grandparent.callee === parent) {
+      const argument = grandparent.arguments.length === 1 ? getStringValue(grandparent.arguments[0]) : null;
+      let replacement = null;
+      if (property === 'getValue' && argument !== null && IDENTIFIER.test(argument)) {
+        addField(argument);
+        replacement = `${name}.${argument}`;
+      } else if (property === 'getDisplayValue' && argument !== null && IDENTIFIER.test(argument)) {
+        addField(`${argument}$DISPLAY`);
+        replacement = `${name}.${argument}$DISPLAY`;
+      } else if (property === 'getUniqueValue' && grandparent.arguments.length === 0) {
+        replacement = `${name}.sys_id`;
+      }
+      if (replacement === null) supported = false;
+      else edits.push({ start: grandparent.start, end: grandparent.end, text: replacement });
+      return;
+    }
+
+    if (grandparent && ((grandparent.type === 'AssignmentExpression' && grandparent.left === parent) ||
+        grandparent.type === 'UpdateExpression' ||
+        (grandparent.type === 'UnaryExpression' && grandparent.operator === 'delete'))) {
+      supported = false;
+      return;
+    }
+
+    if (grandparent && grandparent.type === 'MemberExpression' && grandparent.object === parent) {
+      const isDisplayValue = !grandparent.computed && grandparent.property.name === 'getDisplayValue' &&
+        outer && outer.type === 'CallExpression' && outer.callee === grandparent && outer.arguments.length === 0;
+      if (!isDisplayValue) {
+        supported = false;
+        return;
+      }
+      addField(`${property}$DISPLAY`);
+      edits.push({ start: outer.start, end: outer.end, text: `${name}.${property}$DISPLAY` });
+      return;
+    }
+
+    addField(property);
+  });
+
+  return supported ? { edits, fields, accounted } : null;
+}
+
+/**
+ * Returns the body of a callback, re-indented one level deeper than the
+ * statement it came from.
+ *
+ * @param {Object} body - Loop or branch body
+ * @param {Object[]} edits - Replacements inside the body
+ * @param {string} code - Source text
+ * @param {string} indent - Indentation of the callback's contents
+ * @param {string} unit - Indentation unit
+ * @returns {string[]} Body lines
+ */
+function getCallbackLines(body, edits, code, indent, unit) {
+  const block = body.type === 'BlockStatement';
+  const text = block
+    ? applyEdits(code, body.start + 1, body.end - 1, edits)
+    : applyEdits(code, body.start, body.end, edits);
+  let multilineTemplate = false;
+  walk(body, node => {
+    if (node.type === 'TemplateLiteral' && node.loc.start.line !== node.loc.end.line) multilineTemplate = true;
+  });
+
+  const lines = text.replace(/^[ \t]*\n/, '').replace(/\s+$/, '').split('\n');
+  if (lines.length === 1 && lines[0].trim() === '') return [];
+  return lines.map((line, index) => {
+    if (!block && index === 0) return indent + line.trimStart();
+    return multilineTemplate || line.trim() === '' ? line : unit + line;
+  });
+}
+
+// =============================================================================
+// IDIOM MATCHERS
+// =============================================================================
+
+/**
+ * Joins the head and steps of a chain, one step per line.
+ *
+ * @param {Object} chain - Result of buildChain()
+ * @param {string[]} tail - Final steps
+ * @param {string} indent - Indentation of the steps
+ * @returns {string}
+ */
+function formatChain(chain, tail, indent) {
+  return [chain.head, ...[...chain.steps, ...tail].map(step => indent + step)].join('\n');
+}
+
+/**
+ * `gr.query(); while (gr.next()) { ... }` → `.select(...).forEach(function (gr) { ... })`
+ */
+function matchQueryIterate({ list, next, record, builders, context, indent }) {
+  const loop = list[next + 1];
+  if (record.className !== 'GlideRecord' || !isRecordCallStatement(list[next], record.name, 'query')) return null;
+  if (!loop || loop.type !== 'WhileStatement' || !isRecordCall(loop.test, record.name, 'next')) return null;
+
+  const chain = buildChain(record, builders, context.code, 'select');
+  const body = chain && rewriteBody(loop.body, record.name, context.recordReferences, context.code, true);
+  if (!body) return null;
+
+  const inner = indent + context.unit;
+  const lines = getCallbackLines(loop.body, body.edits, context.code, inner + context.unit, context.unit);
+  return {
+    idiom: 'query-iterate',
+    lastIndex: next + 1,
+    replacement: formatChain(chain, [
+      `.select(${body.fields.map(quote).join(', ')})`,
+      [`.forEach(function (${record.name}) {`, ...lines, `${inner}});`].join('\n')
+    ], inner),
+    accounted: [list[next].expression.callee.object, loop.test.callee.object, ...body.accounted]
+  };
+}
+
+/**
+ * `if (gr.get(id)) { ... }` → `.get(id, [...]).ifPresent(function (gr) { ... })`
+ */
+function matchGetById({ list, next, record, builders, context, indent }) {
+  const statement = list[next];
+  if (record.className !== 'GlideRecord' || builders.length > 0) return null;
+  if (!statement || statement.type !== 'IfStatement' || statement.alternate) return null;
+  const test = statement.test;
+  const call = getMemberCall(test);
+  if (!call || call.objectName !== record.name || call.method !== 'get' || test.callee.computed) return null;
+
+  const source = node => context.code.slice(node.start, node.end);
+  let lookup;
+  if (test.arguments.length === 1 && test.arguments[0].type !== 'SpreadElement') {
+    lookup = `get(${source(test.arguments[0])}`;
+  } else if (test.arguments.length === 2 && getStringValue(test.arguments[0]) !== null) {
+    const field = getStringValue(test.arguments[0]);
+    lookup = `getBy({ ${IDENTIFIER.test(field) ? field : quote(field)}: ${source(test.arguments[1])} }`;
+  } else {
+    return null;
+  }
+
+  const body = rewriteBody(statement.consequent, record.name, context.recordReferences, context.code, false);
+  if (!body) return null;
+
+  const inner = indent + context.unit;
+  const selection = body.fields.length > 0 ? `, [${body.fields.map(quote).join(', ')}]` : '';
+  const lines = getCallbackLines(statement.consequent, body.edits, context.code, inner + context.unit, context.unit);
+  return {
+    idiom: 'get-by-id',
+    lastIndex: next,
+    replacement: formatChain({ head: `new GlideQuery(${source(record.table)})`, steps: [] }, [
+      `.${lookup}${selection})`,
+      [`.ifPresent(function (${record.name}) {`, ...lines, `${inner}});`].join('\n')
+    ], inner),
+    accounted: [test.callee.object, ...body.accounted]
+  };
+}
+
+/**
+ * Finds the only reference to the record in a statement.
+ *
+ * @param {Object} statement - Statement node
+ * @param {Set<Object>} recordReferences - Identifier nodes of the record variable
+ * @returns {{ node: Object, ancestors: Object[] }|null}
+ */
+function findOnlyReference(statement, recordReferences) {
+  const found = [];
+  walk(statement, (node, ancestors) => {
+    if (recordReferences.has(node)) found.push({ node, ancestors: [...ancestors] });
+  });
+  return found.length === 1 ? found[0] : null;
+}
+
+/**
+ * `gr.query(); if (gr.hasNext())` → `if (new GlideQuery(...).selectOne().isPresent())`
+ */
+function matchExists({ list, next, record, builders, context }) {
+  const statement = list[next + 1];
+  if (record.className !== 'GlideRecord' || !isRecordCallStatement(list[next], record.name, 'query') || !statement) return null;
+  if (statement.type === 'WhileStatement') return null;
+
+  const reference = findOnlyReference(statement, context.recordReferences);
+  const call = reference && reference.ancestors[reference.ancestors.length - 2];
+  if (!call || !(isRecordCall(call, record.name, 'hasNext') || isRecordCall(call, record.name, 'next'))) return null;
+
+  const chain = buildChain(record, builders, context.code, 'exists');
+  if (!chain) return null;
+  const query = `${chain.head}${chain.steps.join('')}.selectOne().isPresent()`;
+  return {
+    idiom: 'exists',
+    lastIndex: next + 1,
+    replacement: applyEdits(context.code, statement.start, statement.end, [{ start: call.start, end: call.end, text: query }]),
+    accounted: [list[next].expression.callee.object, reference.node]
+  };
+}
+
+/**
+ * Checks whether a statement between query() and the use of the count can
+ * stay in front of the count() call: it must not use the record, call
+ * anything, or assign a variable the builder calls read.
+ *
+ * @param {Object} statement - Statement node
+ * @param {Object[]} builders - Results of getBuilder()
+ * @param {Set<Object>} recordReferences - Identifier nodes of the record variable
+ * @returns {boolean}
+ */
+function isIndependentStatement(statement, builders, recordReferences) {
+  const read = new Set();
+  builders.forEach(builder => [...(builder.args || []), builder.value].filter(Boolean).forEach(arg => walk(arg, node => {
+    if (node.type === 'Identifier') read.add(node.name);
+  })));
+
+  let independent = true;
+  const assigns = target => {
+    if (target.type !== 'Identifier' || read.has(target.name)) independent = false;
+  };
+  walk(statement, node => {
+    if (recordReferences.has(node) || ['CallExpression', 'NewExpression', 'TaggedTemplateExpression'].includes(node.type) ||
+        (node.type === 'UnaryExpression' && node.operator === 'delete')) {
+      independent = false;
+    } else if (node.type === 'AssignmentExpression') {
+      assigns(node.left);
+    } else if (node.type === 'UpdateExpression') {
+      assigns(node.argument);
+    } else if (node.type === 'VariableDeclarator') {
+      assigns(node.id);
+    }
+  });
+  return independent;
+}
+
+/**
+ * Unwraps the record count, `ga.getAggregate('COUNT')` of a GlideAggregate
+ * or `gr.getRowCount()` of a GlideRecord, and its conversions to a number:
+ * parseInt(), Number() and unary `+`.
+ *
+ * @param {Object} node - Expression node
+ * @param {Object} record - Result of getRecordDeclaration()
+ * @returns {boolean} True if the expression is the count
+ */
+function isCountExpression(node, record) {
+  if (!node) return false;
+  if (node.type === 'UnaryExpression' && node.operator === '+') return isCountExpression(node.argument, record);
+  if (node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+      ['parseInt', 'Number'].includes(node.callee.name) && node.arguments.length >= 1) {
+    return isCountExpression(node.arguments[0], record);
+  }
+  if (record.className === 'GlideRecord') return isRecordCall(node, record.name, 'getRowCount');
+  return isRecordCall(node, record.name, 'getAggregate', 1) && getStringValue(node.arguments[0]) === 'COUNT';
+}
+
+/**
+ * Returns the variable a statement adds one to: `n++`, `++n`, `n += 1`, or
+ * `n = n + 1`.
+ *
+ * @param {Object} statement - Statement node
+ * @returns {Object|null} Identifier node
+ */
+function getIncrementedVariable(statement) {
+  const expression = statement && statement.type === 'ExpressionStatement' ? statement.expression : null;
+  if (!expression) return null;
+  const isOne = node => node.type === 'Literal' && node.value === 1;
+  if (expression.type === 'UpdateExpression' && expression.operator === '++' && expression.argument.type === 'Identifier') {
+    return expression.argument;
+  }
+  if (expression.type !== 'AssignmentExpression' || expression.left.type !== 'Identifier') return null;
+  const { left, right, operator } = expression;
+  if (operator === '+=' && isOne(right)) return left;
+  const isSum = operator === '=' && right.type === 'BinaryExpression' && right.operator === '+' &&
+    right.left.type === 'Identifier' && right.left.name === left.name && isOne(right.right);
+  return isSum ? left : null;
+}
+
+/**
+ * `ga.addAggregate('COUNT'); ga.query(); if (ga.next()) count = ga.getAggregate('COUNT');` → `count = ....count();`,
+ * and for a GlideRecord `if (gr.next()) count = gr.getRowCount();`, `total = gr.getRowCount();`, or
+ * `while (gr.next()) count++;` → `count += ....count();`. Independent statements between query() and
+ * the count are kept in front of it.
+ */
+function matchCount({ list, next, record, builders, context, indent }) {
+  if (!isRecordCallStatement(list[next], record.name, 'query')) return null;
+  const chain = buildChain(record, builders, context.code, 'count');
+  if (!chain) return null;
+  const count = `${chain.head}${chain.steps.join('')}.count()`;
+  const source = node => context.code.slice(node.start, node.end);
+  const queried = list[next].expression.callee.object;
+  const rowCount = record.className === 'GlideRecord';
+
+  // Statements before the count is read stay in front of it
+  let first = next + 1;
+  while (first < list.length && isIndependentStatement(list[first], builders, context.recordReferences)) first++;
+  const kept = first > next + 1 ? `${context.code.slice(list[next + 1].start, list[first - 1].end)}\n${indent}` : '';
+
+  const statement = list[first];
+  if (statement && statement.type === 'IfStatement' && !statement.alternate && isRecordCall(statement.test, record.name, 'next')) {
+    let consequent = statement.consequent;
+    if (consequent.type === 'BlockStatement' && consequent.body.length === 1) consequent = consequent.body[0];
+    const expression = consequent.type === 'ExpressionStatement' ? consequent.expression : null;
+    let replacement = null;
+    let value = null;
+    if (expression && expression.type === 'AssignmentExpression' && expression.operator === '=' &&
+        isCountExpression(expression.right, record)) {
+      value = expression.right;
+      replacement = `${source(expression.left)} = ${count};`;
+    } else if (consequent.type === 'ReturnStatement' && isCountExpression(consequent.argument, record)) {
+      value = consequent.argument;
+      replacement = `return ${count};`;
+    }
+    if (!replacement) return null;
+    const accounted = [queried, statement.test.callee.object];
+    walk(value, node => {
+      if (context.recordReferences.has(node)) accounted.push(node);
+    });
+    return { idiom: 'count', lastIndex: first, replacement: kept + replacement, accounted };
+  }
+
+  // A loop whose only statement counts the records
+  if (rowCount && statement && statement.type === 'WhileStatement' && isRecordCall(statement.test, record.name, 'next')) {
+    const body = statement.body.type === 'BlockStatement' && statement.body.body.length === 1
+      ? statement.body.body[0]
+      : statement.body;
+    const counter = getIncrementedVariable(body);
+    if (!counter || counter.name === record.name) return null;
+    return {
+      idiom: 'count',
+      lastIndex: first,
+      replacement: `${kept}${counter.name} += ${count};`,
+      accounted: [queried, statement.test.callee.object]
+    };
+  }
+
+  // GlideRecord counts need no next(); GlideAggregate results do
+  const use = rowCount ? statement : list[first + 1];
+  if (!use || (!rowCount && !isRecordCallStatement(statement, record.name, 'next'))) return null;
+  const reference = findOnlyReference(use, context.recordReferences);
+  if (!reference) return null;
+  const value = [...reference.ancestors].reverse().filter(node => isCountExpression(node, record)).pop();
+  if (!value) return null;
+  return {
+    idiom: 'count',
+    lastIndex: rowCount ? first : first + 1,
+    replacement: kept + applyEdits(context.code, use.start, use.end, [{ start: value.start, end: value.end, text: count }]),
+    accounted: [queried, ...(rowCount ? [] : [statement.expression.callee.object]), reference.node]
+  };
+}
+
+/**
+ * `gr.setValue(f, v); gr.updateMultiple();` → `.updateMultiple({ f: v });`
+ */
+function matchWrite({ list, next, record, builders, context, indent }) {
+  const statement = list[next];
+  if (record.className !== 'GlideRecord' || !statement) return null;
+  const update = isRecordCallStatement(statement, record.name, 'updateMultiple');
+  if (!update && !isRecordCallStatement(statement, record.name, 'deleteMultiple')) return null;
+
+  const chain = buildChain(record, builders, context.code, 'write');
+  if (!chain || (update ? chain.values.length === 0 : chain.values.length > 0)) return null;
+  return {
+    idiom: update ? 'update-multiple' : 'delete-multiple',
+    lastIndex: next,
+    replacement: formatChain(chain, [
+      update ? `.updateMultiple({ ${chain.values.join(', ')} });` : '.deleteMultiple();'
+    ], indent + context.unit),
+    accounted: [statement.expression.callee.object]
+  };
+}
+
+/** Counting loops are also query-and-iterate loops, so counts are tried first */
+const MATCHERS = [matchCount, matchQueryIterate, matchGetById, matchExists, matchWrite];
+
+/**
+ * Checks that a record variable is not used outside a migrated range. Uses
+ * before the range must follow an earlier initialization, uses after it a
+ * later one, and such uses need a declaration of their own once the
+ * migrated declaration is gone.
+ *
+ * @param {Object[]} references - References of the variable's binding
+ * @param {number} start - Range start offset
+ * @param {number} end - Range end offset
+ * @param {Set<Object>} accounted - References the migration rewrites
+ * @returns {boolean}
+ */
+function isConfinedToRange(references, start, end, accounted) {
+  const inits = references.filter(ref => ref.init).map(ref => ref.node.start);
+  const outside = references.filter(({ node }) => node.start < start || node.end > end);
+  if (outside.length > 0 && !outside.some(ref => ref.declaration)) return false;
+
+  return references.every(({ node }) => {
+    if (node.start >= start && node.end <= end) return accounted.has(node);
+    if (node.end <= start) return inits.some(position => position <= node.start);
+    return inits.some(position => position >= end && position <= node.start);
+  });
+}
+
+/**
+ * Tries every idiom on the statements that follow a record declaration.
+ *
+ * @param {Object[]} list - Sibling statements
+ * @param {number} index - Index of the candidate declaration
+ * @param {Object[]} ancestors - Ancestor chain of the statements
+ * @param {Object} context - Source, scopes, and references of the program
+ * @returns {Object|null} Migration with the index of its last statement
+ */
+function matchIdiom(list, index, ancestors, context) {
+  const record = getRecordDeclaration(list[index]);
+  if (!record) return null;
+  const binding = context.resolve(record.name, ancestors);
+  const references = binding ? context.references.get(binding) || [] : [];
+
+  let next = index + 1;
+  const builders = [];
+  for (let builder; next < list.length && (builder = getBuilder(list[next], record.name)); next++) {
+    builders.push(builder);
+  }
+
+  const { code } = context;
+  const start = list[index].start;
+  const indent = getLineIndent(code, start);
+  const recordContext = { ...context, recordReferences: new Set(references.map(ref => ref.node)) };
+
+  for (const matcher of MATCHERS) {
+    const match = matcher({ list, next, record, builders, context: recordContext, indent });
+    if (!match) continue;
+
+    const end = list[match.lastIndex].end;
+    const removed = list.slice(index, match.lastIndex + 1);
+    const hasComments = removed.slice(1).some((statement, i) => code.slice(removed[i].end, statement.start).trim() !== '');
+    const accounted = new Set([record.id, ...builders.map(builder => builder.object), ...match.accounted]);
+    if (hasComments || !isConfinedToRange(references, start, end, accounted)) return null;
+
+    return {
+      idiom: match.idiom,
+      label: MIGRATION_IDIOMS[match.idiom],
+      variable: record.name,
+      line: offsetToPosition(code, start).line,
+      start,
+      end,
+      original: code.slice(start, end),
+      replacement: match.replacement,
+      lastIndex: match.lastIndex
+    };
+  }
+  return null;
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * @typedef {Object} GlideQueryMigration
+ * @property {string} idiom - Key of MIGRATION_IDIOMS
+ * @property {string} label - Description of the idiom
+ * @property {string} variable - GlideRecord variable name
+ * @property {number} line - 1-based line of the record declaration
+ * @property {number} start - Start offset of the replaced statements
+ * @property {number} end - End offset of the replaced statements
+ * @property {string} original - Replaced source
+ * @property {string} replacement - GlideQuery source
+ */
+
+/**
+ * Finds the GlideRecord idioms of a script that can be rewritten with
+ * GlideQuery. Nested idioms are left to the outer migration. Code that does
+ * not parse yields no migrations.
+ *
+ * @param {string} code - The code to analyze
+ * @returns {GlideQueryMigration[]} Non-overlapping migrations in source order
+ */
+export function findGlideQueryMigrations(code) {
+  const { ast } = parseCode(code, { ecmaVersion: 'latest' });
+  if (!ast) return [];
+
+  const { resolve } = analyzeScopes(ast);
+  const context = { code, resolve, references: collectReferences(ast, resolve), unit: getIndentUnit(code) };
+  const found = [];
+
+  walk(ast, (node, ancestors) => {
+    const list = node.type === 'SwitchCase' ? node.consequent
+      : node.type === 'Program' || node.type === 'BlockStatement' ? node.body : null;
+    if (!list) return;
+    for (let i = 0; i < list.length; i++) {
+      const migration = matchIdiom(list, i, [...ancestors, node], context);
+      if (!migration) continue;
+      const { lastIndex, ...rest } = migration;
+      found.push(rest);
+      i = lastIndex;
+    }
+  });
+
+  const migrations = [];
+  for (const migration of found.sort((a, b) => a.start - b.start)) {
+    const previous = migrations[migrations.length - 1];
+    if (!previous || migration.start >= previous.end) migrations.push(migration);
+  }
+  return migrations;
+}
+
+/**
+ * Rewrites every migratable GlideRecord idiom of a script with GlideQuery.
+ * If the result would not parse, the script is returned unchanged.
+ *
+ * @param {string} code - The code to migrate
+ * @returns {{ code: string, migrations: GlideQueryMigration[] }}
+ */
+export function migrateToGlideQuery(code) {
+  const migrations = findGlideQueryMigrations(code);
+  let migrated = code;
+  for (const migration of [...migrations].reverse()) {
+    migrated = migrated.slice(0, migration.start) + migration.replacement + migrated.slice(migration.end);
+  }
+  if (migrations.length > 0 && parseCode(migrated, { ecmaVersion: 'latest' }).error) {
+    return { code, migrations: [] };
+  }
+  return { code: migrated, migrations };
+}
+
+export default {
+  MIGRATION_IDIOMS,
+  findGlideQueryMigrations,
+  migrateToGlideQuery
+};
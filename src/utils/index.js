@@ -0,0 +1,167 @@
+/**
+ * @fileoverview GlideAware Headless API
+ * @description Public entry point of the polish pipeline for use outside the
+ * browser app, such as CI jobs and the `polish` command-line runner. Every
+ * module behind it is plain ESM with no DOM dependencies, so the same rules
+ * the app enforces run unchanged in Node.
+ *
+ *   import { polishSource, locateInSource, createFileReport, formatReport } from 'glideaware-studio';
+ *
+ *   const options = { language: 'javascript', profile };
+ *   const result = await polishSource(code, options);
+ *   const report = createFileReport('incident_rule.js', code, locateInSource(code, result, options));
+ *   console.log(formatReport([report], 'sarif'));
+ */
+
+import { polishCode, polishJson, formatCodeStructure, lintCode, lintJson, VERIFY_RULES } from './codePolish.js';
+import { formatTextReport } from './reports/textReport.js';
+import { formatJsonReport } from './reports/jsonReport.js';
+import { formatSarifReport } from './reports/sarifReport.js';
+import { formatJunitReport } from './reports/junitReport.js';
+import { LANGUAGES, detectLanguage, createFileReport, summarizeReports } from './reports/fileReport.js';
+import { SEVERITY } from './diagnostics.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Report formatters keyed by format name
+ */
+export const REPORT_FORMATS = {
+  text: formatTextReport,
+  json: formatJsonReport,
+  sarif: formatSarifReport,
+  junit: formatJunitReport
+};
+
+// =============================================================================
+// POLISHING
+// =============================================================================
+
+/**
+ * Polishes source text with the JavaScript or JSON pipeline.
+ *
+ * @param {string} code - Source text
+ * @param {Object} [options] - polishCode options, plus the language
+ * @param {'javascript'|'json'} [options.language] - Language (default JavaScript)
+ * @param {string} [options.scriptType] - Script type id, or 'auto'
+ * @param {boolean} [options.scopedApp] - Apply scoped-app rules
+ * @param {string} [options.release] - Target ServiceNow release id (default the latest)
+ * @param {Object} [options.profile] - Rule profile
+ * @param {boolean} [options.verify] - Re-parse and re-polish JavaScript output (default true)
+ * @returns {Promise<Object>} Result of polishCode or polishJson
+ */
+export async function polishSource(code, options = {}) {
+  const { language = LANGUAGES.JAVASCRIPT, ...polishOptions } = options;
+  return language === LANGUAGES.JSON
+    ? polishJson(code, { profile: polishOptions.profile })
+    : polishCode(code, polishOptions);
+}
+
+/**
+ * Relocates the findings of a polish result to the source text. The pipeline
+ * analyzes its formatted output, so its lines match the output, not the file
+ * the output came from; reports about an unchanged file analyze the source as
+ * written instead. The pipeline's own verification findings are about the
+ * polish rather than a place in the source and are kept, unlocated.
+ *
+ * @param {string} code - Source text that was polished
+ * @param {Object} result - Result of polishSource for the same code and options
+ * @param {Object} [options] - The polishSource options
+ * @returns {Object} The result, with warnings and errors located in the source
+ */
+export function locateInSource(code, result, options = {}) {
+  if (!result.success) return result;
+
+  const { language = LANGUAGES.JAVASCRIPT, ...lintOptions } = options;
+  let located;
+  if (language === LANGUAGES.JSON) {
+    located = lintJson(code, { profile: lintOptions.profile });
+  } else {
+    const diagnostics = lintCode(code, lintOptions);
+    located = {
+      warnings: diagnostics.filter(d => d.severity !== SEVERITY.ERROR),
+      errors: diagnostics.filter(d => d.severity === SEVERITY.ERROR)
+    };
+  }
+  const verification = diagnostics => diagnostics
+    .filter(d => VERIFY_RULES[d.ruleId])
+    .map(d => ({ ...d, line: null, column: null, endLine: null, endColumn: null }));
+
+  return {
+    ...result,
+    warnings: [...located.warnings, ...verification(result.warnings)],
+    errors: [...located.errors, ...verification(result.errors)]
+  };
+}
+
+// =============================================================================
+// REPORTS
+// =============================================================================
+
+/**
+ * Renders file reports in one of the REPORT_FORMATS.
+ *
+ * @param {FileReport[]} reports - File reports
+ * @param {'text'|'json'|'sarif'|'junit'} [format] - Output format (default text)
+ * @param {Object} [options] - Formatter options (toolVersion for SARIF, fixed for text)
+ * @returns {string}
+ * @throws {Error} If the format is unknown
+ */
+export function formatReport(reports, format = 'text', options = {}) {
+  const formatter = REPORT_FORMATS[format];
+  if (!formatter) {
+    throw new Error(`Unknown report format "${format}" (expected ${Object.keys(REPORT_FORMATS).join(', ')})`);
+  }
+  return formatter(reports, options);
+}
+
+// =============================================================================
+// RE-EXPORTS
+// =============================================================================
+
+export { polishCode, polishJson, formatCodeStructure, lintCode, lintJson };
+export { LANGUAGES, detectLanguage, createFileReport, summarizeReports };
+export { SEVERITY, formatDiagnostic } from './diagnostics.js';
+export { SCRIPT_TYPES, AUTO_SCRIPT_TYPE, detectScriptType } from './scriptTypes.js';
+export {
+  DEFAULT_PROFILE,
+  CONFIGURABLE_RULES,
+  normalizeProfile,
+  exportProfile,
+  importProfile
+} from './ruleProfiles.js';
+export {
+  parseScriptInclude,
+  applyCustomDictionary,
+  exportCustomDictionary,
+  importCustomDictionary
+} from './customDictionary.js';
+export { RELEASES, LATEST_RELEASE } from './fixes/servicenowReleases.js';
+export {
+  parseEncodedQuery,
+  describeCondition,
+  stringifyEncodedQuery,
+  encodedQueryToScript,
+  scriptToEncodedQuery
+} from './encodedQuery.js';
+export { findGlideQueryMigrations, migrateToGlideQuery } from './glideQueryMigration.js';
+export { LANGUAGE_TARGETS, NO_LANGUAGE_TARGET, AUTO_LANGUAGE_TARGET, resolveLanguageTarget } from './languageTargets.js';
+export { applyLanguageFixes } from './fixes/languageFixes.js';
+export {
+  BUSINESS_RULE_OPERATIONS,
+  DEFAULT_BUSINESS_RULE_OPERATIONS,
+  analyzeBusinessRule
+} from './warnings/businessRuleWarnings.js';
+export { parseSuppressions } from './suppressions.js';
+export { RULE_CATALOG, getRuleMetadata } from './ruleCatalog.js';
+
+export default {
+  polishSource,
+  locateInSource,
+  detectLanguage,
+  createFileReport,
+  summarizeReports,
+  formatReport
+};
@@ -0,0 +1,380 @@
+/**
+ * @fileoverview ServiceNow IntelliSense for Monaco
+ * @description Completion, signature help, and hover providers for Glide APIs.
+ * Receivers are typed with the scope analysis the fixes and warnings use
+ * (`var gr = new GlideRecord(...)`, reassignments, parameters, platform
+ * globals such as gs and g_form, and record fields such as current.state),
+ * and methods come from the ServiceNow dictionary together with their
+ * signatures.
+ */
+
+import {
+  CLASS_NAMES,
+  GLOBAL_OBJECTS,
+  CONTEXT_METHOD_MAP,
+  GLIDE_RECORD_METHODS,
+  GLIDE_AGGREGATE_METHODS,
+  getMethodSignature,
+  formatSignature,
+  getApiEnvironment,
+  getScopeAvailability
+} from './fixes/servicenowDictionary.js';
+import { inferVariableTypes, getReceiverType } from './fixes/fuzzyMatcher.js';
+import { parseCode } from './astParser.js';
+import { walk } from './astWalker.js';
+import { inferTypes } from './typeInference.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Language the providers are registered for */
+const LANGUAGE = 'javascript';
+
+/** Method lists of receivers whose other properties are record fields */
+const RECORD_METHOD_LISTS = new Set([GLIDE_RECORD_METHODS, GLIDE_AGGREGATE_METHODS]);
+
+/** Sort prefix that ranks dictionary entries above word-based suggestions */
+const SORT_PREFIX = '0';
+
+/** Monaco instances the providers are already registered on */
+const registered = new WeakSet();
+
+/** Property read from the receiver so that text ending in `gr.` parses */
+const PLACEHOLDER = '$$glideaware';
+
+/** Closing bracket of each opening bracket */
+const CLOSERS = { '(': ')', '[': ']', '{': '}' };
+
+/** Source and types of the last parse, reused while the source is unchanged */
+let lastInference = { source: null, ast: null, typeOf: null };
+
+// =============================================================================
+// TYPE RESOLUTION
+// =============================================================================
+
+/**
+ * Resolves the type of a dotted receiver chain such as `gr`, `g_form`, or
+ * `current.state` (a field of a record is a GlideElement).
+ *
+ * @param {string} chain - Receiver text without the trailing dot
+ * @param {Map<string, string>} typeMap - Inferred variable types
+ * @returns {string|null} Key into CONTEXT_METHOD_MAP, or null if unknown
+ */
+export function resolveChainType(chain, typeMap) {
+  const [head, ...properties] = chain.split('.');
+  let type = getReceiverType(head, typeMap);
+  for (const property of properties) {
+    const methods = type && CONTEXT_METHOD_MAP[type];
+    if (!methods || !RECORD_METHOD_LISTS.has(methods) || methods.includes(property)) return null;
+    type = 'GlideElement';
+  }
+  return type;
+}
+
+/**
+ * Types the receiver chain that ends at an offset, such as `gr` in `gr.|` or
+ * `current.state` in `current.state.|`. The text up to the receiver is parsed
+ * with its open brackets closed and typed by inferTypes(), so shadowed and
+ * reassigned variables get the type they have where the receiver is. Text
+ * that still does not parse falls back to the fuzzy matcher's regex inference.
+ *
+ * @param {string} code - Model text
+ * @param {number} end - Offset just after the receiver chain
+ * @param {string} chain - Receiver text without the trailing dot
+ * @returns {string|null} Key into CONTEXT_METHOD_MAP, or null if unknown
+ */
+export function resolveReceiverType(code, end, chain) {
+  const prefix = `${code.slice(0, end)}.${PLACEHOLDER}`;
+  const closers = findOpenBrackets(prefix).reverse().map(open => CLOSERS[open.char]).join('');
+  const source = `${prefix}${closers};`;
+  if (lastInference.source !== source) {
+    const { ast } = parseCode(source);
+    lastInference = { source, ast, typeOf: ast ? inferTypes(ast).typeOf : null };
+  }
+
+  const { ast, typeOf } = lastInference;
+  if (!ast) return resolveChainType(chain, inferVariableTypes(code));
+
+  const start = end - chain.length;
+  let types = null;
+  walk(ast, (node, ancestors) => {
+    if (types || node.start !== start || node.end !== end) return;
+    if (node.type === 'Identifier' || node.type === 'MemberExpression') types = typeOf(node, [...ancestors]);
+  });
+  if (!types) return null;
+  if (types.length === 0) return chain.includes('.') ? null : getReceiverType(chain, new Map());
+  return types.find(type => CONTEXT_METHOD_MAP[type]) || null;
+}
+
+/**
+ * Describes where a class or global object can run.
+ *
+ * @param {string} name - Class or global object name
+ * @returns {string} e.g. "Server-side · Global scope only"
+ */
+function describeAvailability(name) {
+  const environment = getApiEnvironment(name);
+  const parts = [];
+  if (environment === 'server') parts.push('Server-side');
+  else if (environment === 'client') parts.push('Client-side');
+  else if (environment === 'both') parts.push('Client and server');
+  if (getScopeAvailability(name) === 'global') parts.push('Global scope only');
+  return parts.join(' · ');
+}
+
+// =============================================================================
+// CALL CONTEXT
+// =============================================================================
+
+/**
+ * Finds the brackets left open at the end of some text, skipping strings and
+ * comments, with the number of commas typed inside each.
+ *
+ * @param {string} text - Source text
+ * @returns {Array<{ char: string, start: number, commas: number }>} Open brackets, innermost last
+ */
+function findOpenBrackets(text) {
+  const stack = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    const next = text[i + 1];
+
+    if (char === '/' && next === '/') {
+      const end = text.indexOf('\n', i);
+      i = end === -1 ? text.length : end;
+      continue;
+    }
+    if (char === '/' && next === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+      continue;
+    }
+    if (char === '\'' || char === '"' || char === '`') {
+      i++;
+      while (i < text.length && text[i] !== char) {
+        i += text[i] === '\\' ? 2 : 1;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === '[' || char === '{') {
+      stack.push({ char, start: i, commas: 0 });
+    } else if (char === ')' || char === ']' || char === '}') {
+      stack.pop();
+    } else if (char === ',' && stack.length > 0) {
+      stack[stack.length - 1].commas++;
+    }
+    i++;
+  }
+
+  return stack;
+}
+
+/**
+ * Finds the innermost unclosed call at the end of some text, skipping
+ * strings and comments, and counts the arguments typed so far.
+ *
+ * @param {string} text - Source text up to the cursor
+ * @returns {{ chain: string, chainEnd: number, method: string, argumentIndex: number }|null}
+ */
+export function findCallContext(text) {
+  const stack = findOpenBrackets(text);
+  const open = stack[stack.length - 1];
+  if (!open || open.char !== '(') return null;
+  const callee = text.slice(0, open.start).match(/([\w$]+(?:\.[\w$]+)*)\.([\w$]+)\s*$/);
+  if (!callee) return null;
+  return {
+    chain: callee[1],
+    chainEnd: callee.index + callee[1].length,
+    method: callee[2],
+    argumentIndex: open.commas
+  };
+}
+
+// =============================================================================
+// PROVIDERS
+// =============================================================================
+
+/**
+ * Suggests methods after `receiver.` and Glide classes/globals elsewhere.
+ *
+ * @param {Object} monaco - Monaco namespace
+ * @returns {Object} Monaco CompletionItemProvider
+ */
+function createCompletionProvider(monaco) {
+  const { CompletionItemKind } = monaco.languages;
+
+  return {
+    triggerCharacters: ['.'],
+    provideCompletionItems(model, position) {
+      const word = model.getWordUntilPosition(position);
+      const range = new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn);
+      const before = model.getLineContent(position.lineNumber).slice(0, word.startColumn - 1);
+
+      // Methods: gr.| gs.| g_form.| current.state.|
+      const member = before.match(/([\w$]+(?:\.[\w$]+)*)\.$/);
+      if (member) {
+        const dot = model.getOffsetAt({ lineNumber: position.lineNumber, column: word.startColumn - 1 });
+        const type = resolveReceiverType(model.getValue(), dot, member[1]);
+        const methods = type && CONTEXT_METHOD_MAP[type];
+        if (!methods) return { suggestions: [] };
+        return {
+          suggestions: [...new Set(methods)].map(method => {
+            const signature = getMethodSignature(type, method);
+            return {
+              label: method,
+              kind: CompletionItemKind.Method,
+              insertText: method,
+              detail: signature ? formatSignature(method, signature) : `${type}.${method}()`,
+              documentation: `${type} method`,
+              sortText: SORT_PREFIX + method,
+              range
+            };
+          })
+        };
+      }
+
+      // Classes and platform globals
+      if (!word.word) return { suggestions: [] };
+      const classes = CLASS_NAMES.map(name => ({
+        label: name,
+        kind: CompletionItemKind.Class,
+        insertText: name,
+        detail: 'ServiceNow class',
+        documentation: describeAvailability(name),
+        sortText: SORT_PREFIX + name,
+        range
+      }));
+      const globals = GLOBAL_OBJECTS.filter(name => !CLASS_NAMES.includes(name)).map(name => ({
+        label: name,
+        kind: CompletionItemKind.Variable,
+        insertText: name,
+        detail: 'ServiceNow global',
+        documentation: describeAvailability(name),
+        sortText: SORT_PREFIX + name,
+        range
+      }));
+      return { suggestions: [...classes, ...globals] };
+    }
+  };
+}
+
+/**
+ * Shows the parameter list of a known method while its arguments are typed.
+ *
+ * @returns {Object} Monaco SignatureHelpProvider
+ */
+function createSignatureHelpProvider() {
+  return {
+    signatureHelpTriggerCharacters: ['(', ','],
+    signatureHelpRetriggerCharacters: [','],
+    provideSignatureHelp(model, position) {
+      const text = model.getValueInRange({
+        startLineNumber: 1,
+        startColumn: 1,
+        endLineNumber: position.lineNumber,
+        endColumn: position.column
+      });
+      const call = findCallContext(text);
+      if (!call) return null;
+
+      const type = resolveReceiverType(model.getValue(), call.chainEnd, call.chain);
+      const signature = type && getMethodSignature(type, call.method);
+      if (!signature) return null;
+
+      const restIndex = signature.params.findIndex(p => p.rest);
+      const activeParameter = restIndex !== -1 ? Math.min(call.argumentIndex, restIndex) : call.argumentIndex;
+
+      return {
+        value: {
+          signatures: [{
+            label: formatSignature(call.method, signature),
+            documentation: `${type} method`,
+            parameters: signature.params.map(p => ({
+              label: `${p.rest ? '...' : ''}${p.name}${p.optional && !p.rest ? '?' : ''}: ${p.type}`
+            }))
+          }],
+          activeSignature: 0,
+          activeParameter
+        },
+        dispose() {}
+      };
+    }
+  };
+}
+
+/**
+ * Documents Glide methods, classes, and globals under the cursor.
+ *
+ * @param {Object} monaco - Monaco namespace
+ * @returns {Object} Monaco HoverProvider
+ */
+function createHoverProvider(monaco) {
+  return {
+    provideHover(model, position) {
+      const word = model.getWordAtPosition(position);
+      if (!word) return null;
+      const range = new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn);
+      const before = model.getLineContent(position.lineNumber).slice(0, word.startColumn - 1);
+
+      // Method on a typed receiver
+      const member = before.match(/([\w$]+(?:\.[\w$]+)*)\.$/);
+      if (member) {
+        const dot = model.getOffsetAt({ lineNumber: position.lineNumber, column: word.startColumn - 1 });
+        const type = resolveReceiverType(model.getValue(), dot, member[1]);
+        const methods = type && CONTEXT_METHOD_MAP[type];
+        if (!methods || !methods.includes(word.word)) return null;
+        const signature = getMethodSignature(type, word.word);
+        const label = signature ? formatSignature(word.word, signature) : `${word.word}()`;
+        return {
+          range,
+          contents: [
+            { value: '```javascript\n' + `${type}.${label}` + '\n```' },
+            { value: `${type} method` }
+          ]
+        };
+      }
+
+      // Class or platform global
+      if (CLASS_NAMES.includes(word.word) || GLOBAL_OBJECTS.includes(word.word)) {
+        const kind = CLASS_NAMES.includes(word.word) ? 'ServiceNow class' : 'ServiceNow global';
+        const availability = describeAvailability(word.word);
+        return {
+          range,
+          contents: [
+            { value: `**${word.word}** - ${kind}` },
+            ...(availability ? [{ value: availability }] : [])
+          ]
+        };
+      }
+
+      return null;
+    }
+  };
+}
+
+// =============================================================================
+// MAIN EXPORT
+// =============================================================================
+
+/**
+ * Registers the ServiceNow completion, signature help, and hover providers
+ * for JavaScript. Providers are global to a Monaco instance, so repeated
+ * calls (one per editor mount) register them only once.
+ *
+ * @param {Object} monaco - Monaco namespace from @monaco-editor/react
+ */
+export function registerServiceNowIntelliSense(monaco) {
+  if (!monaco || registered.has(monaco)) return;
+  registered.add(monaco);
+
+  monaco.languages.registerCompletionItemProvider(LANGUAGE, createCompletionProvider(monaco));
+  monaco.languages.registerSignatureHelpProvider(LANGUAGE, createSignatureHelpProvider());
+  monaco.languages.registerHoverProvider(LANGUAGE, createHoverProvider(monaco));
+}
+
+export default registerServiceNowIntelliSense;
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview JavaScript Language Targets
+ * @description The JavaScript engine modes of server-side ServiceNow scripts.
+ * Global scripts run in ES5 (compatibility) mode; scoped applications can
+ * opt into ECMAScript 2021. A target is opt-in: the selected one, or Auto
+ * (the mode of the script's application), decides which syntax is reported
+ * as unsupported and which syntax transforms apply, and without one neither
+ * happens. Client scripts run in the browser and are not restricted.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Select value meaning "no target: no syntax checks or rewrites" */
+export const NO_LANGUAGE_TARGET = 'none';
+
+/** Select value meaning "ES2021 for scoped applications, ES5 otherwise" */
+export const AUTO_LANGUAGE_TARGET = 'auto';
+
+/**
+ * Language targets keyed by id. `edition` is the newest ECMAScript edition
+ * the engine mode supports (5 or a year).
+ * @type {Object<string, { label: string, short: string, edition: number }>}
+ */
+export const LANGUAGE_TARGETS = {
+  es5: {
+    label: 'ES5 (compatibility mode)',
+    short: 'ES5',
+    edition: 5
+  },
+  es2021: {
+    label: 'ECMAScript 2021 (ES12)',
+    short: 'ES2021',
+    edition: 2021
+  }
+};
+
+// =============================================================================
+// RESOLUTION
+// =============================================================================
+
+/**
+ * Resolves a language target selection to the languageTarget option of the
+ * pipeline. Only a chosen target enables the syntax check and rewrites; auto
+ * picks ES2021 for scoped applications and ES5 for global scripts.
+ *
+ * @param {string} [selected] - Language target id, AUTO_LANGUAGE_TARGET, or NO_LANGUAGE_TARGET
+ * @param {Object} [options]
+ * @param {boolean} [options.scopedApp] - Whether the script belongs to a scoped application
+ * @returns {string|undefined} Language target id, or undefined for none
+ */
+export function resolveLanguageTarget(selected = NO_LANGUAGE_TARGET, options = {}) {
+  if (LANGUAGE_TARGETS[selected]) return selected;
+  if (selected === AUTO_LANGUAGE_TARGET) return options.scopedApp ? 'es2021' : 'es5';
+  return undefined;
+}
+
+/**
+ * @param {number} edition - ECMAScript edition (5 or a year)
+ * @returns {string} e.g. 'ES5', 'ES2015'
+ */
+export function editionName(edition) {
+  return `ES${edition}`;
+}
+
+export default {
+  NO_LANGUAGE_TARGET,
+  AUTO_LANGUAGE_TARGET,
+  LANGUAGE_TARGETS,
+  resolveLanguageTarget,
+  editionName
+};
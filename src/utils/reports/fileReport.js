@@ -0,0 +1,97 @@
+/**
+ * @fileoverview File Reports
+ * @description The per-file outcome of a polish run, shared by the text, JSON,
+ * and SARIF report formatters and the command-line runner.
+ */
+
+import { SEVERITY } from '../diagnostics.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Languages the pipeline polishes
+ */
+export const LANGUAGES = {
+  JAVASCRIPT: 'javascript',
+  JSON: 'json'
+};
+
+// =============================================================================
+// FILE REPORTS
+// =============================================================================
+
+/**
+ * The outcome of polishing one file.
+ * @typedef {Object} FileReport
+ * @property {string} file - File path as given
+ * @property {'javascript'|'json'} language - Language it was polished as
+ * @property {boolean} success - Whether the file could be formatted
+ * @property {string|null} error - Failure message when not successful
+ * @property {boolean} changed - Whether polishing changes the file
+ * @property {string} output - Polished text (the input when not successful)
+ * @property {Object[]} fixes - Fixes the polish applies
+ * @property {Diagnostic[]} warnings - Warnings and infos
+ * @property {Diagnostic[]} errors - Errors
+ */
+
+/**
+ * Picks the language of a file from its name.
+ *
+ * @param {string} filename - File name or path
+ * @returns {'javascript'|'json'}
+ */
+export function detectLanguage(filename) {
+  return /\.json$/i.test(filename) ? LANGUAGES.JSON : LANGUAGES.JAVASCRIPT;
+}
+
+/**
+ * Builds the report of one polished file.
+ *
+ * @param {string} file - File path
+ * @param {string} source - Text that was polished
+ * @param {Object} result - Result of polishCode or polishJson, located in the source
+ *   with locateInSource() when the report is about the unchanged file
+ * @param {'javascript'|'json'} [language] - Language (detected from the path by default)
+ * @returns {FileReport}
+ */
+export function createFileReport(file, source, result, language = detectLanguage(file)) {
+  return {
+    file,
+    language,
+    success: result.success,
+    error: result.success ? null : result.error,
+    changed: result.success && result.output !== source,
+    output: result.output,
+    fixes: result.fixes || [],
+    warnings: result.warnings || [],
+    errors: result.errors || []
+  };
+}
+
+/**
+ * Totals the findings of some file reports.
+ *
+ * @param {FileReport[]} reports - File reports
+ * @returns {{ files: number, changed: number, failed: number, errors: number, warnings: number, infos: number, fixes: number }}
+ */
+export function summarizeReports(reports) {
+  const summary = { files: reports.length, changed: 0, failed: 0, errors: 0, warnings: 0, infos: 0, fixes: 0 };
+  for (const report of reports) {
+    if (report.changed) summary.changed++;
+    if (!report.success) summary.failed++;
+    summary.errors += report.errors.length;
+    summary.warnings += report.warnings.filter(d => d.severity === SEVERITY.WARNING).length;
+    summary.infos += report.warnings.filter(d => d.severity !== SEVERITY.WARNING).length;
+    summary.fixes += report.fixes.length;
+  }
+  return summary;
+}
+
+export default {
+  LANGUAGES,
+  detectLanguage,
+  createFileReport,
+  summarizeReports
+};
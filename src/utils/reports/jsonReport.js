@@ -0,0 +1,20 @@
+/**
+ * @fileoverview JSON Report
+ * @description Machine-readable report: the summary plus every file's fixes,
+ * warnings, and errors as structured diagnostics. Polished text is left out.
+ */
+
+import { summarizeReports } from './fileReport.js';
+
+/**
+ * Formats file reports as JSON.
+ *
+ * @param {FileReport[]} reports - File reports
+ * @returns {string}
+ */
+export function formatJsonReport(reports) {
+  const files = reports.map(({ output, ...report }) => report);
+  return JSON.stringify({ summary: summarizeReports(reports), files }, null, 2);
+}
+
+export default formatJsonReport;
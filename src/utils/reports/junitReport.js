@@ -0,0 +1,138 @@
+/**
+ * @fileoverview JUnit Report
+ * @description Reports polish results as JUnit XML for build dashboards: one
+ * test suite per file and one failing test case per warning or error, named
+ * after its rule. Files that fail to parse report a test error, clean files a
+ * single passing test case, and applied fixes are listed in the suite output.
+ */
+
+import { getRuleMetadata } from '../ruleCatalog.js';
+import { summarizeReports } from './fileReport.js';
+
+const TOOL_NAME = 'GlideAware Studio';
+
+// =============================================================================
+// XML HELPERS
+// =============================================================================
+
+/**
+ * Escapes text for use in XML content and attribute values.
+ *
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Renders XML attributes.
+ *
+ * @param {Object} attributes - Attribute values by name
+ * @returns {string}
+ */
+function attrs(attributes) {
+  return Object.entries(attributes)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+}
+
+// =============================================================================
+// CONVERSION
+// =============================================================================
+
+/**
+ * Renders one warning or error as a failing test case.
+ *
+ * @param {string} file - File path
+ * @param {Diagnostic} diagnostic - Warning or error
+ * @returns {string}
+ */
+function toTestCase(file, diagnostic) {
+  const rule = getRuleMetadata(diagnostic.ruleId);
+  const where = diagnostic.line ? `${file}:${diagnostic.line}:${diagnostic.column}` : file;
+  const details = [
+    `${diagnostic.severity}: ${diagnostic.message}`,
+    `at ${where}`,
+    `Rule ${diagnostic.ruleId} (${rule.group}): ${rule.description}`,
+    ...(diagnostic.suggestion ? [`Suggestion: ${diagnostic.suggestion}`] : [])
+  ].join('\n');
+
+  const name = diagnostic.line ? `${diagnostic.ruleId} (${diagnostic.line}:${diagnostic.column})` : diagnostic.ruleId;
+  return [
+    `    <testcase${attrs({ classname: file, name })}>`,
+    `      <failure${attrs({ type: diagnostic.severity, message: diagnostic.message })}>${escapeXml(details)}</failure>`,
+    '    </testcase>'
+  ].join('\n');
+}
+
+/**
+ * Renders one file as a test suite.
+ *
+ * @param {FileReport} report - File report
+ * @returns {string}
+ */
+function toTestSuite(report) {
+  const findings = [...report.errors, ...report.warnings];
+  const cases = findings.map(diagnostic => toTestCase(report.file, diagnostic));
+
+  if (!report.success && findings.length === 0) {
+    cases.push([
+      `    <testcase${attrs({ classname: report.file, name: 'polish' })}>`,
+      `      <error${attrs({ message: report.error.split('\n')[0] })}>${escapeXml(report.error)}</error>`,
+      '    </testcase>'
+    ].join('\n'));
+  } else if (findings.length === 0) {
+    cases.push(`    <testcase${attrs({ classname: report.file, name: 'polish' })} />`);
+  }
+
+  const output = report.fixes.map(fix => `${fix.ruleId}: ${fix.message}`).join('\n');
+  const suite = {
+    name: report.file,
+    tests: cases.length,
+    failures: findings.length,
+    errors: !report.success && findings.length === 0 ? 1 : 0
+  };
+
+  return [
+    `  <testsuite${attrs(suite)}>`,
+    ...cases,
+    ...(output ? [`    <system-out>${escapeXml(output)}</system-out>`] : []),
+    '  </testsuite>'
+  ].join('\n');
+}
+
+/**
+ * Formats file reports as JUnit XML.
+ *
+ * @param {FileReport[]} reports - File reports
+ * @returns {string}
+ */
+export function formatJunitReport(reports) {
+  const summary = summarizeReports(reports);
+  const findings = summary.errors + summary.warnings + summary.infos;
+  const failedWithoutFindings = reports.filter(r => !r.success && r.errors.length === 0 && r.warnings.length === 0).length;
+  const passed = reports.filter(r => r.success && r.errors.length === 0 && r.warnings.length === 0).length;
+
+  const totals = {
+    name: TOOL_NAME,
+    tests: findings + failedWithoutFindings + passed,
+    failures: findings,
+    errors: failedWithoutFindings
+  };
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites${attrs(totals)}>`,
+    ...reports.map(toTestSuite),
+    '</testsuites>'
+  ].join('\n');
+}
+
+export default formatJunitReport;
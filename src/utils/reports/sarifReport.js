@@ -0,0 +1,162 @@
+/**
+ * @fileoverview SARIF Report
+ * @description Reports polish results in SARIF 2.1.0, the format code review
+ * and code scanning tools ingest. Warnings and errors become failing results,
+ * applied fixes informational ones. Each result references a rule in the
+ * tool's rule list, whose description comes from the rule catalog.
+ */
+
+import { SEVERITY } from '../diagnostics.js';
+import { getRuleMetadata } from '../ruleCatalog.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_VERSION = '2.1.0';
+const TOOL_NAME = 'GlideAware Studio';
+
+/** SARIF result level of each severity */
+const LEVELS = {
+  [SEVERITY.ERROR]: 'error',
+  [SEVERITY.WARNING]: 'warning',
+  [SEVERITY.INFO]: 'note'
+};
+
+// =============================================================================
+// CONVERSION
+// =============================================================================
+
+/**
+ * Converts a file path into a SARIF artifact URI: relative paths stay
+ * relative (forward slashes, no leading ./), absolute paths become file URIs.
+ *
+ * @param {string} file - File path
+ * @returns {string}
+ */
+function toArtifactUri(file) {
+  const path = file.replace(/\\/g, '/').replace(/^\.\//, '');
+  if (path.startsWith('/')) return encodeURI(`file://${path}`);
+  if (/^[a-zA-Z]:\//.test(path)) return encodeURI(`file:///${path}`);
+  return encodeURI(path);
+}
+
+/**
+ * Builds the SARIF rule descriptor of a rule id.
+ *
+ * @param {string} ruleId - Rule id
+ * @returns {Object} reportingDescriptor
+ */
+function toRuleDescriptor(ruleId) {
+  const rule = getRuleMetadata(ruleId);
+  return {
+    id: ruleId,
+    shortDescription: { text: rule.description },
+    fullDescription: { text: `${rule.group}: ${rule.description}` },
+    defaultConfiguration: { level: rule.kind === 'fix' ? 'none' : LEVELS[rule.severity] },
+    properties: { category: rule.group, kind: rule.kind }
+  };
+}
+
+/**
+ * Builds a SARIF physical location for a located range.
+ *
+ * @param {Location} location - Diagnostic or related location
+ * @param {string} uri - Artifact URI
+ * @returns {Object}
+ */
+function toPhysicalLocation(location, uri) {
+  const physicalLocation = { artifactLocation: { uri } };
+  if (location.line) {
+    physicalLocation.region = {
+      startLine: location.line,
+      startColumn: location.column,
+      endLine: location.endLine || location.line,
+      endColumn: location.endColumn || location.column + 1
+    };
+  }
+  return physicalLocation;
+}
+
+/**
+ * Converts a diagnostic into a SARIF result.
+ *
+ * @param {Diagnostic} diagnostic - Fix, warning, or error
+ * @param {string} uri - Artifact URI of the file
+ * @param {number} ruleIndex - Index of the rule in the driver's rule list
+ * @param {boolean} isFix - Whether the diagnostic is an applied fix
+ * @returns {Object} SARIF result
+ */
+function toResult(diagnostic, uri, ruleIndex, isFix) {
+  const physicalLocation = toPhysicalLocation(diagnostic, uri);
+
+  const message = diagnostic.suggestion
+    ? `${diagnostic.message} Suggestion: ${diagnostic.suggestion}`
+    : diagnostic.message;
+
+  return {
+    ruleId: diagnostic.ruleId,
+    ruleIndex,
+    ...(isFix
+      ? { kind: 'informational', level: 'none' }
+      : { kind: 'fail', level: LEVELS[diagnostic.severity] || 'note' }),
+    message: { text: message },
+    locations: [{ physicalLocation }],
+    ...(diagnostic.related?.length && {
+      relatedLocations: diagnostic.related.map((related, id) => ({
+        id,
+        physicalLocation: toPhysicalLocation(related, uri),
+        message: { text: related.message }
+      }))
+    })
+  };
+}
+
+/**
+ * Formats file reports as a SARIF 2.1.0 log. Regions come from the reports as
+ * they are: a report built from locateInSource() locates warnings and errors
+ * in the file it names, one built from a plain polish result in the polished
+ * output. Regions of fixes refer to the input.
+ *
+ * @param {FileReport[]} reports - File reports
+ * @param {Object} [options]
+ * @param {string} [options.toolVersion] - Version reported for the tool
+ * @returns {string}
+ */
+export function formatSarifReport(reports, options = {}) {
+  const rules = [];
+  const ruleIndexes = new Map();
+  const results = [];
+
+  for (const report of reports) {
+    const uri = toArtifactUri(report.file);
+    const findings = [
+      ...report.errors.map(diagnostic => ({ diagnostic, isFix: false })),
+      ...report.warnings.map(diagnostic => ({ diagnostic, isFix: false })),
+      ...report.fixes.map(diagnostic => ({ diagnostic, isFix: true }))
+    ];
+    for (const { diagnostic, isFix } of findings) {
+      if (!ruleIndexes.has(diagnostic.ruleId)) {
+        ruleIndexes.set(diagnostic.ruleId, rules.length);
+        rules.push(toRuleDescriptor(diagnostic.ruleId));
+      }
+      results.push(toResult(diagnostic, uri, ruleIndexes.get(diagnostic.ruleId), isFix));
+    }
+  }
+
+  const driver = { name: TOOL_NAME, rules };
+  if (options.toolVersion) driver.version = options.toolVersion;
+
+  return JSON.stringify({
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [{
+      tool: { driver },
+      artifacts: reports.map(report => ({ location: { uri: toArtifactUri(report.file) } })),
+      results
+    }]
+  }, null, 2);
+}
+
+export default formatSarifReport;
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Text Report
+ * @description Human-readable report for terminals: one block per file with
+ * its findings as `line:column  severity  message  rule-id`, then a summary.
+ */
+
+import { summarizeReports } from './fileReport.js';
+
+/**
+ * Pluralizes a count.
+ *
+ * @param {number} count - Count
+ * @param {string} word - Singular noun
+ * @param {string} [pluralWord] - Plural noun (default word + 's')
+ * @returns {string} e.g. "1 error", "3 errors"
+ */
+function plural(count, word, pluralWord = `${word}s`) {
+  return `${count} ${count === 1 ? word : pluralWord}`;
+}
+
+/**
+ * Formats file reports as plain text.
+ *
+ * @param {FileReport[]} reports - File reports
+ * @param {Object} [options]
+ * @param {boolean} [options.fixed] - Whether the polished output was written back
+ * @returns {string}
+ */
+export function formatTextReport(reports, options = {}) {
+  const lines = [];
+
+  for (const report of reports) {
+    const findings = [...report.errors, ...report.warnings]
+      .sort((a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0));
+    if (findings.length === 0 && report.success && !report.changed) continue;
+
+    lines.push(report.file);
+    if (!report.success && report.errors.length === 0) {
+      lines.push(`  ${report.error.split('\n')[0]}`);
+    } else if (report.changed) {
+      lines.push(`  ${plural(report.fixes.length, 'fix', 'fixes')} ${options.fixed ? 'applied' : 'available'}`);
+    }
+    for (const d of findings) {
+      const where = d.line ? `${d.line}:${d.column}` : '-';
+      lines.push(`  ${where.padEnd(8)} ${d.severity.padEnd(8)} ${d.message}  ${d.ruleId}`);
+    }
+    lines.push('');
+  }
+
+  const summary = summarizeReports(reports);
+  const problems = summary.errors + summary.warnings + summary.infos;
+  lines.push(
+    `${plural(summary.files, 'file')} checked: ${plural(problems, 'problem')} ` +
+    `(${plural(summary.errors, 'error')}, ${plural(summary.warnings, 'warning')}, ${summary.infos} info), ` +
+    `${summary.changed} ${options.fixed ? 'fixed' : 'would change'}`
+  );
+  return lines.join('\n');
+}
+
+export default formatTextReport;
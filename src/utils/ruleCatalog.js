@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Rule Catalog
+ * @description Metadata of every rule the pipeline can report, collected from
+ * the rule maps of the fix and analyzer modules. Report exporters use it to
+ * describe each finding's rule.
+ */
+
+import { SEVERITY } from './diagnostics.js';
+import { CONFIGURABLE_RULES } from './ruleProfiles.js';
+import { FORMAT_RULES, SYNTAX_RULES, VERIFY_RULES } from './codePolish.js';
+import { GENERIC_FIX_RULES } from './fixes/genericFixes.js';
+import { SERVICENOW_FIX_RULES } from './fixes/servicenowFixes.js';
+import { SCOPED_FIX_RULES } from './fixes/scopedFixes.js';
+import { FUZZY_FIX_RULES } from './fixes/fuzzyMatcher.js';
+import { JSON_FIX_RULES } from './fixes/jsonFixes.js';
+import { LANGUAGE_FIX_RULES } from './fixes/languageFixes.js';
+
+// =============================================================================
+// CATALOG
+// =============================================================================
+
+/**
+ * Metadata of one rule.
+ * @typedef {Object} RuleMetadata
+ * @property {string} id - Rule id
+ * @property {'fix'|'check'} kind - Whether the rule rewrites code or reports findings
+ * @property {string} group - Display group (e.g. 'ServiceNow')
+ * @property {'error'|'warning'|'info'} severity - Default severity
+ * @property {string} description - What the rule does or detects
+ */
+
+/**
+ * Rule maps by kind and group
+ */
+const RULE_GROUPS = [
+  { kind: 'fix', group: 'Formatting', rules: FORMAT_RULES },
+  { kind: 'fix', group: 'Generic JavaScript Fixes', rules: GENERIC_FIX_RULES },
+  { kind: 'fix', group: 'ServiceNow Fixes', rules: { ...SERVICENOW_FIX_RULES, ...FUZZY_FIX_RULES } },
+  { kind: 'fix', group: 'Scoped Application Fixes', rules: SCOPED_FIX_RULES },
+  { kind: 'fix', group: 'Language Fixes', rules: LANGUAGE_FIX_RULES },
+  { kind: 'fix', group: 'JSON Fixes', rules: JSON_FIX_RULES },
+  { kind: 'check', group: 'Syntax', rules: SYNTAX_RULES },
+  { kind: 'check', group: 'Verification', rules: VERIFY_RULES },
+  ...CONFIGURABLE_RULES.map(({ group, rules }) => ({ kind: 'check', group, rules }))
+];
+
+/** Every known rule by id */
+export const RULE_CATALOG = Object.fromEntries(RULE_GROUPS.flatMap(({ kind, group, rules }) =>
+  Object.entries(rules).map(([id, rule]) => [id, {
+    id,
+    kind,
+    group,
+    severity: rule.severity,
+    description: rule.description
+  }])
+));
+
+/**
+ * Returns the metadata of a rule. Unknown rule ids get a generic entry so
+ * exporters never have to special-case them.
+ *
+ * @param {string} ruleId - Rule id
+ * @returns {RuleMetadata}
+ */
+export function getRuleMetadata(ruleId) {
+  return RULE_CATALOG[ruleId] || {
+    id: ruleId,
+    kind: 'check',
+    group: 'Other',
+    severity: SEVERITY.WARNING,
+    description: ruleId
+  };
+}
+
+export default {
+  RULE_CATALOG,
+  getRuleMetadata
+};
@@ -0,0 +1,300 @@
+/**
+ * @fileoverview Rule Configuration Profiles
+ * @description A profile is a named, shareable set of analyzer settings:
+ * per-rule on/off and severity overrides, the thresholds of the generic
+ * warnings, and Prettier options for JavaScript and JSON. The polish,
+ * format, and lint entry points take the active profile as an option;
+ * without one they behave exactly as the built-in defaults.
+ */
+
+import { SEVERITY } from './diagnostics.js';
+import { GENERIC_RULES, DEFAULT_GENERIC_THRESHOLDS } from './warnings/genericWarnings.js';
+import { SERVICENOW_RULES } from './warnings/servicenowWarnings.js';
+import { NESTED_QUERY_RULES } from './warnings/nestedQueryWarnings.js';
+import { BUSINESS_RULE_RULES } from './warnings/businessRuleWarnings.js';
+import { SIGNATURE_RULES } from './warnings/signatureWarnings.js';
+import { RELEASE_RULES } from './warnings/releaseWarnings.js';
+import { ENCODED_QUERY_RULES } from './warnings/encodedQueryWarnings.js';
+import { LANGUAGE_RULES } from './warnings/languageWarnings.js';
+import { JSON_RULES } from './warnings/jsonWarnings.js';
+import { TYPO_SUGGESTION_RULES } from './fixes/fuzzyMatcher.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Version of the exported profile file format */
+export const PROFILE_FILE_VERSION = 1;
+
+/** Id of the built-in profile, which cannot be edited or deleted */
+export const DEFAULT_PROFILE_ID = 'default';
+
+/**
+ * Prettier options a profile may override, per language
+ */
+export const DEFAULT_PRETTIER_OPTIONS = {
+  javascript: {
+    printWidth: 100,
+    tabWidth: 4,
+    useTabs: false,
+    semi: true,
+    singleQuote: true,
+    trailingComma: 'none',
+    bracketSpacing: true,
+    arrowParens: 'always'
+  },
+  json: {
+    printWidth: 80,
+    tabWidth: 2,
+    useTabs: false
+  }
+};
+
+/**
+ * Values Prettier accepts for the string options a profile may override
+ */
+export const PRETTIER_OPTION_CHOICES = {
+  trailingComma: ['none', 'es5', 'all'],
+  arrowParens: ['always', 'avoid']
+};
+
+/**
+ * The built-in profile
+ */
+export const DEFAULT_PROFILE = {
+  id: DEFAULT_PROFILE_ID,
+  name: 'Default',
+  rules: {},
+  thresholds: DEFAULT_GENERIC_THRESHOLDS,
+  prettier: DEFAULT_PRETTIER_OPTIONS
+};
+
+/**
+ * Every analyzer rule a profile can configure, grouped for display
+ */
+export const CONFIGURABLE_RULES = [
+  { group: 'Generic JavaScript', rules: GENERIC_RULES },
+  { group: 'ServiceNow', rules: { ...SERVICENOW_RULES, ...NESTED_QUERY_RULES, ...TYPO_SUGGESTION_RULES } },
+  { group: 'Business Rules', rules: BUSINESS_RULE_RULES },
+  { group: 'API Signatures', rules: SIGNATURE_RULES },
+  { group: 'API Releases', rules: RELEASE_RULES },
+  { group: 'Encoded Queries', rules: ENCODED_QUERY_RULES },
+  { group: 'Language', rules: LANGUAGE_RULES },
+  { group: 'JSON', rules: JSON_RULES }
+];
+
+/** Default severity of every configurable rule */
+const RULE_SEVERITIES = Object.fromEntries(
+  CONFIGURABLE_RULES.flatMap(({ rules }) => Object.entries(rules).map(([id, rule]) => [id, rule.severity]))
+);
+
+const SEVERITIES = new Set(Object.values(SEVERITY));
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Copies the known keys of an options object whose values have the same
+ * type as the defaults and, for PRETTIER_OPTION_CHOICES, one of the choices.
+ *
+ * @param {Object} defaults - Default values
+ * @param {Object} [values] - Candidate overrides
+ * @param {string} section - Section name for error messages
+ * @returns {Object} Defaults merged with the valid overrides
+ */
+function mergeOptions(defaults, values, section) {
+  if (values === undefined) return { ...defaults };
+  if (!values || typeof values !== 'object') throw new Error(`Invalid profile: ${section} must be an object`);
+
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(values)) {
+    if (!(key in defaults)) continue;
+    if (typeof value !== typeof defaults[key]) {
+      throw new Error(`Invalid profile: ${section}.${key} must be a ${typeof defaults[key]}`);
+    }
+    if (typeof value === 'number' && (!Number.isInteger(value) || value < 1)) {
+      throw new Error(`Invalid profile: ${section}.${key} must be a positive integer`);
+    }
+    const choices = PRETTIER_OPTION_CHOICES[key];
+    if (choices && !choices.includes(value)) {
+      const expected = `${choices.slice(0, -1).join(', ')}${choices.length > 2 ? ',' : ''} or ${choices[choices.length - 1]}`;
+      throw new Error(`Invalid profile: ${section}.${key} must be ${expected}`);
+    }
+    merged[key] = value;
+  }
+  return merged;
+}
+
+/**
+ * Validates a profile and fills in defaults for anything it leaves out.
+ *
+ * @param {Object} raw - Profile from storage or an imported file
+ * @returns {Object} Complete profile
+ * @throws {Error} If the profile is malformed
+ */
+export function normalizeProfile(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('Invalid profile: expected an object');
+  if (typeof raw.name !== 'string' || raw.name.trim() === '') throw new Error('Invalid profile: name is required');
+
+  const rules = {};
+  for (const [ruleId, setting] of Object.entries(raw.rules || {})) {
+    if (!setting || typeof setting !== 'object') throw new Error(`Invalid profile: rule ${ruleId} must be an object`);
+    if (setting.enabled !== undefined && typeof setting.enabled !== 'boolean') {
+      throw new Error(`Invalid profile: rule ${ruleId} enabled must be true or false`);
+    }
+    if (setting.severity !== undefined && !SEVERITIES.has(setting.severity)) {
+      throw new Error(`Invalid profile: rule ${ruleId} severity must be error, warning, or info`);
+    }
+    rules[ruleId] = {
+      ...(setting.enabled !== undefined && { enabled: setting.enabled }),
+      ...(setting.severity !== undefined && { severity: setting.severity })
+    };
+  }
+
+  const prettier = raw.prettier || {};
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : null,
+    name: raw.name.trim(),
+    rules,
+    thresholds: mergeOptions(DEFAULT_GENERIC_THRESHOLDS, raw.thresholds, 'thresholds'),
+    prettier: {
+      javascript: mergeOptions(DEFAULT_PRETTIER_OPTIONS.javascript, prettier.javascript, 'prettier.javascript'),
+      json: mergeOptions(DEFAULT_PRETTIER_OPTIONS.json, prettier.json, 'prettier.json')
+    }
+  };
+}
+
+// =============================================================================
+// RULE SETTINGS
+// =============================================================================
+
+/**
+ * Checks whether a profile leaves a rule (analyzer or fix) switched on.
+ *
+ * @param {Object} [profile] - Active profile
+ * @param {string} ruleId - Rule id
+ * @returns {boolean}
+ */
+export function isRuleEnabled(profile, ruleId) {
+  const setting = profile && profile.rules && profile.rules[ruleId];
+  return !setting || setting.enabled !== false;
+}
+
+/**
+ * Returns the severity a profile assigns to a rule.
+ *
+ * @param {Object} [profile] - Active profile
+ * @param {string} ruleId - Rule id
+ * @returns {'error'|'warning'|'info'|undefined} Configured or default severity
+ */
+export function getRuleSeverity(profile, ruleId) {
+  const setting = profile && profile.rules && profile.rules[ruleId];
+  return (setting && setting.severity) || RULE_SEVERITIES[ruleId];
+}
+
+/**
+ * Drops diagnostics of disabled rules and applies severity overrides. A
+ * diagnostic without settings of its own follows those of its legacy rule id.
+ *
+ * @param {Diagnostic[]} diagnostics - Diagnostics from the analyzers
+ * @param {Object} [profile] - Active profile
+ * @returns {Diagnostic[]}
+ */
+export function applyRuleSettings(diagnostics, profile) {
+  if (!profile) return diagnostics;
+  const settingOf = d => profile.rules && (profile.rules[d.ruleId] || (d.legacyRuleId && profile.rules[d.legacyRuleId]));
+  return diagnostics
+    .filter(d => {
+      const setting = settingOf(d);
+      return !setting || setting.enabled !== false;
+    })
+    .map(d => {
+      const setting = settingOf(d);
+      return setting && setting.severity ? { ...d, severity: setting.severity } : d;
+    });
+}
+
+/**
+ * Returns the generic warning thresholds of a profile.
+ *
+ * @param {Object} [profile] - Active profile
+ * @returns {Object} Thresholds with defaults filled in
+ */
+export function getThresholds(profile) {
+  return { ...DEFAULT_GENERIC_THRESHOLDS, ...(profile && profile.thresholds) };
+}
+
+/**
+ * Returns the Prettier options a profile sets for a language.
+ *
+ * @param {Object} [profile] - Active profile
+ * @param {'javascript'|'json'} language - Language
+ * @returns {Object} Prettier options with defaults filled in
+ */
+export function getPrettierOptions(profile, language) {
+  return { ...DEFAULT_PRETTIER_OPTIONS[language], ...(profile && profile.prettier && profile.prettier[language]) };
+}
+
+// =============================================================================
+// IMPORT / EXPORT
+// =============================================================================
+
+/**
+ * Wraps a profile in the shareable file format.
+ *
+ * @param {Object} profile - Profile to export
+ * @returns {Object} File contents
+ */
+export function exportProfile(profile) {
+  const { id, ...shared } = profile; // Ids are local to each browser
+  return {
+    version: PROFILE_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    appName: 'GlideAware Studio',
+    profile: shared
+  };
+}
+
+/**
+ * Reads a profile from an exported file.
+ *
+ * @param {Object} data - Parsed file contents
+ * @returns {Object} Complete profile without an id
+ * @throws {Error} If the file is not a profile export or the profile is malformed
+ */
+export function importProfile(data) {
+  if (!data || typeof data !== 'object' || !data.profile) {
+    throw new Error('Invalid profile file format');
+  }
+  if (data.version > PROFILE_FILE_VERSION) {
+    throw new Error(`Profile file version ${data.version} is newer than this app supports`);
+  }
+  return { ...normalizeProfile(data.profile), id: null };
+}
+
+/**
+ * Generates a filename for a profile export.
+ *
+ * @param {Object} profile - Profile being exported
+ * @returns {string} Filename like "glideaware-profile-team-defaults.json"
+ */
+export function generateProfileFilename(profile) {
+  const slug = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+  return `glideaware-profile-${slug}.json`;
+}
+
+export default {
+  DEFAULT_PROFILE,
+  CONFIGURABLE_RULES,
+  PRETTIER_OPTION_CHOICES,
+  normalizeProfile,
+  isRuleEnabled,
+  getRuleSeverity,
+  applyRuleSettings,
+  getThresholds,
+  getPrettierOptions,
+  exportProfile,
+  importProfile,
+  generateProfileFilename
+};
@@ -0,0 +1,224 @@
+/**
+ * @fileoverview ServiceNow Script Types
+ * @description Presets describing where a script runs (server or client) and
+ * which platform globals exist there. The selected (or auto-detected) script
+ * type decides which fixes and warnings apply during Polish.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Select value meaning "detect the script type from the code" */
+export const AUTO_SCRIPT_TYPE = 'auto';
+
+/** Execution environments */
+export const ENVIRONMENT = {
+  SERVER: 'server',
+  CLIENT: 'client',
+  ANY: 'any'
+};
+
+/**
+ * Platform globals whose availability depends on the script type.
+ * Only these are checked; ordinary browser/JS globals are never flagged.
+ */
+export const CONTEXT_GLOBALS = [
+  'current', 'previous', 'g_scratchpad', 'gs', 'g_form', 'g_user', 'g_list',
+  'action', 'source', 'target', 'map', 'request', 'response', 'input', 'data', '$sp'
+];
+
+/**
+ * Script type presets keyed by id
+ * @type {Object<string, { label: string, group: string, environment: string, globals: string[] }>}
+ */
+export const SCRIPT_TYPES = {
+  generic: {
+    label: 'Generic Script',
+    group: 'General',
+    environment: ENVIRONMENT.ANY,
+    globals: CONTEXT_GLOBALS
+  },
+  business_rule: {
+    label: 'Business Rule',
+    group: 'Server',
+    environment: ENVIRONMENT.SERVER,
+    globals: ['current', 'previous', 'gs', 'g_scratchpad']
+  },
+  business_rule_before: {
+    label: 'Business Rule (before)',
+    group: 'Server',
+    environment: ENVIRONMENT.SERVER,
+    globals: ['current', 'previous', 'gs', 'g_scratchpad']
+  },
+  business_rule_after: {
+    label: 'Business Rule (after)',
+    group: 'Server',
+    environment: ENVIRONMENT.SERVER,
+    globals: ['current', 'previous', 'gs']
+  },
+  business_rule_async: {
+    label: 'Business Rule (async)',
+    group: 'Server',
+    environment: ENVIRONMENT.SERVER,
+    globals: ['current', 'previous', 'gs']
+  },
+  script_include: {
+    label: 'Script Include',
+    group: 'Server',
+    environment: ENVIRONMENT.SERVER,
+    globals: ['gs']
+  },
+  script_include_ajax: {
+    label: 'Script Include (client-callable)',
+    group: 'Server',
+    environment: ENVIRONMENT.SERVER,
+    globals: ['gs']
+  },
+  ui_action: {
+    label: 'UI Action',
+    group: 'Server',
+    environment: ENVIRONMENT.ANY,
+    globals: ['current', 'action', 'gs', 'g_form', 'g_user']
+  },
+  scheduled_job: {
+    label: 'Scheduled Job',
+    group: 'Server',
+    environment: ENVIRONMENT.SERVER,
+    globals: ['gs']
+  },
+  fix_script: {
+    label: 'Fix Script',
+    group: 'Server',
+    environment: ENVIRONMENT.SERVER,
+    globals: ['gs']
+  },
+  transform_script: {
+    label: 'Transform Map Script',
+    group: 'Server',
+    environment: ENVIRONMENT.SERVER,
+    globals: ['source', 'target', 'map', 'action', 'gs']
+  },
+  scripted_rest: {
+    label: 'Scripted REST Resource',
+    group: 'Server',
+    environment: ENVIRONMENT.SERVER,
+    globals: ['request', 'response', 'gs']
+  },
+  client_onload: {
+    label: 'Client Script (onLoad)',
+    group: 'Client',
+    environment: ENVIRONMENT.CLIENT,
+    globals: ['g_form', 'g_user', 'g_scratchpad', 'g_list']
+  },
+  client_onchange: {
+    label: 'Client Script (onChange)',
+    group: 'Client',
+    environment: ENVIRONMENT.CLIENT,
+    globals: ['g_form', 'g_user', 'g_scratchpad', 'g_list']
+  },
+  client_onsubmit: {
+    label: 'Client Script (onSubmit)',
+    group: 'Client',
+    environment: ENVIRONMENT.CLIENT,
+    globals: ['g_form', 'g_user', 'g_scratchpad', 'g_list']
+  },
+  widget_server: {
+    label: 'Service Portal Widget (server)',
+    group: 'Service Portal',
+    environment: ENVIRONMENT.SERVER,
+    globals: ['input', 'data', 'options', '$sp', 'gs']
+  },
+  widget_client: {
+    label: 'Service Portal Widget (client)',
+    group: 'Service Portal',
+    environment: ENVIRONMENT.CLIENT,
+    globals: []
+  }
+};
+
+/**
+ * Business Rule script type ids. The script of every phase has the same
+ * executeRule() wrapper, so detection only recognizes 'business_rule' and
+ * leaves the phase to the user.
+ */
+export const BUSINESS_RULE_TYPES = ['business_rule', 'business_rule_before', 'business_rule_after', 'business_rule_async'];
+
+/** When each Business Rule script type runs */
+export const BUSINESS_RULE_WHEN = {
+  business_rule_before: 'before',
+  business_rule_after: 'after',
+  business_rule_async: 'async'
+};
+
+// =============================================================================
+// DETECTION
+// =============================================================================
+
+/**
+ * Ordered detection heuristics - the first matching shape wins.
+ * Patterns look at the code's entry points and characteristic APIs.
+ */
+const DETECTION_RULES = [
+  { type: 'script_include_ajax', pattern: /Class\.create\s*\(\s*\)[\s\S]*AbstractAjaxProcessor/ },
+  { type: 'script_include', pattern: /Class\.create\s*\(\s*\)/ },
+  { type: 'client_onchange', pattern: /function\s+onChange\s*\(/ },
+  { type: 'client_onsubmit', pattern: /function\s+onSubmit\s*\(/ },
+  { type: 'client_onload', pattern: /function\s+onLoad\s*\(/ },
+  { type: 'business_rule', pattern: /function\s+executeRule\s*\(\s*current\s*,\s*previous|\.setAbortAction\s*\(/ },
+  { type: 'transform_script', pattern: /function\s+runTransformScript\s*\(|\bsource\.\w+[\s\S]*\btarget\.\w+|\btarget\.\w+[\s\S]*\bsource\.\w+/ },
+  { type: 'scripted_rest', pattern: /function\s+process\s*\(\s*(?:\/\*.*?\*\/\s*)?request\s*,|\bresponse\.set(?:Status|Body)\s*\(/ },
+  { type: 'widget_server', pattern: /\$sp\.\w+|\binput\.action\b/ },
+  { type: 'widget_client', pattern: /function\s*\(\s*\$scope\b|\bc\.server\.(?:get|update)\s*\(|\bspUtil\./ },
+  { type: 'ui_action', pattern: /\baction\.setRedirectURL\s*\(|\bgsftSubmit\s*\(/ },
+  { type: 'client_onload', pattern: /\bg_form\.\w+/ }
+];
+
+/**
+ * Guesses the script type from the shape of the code.
+ *
+ * @param {string} code - Source code
+ * @returns {string} Script type id ('generic' when nothing matches)
+ */
+export function detectScriptType(code) {
+  const source = code || '';
+  const rule = DETECTION_RULES.find(r => r.pattern.test(source));
+  return rule ? rule.type : 'generic';
+}
+
+/**
+ * Resolves a script type selection into a preset, detecting when set to auto.
+ *
+ * @param {string} code - Source code (used for auto-detection)
+ * @param {string} [selected] - Script type id or AUTO_SCRIPT_TYPE
+ * @returns {{ id: string, label: string, group: string, environment: string, globals: string[], detected: boolean }}
+ */
+export function resolveScriptType(code, selected = AUTO_SCRIPT_TYPE) {
+  const detected = !selected || selected === AUTO_SCRIPT_TYPE || !SCRIPT_TYPES[selected];
+  const id = detected ? detectScriptType(code) : selected;
+  return { id, ...SCRIPT_TYPES[id], detected };
+}
+
+/**
+ * Checks whether something restricted to an environment applies to a script type.
+ *
+ * @param {string|undefined} environment - Required environment (undefined = any)
+ * @param {{ environment: string }} scriptType - Resolved script type
+ * @returns {boolean}
+ */
+export function appliesToEnvironment(environment, scriptType) {
+  if (!environment || !scriptType || scriptType.environment === ENVIRONMENT.ANY) return true;
+  return environment === scriptType.environment;
+}
+
+export default {
+  AUTO_SCRIPT_TYPE,
+  ENVIRONMENT,
+  CONTEXT_GLOBALS,
+  SCRIPT_TYPES,
+  BUSINESS_RULE_TYPES,
+  BUSINESS_RULE_WHEN,
+  detectScriptType,
+  resolveScriptType,
+  appliesToEnvironment
+};
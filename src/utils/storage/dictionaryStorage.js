@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Custom Dictionary Storage - IndexedDB Persistence Layer
+ * @description Stores the custom classes (in-house Script Includes) merged
+ * into the API dictionary, keyed by class name.
+ * No network calls - fully client-side storage using IndexedDB.
+ */
+
+import { normalizeClass } from '../customDictionary.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const DB_NAME = 'GlideAwareDictionaryDB';
+const DB_VERSION = 1;
+
+/**
+ * Store names for different data collections
+ */
+const STORES = {
+  CLASSES: 'classes'
+};
+
+// =============================================================================
+// DATABASE INITIALIZATION
+// =============================================================================
+
+let dbInstance = null;
+
+/**
+ * Opens or creates the IndexedDB database.
+ *
+ * @returns {Promise<IDBDatabase>} The database instance
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (dbInstance) {
+      resolve(dbInstance);
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => {
+      reject(new Error('Failed to open database: ' + request.error));
+    };
+
+    request.onsuccess = () => {
+      dbInstance = request.result;
+      resolve(dbInstance);
+    };
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+
+      if (!db.objectStoreNames.contains(STORES.CLASSES)) {
+        db.createObjectStore(STORES.CLASSES, { keyPath: 'name' });
+      }
+    };
+  });
+}
+
+/**
+ * Runs a single request against a store.
+ *
+ * @param {string} storeName - The object store name
+ * @param {'readonly'|'readwrite'} mode - Transaction mode
+ * @param {Function} makeRequest - Receives the store, returns an IDBRequest
+ * @returns {Promise<*>} The request result
+ */
+async function runRequest(storeName, mode, makeRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// =============================================================================
+// CLASS OPERATIONS
+// =============================================================================
+
+/**
+ * Retrieves all custom classes. Stored classes that no longer validate
+ * (such as one named like a newly built-in API) are skipped.
+ *
+ * @returns {Promise<CustomClass[]>} Classes sorted by name
+ */
+export async function getCustomClasses() {
+  const stored = await runRequest(STORES.CLASSES, 'readonly', store => store.getAll());
+  const classes = [];
+  for (const raw of stored) {
+    try {
+      classes.push(normalizeClass(raw));
+    } catch {
+      // Skip classes that conflict with the current dictionary
+    }
+  }
+  return classes.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Saves custom classes, replacing stored classes of the same name.
+ *
+ * @param {Object[]} classes - Classes to save
+ * @returns {Promise<CustomClass[]>} The saved classes
+ * @throws {Error} If a class is malformed
+ */
+export async function saveCustomClasses(classes) {
+  const saved = classes.map(normalizeClass);
+  for (const cls of saved) {
+    await runRequest(STORES.CLASSES, 'readwrite', store => store.put({ ...cls, updatedAt: Date.now() }));
+  }
+  return saved;
+}
+
+/**
+ * Deletes a custom class by name.
+ *
+ * @param {string} name - Class name
+ * @returns {Promise<void>}
+ */
+export async function deleteCustomClass(name) {
+  await runRequest(STORES.CLASSES, 'readwrite', store => store.delete(name));
+}
+
+/**
+ * Deletes every custom class.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearCustomClasses() {
+  await runRequest(STORES.CLASSES, 'readwrite', store => store.clear());
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  getCustomClasses,
+  saveCustomClasses,
+  deleteCustomClass,
+  clearCustomClasses
+};
@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Rule Profile Storage - IndexedDB Persistence Layer
+ * @description Stores user-defined rule profiles, which profile is active,
+ * and the ServiceNow release the analyzers target.
+ * The built-in default profile is never stored; it is always available.
+ * No network calls - fully client-side storage using IndexedDB.
+ */
+
+import { generateId } from './planStorage.js';
+import { DEFAULT_PROFILE, DEFAULT_PROFILE_ID, normalizeProfile } from '../ruleProfiles.js';
+import { LATEST_RELEASE, getRelease } from '../fixes/servicenowReleases.js';
+import { NO_LANGUAGE_TARGET, AUTO_LANGUAGE_TARGET, LANGUAGE_TARGETS } from '../languageTargets.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const DB_NAME = 'GlideAwareProfileDB';
+const DB_VERSION = 1;
+
+/**
+ * Store names for different data collections
+ */
+const STORES = {
+  PROFILES: 'profiles',
+  SETTINGS: 'settings'
+};
+
+/** Settings key holding the active profile id */
+const ACTIVE_PROFILE_KEY = 'activeProfileId';
+
+/** Settings key holding the target release id */
+const TARGET_RELEASE_KEY = 'targetRelease';
+const LANGUAGE_TARGET_KEY = 'languageTarget';
+
+// =============================================================================
+// DATABASE INITIALIZATION
+// =============================================================================
+
+let dbInstance = null;
+
+/**
+ * Opens or creates the IndexedDB database.
+ *
+ * @returns {Promise<IDBDatabase>} The database instance
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (dbInstance) {
+      resolve(dbInstance);
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => {
+      reject(new Error('Failed to open database: ' + request.error));
+    };
+
+    request.onsuccess = () => {
+      dbInstance = request.result;
+      resolve(dbInstance);
+    };
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+
+      if (!db.objectStoreNames.contains(STORES.PROFILES)) {
+        db.createObjectStore(STORES.PROFILES, { keyPath: 'id' });
+      }
+
+      if (!db.objectStoreNames.contains(STORES.SETTINGS)) {
+        db.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
+      }
+    };
+  });
+}
+
+/**
+ * Runs a single request against a store.
+ *
+ * @param {string} storeName - The object store name
+ * @param {'readonly'|'readwrite'} mode - Transaction mode
+ * @param {Function} makeRequest - Receives the store, returns an IDBRequest
+ * @returns {Promise<*>} The request result
+ */
+async function runRequest(storeName, mode, makeRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// =============================================================================
+// PROFILE OPERATIONS
+// =============================================================================
+
+/**
+ * Retrieves all profiles, the built-in default first. Stored profiles that
+ * no longer validate are skipped.
+ *
+ * @returns {Promise<Array>} Profiles sorted by name after the default
+ */
+export async function getAllProfiles() {
+  const stored = await runRequest(STORES.PROFILES, 'readonly', store => store.getAll());
+  const profiles = [];
+  for (const raw of stored) {
+    try {
+      profiles.push({ ...normalizeProfile(raw), id: raw.id });
+    } catch {
+      // Skip profiles saved by an incompatible version
+    }
+  }
+  profiles.sort((a, b) => a.name.localeCompare(b.name));
+  return [DEFAULT_PROFILE, ...profiles];
+}
+
+/**
+ * Creates or updates a profile. Profiles without an id get a new one.
+ *
+ * @param {Object} profile - Profile to save
+ * @returns {Promise<Object>} The saved profile
+ * @throws {Error} If the profile is malformed or is the built-in default
+ */
+export async function saveProfile(profile) {
+  if (profile.id === DEFAULT_PROFILE_ID) throw new Error('The default profile cannot be changed');
+  const saved = { ...normalizeProfile(profile), id: profile.id || generateId(), updatedAt: Date.now() };
+  await runRequest(STORES.PROFILES, 'readwrite', store => store.put(saved));
+  return saved;
+}
+
+/**
+ * Deletes a profile by ID.
+ *
+ * @param {string} id - The profile ID
+ * @returns {Promise<void>}
+ */
+export async function deleteProfile(id) {
+  if (id === DEFAULT_PROFILE_ID) return;
+  await runRequest(STORES.PROFILES, 'readwrite', store => store.delete(id));
+}
+
+/**
+ * Returns the id of the active profile.
+ *
+ * @returns {Promise<string>} Active profile id (the default if none was chosen)
+ */
+export async function getActiveProfileId() {
+  const setting = await runRequest(STORES.SETTINGS, 'readonly', store => store.get(ACTIVE_PROFILE_KEY));
+  return setting ? setting.value : DEFAULT_PROFILE_ID;
+}
+
+/**
+ * Remembers which profile is active.
+ *
+ * @param {string} id - Profile id
+ * @returns {Promise<void>}
+ */
+export async function setActiveProfileId(id) {
+  await runRequest(STORES.SETTINGS, 'readwrite', store => store.put({ key: ACTIVE_PROFILE_KEY, value: id }));
+}
+
+/**
+ * Returns the ServiceNow release the analyzers target.
+ *
+ * @returns {Promise<string>} Release id (the latest if none was chosen or it is no longer supported)
+ */
+export async function getTargetRelease() {
+  const setting = await runRequest(STORES.SETTINGS, 'readonly', store => store.get(TARGET_RELEASE_KEY));
+  return setting && getRelease(setting.value) ? setting.value : LATEST_RELEASE;
+}
+
+/**
+ * Remembers the ServiceNow release the analyzers target.
+ *
+ * @param {string} id - Release id
+ * @returns {Promise<void>}
+ */
+export async function setTargetRelease(id) {
+  await runRequest(STORES.SETTINGS, 'readwrite', store => store.put({ key: TARGET_RELEASE_KEY, value: id }));
+}
+
+/**
+ * Returns the JavaScript mode selection for server scripts.
+ *
+ * @returns {Promise<string>} Language target id or AUTO_LANGUAGE_TARGET, or NO_LANGUAGE_TARGET if none was chosen
+ */
+export async function getLanguageTarget() {
+  const setting = await runRequest(STORES.SETTINGS, 'readonly', store => store.get(LANGUAGE_TARGET_KEY));
+  const chosen = setting && (LANGUAGE_TARGETS[setting.value] || setting.value === AUTO_LANGUAGE_TARGET);
+  return chosen ? setting.value : NO_LANGUAGE_TARGET;
+}
+
+/**
+ * Remembers the JavaScript mode selection for server scripts.
+ *
+ * @param {string} id - Language target id, AUTO_LANGUAGE_TARGET, or NO_LANGUAGE_TARGET
+ * @returns {Promise<void>}
+ */
+export async function setLanguageTarget(id) {
+  await runRequest(STORES.SETTINGS, 'readwrite', store => store.put({ key: LANGUAGE_TARGET_KEY, value: id }));
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  getAllProfiles,
+  saveProfile,
+  deleteProfile,
+  getActiveProfileId,
+  setActiveProfileId,
+  getTargetRelease,
+  setTargetRelease,
+  getLanguageTarget,
+  setLanguageTarget
+};
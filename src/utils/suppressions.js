@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Inline Suppression Directives
+ * @description ESLint-style comments that silence rules where a finding has
+ * been acknowledged in code:
+ *
+ *   // glideaware-disable-next-line sn/hardcoded-sys-id
+ *   gr.get('46d44a5dc0a8010e0128f7e8b2f64a3b');
+ *
+ *   gr.setWorkflow(false); // glideaware-disable-line sn/workflow-not-reenabled
+ *
+ *   /* glideaware-disable sn/update-in-loop, sn/query-in-loop *\/
+ *   ...
+ *   /* glideaware-enable sn/update-in-loop, sn/query-in-loop *\/
+ *
+ * A directive without rule ids applies to every rule, text after `--` is a
+ * free-form reason, and a `glideaware-disable` that is never re-enabled runs
+ * to the end of the file (put it at the top to disable a rule file-wide).
+ * Suppressions hide both warnings and the auto-fixes of the named rules.
+ */
+
+import { parseCode } from './astParser.js';
+import { offsetToPosition } from './diagnostics.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Directive comment: kind, then optional rule ids and `-- reason` */
+const DIRECTIVE_PATTERN = /^\s*\*?\s*glideaware-(disable-next-line|disable-line|disable|enable)\b([^]*)$/;
+
+/** Fallback comment scanner for code that does not parse */
+const COMMENT_PATTERN = /\/\/[^\n]*|\/\*[^]*?\*\//g;
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * A suppression directive found in a comment.
+ * @typedef {Object} Directive
+ * @property {'disable-next-line'|'disable-line'|'disable'|'enable'} kind - Directive kind
+ * @property {string[]|null} ruleIds - Named rules, or null for every rule
+ * @property {number} line - 1-based line the comment starts on
+ * @property {number} endLine - 1-based line the comment ends on
+ * @property {number} endColumn - 1-based column just past the comment
+ */
+
+/**
+ * Collects the comments of some code as { text, start, end }. Uses the
+ * parser when the code parses, so comment-like text in strings is ignored.
+ *
+ * @param {string} code - Source text
+ * @returns {Array<{ text: string, start: number, end: number }>}
+ */
+function collectComments(code) {
+  const comments = [];
+  const { ast } = parseCode(code, {
+    ecmaVersion: 'latest',
+    onComment: (block, text, start, end) => comments.push({ text, start, end })
+  });
+  if (ast) return comments;
+
+  return [...code.matchAll(COMMENT_PATTERN)].map(match => ({
+    text: match[0].startsWith('//') ? match[0].slice(2) : match[0].slice(2, -2),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * Finds the suppression directives in some code.
+ *
+ * @param {string} code - Source text
+ * @returns {Directive[]} Directives in source order
+ */
+export function findDirectives(code) {
+  const directives = [];
+
+  for (const comment of collectComments(code)) {
+    const match = comment.text.match(DIRECTIVE_PATTERN);
+    if (!match) continue;
+
+    const rules = match[2].split('--')[0].split(/[\s,]+/).filter(Boolean);
+    const start = offsetToPosition(code, comment.start);
+    const end = offsetToPosition(code, comment.end);
+    directives.push({
+      kind: match[1],
+      ruleIds: rules.length > 0 ? rules : null,
+      line: start.line,
+      endLine: end.line,
+      endColumn: end.column
+    });
+  }
+
+  return directives;
+}
+
+// =============================================================================
+// MATCHING
+// =============================================================================
+
+/**
+ * Checks whether a directive names a rule.
+ *
+ * @param {Directive} directive - Directive
+ * @param {string} ruleId - Rule id
+ * @returns {boolean}
+ */
+function names(directive, ruleId) {
+  return directive.ruleIds === null || directive.ruleIds.includes(ruleId);
+}
+
+/**
+ * Replays the block directives before a position and reports whether a rule
+ * is disabled there. `disable` then `enable x` leaves every rule but x disabled.
+ *
+ * @param {Directive[]} blocks - Block directives in source order
+ * @param {string} ruleId - Rule id
+ * @param {number} line - 1-based line
+ * @param {number} column - 1-based column
+ * @returns {boolean}
+ */
+function isDisabledByBlock(blocks, ruleId, line, column) {
+  let disabled = false;
+  for (const directive of blocks) {
+    const before = directive.endLine < line || (directive.endLine === line && directive.endColumn <= column);
+    if (!before) break;
+    if (names(directive, ruleId)) disabled = directive.kind === 'disable';
+  }
+  return disabled;
+}
+
+/**
+ * Parses the suppression directives of some code into a matcher.
+ *
+ * @param {string} code - Source text the diagnostics refer to
+ * @returns {{ directives: Directive[], isSuppressed: Function }}
+ */
+export function parseSuppressions(code) {
+  const directives = code && code.includes('glideaware-') ? findDirectives(code) : [];
+  const blocks = directives.filter(d => d.kind === 'disable' || d.kind === 'enable');
+  const lineDirectives = directives.filter(d => d.kind === 'disable-next-line' || d.kind === 'disable-line');
+
+  /**
+   * Checks whether a rule is suppressed at a position. Unlocated findings are
+   * suppressed only by a block disable that is still in effect at the end.
+   *
+   * @param {string} ruleId - Rule id
+   * @param {number|null} line - 1-based line, or null if unlocated
+   * @param {number} [column] - 1-based column
+   * @returns {boolean}
+   */
+  const isSuppressed = (ruleId, line, column = 1) => {
+    if (directives.length === 0) return false;
+    if (!line) return isDisabledByBlock(blocks, ruleId, Infinity, Infinity);
+
+    const onLine = lineDirectives.some(d => names(d, ruleId) &&
+      (d.kind === 'disable-line' ? d.line === line : d.endLine + 1 === line));
+    return onLine || isDisabledByBlock(blocks, ruleId, line, column);
+  };
+
+  return { directives, isSuppressed };
+}
+
+/**
+ * Drops the diagnostics suppressed by directives in the code they refer to,
+ * under their rule id or their legacy rule id.
+ *
+ * @param {Diagnostic[]} diagnostics - Diagnostics located in `code`
+ * @param {{ isSuppressed: Function }} suppressions - Result of parseSuppressions()
+ * @returns {Diagnostic[]}
+ */
+export function filterSuppressed(diagnostics, suppressions) {
+  return diagnostics.filter(d => !suppressions.isSuppressed(d.ruleId, d.line, d.column) &&
+    !(d.legacyRuleId && suppressions.isSuppressed(d.legacyRuleId, d.line, d.column)));
+}
+
+export default {
+  findDirectives,
+  parseSuppressions,
+  filterSuppressed
+};
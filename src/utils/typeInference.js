@@ -0,0 +1,299 @@
+/**
+ * @fileoverview Type Inference
+ * @description Infers the ServiceNow API types of expressions from the Acorn
+ * AST, so typo correction can match a method against the API its receiver
+ * actually has. Builds on the scope analysis of astWalker.js: every binding
+ * collects the types of the values that flow into it (declarations,
+ * reassignments, arguments of calls to local functions, and the parameters
+ * of Business Rule and client script entry points). Expressions are typed
+ * through `new X()`, the return types of known methods, the returns of local
+ * functions, and dot-walked fields of records (GlideElement). A binding that
+ * is assigned values of different types keeps all of them.
+ */
+
+import { walk, isFunctionNode, getPropertyName, analyzeScopes } from './astWalker.js';
+import { CONTEXT_METHOD_MAP, getMethodReturnType, getMethodSignature } from './fixes/servicenowDictionary.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Platform globals and their types, used when the name is not declared in
+ * the script. Types are keys into CONTEXT_METHOD_MAP.
+ */
+export const GLOBAL_TYPES = {
+  gs: 'gs',
+  g_form: 'g_form',
+  g_user: 'g_user',
+  g_list: 'g_list',
+  g_processor: 'g_processor',
+  spUtil: 'spUtil',
+  $sp: '$sp',
+  email: 'email',
+  current: 'current',
+  previous: 'previous',
+  source: 'GlideRecord',
+  target: 'GlideRecord'
+};
+
+/** Types of plain JavaScript values, which have no ServiceNow methods */
+export const PRIMITIVE_TYPES = new Set(['string', 'number', 'boolean', 'array', 'object', 'function']);
+
+/** Types whose non-method properties are fields, read as GlideElement */
+const RECORD_TYPES = new Set(['GlideRecord', 'GlideRecordSecure', 'GlideAggregate', 'current', 'previous', 'GlideElement']);
+
+/** Parameter types of platform entry point functions, by function name */
+const ENTRY_POINT_PARAMETERS = {
+  executeRule: ['current', 'previous'],
+  onChange: [null, 'string', 'string', 'boolean', 'boolean']
+};
+
+/** Parameters conventionally holding the Business Rule records */
+const RECORD_PARAMETERS = new Set(['current', 'previous']);
+
+/** Upper bound on propagation passes; types only grow, so this is a safety net */
+const MAX_PASSES = 10;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Returns the type of a literal-like expression.
+ *
+ * @param {Object} node - AST node
+ * @returns {string|null}
+ */
+function getLiteralType(node) {
+  switch (node.type) {
+    case 'Literal':
+      if (node.regex) return 'object';
+      return node.value === null ? null : typeof node.value;
+    case 'TemplateLiteral':
+      return 'string';
+    case 'ArrayExpression':
+      return 'array';
+    case 'ObjectExpression':
+      return 'object';
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression':
+      return 'function';
+    case 'BinaryExpression':
+      return ['==', '!=', '===', '!==', '<', '>', '<=', '>=', 'instanceof', 'in'].includes(node.operator)
+        ? 'boolean'
+        : null;
+    case 'UnaryExpression':
+      if (node.operator === '!') return 'boolean';
+      return node.operator === 'typeof' ? 'string' : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Checks whether a name is a method (rather than a field) of a type.
+ *
+ * @param {string} type - Type name
+ * @param {string} name - Property name
+ * @returns {boolean}
+ */
+function isMethodOf(type, name) {
+  const methods = CONTEXT_METHOD_MAP[type];
+  return (!!methods && methods.includes(name)) || !!getMethodSignature(type, name);
+}
+
+/**
+ * Adds types to the set stored under a key.
+ *
+ * @param {Map} table - Map of key → Set of types
+ * @param {*} key - Binding, function node, or implicit global key
+ * @param {Iterable<string>} types - Types to add
+ * @returns {boolean} Whether the set grew
+ */
+function addTypes(table, key, types) {
+  if (!table.has(key)) table.set(key, new Set());
+  const set = table.get(key);
+  const before = set.size;
+  for (const type of types) set.add(type);
+  return set.size > before;
+}
+
+// =============================================================================
+// INFERENCE
+// =============================================================================
+
+/**
+ * Infers the types of a program's bindings and returns a function that
+ * types any expression in it.
+ *
+ * @param {Object} ast - Program node
+ * @returns {{ typeOf: Function }} `typeOf(node, ancestors)` returns the possible
+ * types of an expression (empty if unknown); `ancestors` is the chain from walk()
+ */
+export function inferTypes(ast) {
+  const { resolve } = analyzeScopes(ast);
+  const bindingTypes = new Map(); // Binding (or 'global:name' for implicit globals) → Set
+  const returnTypes = new Map(); // Function node → Set
+  const functions = new Map(); // Binding → function nodes assigned to it
+  const flows = []; // Values flowing into bindings: { target, value, ancestors }
+  const returns = []; // Returned values: { fn, value, ancestors }
+
+  const targetOf = (name, ancestors) => resolve(name, ancestors) || `global:${name}`;
+
+  const typesOfBinding = (binding, name) => {
+    const types = bindingTypes.get(binding);
+    if (types && types.size > 0) return [...types];
+    return RECORD_PARAMETERS.has(name) ? [name] : [];
+  };
+
+  /**
+   * Types an expression from the current state of the binding and return tables.
+   */
+  const typeOf = (node, ancestors) => {
+    if (!node) return [];
+    switch (node.type) {
+      case 'Identifier': {
+        const binding = resolve(node.name, ancestors);
+        if (binding) return typesOfBinding(binding, node.name);
+        const implicit = bindingTypes.get(`global:${node.name}`);
+        const platform = GLOBAL_TYPES[node.name];
+        return [...new Set([...(platform ? [platform] : []), ...(implicit || [])])];
+      }
+      case 'NewExpression': {
+        // new sn_ws.RESTMessageV2() and new global.Util() name the class last
+        const { callee } = node;
+        if (callee.type === 'Identifier') return [callee.name];
+        const className = callee.type === 'MemberExpression' && getPropertyName(callee);
+        return className ? [className] : [];
+      }
+      case 'CallExpression': {
+        const { callee } = node;
+        if (callee.type === 'MemberExpression') {
+          const method = getPropertyName(callee);
+          if (!method) return [];
+          const types = typeOf(callee.object, ancestors)
+            .map(type => getMethodReturnType(type, method))
+            .filter(Boolean);
+          return [...new Set(types)];
+        }
+        const called = callee.type === 'Identifier'
+          ? [...(functions.get(resolve(callee.name, ancestors)) || [])]
+          : isFunctionNode(callee) ? [callee] : [];
+        return [...new Set(called.flatMap(fn => [...(returnTypes.get(fn) || [])]))];
+      }
+      case 'MemberExpression': {
+        const field = getPropertyName(node);
+        if (!field) return [];
+        const isField = typeOf(node.object, ancestors)
+          .some(type => RECORD_TYPES.has(type) && !isMethodOf(type, field));
+        return isField ? ['GlideElement'] : [];
+      }
+      case 'ConditionalExpression':
+        return [...new Set([...typeOf(node.consequent, ancestors), ...typeOf(node.alternate, ancestors)])];
+      case 'LogicalExpression':
+        return [...new Set([...typeOf(node.left, ancestors), ...typeOf(node.right, ancestors)])];
+      case 'AssignmentExpression':
+        return node.operator === '=' ? typeOf(node.right, ancestors) : [];
+      case 'SequenceExpression':
+        return typeOf(node.expressions[node.expressions.length - 1], ancestors);
+      default: {
+        const type = getLiteralType(node);
+        return type ? [type] : [];
+      }
+    }
+  };
+
+  /**
+   * Records that a call passes its arguments to a function's parameters.
+   */
+  const passArguments = (fn, args, ancestors) => {
+    fn.params.forEach((param, index) => {
+      if (param.type !== 'Identifier' || !args[index] || args[index].type === 'SpreadElement') return;
+      flows.push({ target: resolve(param.name, [fn]), value: args[index], ancestors });
+    });
+  };
+
+  /**
+   * Finds the function an object-literal method call (`this.name()`)
+   * refers to: a function-valued property of an enclosing object literal.
+   */
+  const findObjectMethod = (name, ancestors) => {
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+      if (ancestors[i].type !== 'ObjectExpression') continue;
+      const property = ancestors[i].properties.find(prop =>
+        prop.type === 'Property' && !prop.computed && isFunctionNode(prop.value) &&
+        (prop.key.name || prop.key.value) === name
+      );
+      if (property) return property.value;
+    }
+    return null;
+  };
+
+  // Collect the flows once; they are evaluated repeatedly below
+  const calls = [];
+  walk(ast, (node, ancestors) => {
+    const scope = [...ancestors];
+
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init) {
+      const target = resolve(node.id.name, [...scope, node]);
+      if (isFunctionNode(node.init)) addTypes(functions, target, [node.init]);
+      flows.push({ target, value: node.init, ancestors: scope });
+    } else if (node.type === 'AssignmentExpression' && node.operator === '=' && node.left.type === 'Identifier') {
+      const target = targetOf(node.left.name, scope);
+      if (isFunctionNode(node.right)) addTypes(functions, target, [node.right]);
+      flows.push({ target, value: node.right, ancestors: scope });
+    } else if (node.type === 'FunctionDeclaration' && node.id) {
+      addTypes(functions, resolve(node.id.name, scope), [node]);
+    } else if (node.type === 'ReturnStatement' && node.argument) {
+      const fn = [...scope].reverse().find(isFunctionNode);
+      if (fn) returns.push({ fn, value: node.argument, ancestors: scope });
+    } else if (node.type === 'CallExpression') {
+      calls.push({ node, ancestors: scope });
+    }
+
+    if (isFunctionNode(node) && node.id && ENTRY_POINT_PARAMETERS[node.id.name]) {
+      ENTRY_POINT_PARAMETERS[node.id.name].forEach((type, index) => {
+        const param = node.params[index];
+        if (type && param && param.type === 'Identifier') {
+          addTypes(bindingTypes, resolve(param.name, [node]), [type]);
+        }
+      });
+    }
+  });
+
+  // Arguments reach parameters of IIFEs, named functions, and object methods
+  for (const { node, ancestors } of calls) {
+    const { callee } = node;
+    if (isFunctionNode(callee)) {
+      passArguments(callee, node.arguments, ancestors);
+    } else if (callee.type === 'Identifier') {
+      for (const fn of functions.get(resolve(callee.name, ancestors)) || []) {
+        passArguments(fn, node.arguments, ancestors);
+      }
+    } else if (callee.type === 'MemberExpression' && callee.object.type === 'ThisExpression') {
+      const fn = findObjectMethod(getPropertyName(callee), ancestors);
+      if (fn) passArguments(fn, node.arguments, ancestors);
+    }
+  }
+
+  // Propagate until no binding or function gains a type
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    let changed = false;
+    for (const { target, value, ancestors } of flows) {
+      if (target && addTypes(bindingTypes, target, typeOf(value, ancestors))) changed = true;
+    }
+    for (const { fn, value, ancestors } of returns) {
+      if (addTypes(returnTypes, fn, typeOf(value, ancestors))) changed = true;
+    }
+    if (!changed) break;
+  }
+
+  return { typeOf };
+}
+
+export default {
+  GLOBAL_TYPES,
+  PRIMITIVE_TYPES,
+  inferTypes
+};
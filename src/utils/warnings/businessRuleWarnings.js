@@ -0,0 +1,352 @@
+/**
+ * @fileoverview Business Rule Warnings
+ * @description Analyzes a Business Rule against its metadata: the table it
+ * runs on, when it runs (before, after, or async), and the operations that
+ * trigger it. Follows updates and inserts on `current` and on records of the
+ * same table to find saves that run the rule again, pairs them with
+ * setWorkflow(false)/setWorkflow(true), and reports the mistakes specific to
+ * each phase: current.update() in before rules, changes to current that after
+ * and async rules never save, and `previous` in async rules, where it is null.
+ * Every message explains what the platform does and what to do instead.
+ */
+
+import { SEVERITY, createDiagnostic, createQuickFix, createEdit, locationFromNode, locationFromOffsets } from '../diagnostics.js';
+import { parseCode } from '../astParser.js';
+import {
+  walk,
+  isFunctionNode,
+  isVariableReference,
+  getMemberCall,
+  getPropertyName,
+  getStringValue,
+  findEnclosingStatement,
+  analyzeScopes
+} from '../astWalker.js';
+import { insertLineBefore, insertLineAfter } from './servicenowWarnings.js';
+
+// =============================================================================
+// RULE METADATA
+// =============================================================================
+
+/**
+ * Business Rule rules keyed by stable rule id
+ */
+export const BUSINESS_RULE_RULES = {
+  'sn/br-before-current-update': {
+    severity: SEVERITY.WARNING,
+    description: 'current.update() in a before Business Rule saves the record twice'
+  },
+  'sn/br-recursive-update': {
+    severity: SEVERITY.WARNING,
+    description: 'Update or insert on current or the rule\'s own table without setWorkflow(false), running Business Rules again'
+  },
+  'sn/br-workflow-not-restored': {
+    severity: SEVERITY.WARNING,
+    description: 'current.setWorkflow(false) never switched back on with current.setWorkflow(true)'
+  },
+  'sn/br-unsaved-current-change': {
+    severity: SEVERITY.WARNING,
+    description: 'Change to current in an after or async Business Rule that is never saved'
+  },
+  'sn/br-async-previous': {
+    severity: SEVERITY.ERROR,
+    description: 'previous referenced in an async Business Rule, where it is null'
+  }
+};
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Operations a Business Rule can run on */
+export const BUSINESS_RULE_OPERATIONS = ['insert', 'update', 'delete', 'query'];
+
+/** Operations assumed when the rule's are not given */
+export const DEFAULT_BUSINESS_RULE_OPERATIONS = ['insert', 'update'];
+
+/** Record methods that save, and the operation they trigger */
+const WRITE_OPERATIONS = {
+  update: 'update',
+  updateMultiple: 'update',
+  insert: 'insert',
+  deleteRecord: 'delete',
+  deleteMultiple: 'delete'
+};
+
+/**
+ * Rules that report saves of current in Business Rules of unknown phase
+ * (servicenowWarnings.js); their suppressions and profile settings also
+ * apply to the findings here on the same calls
+ */
+const LEGACY_RULE_IDS = {
+  update: 'sn/current-update-in-br',
+  insert: 'sn/current-insert-in-br'
+};
+
+/** Classes whose records can be written */
+const WRITABLE_CLASSES = new Set(['GlideRecord', 'GlideRecordSecure']);
+
+/** Methods of current that name its table */
+const TABLE_NAME_METHODS = new Set(['getTableName', 'getRecordClassName']);
+
+/** Methods that change a field value */
+const CHANGE_METHODS = new Set(['setValue', 'setDisplayValue']);
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @param {Object} node - AST node
+ * @returns {boolean|null} Value of a boolean literal, or null
+ */
+function getBooleanValue(node) {
+  return node && node.type === 'Literal' && typeof node.value === 'boolean' ? node.value : null;
+}
+
+/**
+ * @param {string} when - before, after, or async
+ * @param {string[]} operations - Operations of the rule
+ * @returns {string} e.g. 'an after insert/update Business Rule'
+ */
+function describeRule(when, operations) {
+  const article = when === 'before' ? 'a' : 'an';
+  return `${article} ${when}${operations.length ? ` ${operations.join('/')}` : ''} Business Rule`;
+}
+
+/**
+ * Builds an edit that removes a statement, with its line when it is alone on it.
+ *
+ * @param {string} code - Source code
+ * @param {Object} statement - Statement node
+ * @returns {Object} TextEdit
+ */
+function removeStatement(code, statement) {
+  const lineStart = code.lastIndexOf('\n', statement.start - 1) + 1;
+  const lineEnd = code.indexOf('\n', statement.end);
+  const end = lineEnd === -1 ? code.length : lineEnd + 1;
+  const alone = !code.slice(lineStart, statement.start).trim() && !code.slice(statement.end, end).trim();
+  return alone
+    ? createEdit(locationFromOffsets(code, lineStart, end), '')
+    : createEdit(locationFromOffsets(code, statement.start, statement.end), '');
+}
+
+// =============================================================================
+// MAIN ANALYSIS FUNCTION
+// =============================================================================
+
+/**
+ * Analyzes a Business Rule script. Nothing is reported without `when`, or for
+ * code that does not parse.
+ *
+ * @param {string} code - The code to analyze
+ * @param {Object} [rule] - Business Rule metadata
+ * @param {'before'|'after'|'async'} [rule.when] - When the rule runs
+ * @param {string} [rule.table] - Table the rule runs on
+ * @param {string[]} [rule.operations] - Operations that trigger the rule (default insert and update)
+ * @returns {Diagnostic[]}
+ */
+export function analyzeBusinessRule(code, rule = {}) {
+  const { when, table = '' } = rule;
+  if (!when) return [];
+  const operations = (rule.operations || DEFAULT_BUSINESS_RULE_OPERATIONS)
+    .filter(operation => BUSINESS_RULE_OPERATIONS.includes(operation));
+
+  const { ast } = parseCode(code, { ecmaVersion: 'latest' });
+  if (!ast) return [];
+
+  const { resolve } = analyzeScopes(ast);
+  const tableName = table || 'its table';
+  const ruleTable = table ? `${table}, the table of this Business Rule` : 'the table of this Business Rule';
+  const ruleName = describeRule(when, operations);
+
+  // `current` is the global (or the executeRule parameter), not a local record
+  const isCurrent = (node, ancestors) => {
+    if (!node || node.type !== 'Identifier' || node.name !== 'current') return false;
+    const binding = resolve('current', ancestors);
+    return !binding || !binding.className;
+  };
+
+  // new GlideRecord(<the rule's table>), also through current.getTableName()
+  const isSameTable = (arg, ancestors) => {
+    if (table && getStringValue(arg) === table) return true;
+    const call = getMemberCall(arg);
+    if (call) return TABLE_NAME_METHODS.has(call.method) && isCurrent(call.object, ancestors);
+    return !!arg && arg.type === 'MemberExpression' && getPropertyName(arg) === 'sys_class_name' &&
+      isCurrent(arg.object, ancestors);
+  };
+
+  // Facts gathered in one walk
+  const writes = [];    // { receiver, name, method, node }
+  const workflow = [];  // { receiver, enabled, node }
+  const changes = [];   // { field, node }
+  const previousReferences = [];
+
+  walk(ast, (node, ancestors) => {
+    const parent = ancestors[ancestors.length - 1];
+
+    if (node.type === 'Identifier' && node.name === 'previous' && isVariableReference(node, parent)) {
+      // Skip the parameter and the (current, previous) arguments of the rule's IIFE
+      const declared = isFunctionNode(parent) && parent.params.includes(node);
+      const passed = parent && parent.type === 'CallExpression' && isFunctionNode(parent.callee) &&
+        parent.arguments.includes(node);
+      // The global, or the parameter of the rule's executeRule(current, previous)
+      const binding = resolve('previous', ancestors);
+      const isRuleParameter = binding && isFunctionNode(binding.scope) && binding.scope.params.length > 1 &&
+        binding.scope.params[0].type === 'Identifier' && binding.scope.params[0].name === 'current';
+      if (!declared && !passed && (!binding || isRuleParameter)) previousReferences.push(node);
+      return;
+    }
+
+    if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression' &&
+        isCurrent(node.left.object, ancestors)) {
+      changes.push({ field: getPropertyName(node.left), node });
+      return;
+    }
+
+    const call = getMemberCall(node);
+    if (!call) return;
+
+    if (CHANGE_METHODS.has(call.method)) {
+      if (isCurrent(call.object, ancestors)) {
+        changes.push({ field: getStringValue(node.arguments[0]), node });
+      } else if (call.object.type === 'MemberExpression' && isCurrent(call.object.object, ancestors)) {
+        changes.push({ field: getPropertyName(call.object), node });
+      }
+    }
+
+    let receiver = null;
+    if (isCurrent(call.object, ancestors)) {
+      receiver = 'current';
+    } else if (call.objectName) {
+      const binding = resolve(call.objectName, ancestors);
+      if (binding && WRITABLE_CLASSES.has(binding.className) && isSameTable(binding.init.arguments[0], ancestors)) {
+        receiver = binding;
+      }
+    }
+    if (!receiver) return;
+
+    const enabled = call.method === 'setWorkflow' ? getBooleanValue(node.arguments[0]) : null;
+    if (enabled !== null) {
+      workflow.push({ receiver, enabled, node });
+    } else if (WRITE_OPERATIONS[call.method] && (receiver !== 'current' || call.method === 'update' || call.method === 'insert')) {
+      writes.push({ receiver, name: call.objectName || 'current', method: call.method, node });
+    }
+  });
+
+  const diagnostics = [];
+  const push = (ruleId, message, node, quickFix = null, legacyRuleId = null) => {
+    const diagnostic = createDiagnostic(ruleId, BUSINESS_RULE_RULES[ruleId].severity, message, locationFromNode(node), null, quickFix);
+    diagnostics.push(legacyRuleId ? { ...diagnostic, legacyRuleId } : diagnostic);
+  };
+
+  // The statement a call makes up on its own, for quick fixes
+  const ownStatement = node => {
+    const found = findEnclosingStatement(ast, node);
+    return found && found.statement.type === 'ExpressionStatement' && found.statement.expression === node
+      ? found.statement
+      : null;
+  };
+
+  // Whether the engines are off for a receiver at a point: its last setWorkflow() before it was false
+  const workflowDisabled = (receiver, node) => {
+    const last = workflow.filter(w => w.receiver === receiver && w.node.end <= node.start).pop();
+    return !!last && !last.enabled;
+  };
+
+  // -------------------------------------------------------------------------
+  // Saves of current and of records of the same table
+  // -------------------------------------------------------------------------
+
+  writes.forEach(({ receiver, name, method, node }) => {
+    const operation = WRITE_OPERATIONS[method];
+    const rerun = operations.includes(operation);
+
+    if (receiver === 'current' && method === 'update' && when === 'before') {
+      const statement = ownStatement(node);
+      push('sn/br-before-current-update',
+        `current.update() in ${ruleName} saves the record twice - before rules run just before the record is saved, ` +
+        `so changes to current are saved without it, and the extra save runs the update Business Rules of ${tableName} ` +
+        `${rerun ? 'again, including this one' : 'as well'}; remove it`,
+        node, statement ? createQuickFix('Remove current.update()', removeStatement(code, statement)) : null,
+        LEGACY_RULE_IDS.update);
+      return;
+    }
+
+    if (workflowDisabled(receiver, node)) return;
+    const statement = ownStatement(node);
+    const quickFix = statement
+      ? createQuickFix(`Wrap in ${name}.setWorkflow(false) and ${name}.setWorkflow(true)`, [
+        insertLineBefore(code, statement, `${name}.setWorkflow(false);`),
+        insertLineAfter(code, statement, `${name}.setWorkflow(true);`)
+      ])
+      : null;
+
+    if (receiver === 'current') {
+      const what = method === 'update'
+        ? `current.update() in ${ruleName} saves the record a second time after it was written, which runs the update Business Rules of ${tableName}`
+        : `current.insert() in ${ruleName} inserts a copy of the record, which runs the insert Business Rules of ${tableName}`;
+      push('sn/br-recursive-update',
+        `${what}${rerun ? ' again, including this one (recursion)' : ''} - call current.setWorkflow(false) before it and ` +
+        `current.setWorkflow(true) after it${method === 'update' ? ', or set the fields in a before rule instead' : ''}`,
+        node, quickFix, LEGACY_RULE_IDS[method]);
+    } else if (rerun) {
+      const records = method.endsWith('Multiple') ? 'every matching record' : 'that record';
+      push('sn/br-recursive-update',
+        `${name}.${method}() on ${ruleTable}, runs this ${operation} rule again for ` +
+        `${records} (recursion) - call ${name}.setWorkflow(false) before it if the rule should not run`,
+        node, quickFix);
+    }
+  });
+
+  // -------------------------------------------------------------------------
+  // setWorkflow(false) on current without setWorkflow(true)
+  // -------------------------------------------------------------------------
+
+  workflow
+    .filter(w => w.receiver === 'current' && !w.enabled)
+    .forEach(({ node }) => {
+      const restored = workflow.some(w => w.receiver === 'current' && w.enabled && w.node.start > node.end);
+      if (restored) return;
+      const save = writes.find(w => w.receiver === 'current' && w.node.start > node.end);
+      const statement = save && ownStatement(save.node);
+      push('sn/br-workflow-not-restored',
+        'current.setWorkflow(false) is never switched back on - Business Rules, workflows, and notifications stay off ' +
+        'for later saves of current in this transaction, including those of other rules; call current.setWorkflow(true) after the update',
+        node, statement
+          ? createQuickFix('Re-enable with current.setWorkflow(true)', insertLineAfter(code, statement, 'current.setWorkflow(true);'))
+          : null);
+    });
+
+  // -------------------------------------------------------------------------
+  // Changes to current after the record was written
+  // -------------------------------------------------------------------------
+
+  if (when !== 'before') {
+    changes.forEach(({ field, node }) => {
+      const saved = writes.some(w => w.receiver === 'current' && w.node.start > node.end);
+      if (saved) return;
+      push('sn/br-unsaved-current-change',
+        `${field ? `current.${field}` : 'A field of current'} is changed in ${ruleName} but never saved - ` +
+        `${when} rules run after the record was written, so the change is lost; set it in a before rule instead`,
+        node);
+    });
+  }
+
+  // -------------------------------------------------------------------------
+  // previous in async rules
+  // -------------------------------------------------------------------------
+
+  if (when === 'async') {
+    previousReferences.forEach(node => {
+      push('sn/br-async-previous',
+        'previous is null in async Business Rules - they run later on a scheduler worker, after the transaction that ' +
+        'changed the record; compare old values in an after rule, or pass them on, e.g. as event parameters',
+        node);
+    });
+  }
+
+  return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+export default analyzeBusinessRule;
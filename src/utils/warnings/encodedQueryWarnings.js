@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Encoded Query Warnings
+ * @description Validates the literal encoded queries a script passes to
+ * addEncodedQuery() and setEncodedQuery() with the parser in
+ * encodedQuery.js: unknown or miscased operators, dangling `^`, `^OR`, and `^NQ`,
+ * and values the operator does not take. ServiceNow silently ignores
+ * conditions it cannot parse, so such a query returns more records than
+ * intended.
+ */
+
+import {
+  SEVERITY,
+  createDiagnostic,
+  createQuickFix,
+  createEdit,
+  locationFromNode,
+  locationFromOffsets
+} from '../diagnostics.js';
+import { parseEncodedQuery, findEncodedQueries } from '../encodedQuery.js';
+
+// =============================================================================
+// RULE METADATA
+// =============================================================================
+
+/**
+ * Encoded query rules keyed by stable rule id
+ */
+export const ENCODED_QUERY_RULES = {
+  'sn/invalid-encoded-query': {
+    severity: SEVERITY.ERROR,
+    description: 'Malformed encoded query (unknown operator, dangling ^, ^OR, or ^NQ, unexpected value)'
+  }
+};
+
+// =============================================================================
+// MAIN ANALYSIS FUNCTION
+// =============================================================================
+
+/**
+ * Analyzes the literal encoded queries of a script. Errors are located on
+ * the malformed part of the query when the literal has no escapes, and on
+ * the whole literal otherwise. Code that does not parse yields no
+ * diagnostics.
+ *
+ * @param {string} code - The code to analyze
+ * @returns {Diagnostic[]}
+ */
+export function analyzeEncodedQueries(code) {
+  const diagnostics = [];
+
+  for (const { query, method, node, contentStart } of findEncodedQueries(code)) {
+    for (const error of parseEncodedQuery(query).errors) {
+      const exact = contentStart !== null;
+      const location = exact
+        ? locationFromOffsets(code, contentStart + error.start, contentStart + error.end)
+        : locationFromNode(node);
+      const replacement = exact && error.replacement ? error.replacement : null;
+      const quickFix = replacement
+        ? createQuickFix(`Replace with ${replacement}`, createEdit(location, replacement))
+        : null;
+
+      diagnostics.push(createDiagnostic(
+        'sn/invalid-encoded-query',
+        ENCODED_QUERY_RULES['sn/invalid-encoded-query'].severity,
+        `${method}(): ${error.message}`,
+        location,
+        replacement,
+        quickFix
+      ));
+    }
+  }
+
+  return diagnostics;
+}
+
+export default analyzeEncodedQueries;
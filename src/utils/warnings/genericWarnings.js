@@ -4,96 +4,199 @@
  * not specific to ServiceNow. These are language-level best practices.
  */
 
+import {
+  SEVERITY,
+  createDiagnostic,
+  findMatches,
+  locationFromLine,
+  locationFromOffsets
+} from '../diagnostics.js';
+
+// =============================================================================
+// RULE METADATA
+// =============================================================================
+
+/**
+ * Generic warning rules keyed by stable rule id
+ */
+export const GENERIC_RULES = {
+  'generic/todo-comment': {
+    severity: SEVERITY.INFO,
+    description: 'TODO, FIXME, XXX, HACK, or BUG comment indicating unfinished work'
+  },
+  'generic/long-line': {
+    severity: SEVERITY.WARNING,
+    description: 'Line exceeds 150 characters and hurts readability'
+  },
+  'generic/empty-catch': {
+    severity: SEVERITY.WARNING,
+    description: 'Empty catch block silently swallows errors'
+  },
+  'generic/empty-block': {
+    severity: SEVERITY.WARNING,
+    description: 'if/for/while statement with an empty body'
+  },
+  'generic/deep-nesting': {
+    severity: SEVERITY.WARNING,
+    description: 'Code nested 6 or more levels deep'
+  },
+  'generic/unreachable-code': {
+    severity: SEVERITY.WARNING,
+    description: 'Statements following a return statement'
+  },
+  'generic/long-function': {
+    severity: SEVERITY.INFO,
+    description: 'Functions averaging more than 50 lines'
+  },
+  'generic/too-many-params': {
+    severity: SEVERITY.INFO,
+    description: 'Function declares 5 or more parameters'
+  },
+  'generic/assignment-in-condition': {
+    severity: SEVERITY.WARNING,
+    description: 'Assignment (=) used inside an if condition'
+  },
+  'generic/nested-ternary': {
+    severity: SEVERITY.INFO,
+    description: 'Ternary operator nested inside another ternary'
+  },
+  'generic/hardcoded-credential': {
+    severity: SEVERITY.WARNING,
+    description: 'Password, API key, secret, or token assigned a literal value'
+  }
+};
+
+/**
+ * Default thresholds; rule profiles can override each one
+ */
+export const DEFAULT_GENERIC_THRESHOLDS = {
+  maxLineLength: 150,
+  maxNestingDepth: 6,
+  maxParams: 5,
+  maxFunctionLines: 50
+};
+
+/**
+ * Creates a diagnostic for a generic rule using its default severity.
+ *
+ * @param {string} ruleId - Rule id from GENERIC_RULES
+ * @param {string} message - Diagnostic message
+ * @param {Object|null} location - Source location
+ * @returns {Object} Diagnostic
+ */
+function report(ruleId, message, location = null) {
+  return createDiagnostic(ruleId, GENERIC_RULES[ruleId].severity, message, location);
+}
+
+// =============================================================================
+// MAIN ANALYSIS FUNCTION
+// =============================================================================
+
 /**
  * Analyzes code for generic JavaScript warnings.
  *
  * @param {string} code - The code to analyze
- * @returns {string[]} Array of warning messages
+ * @param {Object} [thresholds] - Overrides for DEFAULT_GENERIC_THRESHOLDS
+ * @returns {import('../diagnostics.js').Diagnostic[]} Array of located warnings
  */
-export function analyzeGenericWarnings(code) {
+export function analyzeGenericWarnings(code, thresholds = {}) {
   const warnings = [];
   const lines = code.split('\n');
+  const { maxLineLength, maxNestingDepth, maxParams, maxFunctionLines } = {
+    ...DEFAULT_GENERIC_THRESHOLDS,
+    ...thresholds
+  };
 
   // Check for TODO/FIXME comments that indicate incomplete work
-  const todoMatches = code.match(/\/\/\s*(TODO|FIXME|XXX|HACK|BUG)[\s:]/gi) || [];
-  const todoInBlockComments = code.match(/\/\*[\s\S]*?(TODO|FIXME|XXX|HACK|BUG)[\s\S]*?\*\//gi) || [];
-  const totalTodos = todoMatches.length + todoInBlockComments.length;
-  if (totalTodos > 0) {
-    warnings.push(`Found ${totalTodos} TODO/FIXME comment${totalTodos > 1 ? 's' : ''}`);
-  }
+  const todoMatches = [
+    ...findMatches(code, /\/\/\s*(TODO|FIXME|XXX|HACK|BUG)[\s:]/gi),
+    ...findMatches(code, /\/\*[\s\S]*?(TODO|FIXME|XXX|HACK|BUG)[\s\S]*?\*\//gi)
+  ];
+  todoMatches.forEach(({ match, location }) => {
+    warnings.push(report('generic/todo-comment', `${match[1].toUpperCase()} comment`, location));
+  });
 
   // Check for very long lines that hurt readability
-  const longLines = lines.filter((line) => line.length > 150);
-  if (longLines.length > 0) {
-    warnings.push(`${longLines.length} line${longLines.length > 1 ? 's' : ''} exceed 150 characters`);
-  }
+  lines.forEach((line, index) => {
+    if (line.length > maxLineLength) {
+      warnings.push(report('generic/long-line', `Line exceeds ${maxLineLength} characters (${line.length})`, locationFromLine(lines, index)));
+    }
+  });
 
   // Check for empty catch blocks that swallow errors silently
-  const emptyCatchBlocks = (code.match(/catch\s*\([^)]*\)\s*\{\s*\}/g) || []).length;
-  if (emptyCatchBlocks > 0) {
-    warnings.push(`${emptyCatchBlocks} empty catch block${emptyCatchBlocks > 1 ? 's' : ''} (errors silently ignored)`);
-  }
+  findMatches(code, /catch\s*\([^)]*\)\s*\{\s*\}/g).forEach(({ location }) => {
+    warnings.push(report('generic/empty-catch', 'Empty catch block (errors silently ignored)', location));
+  });
 
   // Check for empty control flow blocks (may indicate incomplete code)
-  const emptyIfBlocks = (code.match(/if\s*\([^)]*\)\s*\{\s*\}/g) || []).length;
-  const emptyForBlocks = (code.match(/for\s*\([^)]*\)\s*\{\s*\}/g) || []).length;
-  const emptyWhileBlocks = (code.match(/while\s*\([^)]*\)\s*\{\s*\}/g) || []).length;
-  const totalEmptyBlocks = emptyIfBlocks + emptyForBlocks + emptyWhileBlocks;
-  if (totalEmptyBlocks > 0) {
-    warnings.push(`${totalEmptyBlocks} empty code block${totalEmptyBlocks > 1 ? 's' : ''} (if/for/while with no body)`);
-  }
+  findMatches(code, /\b(if|for|while)\s*\([^)]*\)\s*\{\s*\}/g).forEach(({ match, location }) => {
+    warnings.push(report('generic/empty-block', `Empty ${match[1]} block (no body)`, location));
+  });
 
   // Check for deeply nested code (indicates need for refactoring)
   let maxDepth = 0;
+  let maxDepthOffset = -1;
   let currentDepth = 0;
-  for (const char of code) {
+  for (let i = 0; i < code.length; i++) {
+    const char = code[i];
     if (char === '{') {
       currentDepth++;
-      maxDepth = Math.max(maxDepth, currentDepth);
+      if (currentDepth > maxDepth) {
+        maxDepth = currentDepth;
+        maxDepthOffset = i;
+      }
     } else if (char === '}') {
       currentDepth--;
     }
   }
-  if (maxDepth >= 6) {
-    warnings.push(`Code is deeply nested (${maxDepth} levels) - consider refactoring`);
+  if (maxDepth >= maxNestingDepth) {
+    warnings.push(report(
+      'generic/deep-nesting',
+      `Code is deeply nested (${maxDepth} levels) - consider refactoring`,
+      locationFromOffsets(code, maxDepthOffset, maxDepthOffset + 1)
+    ));
   }
 
   // Check for potential unreachable code after return statements
-  const unreachablePattern = /return\s+[^;]*;\s*\n\s*[a-zA-Z]/g;
-  const unreachableMatches = (code.match(unreachablePattern) || []).length;
-  if (unreachableMatches > 0) {
-    warnings.push(`Potential unreachable code after return statement`);
-  }
+  findMatches(code, /return\s+[^;]*;\s*\n\s*[a-zA-Z]/g).forEach(({ match }) => {
+    // Point at the first statement after the return
+    const end = match.index + match[0].length;
+    warnings.push(report(
+      'generic/unreachable-code',
+      'Potential unreachable code after return statement',
+      locationFromOffsets(code, end - 1, end)
+    ));
+  });
 
   // Check for long functions that should be split
   const functionMatches = code.match(/function\s*\w*\s*\([^)]*\)\s*\{/g) || [];
   const arrowFunctionMatches = code.match(/\([^)]*\)\s*=>\s*\{/g) || [];
   const totalFunctions = functionMatches.length + arrowFunctionMatches.length;
-  if (totalFunctions > 0 && lines.length > 50) {
+  if (totalFunctions > 0 && lines.length > maxFunctionLines) {
     const avgLinesPerFunction = lines.length / totalFunctions;
-    if (avgLinesPerFunction > 50) {
-      warnings.push(`Functions may be too long (average ${Math.round(avgLinesPerFunction)} lines) - consider splitting`);
+    if (avgLinesPerFunction > maxFunctionLines) {
+      warnings.push(report(
+        'generic/long-function',
+        `Functions may be too long (average ${Math.round(avgLinesPerFunction)} lines) - consider splitting`
+      ));
     }
   }
 
   // Check for functions with too many parameters (code smell)
-  const manyParamsPattern = /function\s*\w*\s*\(\s*\w+\s*,\s*\w+\s*,\s*\w+\s*,\s*\w+\s*,\s*\w+/g;
-  const manyParamsMatches = (code.match(manyParamsPattern) || []).length;
-  if (manyParamsMatches > 0) {
-    warnings.push(`${manyParamsMatches} function${manyParamsMatches > 1 ? 's' : ''} with 5+ parameters - consider using an object`);
-  }
+  const manyParamsPattern = new RegExp(`function\\s*\\w*\\s*\\(\\s*\\w+(?:\\s*,\\s*\\w+){${maxParams - 1}}`, 'g');
+  findMatches(code, manyParamsPattern).forEach(({ location }) => {
+    warnings.push(report('generic/too-many-params', `Function with ${maxParams}+ parameters - consider using an object`, location));
+  });
 
   // Check for assignment in conditional (common mistake: = instead of ==)
-  const assignmentInCondition = code.match(/if\s*\(\s*\w+\s*=[^=]/g) || [];
-  if (assignmentInCondition.length > 0) {
-    warnings.push(`Possible assignment in condition (= instead of ==) - verify intentional`);
-  }
+  findMatches(code, /if\s*\(\s*\w+\s*=[^=]/g).forEach(({ location }) => {
+    warnings.push(report('generic/assignment-in-condition', 'Possible assignment in condition (= instead of ==) - verify intentional', location));
+  });
 
   // Check for nested ternary operators (hurts readability)
-  const nestedTernary = code.match(/\?[^:]+\?/g) || [];
-  if (nestedTernary.length > 0) {
-    warnings.push(`${nestedTernary.length} nested ternary operator${nestedTernary.length > 1 ? 's' : ''} - consider using if/else`);
-  }
+  findMatches(code, /\?[^:]+\?/g).forEach(({ location }) => {
+    warnings.push(report('generic/nested-ternary', 'Nested ternary operator - consider using if/else', location));
+  });
 
   // Check for hardcoded credentials (security risk)
   const credentialPatterns = [
@@ -103,14 +206,11 @@ export function analyzeGenericWarnings(code) {
     /secret\s*[=:]\s*['"][^'"]+['"]/gi,
     /token\s*[=:]\s*['"][^'"]+['"]/gi,
   ];
-  let credentialCount = 0;
   credentialPatterns.forEach(pattern => {
-    const matches = code.match(pattern) || [];
-    credentialCount += matches.length;
+    findMatches(code, pattern).forEach(({ location }) => {
+      warnings.push(report('generic/hardcoded-credential', 'Potential hardcoded credential detected - security risk!', location));
+    });
   });
-  if (credentialCount > 0) {
-    warnings.push(`${credentialCount} potential hardcoded credential${credentialCount > 1 ? 's' : ''} detected - security risk!`);
-  }
 
   return warnings;
 }
@@ -5,6 +5,83 @@
  * warnings (quality/style issues).
  */
 
+import {
+  SEVERITY,
+  createDiagnostic,
+  findMatches,
+  locationFromOffsets
+} from '../diagnostics.js';
+
+// =============================================================================
+// RULE METADATA
+// =============================================================================
+
+/**
+ * JSON rules keyed by stable rule id
+ */
+export const JSON_RULES = {
+  'json/syntax-error': {
+    severity: SEVERITY.ERROR,
+    description: 'Content cannot be parsed as JSON'
+  },
+  'json/trailing-comma': {
+    severity: SEVERITY.ERROR,
+    description: 'Trailing comma before ] or } is not valid JSON'
+  },
+  'json/single-quotes': {
+    severity: SEVERITY.ERROR,
+    description: 'Single-quoted strings are not valid JSON'
+  },
+  'json/comment': {
+    severity: SEVERITY.ERROR,
+    description: 'Comments are not valid JSON'
+  },
+  'json/duplicate-key': {
+    severity: SEVERITY.WARNING,
+    description: 'The same key appears twice in one object; the later value wins'
+  },
+  'json/deep-nesting': {
+    severity: SEVERITY.WARNING,
+    description: 'Structure nested more than 10 levels deep'
+  },
+  'json/long-string': {
+    severity: SEVERITY.INFO,
+    description: 'String value of 1000+ characters'
+  },
+  'json/many-empty-containers': {
+    severity: SEVERITY.INFO,
+    description: 'More than 5 empty arrays or objects'
+  },
+  'json/many-nulls': {
+    severity: SEVERITY.INFO,
+    description: 'More than 10 null values'
+  },
+  'json/numeric-keys': {
+    severity: SEVERITY.INFO,
+    description: 'More than 3 numeric object keys (an array may fit better)'
+  },
+  'json/large-file': {
+    severity: SEVERITY.INFO,
+    description: 'More than 1000 lines of JSON'
+  },
+  'json/control-characters': {
+    severity: SEVERITY.WARNING,
+    description: 'Unescaped control characters'
+  }
+};
+
+/**
+ * Creates a diagnostic for a JSON rule using its default severity.
+ *
+ * @param {string} ruleId - Rule id from JSON_RULES
+ * @param {string} message - Diagnostic message
+ * @param {Object|null} location - Source location
+ * @returns {Object} Diagnostic
+ */
+function report(ruleId, message, location = null) {
+  return createDiagnostic(ruleId, JSON_RULES[ruleId].severity, message, location);
+}
+
 // =============================================================================
 // MAIN EXPORT
 // =============================================================================
@@ -14,7 +91,7 @@
  * Checks syntax, structure, and best practices.
  *
  * @param {string} code - The JSON content to analyze
- * @returns {{ warnings: string[], errors: string[] }} Object with warnings and errors arrays
+ * @returns {{ warnings: Diagnostic[], errors: Diagnostic[] }} Object with warnings and errors arrays
  */
 export function analyzeJsonWarnings(code) {
   const warnings = [];
@@ -29,32 +106,41 @@ export function analyzeJsonWarnings(code) {
   // -------------------------------------------------------------------------
 
   // Attempt to parse JSON to detect syntax errors
+  let parsed = true;
   try {
     JSON.parse(code);
   } catch (e) {
+    parsed = false;
     const match = e.message.match(/position (\d+)/i);
     if (match) {
       const position = parseInt(match[1]);
-      const lines = code.substring(0, position).split('\n');
-      const line = lines.length;
-      const col = lines[lines.length - 1].length + 1;
-      errors.push(`Syntax error at line ${line}, column ${col}: ${e.message}`);
+      const location = locationFromOffsets(code, position, Math.min(position + 1, code.length));
+      errors.push(report(
+        'json/syntax-error',
+        `Syntax error at line ${location.line}, column ${location.column}: ${e.message}`,
+        location
+      ));
     } else {
-      errors.push(`JSON syntax error: ${e.message}`);
+      errors.push(report('json/syntax-error', `JSON syntax error: ${e.message}`));
     }
-    return { warnings, errors };
   }
 
   // -------------------------------------------------------------------------
   // JSON Specification Errors
   // -------------------------------------------------------------------------
 
+  // Each of these makes parsing fail, so they explain a syntax error. String
+  // contents are blanked out so that "x,]" or "https://..." are not reported.
+  const outsideStrings = blankStrings(code);
+
   // Check for trailing commas (not valid in JSON)
-  const trailingCommaPattern = /,\s*[\]}]/g;
-  const trailingCommas = code.match(trailingCommaPattern);
-  if (trailingCommas) {
-    errors.push(`Found ${trailingCommas.length} trailing comma(s) - not valid in JSON`);
-  }
+  findMatches(outsideStrings, /,\s*[\]}]/g).forEach(({ match }) => {
+    errors.push(report(
+      'json/trailing-comma',
+      'Trailing comma - not valid in JSON',
+      locationFromOffsets(code, match.index, match.index + 1)
+    ));
+  });
 
   // Check for single quotes (JSON requires double quotes)
   let inStringContext = false;
@@ -75,15 +161,30 @@ export function analyzeJsonWarnings(code) {
     escaped = false;
   }
   if (singleQuotePositions.length > 0) {
-    errors.push('Single quotes found - JSON requires double quotes');
+    const position = singleQuotePositions[0];
+    errors.push(report(
+      'json/single-quotes',
+      'Single quotes found - JSON requires double quotes',
+      locationFromOffsets(code, position, position + 1)
+    ));
   }
 
   // Check for comments (not valid in JSON)
-  const singleLineComments = code.match(/\/\/[^\n]*/g);
-  const multiLineComments = code.match(/\/\*[\s\S]*?\*\//g);
-  const commentCount = (singleLineComments?.length || 0) + (multiLineComments?.length || 0);
-  if (commentCount > 0) {
-    errors.push(`Found ${commentCount} comment(s) - comments are not valid in JSON`);
+  const comments = [
+    ...findMatches(outsideStrings, /\/\/[^\n]*/g),
+    ...findMatches(outsideStrings, /\/\*[\s\S]*?\*\//g)
+  ];
+  comments.forEach(({ location }) => {
+    errors.push(report('json/comment', 'Comment - comments are not valid in JSON', location));
+  });
+
+  // Check for unescaped control characters (tab, LF, and CR are valid whitespace)
+  findMatches(code, /[\x00-\x08\x0b\x0c\x0e-\x1f]/g).slice(0, 1).forEach(({ location }) => {
+    warnings.push(report('json/control-characters', 'Unescaped control characters detected - may cause parsing issues', location));
+  });
+
+  if (!parsed) {
+    return { warnings, errors };
   }
 
   // -------------------------------------------------------------------------
@@ -92,55 +193,63 @@ export function analyzeJsonWarnings(code) {
 
   // Check for duplicate keys (later value overrides)
   const duplicateKeys = findDuplicateKeys(code);
-  if (duplicateKeys.length > 0) {
-    duplicateKeys.forEach(key => {
-      warnings.push(`Duplicate key "${key}" found - later value will override`);
-    });
-  }
+  duplicateKeys.forEach(({ key, start, end }) => {
+    warnings.push(report(
+      'json/duplicate-key',
+      `Duplicate key "${key}" found - later value will override`,
+      locationFromOffsets(code, start, end)
+    ));
+  });
 
   // Check for very deep nesting (10+ levels)
-  const maxDepth = calculateMaxDepth(code);
+  const { maxDepth, maxDepthOffset } = calculateMaxDepth(code);
   if (maxDepth > 10) {
-    warnings.push(`Deep nesting detected (${maxDepth} levels) - consider flattening structure`);
+    warnings.push(report(
+      'json/deep-nesting',
+      `Deep nesting detected (${maxDepth} levels) - consider flattening structure`,
+      locationFromOffsets(code, maxDepthOffset, maxDepthOffset + 1)
+    ));
   }
 
   // Check for very long strings (1000+ chars)
-  const longStringPattern = /"[^"]{1000,}"/g;
-  const longStrings = code.match(longStringPattern);
-  if (longStrings) {
-    warnings.push(`${longStrings.length} very long string(s) detected (1000+ chars)`);
-  }
+  findMatches(code, /"[^"]{1000,}"/g).forEach(({ match, location }) => {
+    warnings.push(report('json/long-string', `Very long string detected (${match[0].length - 2} chars)`, location));
+  });
 
   // Check for many empty arrays/objects (may indicate incomplete data)
-  const emptyArrays = (code.match(/\[\s*\]/g) || []).length;
-  const emptyObjects = (code.match(/\{\s*\}/g) || []).length;
-  if (emptyArrays + emptyObjects > 5) {
-    warnings.push(`Multiple empty arrays/objects (${emptyArrays + emptyObjects}) - verify intentional`);
+  const emptyContainers = findMatches(code, /\[\s*\]|\{\s*\}/g);
+  if (emptyContainers.length > 5) {
+    warnings.push(report(
+      'json/many-empty-containers',
+      `Multiple empty arrays/objects (${emptyContainers.length}) - verify intentional`,
+      emptyContainers[0].location
+    ));
   }
 
   // Check for many null values (consider omitting)
-  const nullValues = (code.match(/:\s*null\b/g) || []).length;
-  if (nullValues > 10) {
-    warnings.push(`Many null values (${nullValues}) - consider omitting null fields`);
+  const nullValues = findMatches(code, /:\s*null\b/g);
+  if (nullValues.length > 10) {
+    warnings.push(report(
+      'json/many-nulls',
+      `Many null values (${nullValues.length}) - consider omitting null fields`,
+      nullValues[0].location
+    ));
   }
 
   // Check for numeric keys (valid but often unintentional - use array instead)
-  const numericKeyPattern = /"(\d+)"\s*:/g;
-  const numericKeys = code.match(numericKeyPattern);
-  if (numericKeys && numericKeys.length > 3) {
-    warnings.push(`${numericKeys.length} numeric keys found - consider using an array instead`);
+  const numericKeys = findMatches(code, /"(\d+)"\s*:/g);
+  if (numericKeys.length > 3) {
+    warnings.push(report(
+      'json/numeric-keys',
+      `${numericKeys.length} numeric keys found - consider using an array instead`,
+      numericKeys[0].location
+    ));
   }
 
   // Check for large file size (performance concern)
   const lineCount = code.split('\n').length;
   if (lineCount > 1000) {
-    warnings.push(`Large JSON file (${lineCount} lines) - may impact performance`);
-  }
-
-  // Check for unescaped control characters
-  const unescapedPattern = /[\x00-\x1f]/;
-  if (unescapedPattern.test(code)) {
-    warnings.push('Unescaped control characters detected - may cause parsing issues');
+    warnings.push(report('json/large-file', `Large JSON file (${lineCount} lines) - may impact performance`));
   }
 
   return { warnings, errors };
@@ -150,15 +259,45 @@ export function analyzeJsonWarnings(code) {
 // HELPER FUNCTIONS
 // =============================================================================
 
+/**
+ * Replaces the contents of double-quoted strings with spaces, keeping the
+ * quotes and every offset, so patterns only match outside strings.
+ *
+ * @param {string} code - JSON string
+ * @returns {string} Code with blanked string contents
+ */
+function blankStrings(code) {
+  let result = '';
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < code.length; i++) {
+    const char = code[i];
+    if (inString && !escaped && char === '"') {
+      inString = false;
+      result += char;
+    } else if (inString) {
+      escaped = !escaped && char === '\\';
+      result += char === '\n' ? char : ' ';
+    } else {
+      if (char === '"') inString = true;
+      result += char;
+    }
+  }
+
+  return result;
+}
+
 /**
  * Finds duplicate keys in JSON by walking through the structure.
  * Tracks keys at each nesting level separately.
  *
  * @param {string} code - JSON string
- * @returns {string[]} Array of duplicate key names
+ * @returns {Array<{ key: string, start: number, end: number }>} Duplicate keys with offsets of the repeated key
  */
 function findDuplicateKeys(code) {
   const duplicates = [];
+  let keyStart = 0;
   let depth = 0;
   const levelKeys = {};
   let inString = false;
@@ -188,6 +327,7 @@ function findDuplicateKeys(code) {
         if (!afterColon) {
           collectingKey = true;
           currentKey = '';
+          keyStart = i;
         }
       } else {
         inString = false;
@@ -196,9 +336,7 @@ function findDuplicateKeys(code) {
           // Check for duplicate at current level
           if (!levelKeys[depth]) levelKeys[depth] = new Set();
           if (levelKeys[depth].has(currentKey)) {
-            if (!duplicates.includes(currentKey)) {
-              duplicates.push(currentKey);
-            }
+            duplicates.push({ key: currentKey, start: keyStart, end: i + 1 });
           }
           levelKeys[depth].add(currentKey);
         }
@@ -234,15 +372,17 @@ function findDuplicateKeys(code) {
  * Tracks { and [ as nesting levels.
  *
  * @param {string} code - JSON string
- * @returns {number} Maximum nesting depth
+ * @returns {{ maxDepth: number, maxDepthOffset: number }} Maximum nesting depth and where it is first reached
  */
 function calculateMaxDepth(code) {
   let maxDepth = 0;
+  let maxDepthOffset = 0;
   let currentDepth = 0;
   let inString = false;
   let escaped = false;
 
-  for (const char of code) {
+  for (let i = 0; i < code.length; i++) {
+    const char = code[i];
     if (escaped) {
       escaped = false;
       continue;
@@ -259,13 +399,16 @@ function calculateMaxDepth(code) {
 
     if (char === '{' || char === '[') {
       currentDepth++;
-      maxDepth = Math.max(maxDepth, currentDepth);
+      if (currentDepth > maxDepth) {
+        maxDepth = currentDepth;
+        maxDepthOffset = i;
+      }
     } else if (char === '}' || char === ']') {
       currentDepth--;
     }
   }
 
-  return maxDepth;
+  return { maxDepth, maxDepthOffset };
 }
 
 export default analyzeJsonWarnings;
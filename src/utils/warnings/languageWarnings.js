@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Language Target Warnings
+ * @description Reports syntax the target JavaScript engine mode does not
+ * support (see languageTargets.js): in ES5 mode arrow functions, `let` and
+ * `const`, template literals, destructuring, classes, and the rest of
+ * ES2015 and later; in ES2021 mode class fields, private members, and other
+ * ES2022+ syntax. Such a script fails to compile on the instance.
+ */
+
+import { SEVERITY, createDiagnostic, locationFromOffsets } from '../diagnostics.js';
+import { parseCode } from '../astParser.js';
+import { walk, isFunctionNode } from '../astWalker.js';
+import { LANGUAGE_TARGETS, editionName } from '../languageTargets.js';
+
+// =============================================================================
+// RULE METADATA
+// =============================================================================
+
+/**
+ * Language target rules keyed by stable rule id
+ */
+export const LANGUAGE_RULES = {
+  'js/unsupported-syntax': {
+    severity: SEVERITY.ERROR,
+    description: 'Syntax the target JavaScript mode does not support (e.g. arrow functions or let/const in ES5 mode)'
+  }
+};
+
+// =============================================================================
+// SYNTAX FEATURES
+// =============================================================================
+
+/** Regular expression flags by the edition that introduced them */
+const REGEX_FLAG_EDITIONS = { u: 2015, y: 2015, s: 2018, d: 2022, v: 2024 };
+
+const PATTERN_TYPES = new Set(['ObjectPattern', 'ArrayPattern']);
+
+/**
+ * Returns the syntax feature a node uses that ES5 does not have. Patterns
+ * nested in a destructuring pattern are part of the outer feature.
+ *
+ * @param {Object} node - AST node
+ * @param {Object[]} ancestors - Ancestor chain of the node
+ * @returns {{ label: string, edition: number }|null}
+ */
+function getSyntaxFeature(node, ancestors) {
+  const parent = ancestors[ancestors.length - 1];
+  const inPattern = ancestors.some(ancestor => PATTERN_TYPES.has(ancestor.type));
+  const feature = (label, edition) => ({ label, edition });
+
+  switch (node.type) {
+    case 'ArrowFunctionExpression':
+      return node.async ? feature('Async arrow function', 2017) : feature('Arrow function', 2015);
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+      if (node.async && node.generator) return feature('Async generator', 2018);
+      if (node.async) return feature('Async function', 2017);
+      return node.generator ? feature('Generator function', 2015) : null;
+    case 'VariableDeclaration':
+      return node.kind === 'var' ? null : feature(`\`${node.kind}\` declaration`, 2015);
+    case 'TemplateLiteral':
+      return parent && parent.type === 'TaggedTemplateExpression' ? null : feature('Template literal', 2015);
+    case 'TaggedTemplateExpression':
+      return feature('Tagged template', 2015);
+    case 'ObjectPattern':
+    case 'ArrayPattern':
+      return inPattern ? null : feature('Destructuring', 2015);
+    case 'AssignmentPattern':
+      return inPattern ? null : feature('Default parameter', 2015);
+    case 'RestElement':
+      return inPattern ? null : feature('Rest parameter', 2015);
+    case 'SpreadElement':
+      return parent && parent.type === 'ObjectExpression' ? feature('Object spread', 2018) : feature('Spread syntax', 2015);
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+      return feature('Class', 2015);
+    case 'ForOfStatement':
+      return node.await ? feature('for await...of loop', 2018) : feature('for...of loop', 2015);
+    case 'Property':
+      if (!parent || parent.type !== 'ObjectExpression') return null;
+      if (node.computed) return feature('Computed property name', 2015);
+      if (node.method) return feature('Method shorthand', 2015);
+      return node.shorthand ? feature('Shorthand property', 2015) : null;
+    case 'BinaryExpression':
+      if (node.operator === '**') return feature('Exponent operator', 2016);
+      return node.left.type === 'PrivateIdentifier' ? feature('Private field check', 2022) : null;
+    case 'AssignmentExpression':
+      if (node.operator === '**=') return feature('Exponent operator', 2016);
+      return ['||=', '&&=', '??='].includes(node.operator) ? feature('Logical assignment', 2021) : null;
+    case 'LogicalExpression':
+      return node.operator === '??' ? feature('Nullish coalescing', 2020) : null;
+    case 'ChainExpression':
+      return feature('Optional chaining', 2020);
+    case 'Literal': {
+      if (typeof node.bigint === 'string') return feature('BigInt literal', 2020);
+      if (node.regex) {
+        const flag = [...node.regex.flags].filter(f => REGEX_FLAG_EDITIONS[f])
+          .sort((a, b) => REGEX_FLAG_EDITIONS[b] - REGEX_FLAG_EDITIONS[a])[0];
+        return flag ? feature(`Regular expression flag "${flag}"`, REGEX_FLAG_EDITIONS[flag]) : null;
+      }
+      return typeof node.value === 'number' && node.raw.includes('_') ? feature('Numeric separator', 2021) : null;
+    }
+    case 'MetaProperty':
+      return feature(`${node.meta.name}.${node.property.name}`, 2015);
+    case 'ImportExpression':
+      return feature('Dynamic import', 2020);
+    case 'CatchClause':
+      return node.param ? null : feature('Optional catch binding', 2019);
+    case 'PropertyDefinition':
+      return feature('Class field', 2022);
+    case 'StaticBlock':
+      return feature('Class static block', 2022);
+    case 'MethodDefinition':
+      return node.key.type === 'PrivateIdentifier' ? feature('Private method', 2022) : null;
+    case 'MemberExpression':
+      return node.property.type === 'PrivateIdentifier' ? feature('Private class member', 2022) : null;
+    case 'AwaitExpression':
+      return ancestors.some(isFunctionNode) ? null : feature('Top-level await', 2022);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Locates a feature on the first line of its node, or on the keyword of a
+ * declaration.
+ *
+ * @param {string} code - Source text
+ * @param {Object} node - AST node
+ * @returns {Object} Location
+ */
+function locateFeature(code, node) {
+  if (node.type === 'VariableDeclaration') {
+    return locationFromOffsets(code, node.start, node.start + node.kind.length);
+  }
+  const lineEnd = code.indexOf('\n', node.start);
+  return locationFromOffsets(code, node.start, lineEnd === -1 ? node.end : Math.min(node.end, lineEnd));
+}
+
+// =============================================================================
+// MAIN ANALYSIS FUNCTION
+// =============================================================================
+
+/**
+ * Analyzes a script for syntax its target JavaScript mode does not support.
+ * Without a known target, or for code that does not parse, nothing is
+ * reported.
+ *
+ * @param {string} code - The code to analyze
+ * @param {Object} [options]
+ * @param {string} [options.language] - Language target id (see LANGUAGE_TARGETS)
+ * @returns {Diagnostic[]}
+ */
+export function analyzeLanguageWarnings(code, options = {}) {
+  const target = LANGUAGE_TARGETS[options.language];
+  if (!target) return [];
+  const { ast } = parseCode(code, { ecmaVersion: 'latest' });
+  if (!ast) return [];
+
+  const diagnostics = [];
+  walk(ast, (node, ancestors) => {
+    const feature = getSyntaxFeature(node, ancestors);
+    if (!feature || feature.edition <= target.edition) return;
+    diagnostics.push(createDiagnostic(
+      'js/unsupported-syntax',
+      LANGUAGE_RULES['js/unsupported-syntax'].severity,
+      `${feature.label} (${editionName(feature.edition)}) is not supported in ${target.short} mode`,
+      locateFeature(code, node)
+    ));
+  });
+  return diagnostics;
+}
+
+export default analyzeLanguageWarnings;
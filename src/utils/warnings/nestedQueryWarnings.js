@@ -0,0 +1,366 @@
+/**
+ * @fileoverview Nested Query Warnings
+ * @description Finds GlideRecord queries that run once per record of an
+ * outer result set: a query(), get(), or getRefRecord() inside a
+ * `while (outer.next())` loop, directly or through helper functions of the
+ * same script (function declarations, function variables, and `this.method()`
+ * calls within a Script Include's prototype). Each finding estimates the
+ * number of queries (1 + N, or a bound from the outer setLimit()) and
+ * suggests a refactor based on how the inner record is used: an
+ * addJoinQuery() on the outer query for existence checks, a GlideAggregate
+ * for counts, or one query before the loop into a lookup map otherwise.
+ * The outer query is attached as a related location so both are highlighted.
+ */
+
+import { SEVERITY, createDiagnostic, withRelatedLocations, locationFromNode } from '../diagnostics.js';
+import { parseCode } from '../astParser.js';
+import {
+  walk,
+  isFunctionNode,
+  getMemberCall,
+  getPropertyName,
+  getStringValue,
+  analyzeScopes
+} from '../astWalker.js';
+
+// =============================================================================
+// RULE METADATA
+// =============================================================================
+
+/**
+ * Nested query rules keyed by stable rule id
+ */
+export const NESTED_QUERY_RULES = {
+  'sn/nested-query': {
+    severity: SEVERITY.WARNING,
+    description: 'GlideRecord query run once per record of an outer query (N+1), directly or through a helper function'
+  }
+};
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Classes that query a table */
+const RECORD_CLASSES = new Set(['GlideRecord', 'GlideRecordSecure', 'GlideAggregate']);
+
+/** Methods that only build, run, or test a query; a record using nothing else is an existence check */
+const EXISTENCE_METHODS = new Set([
+  'addQuery', 'addEncodedQuery', 'addNullQuery', 'addNotNullQuery', 'addActiveQuery', 'addInactiveQuery',
+  'setLimit', 'query', 'next', 'hasNext'
+]);
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @param {Object} binding - Record binding
+ * @returns {string|null} Table of the `new GlideRecord('table')` the binding holds
+ */
+function getTable(binding) {
+  return binding.init ? getStringValue(binding.init.arguments[0]) : null;
+}
+
+/**
+ * Returns the root identifier of a member chain, e.g. `gr` for gr.caller_id.name.
+ *
+ * @param {Object} node - Expression
+ * @returns {Object|null} Identifier node
+ */
+function getRootIdentifier(node) {
+  let current = node;
+  while (current && current.type === 'MemberExpression') current = current.object;
+  return current && current.type === 'Identifier' ? current : null;
+}
+
+/**
+ * Returns the field of an outer record a value is read from: `outer.field`,
+ * `outer.getValue('field')`, `outer.getUniqueValue()` (sys_id), also wrapped
+ * in toString(), String(), or `+ ''`.
+ *
+ * @param {Object} value - Expression
+ * @param {Function} isOuter - Tells whether an identifier refers to the outer record
+ * @returns {string|null} Field name
+ */
+function getOuterField(value, isOuter) {
+  if (!value) return null;
+  if (value.type === 'BinaryExpression' && value.operator === '+') {
+    return getStringValue(value.right) === '' ? getOuterField(value.left, isOuter) : null;
+  }
+  if (value.type === 'CallExpression' && value.callee.type === 'Identifier' && value.callee.name === 'String') {
+    return getOuterField(value.arguments[0], isOuter);
+  }
+  const call = getMemberCall(value);
+  if (call) {
+    if (call.method === 'toString') return getOuterField(call.object, isOuter);
+    if (!call.objectName || !isOuter(call.object)) return null;
+    if (call.method === 'getUniqueValue') return 'sys_id';
+    return call.method === 'getValue' ? getStringValue(value.arguments[0]) : null;
+  }
+  if (value.type === 'MemberExpression' && value.object.type === 'Identifier' && isOuter(value.object)) {
+    return getPropertyName(value);
+  }
+  return null;
+}
+
+/**
+ * @param {number} count - Queries per outer record
+ * @param {string} outerTable - Outer table
+ * @param {number|null} limit - Outer setLimit() value
+ * @returns {string} e.g. '1 + N queries for N incident records', 'up to 101 queries with setLimit(100)'
+ */
+function estimateQueries(count, outerTable, limit) {
+  if (limit) return `up to ${1 + count * limit} queries with setLimit(${limit})`;
+  return `1 + ${count === 1 ? '' : count}N queries for N ${outerTable} records`;
+}
+
+// =============================================================================
+// MAIN ANALYSIS FUNCTION
+// =============================================================================
+
+/**
+ * Analyzes a script for queries nested in the iteration of another query's
+ * result set. Code that does not parse yields no diagnostics.
+ *
+ * @param {string} code - The code to analyze
+ * @returns {Diagnostic[]}
+ */
+export function analyzeNestedQueries(code) {
+  const { ast } = parseCode(code, { ecmaVersion: 'latest' });
+  if (!ast) return [];
+
+  const { resolve } = analyzeScopes(ast);
+  const recordOf = (identifier, ancestors) => {
+    const binding = identifier && identifier.type === 'Identifier' ? resolve(identifier.name, ancestors) : null;
+    return binding && RECORD_CLASSES.has(binding.className) ? binding : null;
+  };
+
+  // Facts gathered in one walk
+  const functionAncestors = new Map();  // function -> ancestors
+  const functionsByBinding = new Map(); // binding -> function
+  const methodsByObject = new Map();    // ObjectExpression -> Map(name -> function)
+  const recordCalls = new Map();        // binding -> [{ method, node, ancestors }]
+  const fieldReads = new Set();         // bindings whose fields are read
+  const resultLoops = new Map();        // while (rec.next()) loop -> { binding, ancestors }
+
+  walk(ast, (node, ancestors) => {
+    const parent = ancestors[ancestors.length - 1];
+    if (isFunctionNode(node)) {
+      functionAncestors.set(node, [...ancestors]);
+      if (node.type === 'FunctionDeclaration' && node.id) {
+        functionsByBinding.set(resolve(node.id.name, ancestors), node);
+      } else if (parent && parent.type === 'VariableDeclarator' && parent.init === node && parent.id.type === 'Identifier') {
+        functionsByBinding.set(resolve(parent.id.name, ancestors), node);
+      } else if (parent && parent.type === 'AssignmentExpression' && parent.right === node && parent.left.type === 'Identifier') {
+        functionsByBinding.set(resolve(parent.left.name, ancestors), node);
+      } else if (parent && parent.type === 'Property' && parent.value === node && !parent.computed) {
+        const object = ancestors[ancestors.length - 2];
+        if (!methodsByObject.has(object)) methodsByObject.set(object, new Map());
+        methodsByObject.get(object).set(parent.key.type === 'Identifier' ? parent.key.name : getStringValue(parent.key), node);
+      }
+    }
+
+    if (node.type === 'WhileStatement' || node.type === 'DoWhileStatement') {
+      const call = getMemberCall(node.test);
+      const binding = call && call.method === 'next' ? recordOf(call.object, ancestors) : null;
+      if (binding) resultLoops.set(node, { binding, ancestors: [...ancestors] });
+    }
+
+    if (node.type === 'MemberExpression' && node.object.type === 'Identifier') {
+      const binding = recordOf(node.object, ancestors);
+      if (!binding) return;
+      if (parent && parent.type === 'CallExpression' && parent.callee === node) {
+        if (!recordCalls.has(binding)) recordCalls.set(binding, []);
+        recordCalls.get(binding).push({ method: getPropertyName(node), node: parent, ancestors: [...ancestors] });
+      } else {
+        fieldReads.add(binding);
+      }
+    }
+  });
+
+  /**
+   * Describes a call that runs a query: query() or get() on a record, or
+   * getRefRecord() on a field of one.
+   */
+  const getQuerySite = (call, ancestors) => {
+    const member = getMemberCall(call);
+    if (!member) return null;
+    if (member.method === 'query' || member.method === 'get') {
+      const binding = recordOf(member.object, ancestors);
+      return binding ? { node: call, method: member.method, binding, ancestors } : null;
+    }
+    if (member.method === 'getRefRecord' && member.object.type === 'MemberExpression') {
+      const binding = recordOf(getRootIdentifier(member.object), ancestors);
+      return binding ? { node: call, method: member.method, binding, ancestors, field: getPropertyName(member.object) } : null;
+    }
+    return null;
+  };
+
+  /**
+   * Resolves a call to a helper function of the script.
+   */
+  const getHelper = (call, ancestors) => {
+    if (call.callee.type === 'Identifier') {
+      return functionsByBinding.get(resolve(call.callee.name, ancestors)) || null;
+    }
+    // this.method() inside an object literal of methods (Script Include prototype)
+    if (call.callee.type === 'MemberExpression' && call.callee.object.type === 'ThisExpression') {
+      for (let i = ancestors.length - 1; i >= 2; i--) {
+        if (!isFunctionNode(ancestors[i]) || ancestors[i].type === 'ArrowFunctionExpression') continue;
+        const methods = ancestors[i - 1].type === 'Property' && methodsByObject.get(ancestors[i - 2]);
+        return (methods && methods.get(getPropertyName(call.callee))) || null;
+      }
+    }
+    return null;
+  };
+
+  const summaries = new Map(); // function -> sites
+
+  /**
+   * Collects the queries a piece of code runs each time it runs, each with
+   * the helper calls it is reached through. Function declarations run only
+   * when called, and the inside of nested result loops is left to those
+   * loops.
+   */
+  const collectSites = (root, prefix, stack) => {
+    const sites = [];
+    walk(root, (node, relative) => {
+      if (node.type !== 'CallExpression') return;
+      if (relative.some(a => a.type === 'FunctionDeclaration' || resultLoops.has(a))) return;
+      const ancestors = [...prefix, ...relative];
+      const site = getQuerySite(node, ancestors);
+      if (site) {
+        sites.push({ site, via: null });
+        return;
+      }
+      const helper = getHelper(node, ancestors);
+      if (!helper || stack.has(helper)) return;
+      if (!summaries.has(helper)) {
+        summaries.set(helper, collectSites(helper.body, [...functionAncestors.get(helper), helper], new Set([...stack, helper])));
+      }
+      summaries.get(helper).forEach(({ site: inner }) => sites.push({ site: inner, via: node }));
+    });
+    return sites;
+  };
+
+  /**
+   * Finds the field that links an inner query to the outer record, e.g.
+   * addQuery('problem_id', outer.sys_id) or get(outer.caller_id).
+   */
+  const getLink = (site, outer) => {
+    const isOuter = identifier => resolve(identifier.name, site.ancestors) === outer;
+    if (site.method === 'getRefRecord') return { innerField: 'sys_id', outerField: site.field };
+    const args = site.node.arguments;
+    if (site.method === 'get') {
+      const outerField = getOuterField(args[args.length - 1], isOuter);
+      if (!outerField) return null;
+      return { innerField: args.length > 1 ? getStringValue(args[0]) || 'sys_id' : 'sys_id', outerField };
+    }
+    for (const call of recordCalls.get(site.binding) || []) {
+      if (call.method !== 'addQuery' || call.node.start > site.node.start) continue;
+      const [field, ...rest] = call.node.arguments;
+      const value = rest.length === 2 && getStringValue(rest[0]) === '=' ? rest[1] : rest.length === 1 ? rest[0] : null;
+      const outerField = getOuterField(value, identifier => resolve(identifier.name, call.ancestors) === outer);
+      if (getStringValue(field) && outerField) return { innerField: getStringValue(field), outerField };
+    }
+    return null;
+  };
+
+  /**
+   * Suggests a refactor from how the inner record is used.
+   */
+  const getAdvice = (site, outer, outerTable, direct) => {
+    const innerTable = site.method === 'getRefRecord' ? 'the referenced table' : getTable(site.binding) || 'the inner table';
+    const link = direct ? getLink(site, outer) : null;
+    const calls = recordCalls.get(site.binding) || [];
+    const methods = new Set(calls.map(call => call.method));
+
+    if (site.method === 'query' && (methods.has('getRowCount') ||
+        (site.binding.className === 'GlideAggregate' && methods.has('addAggregate')))) {
+      return link
+        ? `count with one GlideAggregate on ${innerTable} grouped by ${link.innerField} before the loop`
+        : `count with one GlideAggregate on ${innerTable} before the loop`;
+    }
+
+    const existenceOnly = site.method === 'query' && !fieldReads.has(site.binding) &&
+      [...methods].every(method => EXISTENCE_METHODS.has(method)) &&
+      !calls.some(call => (call.method === 'next' || call.method === 'hasNext') &&
+        call.ancestors[call.ancestors.length - 1].type === 'UnaryExpression');
+    if (existenceOnly && link) {
+      return `filter the outer query with ${outer.name}.addJoinQuery('${innerTable}', '${link.outerField}', '${link.innerField}') instead`;
+    }
+
+    return link
+      ? `query ${innerTable} once before the loop (${link.innerField} IN the ${link.outerField} values) and look the records up in a map keyed by ${link.innerField}`
+      : `query ${innerTable} once before the loop and look the records up in a map`;
+  };
+
+  const diagnostics = [];
+  for (const [loop, { binding: outer, ancestors }] of resultLoops) {
+    const outerTable = getTable(outer) || outer.name;
+    const outerCalls = (recordCalls.get(outer) || []).filter(call => call.node.end <= loop.start);
+    const outerQuery = outerCalls.filter(call => call.method === 'query').pop();
+    const limitCall = outerCalls.filter(call => call.method === 'setLimit').pop();
+    const limit = limitCall && typeof limitCall.node.arguments[0]?.value === 'number' ? limitCall.node.arguments[0].value : null;
+
+    // One finding per call in the loop: a query, or a helper that runs some
+    const findings = new Map();
+    for (const { site, via } of collectSites(loop.body, [...ancestors, loop], new Set())) {
+      if (site.binding === outer && site.method !== 'getRefRecord') continue;
+      const node = via || site.node;
+      if (!findings.has(node)) findings.set(node, { via, sites: [] });
+      const { sites } = findings.get(node);
+      if (!sites.includes(site)) sites.push(site);
+    }
+
+    for (const [node, { via, sites }] of findings) {
+      const [site] = sites;
+      const estimate = estimateQueries(sites.length, outerTable, limit);
+      const advice = getAdvice(site, outer, outerTable, !via);
+      const source = code.slice(node.callee.start, node.callee.end);
+      const tables = [...new Set(sites.map(s => (s.method === 'getRefRecord' ? s.field : getTable(s.binding)) || s.binding.name))];
+      const what = via
+        ? `${source}() queries ${tables.join(' and ')}`
+        : `${source}()${site.method === 'getRefRecord' ? '' : ` on ${tables[0]}`} runs`;
+
+      const related = [{
+        location: locationFromNode(outerQuery ? outerQuery.node : loop.test),
+        message: `Outer query: the loop runs once per ${outerTable} record of ${outer.name}`
+      }];
+      if (via) {
+        sites.forEach(inner => related.push({
+          location: locationFromNode(inner.node),
+          message: `Query run by ${source}() for each ${outerTable} record`
+        }));
+      }
+
+      diagnostics.push(withRelatedLocations(createDiagnostic(
+        'sn/nested-query',
+        NESTED_QUERY_RULES['sn/nested-query'].severity,
+        `${what} once per ${outerTable} record of ${outer.name} (${estimate}) - ${advice}`,
+        locationFromNode(node)
+      ), related));
+    }
+  }
+
+  return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Returns the record a `while (rec.next())` loop iterates, if the loop is one.
+ *
+ * @param {Object} loop - Loop node
+ * @param {Function} resolve - Resolver from analyzeScopes()
+ * @param {Object[]} ancestors - Ancestor chain of a node inside the loop
+ * @returns {Object|null} Record binding
+ */
+export function getResultLoopRecord(loop, resolve, ancestors) {
+  if (loop.type !== 'WhileStatement' && loop.type !== 'DoWhileStatement') return null;
+  const call = getMemberCall(loop.test);
+  if (!call || call.method !== 'next' || !call.objectName) return null;
+  const binding = resolve(call.objectName, ancestors);
+  return binding && RECORD_CLASSES.has(binding.className) ? binding : null;
+}
+
+export default analyzeNestedQueries;
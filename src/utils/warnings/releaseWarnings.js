@@ -0,0 +1,169 @@
+/**
+ * @fileoverview ServiceNow Release Warnings
+ * @description Checks the APIs a script uses against the release history in
+ * servicenowReleases.js for the target release: APIs deprecated on that
+ * release, and APIs it does not have yet or no longer has. Classes and
+ * globals are matched by name (also behind an `sn_*` or `global` namespace)
+ * unless a local variable shadows them; methods are matched on receivers
+ * typed by typeInference.js and on the classes their static calls name.
+ */
+
+import { SEVERITY, createDiagnostic, locationFromNode } from '../diagnostics.js';
+import { parseCode } from '../astParser.js';
+import { walk, getMemberCall, getPropertyName, analyzeScopes } from '../astWalker.js';
+import { inferTypes } from '../typeInference.js';
+import {
+  RELEASES,
+  LATEST_RELEASE,
+  getRelease,
+  getApiHistory,
+  getApiStatus
+} from '../fixes/servicenowReleases.js';
+
+// =============================================================================
+// RULE METADATA
+// =============================================================================
+
+/**
+ * Release rules keyed by stable rule id
+ */
+export const RELEASE_RULES = {
+  'sn/deprecated-api': {
+    severity: SEVERITY.WARNING,
+    description: 'ServiceNow API deprecated on the target release'
+  },
+  'sn/unavailable-api': {
+    severity: SEVERITY.ERROR,
+    description: 'ServiceNow API not available on the target release'
+  }
+};
+
+/**
+ * Creates a diagnostic for a release rule using its default severity.
+ *
+ * @param {string} ruleId - Rule id from RELEASE_RULES
+ * @param {string} message - Diagnostic message
+ * @param {Object|null} location - Source location
+ * @param {string|null} suggestion - Suggested replacement
+ * @returns {Object} Diagnostic
+ */
+function report(ruleId, message, location = null, suggestion = null) {
+  return createDiagnostic(ruleId, RELEASE_RULES[ruleId].severity, message, location, suggestion);
+}
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Returns the API a class or global reference names: `Name`, or the
+ * property of `sn_ws.Name` / `global.Name`. References through a local
+ * variable of the same name are not APIs.
+ *
+ * @param {Object} node - Callee of a `new` or call, or object of a member access
+ * @param {Object[]} ancestors - Ancestor chain of the node
+ * @param {Function} resolve - Scope resolver from analyzeScopes()
+ * @returns {string|null}
+ */
+function getApiName(node, ancestors, resolve) {
+  if (node.type === 'Identifier') return resolve(node.name, ancestors) ? null : node.name;
+  if (node.type === 'MemberExpression' && !node.computed && node.object.type === 'Identifier') {
+    const namespace = node.object.name;
+    const isNamespace = namespace === 'global' || namespace.startsWith('sn_');
+    return isNamespace && !resolve(namespace, ancestors) ? getPropertyName(node) : null;
+  }
+  return null;
+}
+
+/**
+ * Describes an API whose status on the target release is not 'available'.
+ *
+ * @param {string} label - How the API is shown (e.g. 'GlideHTTPRequest')
+ * @param {Object} history - Entry of API_RELEASES
+ * @param {string} release - Target release id
+ * @param {Object} node - Node to locate the diagnostic on
+ * @returns {Object|null} Diagnostic, or null if the API is fine on the release
+ */
+function checkApi(label, history, release, node) {
+  const { status, reason } = getApiStatus(history, release);
+  const replacement = history && history.replacement ? history.replacement : null;
+  const instead = replacement ? `; use ${replacement} instead` : '';
+  const target = getRelease(release).name;
+
+  if (status === 'deprecated') {
+    const since = history.deprecated === RELEASES[0].id ? '' : ` since ${getRelease(history.deprecated).name}`;
+    return report('sn/deprecated-api', `${label} is deprecated${since}${instead}`, locationFromNode(node), replacement);
+  }
+  if (status === 'unavailable' && reason === 'since') {
+    return report(
+      'sn/unavailable-api',
+      `${label} is not available on ${target}: it was added in ${getRelease(history.since).name}`,
+      locationFromNode(node)
+    );
+  }
+  if (status === 'unavailable') {
+    return report(
+      'sn/unavailable-api',
+      `${label} was removed in ${getRelease(history.removed).name}${instead}`,
+      locationFromNode(node),
+      replacement
+    );
+  }
+  return null;
+}
+
+// =============================================================================
+// MAIN ANALYSIS FUNCTION
+// =============================================================================
+
+/**
+ * Analyzes the ServiceNow APIs a script uses for the target release. Code
+ * that does not parse yields no diagnostics.
+ *
+ * @param {string} code - The code to analyze
+ * @param {Object} [options]
+ * @param {string} [options.release] - Target release id (default the latest release)
+ * @returns {Diagnostic[]}
+ */
+export function analyzeReleaseWarnings(code, options = {}) {
+  const diagnostics = [];
+  const { ast } = parseCode(code, { ecmaVersion: 'latest' });
+  if (!ast) return diagnostics;
+
+  const release = getRelease(options.release) ? options.release : LATEST_RELEASE;
+  const { resolve } = analyzeScopes(ast);
+  const { typeOf } = inferTypes(ast);
+
+  const checkReference = (node, ancestors) => {
+    const name = getApiName(node, ancestors, resolve);
+    const history = name && getApiHistory(name);
+    const diagnostic = history && checkApi(name, history, release, node);
+    if (diagnostic) diagnostics.push(diagnostic);
+  };
+
+  walk(ast, (node, ancestors) => {
+    // Classes and globals: new Name(), Name(), Name.member
+    if (node.type === 'NewExpression' || node.type === 'CallExpression') {
+      checkReference(node.callee, ancestors);
+    } else if (node.type === 'MemberExpression') {
+      checkReference(node.object, ancestors);
+    }
+
+    // Methods of typed receivers, and static methods such as sn_fd.FlowAPI.getRunner()
+    const call = getMemberCall(node);
+    if (!call || node.callee.computed) return;
+    const staticOwner = getApiName(call.object, ancestors, resolve);
+    const types = new Set([...typeOf(call.object, ancestors), ...(staticOwner ? [staticOwner] : [])]);
+    for (const type of types) {
+      const history = getApiHistory(type, call.method);
+      if (!history) continue;
+      const diagnostic = checkApi(`${type}.${call.method}()`, history, release, node.callee.property);
+      if (diagnostic) diagnostics.push(diagnostic);
+      break;
+    }
+  });
+
+  return diagnostics;
+}
+
+export default analyzeReleaseWarnings;
@@ -3,35 +3,342 @@
  * @description Analyzes code for ServiceNow anti-patterns, performance issues,
  * and best practice violations. Covers GlideRecord usage, Business Rules,
  * client scripts, and security concerns.
+ *
+ * Rules run as visitors over the Acorn AST, so comments and strings never
+ * trigger them, GlideRecord variables are resolved through real scopes, and
+ * loop rules know exactly which loop (or iteration callback) a call runs in.
+ */
+
+import {
+  SEVERITY,
+  createDiagnostic,
+  createQuickFix,
+  createEdit,
+  locationFromNode,
+  locationFromOffsets
+} from '../diagnostics.js';
+import { parseCode } from '../astParser.js';
+import {
+  walk,
+  getMemberCall,
+  getStringValue,
+  getEnclosingFunction,
+  getEnclosingLoop,
+  findEnclosingStatement,
+  analyzeScopes
+} from '../astWalker.js';
+import {
+  ENVIRONMENT,
+  BUSINESS_RULE_TYPES,
+  BUSINESS_RULE_WHEN,
+  CONTEXT_GLOBALS,
+  resolveScriptType,
+  appliesToEnvironment
+} from '../scriptTypes.js';
+import {
+  BOUNDARY_ALTERNATIVES,
+  GLOBAL_ONLY_APIS,
+  GLOBAL_ONLY_GS_METHODS,
+  getApiEnvironment
+} from '../fixes/servicenowDictionary.js';
+import { getResultLoopRecord } from './nestedQueryWarnings.js';
+
+// =============================================================================
+// RULE METADATA
+// =============================================================================
+
+/**
+ * ServiceNow warning rules keyed by stable rule id.
+ * `environment` limits a rule to server or client scripts and `scriptTypes`
+ * to specific script types; rules without either apply everywhere.
  */
+export const SERVICENOW_RULES = {
+  // Database & performance
+  'sn/update-in-loop': {
+    severity: SEVERITY.WARNING,
+    description: 'GlideRecord update() called inside a loop'
+  },
+  'sn/query-in-loop': {
+    severity: SEVERITY.WARNING,
+    description: 'GlideRecord query() inside a loop runs one query per iteration (N+1)'
+  },
+  'sn/row-count-without-limit': {
+    severity: SEVERITY.WARNING,
+    description: 'getRowCount() used without setLimit() on a potentially large table'
+  },
+  'sn/delete-in-loop': {
+    severity: SEVERITY.WARNING,
+    description: 'deleteRecord() inside a loop instead of deleteMultiple()'
+  },
+  'sn/get-reference-in-loop': {
+    severity: SEVERITY.WARNING,
+    description: 'getReference() inside a loop causes N+1 queries'
+  },
+  'sn/existence-check-without-limit': {
+    severity: SEVERITY.INFO,
+    description: 'if (gr.next()) existence check without setLimit(1)'
+  },
+  'sn/unfiltered-query': {
+    severity: SEVERITY.WARNING,
+    description: 'query() without any conditions scans the entire table'
+  },
+  'sn/unfiltered-multiple-operation': {
+    severity: SEVERITY.WARNING,
+    description: 'updateMultiple()/deleteMultiple() without conditions affects all records'
+  },
+  'sn/next-with-update-multiple': {
+    severity: SEVERITY.WARNING,
+    description: 'next() iteration combined with updateMultiple()'
+  },
+  'sn/get-then-query': {
+    severity: SEVERITY.INFO,
+    description: 'get() followed by a redundant query()'
+  },
+  // Business rules
+  'sn/abort-without-return': {
+    severity: SEVERITY.WARNING,
+    description: 'setAbortAction(true) without a following return',
+    scriptTypes: BUSINESS_RULE_TYPES
+  },
+  'sn/workflow-not-reenabled': {
+    severity: SEVERITY.INFO,
+    description: 'setWorkflow(false) never switched back on with setWorkflow(true)'
+  },
+  'sn/direct-field-assignment': {
+    severity: SEVERITY.INFO,
+    description: 'Direct current.field = value assignment instead of setValue()',
+    environment: ENVIRONMENT.SERVER
+  },
+  'sn/current-update-in-br': {
+    severity: SEVERITY.WARNING,
+    description: 'current.update() in a Business Rule whose phase is unknown risks recursion',
+    environment: ENVIRONMENT.SERVER
+  },
+  'sn/current-insert-in-br': {
+    severity: SEVERITY.INFO,
+    description: 'current.insert() in a Business Rule whose phase is unknown',
+    environment: ENVIRONMENT.SERVER
+  },
+  // Security
+  'sn/hardcoded-sys-id': {
+    severity: SEVERITY.WARNING,
+    description: 'Hardcoded 32-character sys_id literal'
+  },
+  'sn/eval': {
+    severity: SEVERITY.WARNING,
+    description: 'eval() or GlideEvaluator executes dynamic code'
+  },
+  'sn/new-function': {
+    severity: SEVERITY.WARNING,
+    description: 'new Function() executes dynamic code'
+  },
+  'sn/secure-privileged-operation': {
+    severity: SEVERITY.WARNING,
+    description: 'GlideRecordSecure combined with privileged operations'
+  },
+  // Best practices
+  'sn/aggregate-without-function': {
+    severity: SEVERITY.INFO,
+    description: 'GlideAggregate created without any aggregate function'
+  },
+  'sn/get-xml-wait': {
+    severity: SEVERITY.WARNING,
+    description: 'Synchronous getXMLWait() blocks the UI thread',
+    environment: ENVIRONMENT.CLIENT
+  },
+  'sn/gs-sleep': {
+    severity: SEVERITY.WARNING,
+    description: 'gs.sleep() blocks the thread',
+    environment: ENVIRONMENT.SERVER
+  },
+  'sn/property-without-default': {
+    severity: SEVERITY.INFO,
+    description: 'gs.getProperty() without a default value',
+    environment: ENVIRONMENT.SERVER
+  },
+  'sn/gs-include': {
+    severity: SEVERITY.INFO,
+    description: 'Legacy gs.include()',
+    environment: ENVIRONMENT.SERVER
+  },
+  'sn/get-reference-without-callback': {
+    severity: SEVERITY.WARNING,
+    description: 'Synchronous g_form.getReference() without a callback',
+    environment: ENVIRONMENT.CLIENT
+  },
+  'sn/ajax-without-sysparm-name': {
+    severity: SEVERITY.WARNING,
+    description: 'GlideAjax without a sysparm_name parameter',
+    environment: ENVIRONMENT.CLIENT
+  },
+  'sn/encoded-query-sys-id': {
+    severity: SEVERITY.INFO,
+    description: 'addEncodedQuery() used for a single sys_id condition'
+  },
+  'sn/client-server-boundary': {
+    severity: SEVERITY.WARNING,
+    description: 'Server-only API used in a client script, or client-only API used in a server script'
+  },
+  'sn/scoped-unavailable-api': {
+    severity: SEVERITY.WARNING,
+    description: 'Global-only API (gs.log, Packages.*, JSUtil, ...) that fails in a scoped application'
+  },
+  'sn/scoped-cross-scope-workflow': {
+    severity: SEVERITY.WARNING,
+    description: 'setWorkflow()/autoSysFields() on a table outside the application scope is ignored in scoped apps'
+  },
+  'sn/unavailable-global': {
+    severity: SEVERITY.WARNING,
+    description: 'Platform global (current, g_form, gs, ...) that does not exist in the selected script type'
+  },
+  'sn/dom-manipulation': {
+    severity: SEVERITY.WARNING,
+    description: 'Direct DOM manipulation alongside g_form',
+    environment: ENVIRONMENT.CLIENT
+  }
+};
+
+/**
+ * Creates a diagnostic for a ServiceNow rule using its default severity.
+ *
+ * @param {string} ruleId - Rule id from SERVICENOW_RULES
+ * @param {string} message - Diagnostic message
+ * @param {Object|null} location - Source location
+ * @param {string|null} suggestion - Suggested replacement
+ * @param {Object|null} quickFix - Mechanical fix for this occurrence
+ * @returns {Object} Diagnostic
+ */
+function report(ruleId, message, location = null, suggestion = null, quickFix = null) {
+  return createDiagnostic(ruleId, SERVICENOW_RULES[ruleId].severity, message, location, suggestion, quickFix);
+}
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Classes whose instances are tracked per variable */
+const TRACKED_CLASSES = new Set(['GlideRecord', 'GlideRecordSecure', 'GlideAggregate', 'GlideAjax']);
+
+/** Classes that query a table */
+const RECORD_CLASSES = new Set(['GlideRecord', 'GlideRecordSecure', 'GlideAggregate']);
+
+/** Methods that restrict which records a query touches */
+const CONDITION_METHODS = new Set([
+  'addQuery', 'addEncodedQuery', 'addNullQuery', 'addNotNullQuery',
+  'addActiveQuery', 'addInactiveQuery', 'addJoinQuery'
+]);
+
+/** Methods that make a GlideAggregate actually aggregate */
+const AGGREGATE_METHODS = new Set(['groupBy', 'addAggregate', 'getAggregate', 'orderByAggregate', 'count']);
+
+/** Business Rule entry point function names */
+const BR_FUNCTION_NAMES = new Set(['executeRule', 'onBefore', 'onAfter', 'onAsync']);
+
+/** Limit inserted by the getRowCount() quick fix */
+const ROW_COUNT_LIMIT = 1000;
 
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
 
 /**
- * Extracts all GlideRecord variable names from code.
- * Identifies both declaration patterns: var/let/const and direct assignment.
+ * Detects whether code looks like a Business Rule: an entry point such as
+ * executeRule(current, ...) or any function taking (current, previous).
  *
- * @param {string} code - The code to analyze
- * @returns {string[]} Array of variable names that are GlideRecord instances
+ * @param {Object} node - Function node
+ * @returns {boolean}
  */
-function extractGlideRecordVars(code) {
-  const vars = [];
-  const patterns = [
-    /(?:var|let|const)\s+(\w+)\s*=\s*new\s+GlideRecord\s*\(/g,
-    /(\w+)\s*=\s*new\s+GlideRecord\s*\(/g,
-  ];
-
-  for (const pattern of patterns) {
-    let match;
-    while ((match = pattern.exec(code)) !== null) {
-      if (!vars.includes(match[1])) {
-        vars.push(match[1]);
-      }
-    }
-  }
-  return vars;
+function isBusinessRuleFunction(node) {
+  const params = node.params.map(p => (p.type === 'Identifier' ? p.name : null));
+  if (params[0] !== 'current') return false;
+  if (params[1] === 'previous') return true;
+  return !!node.id && BR_FUNCTION_NAMES.has(node.id.name);
+}
+
+/**
+ * Checks whether a call is the whole test of a while loop, e.g. while (gr.next()).
+ *
+ * @param {Object} call - CallExpression node
+ * @param {Object[]} ancestors - Ancestor chain of the call
+ * @returns {boolean}
+ */
+function isWhileTest(call, ancestors) {
+  const parent = ancestors[ancestors.length - 1];
+  return !!parent && (parent.type === 'WhileStatement' || parent.type === 'DoWhileStatement') && parent.test === call;
+}
+
+/**
+ * Checks whether a rule applies to a script type. The generic type makes no
+ * assumptions about where the script runs, so every rule applies.
+ *
+ * @param {string} ruleId - Rule id from SERVICENOW_RULES
+ * @param {Object} scriptType - Resolved script type
+ * @returns {boolean}
+ */
+export function ruleAppliesToScriptType(ruleId, scriptType) {
+  const rule = SERVICENOW_RULES[ruleId];
+  if (!rule || scriptType.id === 'generic') return true;
+  if (rule.scriptTypes && !rule.scriptTypes.includes(scriptType.id)) return false;
+  return appliesToEnvironment(rule.environment, scriptType);
+}
+
+/**
+ * @param {Object} node - AST node
+ * @param {*} value - Expected literal value
+ * @returns {boolean} True if node is a literal with exactly this value
+ */
+function isLiteralValue(node, value) {
+  return !!node && node.type === 'Literal' && node.value === value;
+}
+
+/**
+ * Returns the leading whitespace of the line containing an offset.
+ *
+ * @param {string} code - Source code
+ * @param {number} offset - Character offset
+ * @returns {string}
+ */
+function indentAt(code, offset) {
+  const lineStart = code.lastIndexOf('\n', offset - 1) + 1;
+  return code.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Builds an edit that inserts a line before a statement, matching its indentation.
+ *
+ * @param {string} code - Source code
+ * @param {Object} statement - Statement node
+ * @param {string} line - Line to insert (without indentation)
+ * @returns {Object} TextEdit
+ */
+export function insertLineBefore(code, statement, line) {
+  const at = locationFromOffsets(code, statement.start, statement.start);
+  return createEdit(at, `${line}\n${indentAt(code, statement.start)}`);
+}
+
+/**
+ * Builds an edit that inserts a line after a statement, matching its indentation.
+ *
+ * @param {string} code - Source code
+ * @param {Object} statement - Statement node
+ * @param {string} line - Line to insert (without indentation)
+ * @returns {Object} TextEdit
+ */
+export function insertLineAfter(code, statement, line) {
+  const at = locationFromOffsets(code, statement.end, statement.end);
+  return createEdit(at, `\n${indentAt(code, statement.start)}${line}`);
+}
+
+/**
+ * Compares diagnostics by position (unlocated diagnostics sort last).
+ *
+ * @param {Object} a - Diagnostic
+ * @param {Object} b - Diagnostic
+ * @returns {number}
+ */
+function byPosition(a, b) {
+  if (a.line === null || b.line === null) return (a.line === null) - (b.line === null);
+  return a.line - b.line || a.column - b.column;
 }
 
 // =============================================================================
@@ -41,245 +348,416 @@ function extractGlideRecordVars(code) {
 /**
  * Analyzes code for ServiceNow-specific warnings and errors.
  * Checks for performance issues, security risks, and best practice violations.
+ * Code that does not parse yields no warnings; syntax errors are reported by
+ * the formatter.
  *
  * @param {string} code - The code to analyze
- * @returns {string[] | { warnings: string[], errors: string[] }} Warnings array or object with both
+ * @param {Object} [options] - Analysis options
+ * @param {string} [options.scriptType] - Script type id, or 'auto' to detect from the code
+ * @param {boolean} [options.scopedApp] - Report APIs that fail in scoped applications
+ * @returns {Diagnostic[] | { warnings: Diagnostic[], errors: Diagnostic[] }} Warnings array or object with both
  */
-export function analyzeServiceNowWarnings(code) {
+export function analyzeServiceNowWarnings(code, options = {}) {
   const warnings = [];
   const errors = [];
-  const grVars = extractGlideRecordVars(code);
-
-  // -------------------------------------------------------------------------
-  // Database & Performance Warnings
-  // -------------------------------------------------------------------------
+  const scriptType = resolveScriptType(code, options.scriptType);
+
+  const { ast } = parseCode(code, { ecmaVersion: 'latest' });
+  if (!ast) return warnings;
+
+  const { resolve } = analyzeScopes(ast);
+
+  // Facts gathered during the walk, evaluated once the whole tree is seen
+  const recordCalls = new Map();   // binding -> [{ method, node, loop, whileTest }]
+  const existenceChecks = [];      // { binding, node }
+  const abortCalls = [];           // { node, fn }
+  const returns = [];              // { node, fn }
+  const currentCalls = [];         // current.update()/insert() calls
+  const domCalls = [];
+  const reportedGlobals = new Set();
+  let looksLikeBusinessRule = false;
+  let usesGForm = false;
+
+  const push = (ruleId, message, node, suggestion = null, quickFix = null) => {
+    warnings.push(report(ruleId, message, locationFromNode(node), suggestion, quickFix));
+  };
+
+  // Quick fix inserting a line before/after the statement that contains a node
+  const insertQuickFix = (title, node, line, after = false) => {
+    const found = node && findEnclosingStatement(ast, node);
+    if (!found) return null;
+    const edit = after ? insertLineAfter(code, found.statement, line) : insertLineBefore(code, found.statement, line);
+    return createQuickFix(title, edit);
+  };
+
+  walk(ast, (node, ancestors) => {
+    const parent = ancestors[ancestors.length - 1];
+
+    switch (node.type) {
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+        if (isBusinessRuleFunction(node)) looksLikeBusinessRule = true;
+        break;
+
+      case 'ReturnStatement':
+        returns.push({ node, fn: getEnclosingFunction(ancestors) });
+        break;
+
+      case 'Identifier':
+        // Skip property names (obj.GlideEvaluator) - only references count
+        if (parent && parent.type === 'MemberExpression' && parent.property === node && !parent.computed) break;
+        if (parent && parent.type === 'Property' && parent.key === node && !parent.computed && !parent.shorthand) break;
+        if (node.name === 'g_form') usesGForm = true;
+        if (options.scopedApp) checkScopedReference(node, ancestors);
+        // APIs used on the wrong side of the client/server boundary
+        if (checkBoundary(node, ancestors)) break;
+        // Platform globals that do not exist where this script runs
+        if (CONTEXT_GLOBALS.includes(node.name) && !scriptType.globals.includes(node.name) &&
+            !reportedGlobals.has(node.name) && !resolve(node.name, ancestors)) {
+          reportedGlobals.add(node.name);
+          push('sn/unavailable-global', `${node.name} is not available in a ${scriptType.label}`, node);
+        }
+        if (node.name === 'GlideEvaluator') {
+          push('sn/eval', 'eval() or GlideEvaluator detected - potential security risk, avoid executing dynamic code', node);
+        }
+        break;
+
+      case 'Literal':
+        if (typeof node.value === 'string' && /^[a-f0-9]{32}$/i.test(node.value)) {
+          push('sn/hardcoded-sys-id', 'Hardcoded sys_id detected - use system properties for portability between instances', node);
+        }
+        break;
+
+      case 'NewExpression':
+        if (node.callee.type === 'Identifier' && node.callee.name === 'Function') {
+          push('sn/new-function', 'new Function() detected - security risk similar to eval(), avoid dynamic code execution', node);
+        }
+        break;
+
+      case 'AssignmentExpression':
+        // Direct field assignment instead of setValue()
+        if (node.operator === '=' && node.left.type === 'MemberExpression' && !node.left.computed &&
+            node.left.object.type === 'Identifier' && node.left.object.name === 'current') {
+          const field = node.left.property.name;
+          const replacement = `current.setValue('${field}', ${code.slice(node.right.start, node.right.end)})`;
+          // Only offer the rewrite when the assignment's value is not used
+          const quickFix = parent && parent.type === 'ExpressionStatement'
+            ? createQuickFix(`Use current.setValue('${field}', ...)`, createEdit(locationFromNode(node), replacement))
+            : null;
+          push('sn/direct-field-assignment', 'Direct field assignment (current.field = value) - consider using setValue() for clarity', node, null, quickFix);
+        }
+        break;
+
+      case 'IfStatement': {
+        // if (gr.next()) used as an existence check
+        const call = getMemberCall(node.test);
+        if (call && call.method === 'next' && call.objectName) {
+          const binding = resolve(call.objectName, ancestors);
+          if (binding && RECORD_CLASSES.has(binding.className)) {
+            existenceChecks.push({ binding, node: node.test });
+          }
+        }
+        break;
+      }
 
-  // Check for update() inside while loop (expensive row-by-row updates)
-  for (const varName of grVars) {
-    const escapedVar = varName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const updateInLoopPattern = new RegExp(
-      `while\\s*\\([^)]*${escapedVar}\\.next\\s*\\(\\s*\\)\\s*\\)[\\s\\S]*?${escapedVar}\\.update\\s*\\(`,
-      'g'
-    );
-    if (updateInLoopPattern.test(code)) {
-      warnings.push(`${varName}.update() inside while loop - each update is a separate DB call, consider batch operations`);
+      case 'CallExpression':
+        visitCall(node, ancestors);
+        break;
     }
+  });
+
+  /**
+   * Reports an undeclared reference to an API that cannot run where this
+   * script runs. Returns true if the reference was reported.
+   */
+  function checkBoundary(node, ancestors) {
+    const side = scriptType.environment;
+    if (side !== ENVIRONMENT.SERVER && side !== ENVIRONMENT.CLIENT) return false;
+    const apiSide = getApiEnvironment(node.name);
+    if (!apiSide || apiSide === 'both' || apiSide === side) return false;
+    if (resolve(node.name, ancestors)) return false;
+
+    const alternatives = BOUNDARY_ALTERNATIVES[apiSide];
+    const alternative = alternatives[node.name] || alternatives.default;
+    push(
+      'sn/client-server-boundary',
+      `${node.name} is ${apiSide}-only and not available in a ${scriptType.label} - ${alternative}`,
+      node
+    );
+    return true;
   }
 
-  // Check for getRowCount() without setLimit() (performance issue)
-  if (/\.getRowCount\s*\(\s*\)/.test(code) && !/\.setLimit\s*\(/.test(code)) {
-    warnings.push('getRowCount() without setLimit() - may cause performance issues on large tables');
-  }
-
-  // Check for deleteRecord() in while loop (use deleteMultiple instead)
-  if (/while\s*\([^)]*\.next\s*\(\s*\)\s*\)[\s\S]*?\.deleteRecord\s*\(\s*\)/g.test(code)) {
-    warnings.push('deleteRecord() in loop - consider deleteMultiple() for better performance');
-  }
-
-  // Check for getReference() inside loop (N+1 query problem)
-  if (/while\s*\([^)]*\.next\s*\(\s*\)\s*\)[\s\S]*?\.getReference\s*\(/g.test(code) ||
-      /for\s*\([^)]*\)[\s\S]*?\.getReference\s*\(/g.test(code)) {
-    warnings.push('getReference() inside loop - causes N+1 queries, consider GlideRecord join or caching');
+  /**
+   * Reports an undeclared reference to a global-only class or object when
+   * analyzing for a scoped application.
+   */
+  function checkScopedReference(node, ancestors) {
+    const rule = GLOBAL_ONLY_APIS[node.name];
+    if (!rule || resolve(node.name, ancestors)) return;
+    const instead = rule.replacement ? `use ${rule.replacement}` : `use ${rule.alternative}`;
+    const quickFix = rule.replacement
+      ? createQuickFix(`Replace with ${rule.replacement}`, createEdit(locationFromNode(node), rule.replacement))
+      : null;
+    push('sn/scoped-unavailable-api', `${node.name} is not available in scoped applications - ${instead}`, node, rule.replacement || null, quickFix);
   }
 
-  // Check for missing setLimit(1) on existence checks
-  for (const varName of grVars) {
-    const escapedVar = varName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const hasIfNext = new RegExp(`if\\s*\\(\\s*${escapedVar}\\.next\\s*\\(\\s*\\)\\s*\\)`).test(code);
-    const hasWhileNext = new RegExp(`while\\s*\\([^)]*${escapedVar}\\.next`).test(code);
-    const hasSetLimit = new RegExp(`${escapedVar}\\.setLimit\\s*\\(`).test(code);
-
-    if (hasIfNext && !hasWhileNext && !hasSetLimit) {
-      warnings.push(`${varName}.next() in if-statement without setLimit(1) - add setLimit(1) for existence checks`);
-      break;
+  /**
+   * Applies the call-site rules to one CallExpression.
+   */
+  function visitCall(node, ancestors) {
+    // Plain function calls: eval(), $('#id'), jQuery('#id')
+    if (node.callee.type === 'Identifier') {
+      const name = node.callee.name;
+      if (name === 'eval') {
+        push('sn/eval', 'eval() or GlideEvaluator detected - potential security risk, avoid executing dynamic code', node);
+      } else if ((name === '$' || name === 'jQuery') && (getStringValue(node.arguments[0]) || '').startsWith('#')) {
+        domCalls.push(node);
+      }
+      return;
     }
-  }
-
-  // Check for query() without any conditions (full table scan)
-  for (const varName of grVars) {
-    const escapedVar = varName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const hasQuery = new RegExp(`${escapedVar}\\.query\\s*\\(`).test(code);
-    const hasAddQuery = new RegExp(`${escapedVar}\\.(addQuery|addEncodedQuery|addNullQuery|addNotNullQuery|get)\\s*\\(`).test(code);
 
-    if (hasQuery && !hasAddQuery) {
-      warnings.push(`${varName}.query() without any conditions - this will scan the entire table`);
-      break;
+    const call = getMemberCall(node);
+    if (!call) return;
+    const { method, objectName } = call;
+    const args = node.arguments;
+    const loop = getEnclosingLoop(ancestors, node);
+
+    // Record calls on tracked GlideRecord/GlideAggregate/GlideAjax variables
+    const binding = objectName ? resolve(objectName, ancestors) : null;
+    if (binding && TRACKED_CLASSES.has(binding.className)) {
+      if (!recordCalls.has(binding)) recordCalls.set(binding, []);
+      recordCalls.get(binding).push({ method, node, args, loop, whileTest: isWhileTest(node, ancestors) });
+
+      if (RECORD_CLASSES.has(binding.className) && loop) {
+        if (method === 'update') {
+          push('sn/update-in-loop', `${objectName}.update() inside ${loop.label} - each update is a separate DB call, consider batch operations`, node);
+        } else if (method === 'query' && !ancestors.some(a => getResultLoopRecord(a, resolve, ancestors))) {
+          // Queries per record of an outer result set are sn/nested-query findings
+          push('sn/query-in-loop', `${objectName}.query() inside ${loop.label} - runs one query per iteration (N+1), consider a single query or GlideAggregate`, node);
+        }
+      }
     }
-  }
 
-  // Check for updateMultiple/deleteMultiple without conditions (dangerous)
-  for (const varName of grVars) {
-    const escapedVar = varName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const hasMultipleOp = new RegExp(`${escapedVar}\\.(updateMultiple|deleteMultiple)\\s*\\(`).test(code);
-    const hasCondition = new RegExp(`${escapedVar}\\.(addQuery|addEncodedQuery|addNullQuery|addNotNullQuery)\\s*\\(`).test(code);
+    // Loop rules that apply to any receiver (GlideElement, g_form, ...)
+    if (loop && method === 'getReference') {
+      push('sn/get-reference-in-loop', `getReference() inside ${loop.label} - causes N+1 queries, consider GlideRecord join or caching`, node);
+    }
+    if (loop && method === 'deleteRecord') {
+      push('sn/delete-in-loop', `deleteRecord() inside ${loop.label} - consider deleteMultiple() for better performance`, node);
+    }
 
-    if (hasMultipleOp && !hasCondition) {
-      warnings.push(`${varName}.updateMultiple()/deleteMultiple() without conditions - will affect ALL records!`);
-      break;
+    // Business Rule calls on current, judged after the walk
+    if (objectName === 'current' && (method === 'update' || method === 'insert')) {
+      currentCalls.push({ node, method });
     }
-  }
 
-  // Check for updateMultiple() used after next() iteration (logic smell)
-  for (const varName of grVars) {
-    const escapedVar = varName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const hasNext = new RegExp(`${escapedVar}\\.next\\s*\\(`).test(code);
-    const hasUpdateMultiple = new RegExp(`${escapedVar}\\.updateMultiple\\s*\\(`).test(code);
-    if (hasNext && hasUpdateMultiple) {
-      warnings.push(`${varName} uses both next() and updateMultiple() - updateMultiple ignores per-row changes`);
-      break;
+    if (method === 'setAbortAction' && args[0] && args[0].type === 'Literal' && args[0].value === true) {
+      abortCalls.push({ node, fn: getEnclosingFunction(ancestors) });
     }
-  }
 
-  // Check for get() followed by query() (redundant)
-  for (const varName of grVars) {
-    const escapedVar = varName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const getPattern = new RegExp(`${escapedVar}\\.get\\s*\\([^)]+\\)[\\s\\S]*?${escapedVar}\\.query\\s*\\(`);
-    if (getPattern.test(code)) {
-      warnings.push(`${varName}.get() followed by query() - get() already positions the record, query() is redundant`);
-      break;
+    if (objectName === 'gs' && options.scopedApp && GLOBAL_ONLY_GS_METHODS[method]) {
+      const rule = GLOBAL_ONLY_GS_METHODS[method];
+      if (rule.replacement) {
+        const keptArgs = args.slice(0, rule.keepArgs).map(arg => code.slice(arg.start, arg.end)).join(', ');
+        const replacement = `gs.${rule.replacement}(${keptArgs})`;
+        const quickFix = createQuickFix(`Replace with gs.${rule.replacement}()`, createEdit(locationFromNode(node), replacement));
+        push('sn/scoped-unavailable-api', `gs.${method}() is not available in scoped applications - use gs.${rule.replacement}()`, node, replacement, quickFix);
+      } else {
+        push('sn/scoped-unavailable-api', `gs.${method}() is not available in scoped applications - use ${rule.alternative}`, node);
+      }
     }
-  }
 
-  // -------------------------------------------------------------------------
-  // Business Rule Warnings
-  // -------------------------------------------------------------------------
+    if (objectName === 'gs') {
+      if (method === 'sleep') {
+        push('sn/gs-sleep', 'gs.sleep() blocks the thread - avoid in production code, use scheduled jobs or events', node);
+      } else if (method === 'include') {
+        push('sn/gs-include', 'gs.include() is legacy - use Script Includes with Class.create() pattern', node);
+      } else if (method === 'getProperty' && args.length === 1 && getStringValue(args[0]) !== null) {
+        const key = code.slice(args[0].start, args[0].end);
+        const replacement = `gs.getProperty(${key}, '')`;
+        const quickFix = createQuickFix('Add a default value', createEdit(locationFromNode(node), replacement));
+        push('sn/property-without-default', 'gs.getProperty() call without default value - consider adding a fallback', node, replacement, quickFix);
+      }
+    }
 
-  // Check for setAbortAction(true) without return statement
-  if (/\.setAbortAction\s*\(\s*true\s*\)/.test(code)) {
-    if (!/setAbortAction\s*\(\s*true\s*\)[\s\S]*?return/.test(code)) {
-      warnings.push('setAbortAction(true) without return - add return false for Business Rules');
+    if (objectName === 'g_form' && method === 'getReference' && args.length === 1) {
+      push('sn/get-reference-without-callback', 'g_form.getReference() without callback - synchronous call, use callback for async operation', node);
     }
-  }
 
-  // Check for direct field assignment instead of setValue()
-  const directAssignments = code.match(/\bcurrent\.\w+\s*=\s*[^=]/g) || [];
-  const problematicAssignments = directAssignments.filter(a =>
-    !a.includes('current.update') &&
-    !a.includes('current.insert') &&
-    !a.includes('current.setAbortAction') &&
-    !a.includes('current.setWorkflow')
-  );
-  if (problematicAssignments.length > 0) {
-    warnings.push('Direct field assignment (current.field = value) - consider using setValue() for clarity');
-  }
+    if (method === 'getXMLWait') {
+      push('sn/get-xml-wait', 'getXMLWait() blocks the UI thread - consider async getXMLAnswer() with callback', node);
+    }
 
-  // Check for current.update() in Business Rule (recursion risk)
-  if (/function\s+(executeRule|onBefore|onAfter|onAsync)\s*\(\s*current/.test(code) ||
-      /current\s*,\s*previous/.test(code)) {
-    if (/\bcurrent\.update\s*\(/.test(code)) {
-      warnings.push('current.update() in Business Rule - risks recursion, use Before BR or setWorkflow(false)');
+    if (method === 'addEncodedQuery' && /^sys_id\s*=/.test(getStringValue(args[0]) || '')) {
+      // A single sys_id=<id> condition maps directly onto addQuery()
+      const sysId = (getStringValue(args[0]).match(/^sys_id\s*=\s*(\w+)$/) || [])[1];
+      const receiver = code.slice(call.object.start, call.object.end);
+      const replacement = sysId ? `${receiver}.addQuery('sys_id', '${sysId}')` : null;
+      const quickFix = replacement
+        ? createQuickFix(`Use ${receiver}.addQuery('sys_id', ...)`, createEdit(locationFromNode(node), replacement))
+        : null;
+      push('sn/encoded-query-sys-id', 'addEncodedQuery with sys_id - prefer addQuery(\'sys_id\', value) for clarity', node, replacement, quickFix);
     }
-  }
 
-  // Check for current.insert() in Business Rule (unusual pattern)
-  if (/function\s+(executeRule|onBefore|onAfter)\s*\(\s*current/.test(code) ||
-      /current\s*,\s*previous/.test(code)) {
-    if (/\bcurrent\.insert\s*\(/.test(code)) {
-      warnings.push('current.insert() in Business Rule - unusual pattern, verify this is intentional');
+    if (objectName === 'document' && ['getElementById', 'querySelector', 'querySelectorAll'].includes(method)) {
+      domCalls.push(node);
     }
   }
 
   // -------------------------------------------------------------------------
-  // Security Warnings
+  // Per-variable GlideRecord / GlideAggregate / GlideAjax rules
   // -------------------------------------------------------------------------
 
-  // Check for hardcoded sys_id values (portability issue)
-  const sysIdPattern = /['"][a-f0-9]{32}['"]/gi;
-  const sysIdMatches = code.match(sysIdPattern) || [];
-  if (sysIdMatches.length > 0) {
-    warnings.push(`${sysIdMatches.length} hardcoded sys_id(s) detected - use system properties for portability between instances`);
-  }
+  for (const [binding, calls] of recordCalls) {
+    const name = binding.name;
+    const find = (...methods) => calls.filter(c => methods.includes(c.method));
+    const has = (...methods) => find(...methods).length > 0;
+    const hasCondition = calls.some(c => CONDITION_METHODS.has(c.method));
+
+    if (binding.className === 'GlideAjax') {
+      const hasSysparmName = find('addParam').some(c => getStringValue(c.args[0]) === 'sysparm_name');
+      if (!hasSysparmName) {
+        const quickFix = insertQuickFix('Add sysparm_name parameter', binding.init, `${name}.addParam('sysparm_name', 'methodName');`, true);
+        push('sn/ajax-without-sysparm-name', 'GlideAjax without sysparm_name parameter - processor method will not be invoked', binding.init, null, quickFix);
+      }
+      continue;
+    }
 
-  // Check for eval() or GlideEvaluator (security risk)
-  if (/\beval\s*\(/.test(code) || /\bGlideEvaluator\b/.test(code)) {
-    warnings.push('eval() or GlideEvaluator detected - potential security risk, avoid executing dynamic code');
-  }
+    // getRowCount() without setLimit()
+    const queries = find('query');
+    if (!has('setLimit')) {
+      find('getRowCount').forEach(c => {
+        const query = queries.filter(q => q.node.end <= c.node.start).pop();
+        const quickFix = query
+          ? insertQuickFix(`Add ${name}.setLimit(${ROW_COUNT_LIMIT}) before query()`, query.node, `${name}.setLimit(${ROW_COUNT_LIMIT});`)
+          : null;
+        push('sn/row-count-without-limit', 'getRowCount() without setLimit() - may cause performance issues on large tables', c.node, null, quickFix);
+      });
+    }
 
-  // Check for new Function() (security risk similar to eval)
-  if (/new\s+Function\s*\(/.test(code)) {
-    warnings.push('new Function() detected - security risk similar to eval(), avoid dynamic code execution');
-  }
+    // query() without any conditions (full table scan)
+    if (binding.className !== 'GlideAggregate' && queries.length > 0 && !hasCondition && !has('get')) {
+      push('sn/unfiltered-query', `${name}.query() without any conditions - this will scan the entire table`, queries[0].node);
+    }
 
-  // Check for GlideRecordSecure with privileged operations (undermines security)
-  if (/new\s+GlideRecordSecure\s*\(/.test(code)) {
-    if (/\.setWorkflow\s*\(\s*false\s*\)/.test(code) ||
-        /\.autoSysFields\s*\(\s*false\s*\)/.test(code) ||
-        /\.updateMultiple\s*\(/.test(code) ||
-        /\.deleteMultiple\s*\(/.test(code)) {
-      warnings.push('GlideRecordSecure with privileged operation - security intent may be undermined');
+    // updateMultiple()/deleteMultiple() without conditions
+    const multipleOps = find('updateMultiple', 'deleteMultiple');
+    if (multipleOps.length > 0 && !hasCondition) {
+      push('sn/unfiltered-multiple-operation', `${name}.updateMultiple()/deleteMultiple() without conditions - will affect ALL records!`, multipleOps[0].node);
     }
-  }
 
-  // -------------------------------------------------------------------------
-  // Best Practice Warnings
-  // -------------------------------------------------------------------------
+    // next() iteration combined with updateMultiple()
+    const updateMultiples = find('updateMultiple');
+    if (has('next') && updateMultiples.length > 0) {
+      push('sn/next-with-update-multiple', `${name} uses both next() and updateMultiple() - updateMultiple ignores per-row changes`, updateMultiples[0].node);
+    }
 
-  // Check for GlideAggregate without aggregate function
-  if (/new\s+GlideAggregate\s*\(/.test(code)) {
-    if (!/\.(groupBy|addAggregate|getAggregate|count)\s*\(/.test(code)) {
-      warnings.push('GlideAggregate created but no aggregate function called');
+    // get(id) followed by a redundant query()
+    const firstGet = find('get').find(c => c.args.length > 0);
+    const queryAfterGet = firstGet && queries.find(c => c.node.start > firstGet.node.end);
+    if (queryAfterGet) {
+      push('sn/get-then-query', `${name}.get() followed by query() - get() already positions the record, query() is redundant`, queryAfterGet.node);
     }
-  }
 
-  // Check for synchronous getXMLWait() (blocks UI)
-  if (/\.getXMLWait\s*\(\s*\)/.test(code)) {
-    warnings.push('getXMLWait() blocks the UI thread - consider async getXMLAnswer() with callback');
-  }
+    // if (gr.next()) existence check without setLimit(1)
+    const iterates = calls.some(c => c.method === 'next' && c.whileTest);
+    const check = existenceChecks.find(e => e.binding === binding);
+    if (check && !iterates && !has('setLimit')) {
+      const query = queries.filter(q => q.node.end <= check.node.start).pop();
+      const quickFix = query ? insertQuickFix(`Add ${name}.setLimit(1) before query()`, query.node, `${name}.setLimit(1);`) : null;
+      push('sn/existence-check-without-limit', `${name}.next() in if-statement without setLimit(1) - add setLimit(1) for existence checks`, check.node, null, quickFix);
+    }
 
-  // Check for gs.sleep() (blocks thread)
-  if (/\bgs\.sleep\s*\(/.test(code)) {
-    warnings.push('gs.sleep() blocks the thread - avoid in production code, use scheduled jobs or events');
-  }
+    // setWorkflow(false) with no later setWorkflow(true) on the same record
+    const workflowCalls = find('setWorkflow');
+    const disabled = workflowCalls.find(c => isLiteralValue(c.args[0], false) &&
+      !workflowCalls.some(e => isLiteralValue(e.args[0], true) && e.node.start > c.node.end));
+    if (disabled) {
+      // Re-enable after the statement (in the same block) holding the record's last call
+      const found = findEnclosingStatement(ast, disabled.node);
+      const last = calls[calls.length - 1].node;
+      const target = found && found.body.find(st => st.start <= last.start && last.end <= st.end);
+      const quickFix = target
+        ? createQuickFix(`Re-enable with ${name}.setWorkflow(true)`, insertLineAfter(code, target, `${name}.setWorkflow(true);`))
+        : null;
+      push('sn/workflow-not-reenabled', `${name}.setWorkflow(false) is never re-enabled - business rules and workflows stay skipped for later operations on ${name}`, disabled.node, null, quickFix);
+    }
 
-  // Check for gs.getProperty() without default value
-  const getPropertyCalls = code.match(/gs\.getProperty\s*\(\s*['"][^'"]+['"]\s*\)/g) || [];
-  const getPropertyWithDefault = code.match(/gs\.getProperty\s*\(\s*['"][^'"]+['"]\s*,/g) || [];
-  const propsWithoutDefault = getPropertyCalls.length - getPropertyWithDefault.length;
-  if (propsWithoutDefault > 0) {
-    warnings.push(`${propsWithoutDefault} gs.getProperty() call(s) without default value - consider adding a fallback`);
-  }
+    // GlideAggregate without any aggregate function
+    if (binding.className === 'GlideAggregate' && !calls.some(c => AGGREGATE_METHODS.has(c.method))) {
+      push('sn/aggregate-without-function', 'GlideAggregate created but no aggregate function called', binding.init);
+    }
 
-  // Check for gs.include() (legacy pattern)
-  if (/\bgs\.include\s*\(/.test(code)) {
-    warnings.push('gs.include() is legacy - use Script Includes with Class.create() pattern');
-  }
+    // setWorkflow(false)/autoSysFields(false) only work on the app's own tables
+    if (options.scopedApp) {
+      const table = binding.init ? getStringValue(binding.init.arguments[0]) : null;
+      if (table && !table.startsWith('x_')) {
+        find('setWorkflow', 'autoSysFields').forEach(c => {
+          push('sn/scoped-cross-scope-workflow', `${name}.${c.method}() is ignored for '${table}' - scoped apps can only change this on their own tables`, c.node);
+        });
+      }
+    }
 
-  // Check for g_form.getReference() without callback (async misuse)
-  const getRefPattern = /g_form\.getReference\s*\(\s*['"][^'"]+['"]\s*\)/g;
-  const getRefWithCallback = /g_form\.getReference\s*\(\s*['"][^'"]+['"]\s*,/g;
-  const getRefCalls = (code.match(getRefPattern) || []).length;
-  const getRefCallbacks = (code.match(getRefWithCallback) || []).length;
-  if (getRefCalls > getRefCallbacks) {
-    warnings.push('g_form.getReference() without callback - synchronous call, use callback for async operation');
+    // GlideRecordSecure combined with privileged operations
+    if (binding.className === 'GlideRecordSecure') {
+      const privileged = calls.find(c =>
+        c.method === 'updateMultiple' || c.method === 'deleteMultiple' ||
+        ((c.method === 'setWorkflow' || c.method === 'autoSysFields') &&
+          c.args[0] && c.args[0].type === 'Literal' && c.args[0].value === false)
+      );
+      if (privileged) {
+        push('sn/secure-privileged-operation', 'GlideRecordSecure with privileged operation - security intent may be undermined', privileged.node);
+      }
+    }
   }
 
-  // Check for GlideAjax without sysparm_name (processor won't be invoked)
-  if (/new\s+GlideAjax\s*\(/.test(code)) {
-    if (!/addParam\s*\(\s*['"]sysparm_name['"]/.test(code)) {
-      warnings.push('GlideAjax without sysparm_name parameter - processor method will not be invoked');
+  // -------------------------------------------------------------------------
+  // Business Rule Warnings
+  // -------------------------------------------------------------------------
+
+  // setAbortAction(true) with no return later in the same function
+  abortCalls.forEach(({ node, fn }) => {
+    const returnsAfter = returns.some(r => r.fn === fn && r.node.start > node.end);
+    if (!returnsAfter) {
+      const found = findEnclosingStatement(ast, node);
+      const quickFix = found && found.statement.type === 'ExpressionStatement' && found.statement.expression === node
+        ? createQuickFix('Add return false', insertLineAfter(code, found.statement, 'return false;'))
+        : null;
+      push('sn/abort-without-return', 'setAbortAction(true) without return - add return false for Business Rules', node, null, quickFix);
     }
+  });
+
+  // Business Rules with a phase are analyzed by businessRuleWarnings.js; these
+  // cover rules without one, detected or recognized only by their shape
+  if (looksLikeBusinessRule && !BUSINESS_RULE_WHEN[scriptType.id]) {
+    currentCalls.forEach(({ node, method }) => {
+      if (method === 'update') {
+        push('sn/current-update-in-br', 'current.update() in Business Rule - risks recursion, use Before BR or setWorkflow(false)', node);
+      } else {
+        push('sn/current-insert-in-br', 'current.insert() in Business Rule - unusual pattern, verify this is intentional', node);
+      }
+    });
   }
 
-  // Check for addEncodedQuery with sys_id (prefer structured query)
-  if (/\.addEncodedQuery\s*\(\s*['"]sys_id\s*=/.test(code)) {
-    warnings.push('addEncodedQuery with sys_id - prefer addQuery(\'sys_id\', value) for clarity');
-  }
+  // -------------------------------------------------------------------------
+  // Client Script Warnings
+  // -------------------------------------------------------------------------
 
-  // Check for direct DOM manipulation alongside g_form (upgrade risk)
-  if (/\bg_form\b/.test(code)) {
-    if (/document\.getElementById\s*\(/.test(code) ||
-        /document\.querySelector/.test(code) ||
-        /\$\s*\(\s*['"]#/.test(code)) {
-      warnings.push('Direct DOM manipulation with g_form - prefer g_form APIs, DOM may break on UI upgrades');
-    }
+  // Direct DOM manipulation alongside g_form (upgrade risk)
+  if (usesGForm && domCalls.length > 0) {
+    push('sn/dom-manipulation', 'Direct DOM manipulation with g_form - prefer g_form APIs, DOM may break on UI upgrades', domCalls[0]);
   }
 
   // -------------------------------------------------------------------------
   // Return Results
   // -------------------------------------------------------------------------
 
+  const applicable = warnings
+    .filter(w => ruleAppliesToScriptType(w.ruleId, scriptType))
+    .sort(byPosition);
+
   if (errors.length > 0) {
-    return { warnings, errors };
+    return { warnings: applicable, errors };
   }
-  return warnings;
+  return applicable;
 }
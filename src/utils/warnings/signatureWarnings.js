@@ -0,0 +1,245 @@
+/**
+ * @fileoverview ServiceNow Signature Warnings
+ * @description Checks calls on known ServiceNow receivers against the method
+ * signatures in the dictionary: wrong argument counts (gr.addQuery() with no
+ * arguments, gs.getProperty() with three) and literal arguments of the wrong
+ * type (gdt.addDays('5')). Receivers are resolved through scopes, so only
+ * variables holding a `new GlideRecord()` etc. and unshadowed platform
+ * globals (gs, g_form, g_user, current, previous) are checked.
+ */
+
+import { SEVERITY, createDiagnostic, createQuickFix, createEdit, locationFromNode } from '../diagnostics.js';
+import { parseCode } from '../astParser.js';
+import { walk, getMemberCall, getPropertyName, analyzeScopes } from '../astWalker.js';
+import { getMethodSignature, formatSignature } from '../fixes/servicenowDictionary.js';
+
+// =============================================================================
+// RULE METADATA
+// =============================================================================
+
+/**
+ * Signature rules keyed by stable rule id
+ */
+export const SIGNATURE_RULES = {
+  'sn/wrong-argument-count': {
+    severity: SEVERITY.WARNING,
+    description: 'ServiceNow API called with too few or too many arguments'
+  },
+  'sn/argument-type-mismatch': {
+    severity: SEVERITY.WARNING,
+    description: 'Literal argument of the wrong type for a ServiceNow API parameter'
+  }
+};
+
+/**
+ * Creates a diagnostic for a signature rule using its default severity.
+ *
+ * @param {string} ruleId - Rule id from SIGNATURE_RULES
+ * @param {string} message - Diagnostic message
+ * @param {Object|null} location - Source location
+ * @param {string|null} suggestion - Suggested replacement
+ * @param {Object|null} quickFix - Mechanical fix for this occurrence
+ * @returns {Object} Diagnostic
+ */
+function report(ruleId, message, location = null, suggestion = null, quickFix = null) {
+  return createDiagnostic(ruleId, SIGNATURE_RULES[ruleId].severity, message, location, suggestion, quickFix);
+}
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Platform globals checked when they are not shadowed by a local */
+const GLOBAL_RECEIVERS = new Set(['gs', 'g_form', 'g_user', 'current', 'previous']);
+
+/** Receivers whose non-method properties are fields (GlideElement) */
+const RECORD_RECEIVERS = new Set(['GlideRecord', 'GlideRecordSecure', 'GlideAggregate', 'current', 'previous']);
+
+/** Types a literal can have without being an object */
+const PRIMITIVE_TYPES = new Set(['string', 'number', 'boolean']);
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Resolves the class (or global object) a call receiver refers to.
+ *
+ * @param {Object} object - Receiver expression
+ * @param {Object[]} ancestors - Ancestor chain of the call
+ * @param {Function} resolve - Scope resolver from analyzeScopes()
+ * @returns {string|null} Key into METHOD_SIGNATURES (directly or inherited), or null if unknown
+ */
+function getReceiverClass(object, ancestors, resolve) {
+  if (object.type === 'Identifier') {
+    const binding = resolve(object.name, ancestors);
+    if (binding && binding.className) return binding.className;
+    // Business Rule parameters are conventionally named current/previous
+    if (binding) return object.name === 'current' || object.name === 'previous' ? object.name : null;
+    return GLOBAL_RECEIVERS.has(object.name) ? object.name : null;
+  }
+
+  if (object.type === 'NewExpression' && object.callee.type === 'Identifier') {
+    return object.callee.name;
+  }
+
+  // current.state.changesTo(...) - a field of a record is a GlideElement
+  if (object.type === 'MemberExpression' && !object.computed) {
+    const owner = getReceiverClass(object.object, ancestors, resolve);
+    const field = getPropertyName(object);
+    if (owner && RECORD_RECEIVERS.has(owner) && !getMethodSignature(owner, field)) return 'GlideElement';
+  }
+
+  return null;
+}
+
+/**
+ * Returns the type of an argument when it is obvious from its syntax.
+ *
+ * @param {Object} node - Argument node
+ * @returns {string|null} 'string', 'number', 'boolean', 'object', 'array', 'function', a class name, or null if unknown
+ */
+function getLiteralType(node) {
+  switch (node.type) {
+    case 'Literal':
+      if (node.regex) return 'object';
+      if (node.value === null) return null;
+      return typeof node.value;
+    case 'TemplateLiteral':
+      return 'string';
+    case 'UnaryExpression':
+      if ((node.operator === '-' || node.operator === '+') && node.argument.type === 'Literal' &&
+          typeof node.argument.value === 'number') return 'number';
+      return node.operator === '!' ? 'boolean' : null;
+    case 'ObjectExpression':
+      return 'object';
+    case 'ArrayExpression':
+      return 'array';
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression':
+      return 'function';
+    case 'NewExpression':
+      return node.callee.type === 'Identifier' ? node.callee.name : 'object';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Checks whether an argument type fits a parameter type. Primitives must
+ * match exactly; any non-primitive is accepted where an object, array,
+ * function, or class instance is expected, since literals cannot tell those apart.
+ *
+ * @param {string} paramType - Parameter type, possibly a `|` union
+ * @param {string} argType - Type from getLiteralType()
+ * @returns {boolean}
+ */
+function isTypeCompatible(paramType, argType) {
+  const accepted = paramType.split('|');
+  if (accepted.includes('any') || accepted.includes(argType)) return true;
+  if (PRIMITIVE_TYPES.has(argType)) return false;
+  return accepted.some(type => !PRIMITIVE_TYPES.has(type));
+}
+
+/**
+ * Suggests a corrected literal for a mistyped argument, e.g. '5' → 5.
+ *
+ * @param {Object} node - Argument node
+ * @param {string} paramType - Expected parameter type
+ * @returns {string|null}
+ */
+function suggestLiteral(node, paramType) {
+  if (node.type !== 'Literal' || typeof node.value !== 'string') return null;
+  const accepted = paramType.split('|');
+  const value = node.value.trim();
+  if (accepted.includes('number') && value !== '' && !isNaN(Number(value))) return String(Number(value));
+  if (accepted.includes('boolean') && (value === 'true' || value === 'false')) return value;
+  return null;
+}
+
+/**
+ * @param {number} count - Argument count
+ * @returns {string} "1 argument" / "2 arguments"
+ */
+function pluralizeArguments(count) {
+  return `${count} argument${count === 1 ? '' : 's'}`;
+}
+
+// =============================================================================
+// MAIN ANALYSIS FUNCTION
+// =============================================================================
+
+/**
+ * Analyzes calls on ServiceNow APIs for argument count and literal type
+ * mismatches. Code that does not parse yields no warnings.
+ *
+ * @param {string} code - The code to analyze
+ * @returns {Diagnostic[]} Array of warning diagnostics
+ */
+export function analyzeSignatureWarnings(code) {
+  const warnings = [];
+  const { ast } = parseCode(code, { ecmaVersion: 'latest' });
+  if (!ast) return warnings;
+
+  const { resolve } = analyzeScopes(ast);
+
+  walk(ast, (node, ancestors) => {
+    const call = getMemberCall(node);
+    if (!call) return;
+
+    const receiver = getReceiverClass(call.object, ancestors, resolve);
+    const signature = receiver && getMethodSignature(receiver, call.method);
+    if (!signature) return;
+
+    const callee = `${code.slice(call.object.start, call.object.end)}.${call.method}()`;
+    const shown = formatSignature(call.method, signature);
+    const args = node.arguments;
+    const spreadIndex = args.findIndex(arg => arg.type === 'SpreadElement');
+    const params = signature.params;
+    const restParam = params.find(p => p.rest);
+
+    // Argument count (unknowable once a spread is involved)
+    if (spreadIndex === -1) {
+      const required = params.filter(p => !p.optional).length;
+      const max = restParam ? Infinity : params.length;
+      if (args.length < required) {
+        warnings.push(report(
+          'sn/wrong-argument-count',
+          `${callee} expects at least ${pluralizeArguments(required)}, got ${args.length} - ${shown}`,
+          locationFromNode(node)
+        ));
+      } else if (args.length > max) {
+        warnings.push(report(
+          'sn/wrong-argument-count',
+          `${callee} expects at most ${pluralizeArguments(max)}, got ${args.length} - ${shown}`,
+          locationFromNode(node)
+        ));
+      }
+    }
+
+    // Literal argument types, up to the first spread
+    const checked = spreadIndex === -1 ? args : args.slice(0, spreadIndex);
+    checked.forEach((arg, index) => {
+      const param = params[index] || restParam;
+      if (!param) return;
+      const argType = getLiteralType(arg);
+      if (!argType || isTypeCompatible(param.type, argType)) return;
+      // Quote short primitive literals; functions and objects are too noisy to repeat
+      const text = code.slice(arg.start, arg.end);
+      const got = PRIMITIVE_TYPES.has(argType) && text.length <= 40 ? `${argType} ${text}` : argType;
+      const suggestion = suggestLiteral(arg, param.type);
+      const location = locationFromNode(arg);
+      warnings.push(report(
+        'sn/argument-type-mismatch',
+        `${callee} expects ${param.name} to be ${param.type}, got ${got} - ${shown}`,
+        location,
+        suggestion,
+        suggestion ? createQuickFix(`Change to ${suggestion}`, createEdit(location, suggestion)) : null
+      ));
+    });
+  });
+
+  return warnings;
+}
+
+export default analyzeSignatureWarnings;
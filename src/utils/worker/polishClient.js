@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Polish Worker Client
+ * @description Promise-based access to the pipeline tasks running in the
+ * polish Web Worker, so formatting, typo passes, and linting of large scripts
+ * do not block the editor. Requests can be cancelled with an AbortSignal, and
+ * createLatestTask() cancels a task's previous request whenever a new one
+ * starts. Without Web Worker support the tasks run on the main thread.
+ * Tasks that configure the worker (the custom dictionary) are sent again to
+ * the worker that replaces a crashed one.
+ */
+
+// =============================================================================
+// WORKER LIFECYCLE
+// =============================================================================
+
+let worker = null;
+let nextRequestId = 1;
+
+/** Pending requests by id: { resolve, reject } */
+const pending = new Map();
+
+/** Tasks that set state in the worker rather than compute a result */
+const SETUP_TASKS = new Set(['applyCustomDictionary']);
+
+/** Latest arguments of each setup task, sent again to a new worker */
+const setup = new Map();
+
+/**
+ * Creates the error a cancelled request rejects with.
+ *
+ * @returns {Error}
+ */
+function cancelledError() {
+  const error = new Error('Request cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Checks whether an error comes from a cancelled request.
+ *
+ * @param {*} error - Caught error
+ * @returns {boolean}
+ */
+export function isCancelled(error) {
+  return !!error && error.name === 'AbortError';
+}
+
+/**
+ * Settles the pending request a worker message answers.
+ *
+ * @param {MessageEvent} event - Message from the worker
+ */
+function handleMessage(event) {
+  const { id, result, error } = event.data;
+  const request = pending.get(id);
+  if (!request) return; // Cancelled while running
+  pending.delete(id);
+  if (error !== undefined) request.reject(new Error(error));
+  else request.resolve(result);
+}
+
+/**
+ * Fails every pending request when the worker crashes, and discards the
+ * worker so the next request starts a fresh one.
+ *
+ * @param {ErrorEvent} event - Worker error
+ */
+function handleCrash(event) {
+  const error = new Error(`Polish worker failed: ${event.message || 'unknown error'}`);
+  for (const request of pending.values()) request.reject(error);
+  pending.clear();
+  worker.terminate();
+  worker = null;
+}
+
+/**
+ * Returns the polish worker, starting it on first use. A new worker first
+ * receives the setup tasks run so far; their results are not awaited.
+ *
+ * @returns {Worker|null} The worker, or null when workers are unavailable
+ */
+function getWorker() {
+  if (worker || typeof Worker === 'undefined') return worker;
+  try {
+    worker = new Worker(new URL('./polishWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = handleMessage;
+    worker.onerror = handleCrash;
+    for (const [task, args] of setup) worker.postMessage({ id: nextRequestId++, task, args });
+  } catch {
+    worker = null;
+  }
+  return worker;
+}
+
+// =============================================================================
+// TASKS
+// =============================================================================
+
+/**
+ * Runs a task on the main thread (no Web Worker support).
+ *
+ * @param {string} task - Task name
+ * @param {Array} args - Task arguments
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<*>}
+ */
+async function runInline(task, args, signal) {
+  const { TASKS } = await import('./workerTasks.js');
+  const result = await TASKS[task](...args);
+  if (signal && signal.aborted) throw cancelledError();
+  return result;
+}
+
+/**
+ * Runs a pipeline task in the polish worker.
+ *
+ * @param {'polishCode'|'polishJson'|'formatCodeStructure'|'lintCode'|'controlFlow'|'applyCustomDictionary'|'migrateToGlideQuery'|'applyLanguageFixes'} task - Task name
+ * @param {Array} args - Task arguments (structured-cloneable)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request; it then rejects with an AbortError
+ * @returns {Promise<*>} The task's result
+ */
+export function runTask(task, args, options = {}) {
+  const { signal } = options;
+  if (signal && signal.aborted) return Promise.reject(cancelledError());
+
+  const polishWorker = getWorker();
+  if (SETUP_TASKS.has(task)) setup.set(task, args);
+  if (!polishWorker) return runInline(task, args, signal);
+
+  const id = nextRequestId++;
+  return new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject });
+    polishWorker.postMessage({ id, task, args });
+
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        if (!pending.has(id)) return;
+        pending.delete(id);
+        polishWorker.postMessage({ type: 'cancel', id });
+        reject(cancelledError());
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * Wraps a task so that each call cancels the previous call's request, for
+ * work where only the newest result matters (live linting, re-polishing).
+ *
+ * @param {string} task - Task name
+ * @returns {Function} (...args) => Promise; superseded calls reject with an AbortError
+ */
+export function createLatestTask(task) {
+  let controller = null;
+  return (...args) => {
+    if (controller) controller.abort();
+    controller = new AbortController();
+    return runTask(task, args, { signal: controller.signal });
+  };
+}
+
+export default {
+  runTask,
+  createLatestTask,
+  isCancelled
+};
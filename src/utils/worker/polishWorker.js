@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Polish Web Worker
+ * @description Runs pipeline tasks off the main thread. Requests run one at a
+ * time in arrival order; a request cancelled before it starts is skipped.
+ * A running request cannot be interrupted, so the client drops its result.
+ *
+ * Messages in:  { id, task, args } | { type: 'cancel', id }
+ * Messages out: { id, result } | { id, error }
+ */
+
+import { TASKS } from './workerTasks.js';
+
+/** Requests waiting to run, oldest first */
+const queue = [];
+let draining = false;
+
+/**
+ * Runs the next queued request, yielding to the message queue between
+ * requests so that cancellations sent meanwhile are seen before they start.
+ */
+async function drain() {
+  const request = queue.shift();
+  if (request) {
+    try {
+      const result = await TASKS[request.task](...request.args);
+      self.postMessage({ id: request.id, result });
+    } catch (error) {
+      self.postMessage({ id: request.id, error: error.message || String(error) });
+    }
+  }
+
+  if (queue.length > 0) {
+    setTimeout(drain, 0);
+  } else {
+    draining = false;
+  }
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  if (message.type === 'cancel') {
+    const index = queue.findIndex(request => request.id === message.id);
+    if (index !== -1) queue.splice(index, 1);
+    return;
+  }
+
+  if (!TASKS[message.task]) {
+    self.postMessage({ id: message.id, error: `Unknown task "${message.task}"` });
+    return;
+  }
+
+  queue.push(message);
+  if (!draining) {
+    draining = true;
+    setTimeout(drain, 0);
+  }
+};
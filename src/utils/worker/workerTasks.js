@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Worker Tasks
+ * @description The pipeline entry points that run off the main thread, keyed
+ * by task name. Loaded by the polish worker, and directly by the client when
+ * Web Workers are unavailable. Arguments and results must survive structured
+ * cloning, so tasks take and return plain data only.
+ */
+
+import { polishCode, polishJson, formatCodeStructure, lintCode } from '../codePolish.js';
+import { parseCode, extractControlFlow } from '../astParser.js';
+import { applyCustomDictionary } from '../customDictionary.js';
+import { migrateToGlideQuery } from '../glideQueryMigration.js';
+import { applyLanguageFixes } from '../fixes/languageFixes.js';
+
+/**
+ * Parses code and extracts its control flow nodes.
+ *
+ * @param {string} code - Source code
+ * @returns {{ nodes: Array, error: string|null }} Flow nodes, or the parse error
+ */
+function controlFlow(code) {
+  const { ast, error } = parseCode(code);
+  if (error) return { nodes: [], error };
+  return { nodes: extractControlFlow(ast, code), error: null };
+}
+
+/**
+ * Task functions by name
+ */
+export const TASKS = {
+  polishCode,
+  polishJson,
+  formatCodeStructure,
+  lintCode,
+  controlFlow,
+  applyCustomDictionary,
+  migrateToGlideQuery,
+  applyLanguageFixes
+};
+
+export default TASKS;
@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Business Rule Tests
+ * @description The Business Rule analysis for each phase and set of
+ * operations: recursive saves and their setWorkflow() pairs, current.update()
+ * in before rules, unsaved changes, and previous in async rules, with the
+ * explanations and quick fixes, alone and through the polish pipeline.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { analyzeBusinessRule } from '../src/utils/warnings/businessRuleWarnings.js';
+import { lintCode, polishCode } from '../src/utils/codePolish.js';
+import { detectScriptType } from '../src/utils/scriptTypes.js';
+import { joinLines, applyQuickFix } from './support/fixtures.js';
+
+const rule = (...body) => joinLines(['(function executeRule(current, previous) {', ...body, '})(current, previous);']);
+
+describe('analyzeBusinessRule', () => {
+  test('explains current.update() in a before rule and removes it', () => {
+    const code = rule("  current.setValue('state', 2);", '  current.update();');
+    const [diagnostic] = analyzeBusinessRule(code, { when: 'before', table: 'incident', operations: ['update'] });
+    assert.equal(diagnostic.ruleId, 'sn/br-before-current-update');
+    assert.equal(diagnostic.message,
+      'current.update() in a before update Business Rule saves the record twice - before rules run just before the ' +
+      'record is saved, so changes to current are saved without it, and the extra save runs the update Business Rules ' +
+      'of incident again, including this one; remove it');
+    assert.equal(applyQuickFix(code, diagnostic.quickFix), rule("  current.setValue('state', 2);"));
+  });
+
+  test('tells a save that runs the rule again from one that runs other rules', () => {
+    const code = rule('  current.update();');
+    const [onUpdate] = analyzeBusinessRule(code, { when: 'after', table: 'incident', operations: ['update'] });
+    const [onInsert] = analyzeBusinessRule(code, { when: 'after', table: 'incident', operations: ['insert'] });
+    assert.match(onUpdate.message, /runs the update Business Rules of incident again, including this one \(recursion\)/);
+    assert.doesNotMatch(onInsert.message, /recursion/);
+    assert.equal(onInsert.severity, onUpdate.severity);
+  });
+
+  test('wraps a recursive save in setWorkflow(false) and setWorkflow(true)', () => {
+    const code = rule('  current.update();');
+    const [diagnostic] = analyzeBusinessRule(code, { when: 'async' });
+    assert.equal(applyQuickFix(code, diagnostic.quickFix), rule(
+      '  current.setWorkflow(false);',
+      '  current.update();',
+      '  current.setWorkflow(true);'
+    ));
+    assert.deepEqual(analyzeBusinessRule(applyQuickFix(code, diagnostic.quickFix), { when: 'async' }), []);
+  });
+
+  test('follows records of the same table and the operations they trigger', () => {
+    const messages = analyzeBusinessRule(rule(
+      "  var children = new GlideRecord('incident');",
+      "  children.addQuery('parent_incident', current.getUniqueValue());",
+      "  children.setValue('state', 7);",
+      '  children.updateMultiple();',
+      "  var stale = new GlideRecord('incident');",
+      "  stale.addQuery('active', false);",
+      '  stale.deleteMultiple();'
+    ), { when: 'after', table: 'incident', operations: ['update'] }).map(d => d.message);
+    assert.deepEqual(messages, [
+      'children.updateMultiple() on incident, the table of this Business Rule, runs this update rule again for ' +
+      'every matching record (recursion) - call children.setWorkflow(false) before it if the rule should not run'
+    ]);
+  });
+
+  test('restores setWorkflow() after the next save of current', () => {
+    const code = rule('  current.setWorkflow(false);', '  current.update();', "  gs.info('done');");
+    const [diagnostic] = analyzeBusinessRule(code, { when: 'after' });
+    assert.equal(diagnostic.ruleId, 'sn/br-workflow-not-restored');
+    assert.equal(applyQuickFix(code, diagnostic.quickFix), rule(
+      '  current.setWorkflow(false);',
+      '  current.update();',
+      '  current.setWorkflow(true);',
+      "  gs.info('done');"
+    ));
+  });
+
+  test('reports changes after the last save of current, naming the field', () => {
+    const messages = analyzeBusinessRule(rule(
+      "  current.comments = 'Escalated';",
+      "  current.assigned_to.setDisplayValue('Beth Anglin');"
+    ), { when: 'async', operations: ['insert'] }).map(d => d.message.split(' - ')[0]);
+    assert.deepEqual(messages, [
+      'current.comments is changed in an async insert Business Rule but never saved',
+      'current.assigned_to is changed in an async insert Business Rule but never saved'
+    ]);
+  });
+
+  test('leaves local records named current and previous alone', () => {
+    assert.deepEqual(analyzeBusinessRule(joinLines([
+      'function copy(previous) {',
+      "  var current = new GlideRecord('incident');",
+      '  current.initialize();',
+      '  current.short_description = previous.short_description;',
+      '  current.insert();',
+      '}'
+    ]), { when: 'async', table: 'problem' }), []);
+  });
+
+  test('reports nothing without when or for code that does not parse', () => {
+    assert.deepEqual(analyzeBusinessRule(rule('  current.update();')), []);
+    assert.deepEqual(analyzeBusinessRule('current.update(', { when: 'before' }), []);
+  });
+});
+
+describe('Business Rule options', () => {
+  test('take when from the script type and the rest from businessRule', () => {
+    const code = rule('  current.update();');
+    const ruleIds = options => lintCode(code, options).filter(d => d.ruleId.startsWith('sn/br-')).map(d => d.ruleId);
+    assert.deepEqual(ruleIds({ scriptType: 'business_rule_before' }), ['sn/br-before-current-update']);
+    assert.deepEqual(ruleIds({ scriptType: 'business_rule_after', businessRule: { operations: ['delete'] } }), ['sn/br-recursive-update']);
+    assert.deepEqual(ruleIds({ scriptType: 'script_include' }), []);
+  });
+
+  test('reach the polish warnings', async () => {
+    const result = await polishCode(rule("  gs.info(previous.getValue('state'));"), {
+      scriptType: 'business_rule_async',
+      businessRule: { table: 'incident', operations: ['update'] }
+    });
+    assert.deepEqual(result.errors.filter(d => d.ruleId === 'sn/br-async-previous').map(d => d.line), [2]);
+  });
+});
+
+describe('Business Rule detection', () => {
+  test('recognizes a Business Rule but leaves its phase to the selector', () => {
+    assert.equal(detectScriptType(rule('  current.update();')), 'business_rule');
+    assert.equal(detectScriptType("current.setAbortAction(true);\ngs.addErrorMessage('Invalid');"), 'business_rule');
+  });
+
+  test('reports saves of current under the phase-independent rule ids', () => {
+    const ruleIds = lintCode(rule('  current.update();')).map(d => d.ruleId);
+    assert.ok(ruleIds.includes('sn/current-update-in-br'));
+    assert.deepEqual(ruleIds.filter(ruleId => ruleId.startsWith('sn/br-')), []);
+  });
+
+  test('leaves the phase-specific checks out of the stock template', async () => {
+    const result = await polishCode(joinLines([
+      '(function executeRule(current, previous /*null when async*/) {',
+      '  current.state = 2;',
+      "  current.setValue('priority', 1);",
+      '})(current, previous);'
+    ]));
+    assert.equal(result.scriptType.detected, true);
+    assert.deepEqual(result.warnings.filter(d => d.ruleId === 'sn/br-unsaved-current-change'), []);
+  });
+});
+
+describe('former rule ids', () => {
+  const ruleIds = (code, options) => lintCode(code, options)
+    .filter(d => d.ruleId.startsWith('sn/br-') || d.ruleId.startsWith('sn/current-'))
+    .map(d => `${d.line}:${d.ruleId}:${d.severity}`);
+
+  test('report saves of current where the phase is unknown', () => {
+    const code = joinLines(['function onBefore(current, previous) {', '  current.update();', '  current.insert();', '}']);
+    assert.deepEqual(ruleIds(code, { scriptType: 'generic' }), [
+      '2:sn/current-update-in-br:warning',
+      '3:sn/current-insert-in-br:info'
+    ]);
+    assert.deepEqual(ruleIds(code, { scriptType: 'business_rule_before' }), [
+      '2:sn/br-before-current-update:warning',
+      '3:sn/br-recursive-update:warning'
+    ]);
+  });
+
+  test('silence the findings on the same call through suppression comments', () => {
+    const code = rule(
+      '  current.update(); // glideaware-disable-line sn/current-update-in-br',
+      '  current.insert();'
+    );
+    assert.deepEqual(ruleIds(code, { scriptType: 'business_rule_after' }), ['3:sn/br-recursive-update:warning']);
+  });
+
+  test('configure the findings on the same call through profile settings', () => {
+    const code = rule('  current.update();', '  current.insert();');
+    const profile = {
+      rules: {
+        'sn/current-update-in-br': { severity: 'error' },
+        'sn/current-insert-in-br': { enabled: false }
+      }
+    };
+    assert.deepEqual(ruleIds(code, { scriptType: 'business_rule_after', profile }), ['2:sn/br-recursive-update:error']);
+    profile.rules['sn/br-recursive-update'] = { severity: 'info' };
+    assert.deepEqual(ruleIds(code, { scriptType: 'business_rule_after', profile }), [
+      '2:sn/br-recursive-update:info',
+      '3:sn/br-recursive-update:info'
+    ]);
+  });
+});
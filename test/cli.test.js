@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Command-Line Runner Tests
+ * @description Runs bin/polish.js on files that formatting reflows and checks
+ * that the lines of each report format point into the file on disk: the source
+ * as written, or the polished output once --fix has written it.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, writeFile, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+
+import { joinLines } from './support/fixtures.js';
+
+const POLISH = fileURLToPath(new URL('../bin/polish.js', import.meta.url));
+
+/** Business Rule whose brace style Prettier joins onto the if line */
+const BUSINESS_RULE = joinLines([
+  '(function executeRule(current, previous) {',
+  '',
+  '    if(current.priority == 1)',
+  '    {',
+  '        current.setAbortAction(true);',
+  '    }',
+  '    current.update();',
+  '})(current, previous);',
+  ''
+]);
+
+/** JSON whose one-line object Prettier spreads over several lines */
+const SETTINGS = joinLines([
+  '{ "name": "settings", "items": [1, 2] ,',
+  '  "name": "duplicate" }',
+  ''
+]);
+
+/**
+ * Runs the CLI and resolves with its output and exit code.
+ *
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Promise<{ stdout: string, code: number }>}
+ */
+async function polish(...args) {
+  try {
+    const { stdout } = await promisify(execFile)(process.execPath, [POLISH, ...args], { timeout: 60000 });
+    return { stdout, code: 0 };
+  } catch (error) {
+    if (typeof error.code !== 'number') throw error;
+    return { stdout: error.stdout, code: error.code };
+  }
+}
+
+describe('polish CLI locations', () => {
+  let dir;
+  let script;
+  let json;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'glideaware-cli-'));
+    script = join(dir, 'business-rule.js');
+    json = join(dir, 'settings.json');
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  test('text reports point at the source lines', async () => {
+    await writeFile(script, BUSINESS_RULE);
+    const { stdout, code } = await polish('--script-type', 'business_rule_before', script);
+    assert.equal(code, 0);
+    assert.match(stdout, /^ {2}5:9 .*sn\/abort-without-return$/m);
+    assert.match(stdout, /^ {2}7:5 .*sn\/br-before-current-update$/m);
+  });
+
+  test('JSON reports point at the source lines of scripts and JSON files', async () => {
+    await writeFile(script, BUSINESS_RULE);
+    await writeFile(json, SETTINGS);
+    const { stdout } = await polish('--format', 'json', '--script-type', 'business_rule_before', script, json);
+    const located = JSON.parse(stdout).files.map(file => [...file.errors, ...file.warnings]
+      .filter(d => d.line)
+      .map(d => [d.ruleId, d.line]));
+    assert.deepEqual(located, [
+      [['sn/abort-without-return', 5], ['sn/br-before-current-update', 7]],
+      [['json/duplicate-key', 2]]
+    ]);
+  });
+
+  test('SARIF regions point at the source lines', async () => {
+    await writeFile(script, BUSINESS_RULE);
+    const { stdout } = await polish('--format', 'sarif', '--script-type', 'business_rule_before', script);
+    const regions = JSON.parse(stdout).runs[0].results
+      .filter(result => result.kind === 'fail')
+      .map(result => [result.ruleId, result.locations[0].physicalLocation.region.startLine]);
+    assert.deepEqual(regions, [['sn/abort-without-return', 5], ['sn/br-before-current-update', 7]]);
+  });
+
+  test('JUnit failures point at the source lines', async () => {
+    await writeFile(script, BUSINESS_RULE);
+    const { stdout, code } = await polish('--format', 'junit', '--script-type', 'business_rule_before', script);
+    assert.equal(code, 0);
+    assert.deepEqual([...stdout.matchAll(/^at .*business-rule\.js:(\d+:\d+)$/gm)].map(match => match[1]), ['5:9', '7:5']);
+  });
+
+  test('--fix reports point at the lines of the written output', async () => {
+    await writeFile(script, BUSINESS_RULE);
+    const { stdout } = await polish('--fix', '--script-type', 'business_rule_before', script);
+    const output = (await readFile(script, 'utf8')).split('\n');
+    const [, line] = stdout.match(/^ {2}(\d+):\d+ .*sn\/abort-without-return$/m);
+    assert.match(output[line - 1], /current\.setAbortAction\(true\);/);
+  });
+});
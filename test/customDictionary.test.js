@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Custom Dictionary Tests
+ * @description Reading classes from Script Include source and dictionary
+ * files, and merging them into the API dictionary used by typo correction
+ * and the visualizer.
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  parseScriptInclude,
+  normalizeClass,
+  applyCustomDictionary,
+  exportCustomDictionary,
+  importCustomDictionary
+} from '../src/utils/customDictionary.js';
+import { CLASS_NAMES, CONTEXT_METHOD_MAP, ALL_METHODS } from '../src/utils/fixes/servicenowDictionary.js';
+import { SERVICENOW_CLASSES } from '../src/utils/astParser.js';
+import { fuzzyCorrectCode } from '../src/utils/fixes/fuzzyMatcher.js';
+
+const INCIDENT_UTILS = {
+  name: 'IncidentUtils',
+  extends: null,
+  methods: ['getRecords', 'closeIncident']
+};
+
+describe('parseScriptInclude', () => {
+  test('reads Class.create() with a prototype object literal', () => {
+    const source = [
+      'var IncidentUtils = Class.create();',
+      'IncidentUtils.prototype = {',
+      '  initialize: function() {},',
+      '  getRecords: function(caller) { return []; },',
+      '  closeIncident: function(id) {},',
+      "  type: 'IncidentUtils'",
+      '};'
+    ].join('\n');
+    assert.deepEqual(parseScriptInclude(source), [INCIDENT_UTILS]);
+  });
+
+  test('reads Object.extendsObject() and prototype and static assignments', () => {
+    const source = [
+      'var CMDBAjax = Class.create();',
+      'CMDBAjax.prototype = Object.extendsObject(global.AbstractAjaxProcessor, {',
+      '  findCi: function() {}',
+      '});',
+      'CMDBAjax.prototype.relate = function() {};',
+      'CMDBAjax.version = function() {};'
+    ].join('\n');
+    assert.deepEqual(parseScriptInclude(source), [
+      { name: 'CMDBAjax', extends: 'AbstractAjaxProcessor', methods: ['findCi', 'relate', 'version'] }
+    ]);
+  });
+
+  test('reads class declarations', () => {
+    const source = 'class CMDBHelper extends BaseHelper { constructor() { super(); } findCi(name) {} static create() {} }';
+    assert.deepEqual(parseScriptInclude(source), [
+      { name: 'CMDBHelper', extends: 'BaseHelper', methods: ['findCi', 'create'] }
+    ]);
+  });
+
+  test('rejects source without a class or that does not parse', () => {
+    assert.throws(() => parseScriptInclude('var x = 1;'), /No Script Include class found/);
+    assert.throws(() => parseScriptInclude('var X = Class.create(;'), /does not parse/);
+  });
+});
+
+describe('normalizeClass', () => {
+  test('removes duplicate methods', () => {
+    assert.deepEqual(normalizeClass({ name: 'A', methods: ['run', 'run'] }), { name: 'A', extends: null, methods: ['run'] });
+  });
+
+  test('rejects malformed definitions and built-in names', () => {
+    assert.throws(() => normalizeClass({ name: 'my utils', methods: [] }), /class name must be an identifier/);
+    assert.throws(() => normalizeClass({ name: 'A', methods: ['a-b'] }), /must be a list of identifiers/);
+    assert.throws(() => normalizeClass({ name: 'GlideRecord', methods: [] }), /GlideRecord is a built-in API/);
+  });
+});
+
+describe('applyCustomDictionary', () => {
+  afterEach(() => applyCustomDictionary([]));
+
+  const CODE = "var u = new IncidentUtil();\nu.getRecords();\nu.closeIncidnet('1');";
+
+  test('stops custom methods from being corrected into Glide methods', () => {
+    assert.equal(fuzzyCorrectCode(CODE).processed, "var u = new IncidentUtil();\nu.getRecord();\nu.closeIncidnet('1');");
+    applyCustomDictionary([INCIDENT_UTILS]);
+    assert.equal(fuzzyCorrectCode(CODE).processed, "var u = new IncidentUtils();\nu.getRecords();\nu.closeIncident('1');");
+  });
+
+  test('adds classes to the dictionary and the visualizer, and can be undone', () => {
+    applyCustomDictionary([INCIDENT_UTILS]);
+    assert.ok(CLASS_NAMES.includes('IncidentUtils'));
+    assert.ok(SERVICENOW_CLASSES.includes('IncidentUtils'));
+    assert.ok(ALL_METHODS.includes('closeIncident'));
+
+    applyCustomDictionary([]);
+    assert.ok(!CLASS_NAMES.includes('IncidentUtils'));
+    assert.ok(!SERVICENOW_CLASSES.includes('IncidentUtils'));
+    assert.ok(!ALL_METHODS.includes('closeIncident'));
+    assert.equal(CONTEXT_METHOD_MAP.IncidentUtils, undefined);
+  });
+
+  test('includes inherited methods from custom and built-in base classes', () => {
+    applyCustomDictionary([
+      { name: 'BaseUtils', methods: ['log'] },
+      { name: 'TaskUtils', extends: 'BaseUtils', methods: ['assign'] },
+      { name: 'TaskAjax', extends: 'AbstractAjaxProcessor', methods: ['lookup'] }
+    ]);
+    assert.deepEqual(CONTEXT_METHOD_MAP.TaskUtils, ['assign', 'log']);
+    assert.ok(CONTEXT_METHOD_MAP.TaskAjax.includes('getParameter'));
+  });
+});
+
+describe('dictionary files', () => {
+  test('round-trip through export and import', () => {
+    assert.deepEqual(importCustomDictionary(exportCustomDictionary([INCIDENT_UTILS])), [INCIDENT_UTILS]);
+  });
+
+  test('rejects other files and newer versions', () => {
+    assert.throws(() => importCustomDictionary({ profile: {} }), /Invalid dictionary file format/);
+    assert.throws(() => importCustomDictionary({ version: 99, classes: [] }), /newer than this app supports/);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Encoded Query Tests
+ * @description Parsing encoded queries into condition trees, the errors
+ * reported for malformed ones, and conversion to and from addQuery() script.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  parseEncodedQuery,
+  describeCondition,
+  stringifyEncodedQuery,
+  encodedQueryToScript,
+  scriptToEncodedQuery,
+  findEncodedQueries
+} from '../src/utils/encodedQuery.js';
+import { analyzeEncodedQueries } from '../src/utils/warnings/encodedQueryWarnings.js';
+
+const QUERY = 'active=true^priorityIN1,2^ORassigned_toISEMPTY^ORDERBYDESCsys_created_on';
+
+/**
+ * Returns the conditions of each clause of a query's first group in words.
+ */
+const describeClauses = query => parseEncodedQuery(query).groups[0].clauses
+  .map(clause => clause.conditions.map(describeCondition));
+
+describe('parseEncodedQuery', () => {
+  test('builds AND clauses of OR conditions, and the ordering', () => {
+    const parsed = parseEncodedQuery(QUERY);
+    assert.deepEqual(parsed.errors, []);
+    assert.deepEqual(describeClauses(QUERY), [
+      ['active is true'],
+      ['priority is one of 1, 2', 'assigned_to is empty']
+    ]);
+    assert.deepEqual(parsed.orderBy, [{ field: 'sys_created_on', descending: true }]);
+  });
+
+  test('splits ^NQ groups and unescapes ^^ in values', () => {
+    const parsed = parseEncodedQuery('active=true^NQshort_descriptionLIKEa^^b^EQ');
+    assert.equal(parsed.groups.length, 2);
+    assert.equal(parsed.groups[1].clauses[0].conditions[0].value, 'a^b');
+    assert.equal(stringifyEncodedQuery(parsed), 'active=true^NQshort_descriptionLIKEa^^b');
+  });
+
+  test('keeps related list queries whole', () => {
+    const query = 'active=true^RLQUERYtask_sla.task,>=1^stage=breached^ENDRLQUERY';
+    const parsed = parseEncodedQuery(query);
+    assert.deepEqual(parsed.errors, []);
+    assert.equal(parsed.groups[0].clauses[1].related, 'RLQUERYtask_sla.task,>=1^stage=breached^ENDRLQUERY');
+    assert.equal(stringifyEncodedQuery(parsed), query);
+  });
+
+  test('reports dangling ^OR and ^NQ', () => {
+    const messages = query => parseEncodedQuery(query).errors.map(error => error.message);
+    assert.match(messages('^ORactive=true')[0], /Dangling \^OR: there is no condition before it/);
+    assert.match(messages('active=true^OR')[0], /Dangling \^OR: there is no condition after it/);
+    assert.match(messages('ORDERBYnumber^ORactive=true')[0], /Dangling \^OR/);
+    assert.match(messages('active=true^NQ')[0], /Dangling \^NQ: there is no condition after it/);
+  });
+
+  test('reports malformed operators with their correction', () => {
+    const errors = query => parseEncodedQuery(query).errors.map(({ message, replacement }) => [message, replacement]);
+    assert.deepEqual(errors('active==true'), [['Unknown operator "==" in "active==true": use =', 'active=true']]);
+    assert.deepEqual(errors('state<>7'), [['Unknown operator "<>" in "state<>7": use !=', 'state!=7']]);
+    assert.deepEqual(errors('descriptionlikeemail'), [[
+      'Unknown operator "like" in "descriptionlikeemail": operators are upper case (LIKE)',
+      'descriptionLIKEemail'
+    ]]);
+    assert.deepEqual(errors('active'), [['Condition "active" has no operator', undefined]]);
+  });
+
+  test('reports values the operator does not take', () => {
+    assert.match(parseEncodedQuery('assigned_toISEMPTYadmin').errors[0].message, /ISEMPTY takes no value/);
+    assert.match(parseEncodedQuery('priorityIN').errors[0].message, /needs a comma-separated list/);
+    assert.match(parseEncodedQuery('sys_created_onBETWEEN2024-01-01').errors[0].message, /separated by @/);
+  });
+
+  test('reports a leading or trailing ^ as an empty condition', () => {
+    const errors = query => parseEncodedQuery(query).errors.map(({ message, start, end }) => [message, start, end]);
+    assert.deepEqual(errors('active=true^'), [['Dangling ^: there is no condition after it', 11, 12]]);
+    assert.deepEqual(errors('^active=true'), [['Dangling ^: there is no condition before it', 0, 1]]);
+    assert.deepEqual(errors('short_description=a^^'), []);
+    assert.deepEqual(errors(''), []);
+  });
+});
+
+describe('encodedQueryToScript', () => {
+  test('writes addQuery() and addOrCondition() calls', () => {
+    assert.equal(
+      encodedQueryToScript('active=true^priority=1^ORpriority=2^short_descriptionLIKEemail^assigned_toISEMPTY^ORDERBYnumber'),
+      [
+        "gr.addQuery('active', 'true');",
+        "var qc = gr.addQuery('priority', '1');",
+        "qc.addOrCondition('priority', '2');",
+        "gr.addQuery('short_description', 'CONTAINS', 'email');",
+        "gr.addNullQuery('assigned_to');",
+        "gr.orderBy('number');"
+      ].join('\n')
+    );
+  });
+
+  test('keeps addEncodedQuery() for clauses without an addQuery() form', () => {
+    assert.equal(
+      encodedQueryToScript(QUERY, { receiver: 'inc' }),
+      "inc.addQuery('active', 'true');\ninc.addEncodedQuery('priorityIN1,2^ORassigned_toISEMPTY');\ninc.orderByDesc('sys_created_on');"
+    );
+  });
+
+  test('rejects malformed queries and ^NQ', () => {
+    assert.throws(() => encodedQueryToScript('active=true^OR'), /Invalid encoded query: Dangling \^OR/);
+    assert.throws(() => encodedQueryToScript('active=true^NQpriority=1'), /joined by \^NQ/);
+  });
+});
+
+describe('scriptToEncodedQuery', () => {
+  test('reads query calls in source order, chained and through condition variables', () => {
+    const code = [
+      "var gr = new GlideRecord('incident');",
+      'gr.addActiveQuery();',
+      "gr.addQuery('priority', '<=', 2).addOrCondition('urgency', 1);",
+      "var qc = gr.addQuery('category', 'software');",
+      "qc.addOrCondition('short_description', 'CONTAINS', 'email');",
+      "gr.addEncodedQuery('stateIN1,2^ORDERBYnumber');",
+      'gr.query();'
+    ].join('\n');
+    assert.equal(
+      scriptToEncodedQuery(code),
+      'active=true^priority<=2^ORurgency=1^category=software^ORshort_descriptionLIKEemail^stateIN1,2^ORDERBYnumber'
+    );
+  });
+
+  test('round-trips with encodedQueryToScript', () => {
+    const query = 'active=true^priorityIN1,2^ORpriority=4^assigned_toISNOTEMPTY^ORDERBYDESCsys_created_on';
+    assert.equal(scriptToEncodedQuery(encodedQueryToScript(query)), query);
+  });
+
+  test('rejects scripts it cannot convert', () => {
+    assert.throws(() => scriptToEncodedQuery("gr.addQuery('active', flag);"), /arguments must be literals/);
+    assert.throws(() => scriptToEncodedQuery("a.addQuery('x', 1);\nb.addQuery('y', 2);"), /more than one record \(a, b\)/);
+    assert.throws(() => scriptToEncodedQuery("gr.addQuery('x', 'MATCHES', 1);"), /unknown addQuery\(\) operator "MATCHES"/);
+    assert.throws(
+      () => scriptToEncodedQuery("gr.addQuery('active', true).addOrCondition('assigned_to', 'ISEMPTY', '');"),
+      /addOrCondition\(\) does not take the operator "ISEMPTY", which only encoded queries use/
+    );
+    assert.throws(() => scriptToEncodedQuery('gr.query();'), /no addQuery\(\) or addEncodedQuery\(\) calls/);
+  });
+});
+
+describe('encoded query errors in scripts', () => {
+  test('finds literal queries and locates errors inside them', () => {
+    const code = "var gr = new GlideRecord('incident');\ngr.addEncodedQuery('active=true^priorityin1,2');";
+    assert.deepEqual(findEncodedQueries(code).map(({ query, receiver }) => [query, receiver]), [
+      ['active=true^priorityin1,2', 'gr']
+    ]);
+
+    const [diagnostic] = analyzeEncodedQueries(code);
+    assert.equal(diagnostic.ruleId, 'sn/invalid-encoded-query');
+    assert.deepEqual(
+      [diagnostic.line, diagnostic.column, diagnostic.endLine, diagnostic.endColumn],
+      [2, 33, 2, 46]
+    );
+    assert.equal(diagnostic.suggestion, 'priorityIN1,2');
+    assert.ok(diagnostic.quickFix);
+  });
+});
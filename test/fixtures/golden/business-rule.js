@@ -0,0 +1,15 @@
+(function executeRule(current, previous /*null when async*/) {
+    if(current.priority == 1)
+    {
+        current.setAbortAction(true);
+    }
+    var gr = new GlideReocrd('task');
+    gr.addQeury('parent', current.getValue('sys_id'));
+    gr.query();;
+    while (gr.next()) {
+        gr.setValue('state', 3);
+        gr.udpate();
+    }
+    current.work_notes = 'Closed children on ' + gs.now();
+    current.update();
+})(current, previous);
@@ -0,0 +1,14 @@
+function onChange(control, oldValue, newValue, isLoading, isTemplate) {
+   if (isLoading || newValue === '') {
+      return;
+   }
+   g_form.setMandaotry('assignment_group', true);
+   var ga = new GlideAjax('IncidentUtils');
+   ga.addParm('sysparm_name', 'countOpen');
+   ga.addParam('sysparm_caller', newValue);
+   ga.getXMLWait();
+   var caller = g_form.getReference('caller_id');
+   if (g_user.hasRoel('itil')) {
+      g_form.addInfoMessage('Caller: ' + caller.name);
+   }
+}
@@ -0,0 +1,27 @@
+var IncidentUtils = Class.create();
+IncidentUtils.prototype = {
+    initialize: function() {
+    },
+
+    countOpen: function(callerId) {
+        var gr = new GlideRecord('incident');
+        gr.addQuery('caller_id=' + callerId);
+        gr.addEncodedQuery('active=true');
+        gr.query();
+        return gr.getRowCount();
+    },
+
+    closeAll: function(ids) {
+        for (var i = 0; i < ids.length; i++) {
+            var inc = new GlideRecord('incident');
+            if (inc.get(ids[i]) == true) {
+                inc.setValue('state', 7);
+                inc.setWorkflow(false);
+                inc.update();
+            }
+        }
+        gs.print('Closed ' + ids.length + ' incidents');
+    },
+
+    type: 'IncidentUtils'
+};
@@ -0,0 +1,11 @@
+var gr = new GlideRecord('incident');
+gr.query(); // glideaware-disable-line sn/unfiltered-query
+while (gr.next()) {
+    // glideaware-disable-next-line sn/update-in-loop
+    gr.update();
+    gr.deleteRecord();
+}
+/* glideaware-disable sn/gs-sleep */
+gs.sleep(100);
+/* glideaware-enable sn/gs-sleep */
+gs.sleep(200);
@@ -0,0 +1,3 @@
+var gr = new GlideRecord('incident');
+gr.addQuery('active', true;
+gr.query();
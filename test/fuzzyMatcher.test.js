@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Fuzzy Matcher Tests
+ * @description Edit distance, confidence tiers, and how each tier is applied:
+ * high and medium confidence matches are corrected, low confidence matches
+ * are only suggested, and ambiguous or distant names are left alone.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  damerauLevenshteinDistance,
+  findBestMatch,
+  findBestMethodMatch,
+  fuzzyCorrectCode
+} from '../src/utils/fixes/fuzzyMatcher.js';
+
+const DICTIONARY = ['getValue', 'setValue', 'hasNext', 'query', 'insert'];
+
+const GLIDE_RECORD = "var gr = new GlideRecord('incident');";
+
+describe('damerauLevenshteinDistance', () => {
+  test('is 0 for equal strings', () => {
+    assert.equal(damerauLevenshteinDistance('query', 'query'), 0);
+  });
+
+  test('counts a transposition as one edit', () => {
+    assert.equal(damerauLevenshteinDistance('qeury', 'query'), 1);
+  });
+
+  test('counts insertions, deletions, and substitutions', () => {
+    assert.equal(damerauLevenshteinDistance('query', 'queryy'), 1);
+    assert.equal(damerauLevenshteinDistance('query', 'qery'), 1);
+    assert.equal(damerauLevenshteinDistance('query', 'quary'), 1);
+    assert.equal(damerauLevenshteinDistance('kitten', 'sitting'), 3);
+  });
+});
+
+describe('findBestMatch confidence tiers', () => {
+  test('valid names need no correction', () => {
+    const result = findBestMatch('getValue', DICTIONARY);
+    assert.equal(result.confidence, null);
+    assert.equal(result.shouldAutoFix, false);
+  });
+
+  test('one edit on a long name is high confidence', () => {
+    const result = findBestMatch('getValeu', DICTIONARY);
+    assert.deepEqual([result.match, result.confidence, result.shouldAutoFix], ['getValue', 'high', true]);
+  });
+
+  test('case differences alone are high confidence', () => {
+    const result = findBestMatch('getvalue', DICTIONARY);
+    assert.deepEqual([result.match, result.confidence], ['getValue', 'high']);
+  });
+
+  test('two edits on a long name are medium confidence', () => {
+    const result = findBestMatch('getVlaeu', DICTIONARY);
+    assert.deepEqual([result.match, result.confidence, result.shouldAutoFix], ['getValue', 'medium', true]);
+  });
+
+  test('two edits on a shorter name are low confidence and not auto-fixed', () => {
+    const result = findBestMatch('hasNxte', DICTIONARY);
+    assert.deepEqual([result.match, result.confidence, result.shouldAutoFix], ['hasNext', 'low', false]);
+  });
+
+  test('names equally close to two entries are left alone', () => {
+    const result = findBestMatch('xetValue', DICTIONARY);
+    assert.equal(result.match, null);
+    assert.equal(result.confidence, null);
+  });
+
+  test('distant names are left alone', () => {
+    assert.equal(findBestMatch('frobnicate', DICTIONARY).match, null);
+  });
+
+  test('method matches use the receiver type dictionary', () => {
+    assert.equal(findBestMethodMatch('addSecnds', 'GlideDateTime').match, 'addSeconds');
+    assert.equal(findBestMethodMatch('addSecnds', 'GlideRecord').match, null);
+  });
+});
+
+describe('fuzzyCorrectCode', () => {
+  test('corrects high confidence typos as sn/fuzzy-typo', () => {
+    const result = fuzzyCorrectCode(`${GLIDE_RECORD} gr.addQuerry('active', true);`);
+    assert.equal(result.processed, `${GLIDE_RECORD} gr.addQuery('active', true);`);
+    assert.deepEqual(result.fixes.map(fix => fix.ruleId), ['sn/fuzzy-typo']);
+    assert.deepEqual(result.edits.map(edit => edit.text), ['addQuery']);
+  });
+
+  test('corrects medium confidence typos as sn/fuzzy-likely-typo', () => {
+    const result = fuzzyCorrectCode(`${GLIDE_RECORD} gr.setLimitzz(1);`);
+    assert.equal(result.processed, `${GLIDE_RECORD} gr.setLimit(1);`);
+    assert.deepEqual(result.fixes.map(fix => fix.ruleId), ['sn/fuzzy-likely-typo']);
+  });
+
+  test('only suggests low confidence typos, located in the code', () => {
+    const code = `${GLIDE_RECORD} while (gr.hasNxte()) {}`;
+    const result = fuzzyCorrectCode(code);
+    assert.equal(result.processed, code);
+    assert.deepEqual(result.fixes, []);
+    assert.deepEqual(
+      result.suggestions.map(({ ruleId, suggestion, line, column }) => ({ ruleId, suggestion, line, column })),
+      [{ ruleId: 'sn/possible-typo', suggestion: 'hasNext', line: 1, column: 49 }]
+    );
+  });
+});
+
+describe('fuzzyCorrectCode receiver types', () => {
+  test('matches methods against the type a local function returns', () => {
+    const code = 'function later() { return new GlideDateTime(); }\nvar t = later();\nt.addSecnds(60);';
+    assert.equal(fuzzyCorrectCode(code).processed, code.replace('addSecnds', 'addSeconds'));
+  });
+
+  test('matches dot-walked fields against GlideElement', () => {
+    const result = fuzzyCorrectCode('var caller = current.caller_id.getRefRecrod();');
+    assert.equal(result.processed, 'var caller = current.caller_id.getRefRecord();');
+  });
+
+  test('leaves methods of plain JavaScript values alone', () => {
+    const code = "function onChange(control, oldValue, newValue) {\n  newValue.indxOf('a');\n}";
+    const result = fuzzyCorrectCode(code);
+    assert.equal(result.processed, code);
+    assert.deepEqual(result.suggestions, []);
+  });
+
+  test('falls back to pattern matching for code that does not parse', () => {
+    const result = fuzzyCorrectCode(`${GLIDE_RECORD}\ngr.addQuerry('active', true)\n  .x(`);
+    assert.equal(result.processed, `${GLIDE_RECORD}\ngr.addQuery('active', true)\n  .x(`);
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * @fileoverview GlideQuery Migration Tests
+ * @description Rewriting GlideRecord idioms as GlideQuery chains, and the
+ * cases left alone because the record is used in ways GlideQuery does not
+ * support.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findGlideQueryMigrations, migrateToGlideQuery } from '../src/utils/glideQueryMigration.js';
+import { joinLines } from './support/fixtures.js';
+
+describe('migrateToGlideQuery', () => {
+  test('turns query-and-iterate into select().forEach()', () => {
+    const code = joinLines([
+      'function closeResolved() {',
+      "    var gr = new GlideRecord('incident');",
+      '    gr.addActiveQuery();',
+      "    gr.addQuery('priority', 'IN', '1,2');",
+      "    gr.orderBy('number');",
+      '    gr.query();',
+      '    while (gr.next()) {',
+      "        if (gr.getValue('state') == 7) continue;",
+      "        gs.info(gr.number + ' ' + gr.caller_id.getDisplayValue() + gr.getUniqueValue());",
+      '    }',
+      '}'
+    ]);
+    const { code: migrated, migrations } = migrateToGlideQuery(code);
+    assert.deepEqual(migrations.map(({ idiom, variable, line }) => [idiom, variable, line]), [['query-iterate', 'gr', 2]]);
+    assert.equal(migrated, joinLines([
+      'function closeResolved() {',
+      "    new GlideQuery('incident')",
+      "        .where('active', true)",
+      "        .where('priority', 'IN', ['1', '2'])",
+      "        .orderBy('number')",
+      "        .select('state', 'number', 'caller_id$DISPLAY')",
+      '        .forEach(function (gr) {',
+      '            if (gr.state == 7) return;',
+      "            gs.info(gr.number + ' ' + gr.caller_id$DISPLAY + gr.sys_id);",
+      '        });',
+      '}'
+    ]));
+  });
+
+  test('turns get-by-sys_id into get().ifPresent() and field lookups into getBy()', () => {
+    const byId = migrateToGlideQuery(joinLines([
+      "var user = new GlideRecord('sys_user');",
+      'if (user.get(userId)) {',
+      "  gs.info(user.getDisplayValue('manager'));",
+      '}'
+    ]));
+    assert.equal(byId.code, joinLines([
+      "new GlideQuery('sys_user')",
+      "  .get(userId, ['manager$DISPLAY'])",
+      '  .ifPresent(function (user) {',
+      '    gs.info(user.manager$DISPLAY);',
+      '  });'
+    ]));
+
+    const byField = migrateToGlideQuery(joinLines([
+      "var inc = new GlideRecord('incident');",
+      "if (inc.get('number', 'INC0010001')) gs.info(inc.short_description);"
+    ]));
+    assert.equal(byField.code, joinLines([
+      "new GlideQuery('incident')",
+      "  .getBy({ number: 'INC0010001' }, ['short_description'])",
+      '  .ifPresent(function (inc) {',
+      '    gs.info(inc.short_description);',
+      '  });'
+    ]));
+  });
+
+  test('turns an existence check into selectOne().isPresent()', () => {
+    const { code, migrations } = migrateToGlideQuery(joinLines([
+      "var gr = new GlideRecord('incident');",
+      "gr.addQuery('caller_id', gs.getUserID());",
+      'gr.setLimit(1);',
+      'gr.query();',
+      'if (gr.hasNext()) {',
+      "  gs.addInfoMessage('You have incidents');",
+      '}'
+    ]));
+    assert.equal(migrations[0].idiom, 'exists');
+    assert.equal(code, joinLines([
+      "if (new GlideQuery('incident').where('caller_id', gs.getUserID()).selectOne().isPresent()) {",
+      "  gs.addInfoMessage('You have incidents');",
+      '}'
+    ]));
+  });
+
+  test('turns a GlideAggregate COUNT into count()', () => {
+    const assigned = migrateToGlideQuery(joinLines([
+      "var ga = new GlideAggregate('incident');",
+      "ga.addQuery('active', true);",
+      "ga.addAggregate('COUNT');",
+      'ga.query();',
+      "if (ga.next()) total = parseInt(ga.getAggregate('COUNT'), 10);"
+    ]));
+    assert.equal(assigned.code, "total = new GlideQuery('incident').where('active', true).count();");
+
+    const used = migrateToGlideQuery(joinLines([
+      "var ga = new GlideAggregate('incident');",
+      "ga.addEncodedQuery('active=true^priority=1');",
+      "ga.addAggregate('COUNT');",
+      'ga.query();',
+      'ga.next();',
+      "gs.info('Open P1s: ' + ga.getAggregate('COUNT'));"
+    ]));
+    assert.equal(used.code, "gs.info('Open P1s: ' + GlideQuery.parse('incident', 'active=true^priority=1').count());");
+  });
+
+  test('keeps the statements between query() and the COUNT in front of count()', () => {
+    const counted = (...between) => migrateToGlideQuery(joinLines([
+      "var ga = new GlideAggregate('incident');",
+      "ga.addQuery('state', state);",
+      "ga.addAggregate('COUNT');",
+      'ga.query();',
+      ...between,
+      "if (ga.next()) count = parseInt(ga.getAggregate('COUNT'), 10);"
+    ])).code;
+    assert.equal(counted('var count = 0;', "var label = 'Active';"), joinLines([
+      'var count = 0;',
+      "var label = 'Active';",
+      "count = new GlideQuery('incident').where('state', state).count();"
+    ]));
+    assert.match(counted('var count = 0;', 'state = 2;'), /GlideAggregate/);
+    assert.match(counted('var count = 0;', "gs.info('Counting');"), /GlideAggregate/);
+  });
+
+  test('turns getRowCount() and counting loops into count()', () => {
+    const counted = (...body) => migrateToGlideQuery(joinLines([
+      'var count = 0;',
+      "var gr = new GlideRecord('incident');",
+      "gr.addQuery('active', true);",
+      "gr.orderBy('number');",
+      'gr.query();',
+      ...body
+    ]));
+    const query = "new GlideQuery('incident').where('active', true).count()";
+    assert.equal(counted('if (gr.next()) {', '  count = gr.getRowCount();', '}').code, `var count = 0;\ncount = ${query};`);
+    assert.equal(counted('while (gr.next()) {', '  count++;', '}').code, `var count = 0;\ncount += ${query};`);
+    assert.equal(counted('while (gr.next()) count = count + 1;').code, `var count = 0;\ncount += ${query};`);
+    assert.equal(counted("gs.info('Active: ' + gr.getRowCount());").code, `var count = 0;\ngs.info('Active: ' + ${query});`);
+    assert.deepEqual(counted('while (gr.next()) {', '  count++;', '}').migrations.map(m => m.idiom), ['count']);
+  });
+
+  test('turns updateMultiple() and deleteMultiple() into GlideQuery writes', () => {
+    const { code, migrations } = migrateToGlideQuery(joinLines([
+      "var gr = new GlideRecord('incident');",
+      "gr.addQuery('state', 6);",
+      "gr.setValue('state', 7);",
+      'gr.active = false;',
+      'gr.setWorkflow(false);',
+      'gr.updateMultiple();',
+      '',
+      "var old = new GlideRecord('syslog');",
+      "old.addQuery('sys_created_on', '<', cutoff);",
+      'old.deleteMultiple();'
+    ]));
+    assert.deepEqual(migrations.map(migration => migration.idiom), ['update-multiple', 'delete-multiple']);
+    assert.equal(code, joinLines([
+      "new GlideQuery('incident')",
+      "  .where('state', 6)",
+      '  .disableWorkflow()',
+      '  .updateMultiple({ state: 7, active: false });',
+      '',
+      "new GlideQuery('syslog')",
+      "  .where('sys_created_on', '<', cutoff)",
+      '  .deleteMultiple();'
+    ]));
+  });
+});
+
+describe('findGlideQueryMigrations', () => {
+  test('leaves records that are written, passed on, or used afterwards', () => {
+    const unchanged = [
+      joinLines([
+        "var gr = new GlideRecord('incident');",
+        'gr.query();',
+        'while (gr.next()) { gr.state = 7; gr.update(); }'
+      ]),
+      joinLines([
+        "var gr = new GlideRecord('incident');",
+        'gr.query();',
+        'while (gr.next()) { process(gr); }'
+      ]),
+      joinLines([
+        "var gr = new GlideRecord('incident');",
+        'if (gr.get(id)) { gs.info(gr.caller_id.name); }',
+        'return gr;'
+      ]),
+      joinLines([
+        "var gr = new GlideRecord('incident');",
+        "gr.addQuery('active', true).addOrCondition('priority', 1);",
+        'gr.query();',
+        'while (gr.next()) { gs.info(gr.number); }'
+      ]),
+      joinLines([
+        'for (var i = 0; i < ids.length; i++) {',
+        "  var gr = new GlideRecord('incident');",
+        '  if (gr.get(ids[i])) { break; }',
+        '}'
+      ])
+    ];
+    unchanged.forEach(code => assert.deepEqual(findGlideQueryMigrations(code), [], code));
+  });
+
+  test('allows a record variable to be declared again for another query', () => {
+    const code = joinLines([
+      "var gr = new GlideRecord('incident');",
+      "gr.addQuery('active', false);",
+      'gr.deleteMultiple();',
+      "var gr = new GlideRecord('problem');",
+      'gr.query();',
+      'while (gr.next()) { gr.deleteRecord(); }'
+    ]);
+    assert.deepEqual(findGlideQueryMigrations(code).map(migration => migration.idiom), ['delete-multiple']);
+  });
+
+  test('keeps statements separated by comments', () => {
+    const code = joinLines([
+      "var gr = new GlideRecord('incident');",
+      '// only closed incidents',
+      "gr.addQuery('state', 7);",
+      'gr.deleteMultiple();'
+    ]);
+    assert.deepEqual(findGlideQueryMigrations(code), []);
+  });
+});
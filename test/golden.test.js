@@ -0,0 +1,21 @@
+/**
+ * @fileoverview Golden Tests
+ * @description Polishes every script and JSON file in test/fixtures/golden
+ * and compares the output, fixes, warnings, and errors with the stored
+ * <input>.golden.json. After an intended change, review the difference and
+ * refresh the files with `UPDATE_GOLDEN=1 npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { polishCode, polishJson } from '../src/utils/codePolish.js';
+import { loadGoldenCases, summarizeResult, readGolden } from './support/fixtures.js';
+
+for (const { name, language, input, goldenPath } of loadGoldenCases()) {
+  test(name, async () => {
+    const result = language === 'json' ? await polishJson(input) : await polishCode(input);
+    const actual = summarizeResult(result);
+    assert.deepEqual(actual, readGolden(goldenPath, actual));
+  });
+}
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Language Target Tests
+ * @description Resolving the JavaScript mode of a script, the unsupported
+ * syntax check, and the ES5 downleveling and ES2021 modernization passes,
+ * alone and in the polish pipeline.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { resolveLanguageTarget } from '../src/utils/languageTargets.js';
+import { analyzeLanguageWarnings } from '../src/utils/warnings/languageWarnings.js';
+import { applyLanguageFixes } from '../src/utils/fixes/languageFixes.js';
+import { polishCode } from '../src/utils/codePolish.js';
+import { joinLines } from './support/fixtures.js';
+
+describe('resolveLanguageTarget', () => {
+  test('picks no target unless one is chosen', () => {
+    assert.equal(resolveLanguageTarget('none'), undefined);
+    assert.equal(resolveLanguageTarget(undefined), undefined);
+    assert.equal(resolveLanguageTarget('es2015'), undefined);
+  });
+
+  test('keeps an explicit target', () => {
+    assert.equal(resolveLanguageTarget('es5'), 'es5');
+    assert.equal(resolveLanguageTarget('es2021'), 'es2021');
+  });
+
+  test('picks ES2021 for scoped applications and ES5 for global scripts on auto', () => {
+    assert.equal(resolveLanguageTarget('auto', { scopedApp: true }), 'es2021');
+    assert.equal(resolveLanguageTarget('auto'), 'es5');
+    assert.equal(resolveLanguageTarget('es5', { scopedApp: true }), 'es5');
+  });
+});
+
+describe('analyzeLanguageWarnings', () => {
+  const messages = (code, language) => analyzeLanguageWarnings(code, { language }).map(d => `${d.line}: ${d.message}`);
+
+  test('names the feature and the edition that introduced it', () => {
+    assert.deepEqual(messages('let a = b ?? c;', 'es5'), [
+      '1: `let` declaration (ES2015) is not supported in ES5 mode',
+      '1: Nullish coalescing (ES2020) is not supported in ES5 mode'
+    ]);
+    assert.deepEqual(messages('var r = /a.b/s;', 'es2021'), []);
+    assert.deepEqual(messages('var r = /a/d;', 'es2021'), [
+      '1: Regular expression flag "d" (ES2022) is not supported in ES2021 mode'
+    ]);
+  });
+
+  test('reports a destructuring pattern once', () => {
+    assert.deepEqual(messages('var { a, b: [c, d = 1] } = x;', 'es5'), [
+      '1: Destructuring (ES2015) is not supported in ES5 mode'
+    ]);
+  });
+
+  test('reports nothing without a target or for code that does not parse', () => {
+    assert.deepEqual(messages('const a = () => 1;'), []);
+    assert.deepEqual(messages('const a = (;', 'es5'), []);
+  });
+});
+
+describe('applyLanguageFixes', () => {
+  test('downlevels nested modern syntax in one pass', () => {
+    const { processed, fixes } = applyLanguageFixes(
+      'const label = (n) => `${n} item${n === 1 ? "" : "s"}`;',
+      { language: 'es5' }
+    );
+    assert.equal(processed, "var label = function (n) { return '' + n + ' item' + (n === 1 ? \"\" : \"s\"); };");
+    assert.deepEqual(fixes.map(fix => fix.ruleId), ['es5/arrow-function', 'es5/let-const', 'es5/template-literal']);
+  });
+
+  test('modernizes a loop with concatenation and callbacks', () => {
+    const { processed } = applyLanguageFixes(joinLines([
+      'function report(groups) {',
+      '  var lines = [];',
+      '  groups.forEach(function (group) {',
+      "    var label = group.name + ': ' + group.count;",
+      '    lines.push(label);',
+      '  });',
+      "  return lines.join('\\n');",
+      '}'
+    ]), { language: 'es2021' });
+    assert.equal(processed, joinLines([
+      'function report(groups) {',
+      '  const lines = [];',
+      '  groups.forEach((group) => {',
+      '    const label = `${group.name}: ${group.count}`;',
+      '    lines.push(label);',
+      '  });',
+      "  return lines.join('\\n');",
+      '}'
+    ]));
+  });
+
+  test('leaves the code alone without a known target', () => {
+    const code = 'var a = 1;';
+    assert.deepEqual(applyLanguageFixes(code, { language: 'es3' }), { processed: code, fixes: [], edits: [] });
+  });
+});
+
+describe('polishCode with a language target', () => {
+  test('downlevels server scripts in ES5 mode', async () => {
+    const result = await polishCode('const ids = list.map(item => item.sys_id);', {
+      scriptType: 'script_include',
+      languageTarget: 'es5'
+    });
+    assert.equal(result.output, 'var ids = list.map(function (item) {\n    return item.sys_id;\n});\n');
+    assert.deepEqual(result.errors.filter(d => d.ruleId === 'js/unsupported-syntax'), []);
+  });
+
+  test('keeps trailing commas out of calls in ES5 mode', async () => {
+    const profile = { prettier: { javascript: { trailingComma: 'all', printWidth: 20 } } };
+    const result = await polishCode('doSomething(firstArgument, secondArgument);', {
+      scriptType: 'script_include',
+      languageTarget: 'es5',
+      profile
+    });
+    assert.equal(result.output, 'doSomething(\n    firstArgument,\n    secondArgument\n);\n');
+  });
+
+  test('leaves client scripts alone', async () => {
+    const code = 'const state = g_form.getValue("state");\n';
+    const result = await polishCode(code, { scriptType: 'client_onload', languageTarget: 'es5' });
+    assert.match(result.output, /^const state/);
+  });
+
+  test('does not modernize while polishing', async () => {
+    const result = await polishCode('function f() {\n  var a = 1;\n  return a;\n}\n', {
+      scriptType: 'script_include',
+      languageTarget: 'es2021'
+    });
+    assert.match(result.output, /var a = 1/);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Literal Range Tests
+ * @description The lexical scan behind literal-aware fixes: which parts of
+ * the code are strings, templates, regular expressions, and comments, and
+ * which replacements leave them intact.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findLiteralRanges, isCodeRange } from '../src/utils/fixes/literalRanges.js';
+
+/**
+ * Returns the kind and text of each literal range.
+ *
+ * @param {string} code - Code to scan
+ * @returns {Array<[string, string]>}
+ */
+function literals(code) {
+  return findLiteralRanges(code).map(({ kind, start, end }) => [kind, code.slice(start, end)]);
+}
+
+describe('findLiteralRanges', () => {
+  test('finds strings with escaped quotes', () => {
+    assert.deepEqual(literals("a('it\\'s', \"say \\\"hi\\\"\");"), [
+      ['string', "'it\\'s'"],
+      ['string', '"say \\"hi\\""']
+    ]);
+  });
+
+  test('finds line and block comments', () => {
+    assert.deepEqual(literals('a(); // note\n/* block\n */ b();'), [
+      ['comment', '// note'],
+      ['comment', '/* block\n */']
+    ]);
+  });
+
+  test('splits template literals around their expressions', () => {
+    assert.deepEqual(literals('`a ${ {x: 1}.x } b ${c} d`'), [
+      ['template', '`a ${'],
+      ['template', '} b ${'],
+      ['template', '} d`']
+    ]);
+  });
+
+  test('tells regular expressions from division', () => {
+    assert.deepEqual(literals('var re = /a[/]b/gi; var q = x / y / z; return /c/;'), [
+      ['regex', '/a[/]b/gi'],
+      ['regex', '/c/']
+    ]);
+  });
+
+  test('ends unterminated strings at the line break', () => {
+    assert.deepEqual(literals("var s = 'open\nnext();"), [['string', "'open"]]);
+  });
+});
+
+describe('isCodeRange', () => {
+  const code = "gr.getValue('sys_id'); // 'x'";
+  const ranges = findLiteralRanges(code);
+
+  test('allows matches that contain whole literals', () => {
+    assert.equal(isCodeRange(ranges, 2, 21), true);
+  });
+
+  test('rejects matches that start or end inside a literal', () => {
+    assert.equal(isCodeRange(ranges, 13, 21), false);
+    assert.equal(isCodeRange(ranges, 2, 14), false);
+    assert.equal(isCodeRange(ranges, 26, 27), false);
+  });
+
+  test('allows edits inside editable literal kinds', () => {
+    assert.equal(isCodeRange(ranges, 26, 27, ['comment']), true);
+    assert.equal(isCodeRange(ranges, 13, 14, ['comment']), false);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Nested Query Tests
+ * @description Queries run per record of an outer result set: the sites
+ * followed through helper functions, the query estimates, the suggested
+ * refactor, and the related locations carried into markers and SARIF.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { analyzeNestedQueries } from '../src/utils/warnings/nestedQueryWarnings.js';
+import { toRelatedMarkers } from '../src/utils/diagnostics.js';
+import { lintCode } from '../src/utils/codePolish.js';
+import { createFileReport } from '../src/utils/reports/fileReport.js';
+import { formatSarifReport } from '../src/utils/reports/sarifReport.js';
+import { joinLines } from './support/fixtures.js';
+
+const INCIDENTS = [
+  "var gr = new GlideRecord('incident');",
+  'gr.addActiveQuery();',
+  'gr.query();',
+  'while (gr.next()) {'
+];
+
+describe('analyzeNestedQueries', () => {
+  test('suggests addJoinQuery for an existence check on a linked table', () => {
+    const [diagnostic, ...rest] = analyzeNestedQueries(joinLines([
+      ...INCIDENTS,
+      "  var sla = new GlideRecord('task_sla');",
+      "  sla.addQuery('task', gr.sys_id);",
+      '  sla.query();',
+      '  if (sla.hasNext()) breached++;',
+      '}'
+    ]));
+    assert.equal(rest.length, 0);
+    assert.equal(diagnostic.line, 7);
+    assert.equal(diagnostic.message,
+      'sla.query() on task_sla runs once per incident record of gr (1 + N queries for N incident records)' +
+      " - filter the outer query with gr.addJoinQuery('task_sla', 'sys_id', 'task') instead");
+    assert.deepEqual(diagnostic.related.map(r => [r.line, r.column, r.message]), [
+      [3, 1, 'Outer query: the loop runs once per incident record of gr']
+    ]);
+  });
+
+  test('suggests a GlideAggregate for counts and a map for records that are read', () => {
+    const messages = analyzeNestedQueries(joinLines([
+      ...INCIDENTS,
+      "  var caller = new GlideRecord('sys_user');",
+      '  caller.get(gr.caller_id);',
+      '  gs.info(caller.name);',
+      "  var tasks = new GlideRecord('task');",
+      "  tasks.addQuery('parent', gr.getUniqueValue());",
+      '  tasks.query();',
+      '  total += tasks.getRowCount();',
+      '}'
+    ])).map(d => d.message.split(' - ')[1]);
+    assert.deepEqual(messages, [
+      'query sys_user once before the loop (sys_id IN the caller_id values) and look the records up in a map keyed by sys_id',
+      'count with one GlideAggregate on task grouped by parent before the loop'
+    ]);
+  });
+
+  test('follows helper functions and Script Include methods, and bounds the estimate by setLimit()', () => {
+    const [diagnostic] = analyzeNestedQueries(joinLines([
+      'var Scorer = Class.create();',
+      'Scorer.prototype = {',
+      '  run: function () {',
+      "    var gr = new GlideRecord('problem');",
+      '    gr.setLimit(50);',
+      '    gr.query();',
+      '    while (gr.next()) this.score(gr.getUniqueValue());',
+      '  },',
+      '  score: function (id) {',
+      '    return lookup(id) + lookup(id);',
+      '  }',
+      '};',
+      'function lookup(id) {',
+      "  var task = new GlideRecord('problem_task');",
+      '  task.get(id);',
+      '  return task.getValue("priority");',
+      '}'
+    ]));
+    assert.equal(diagnostic.line, 7);
+    assert.match(diagnostic.message,
+      /^this\.score\(\) queries problem_task once per problem record of gr \(up to 51 queries with setLimit\(50\)\)/);
+    assert.deepEqual(diagnostic.related.map(r => r.line), [6, 15]);
+  });
+
+  test('attributes queries of an inner result loop to that loop only', () => {
+    const diagnostics = analyzeNestedQueries(joinLines([
+      ...INCIDENTS,
+      "  var child = new GlideRecord('incident');",
+      "  child.addQuery('parent_incident', gr.sys_id);",
+      '  child.query();',
+      '  while (child.next()) {',
+      "    var ci = new GlideRecord('cmdb_ci');",
+      '    ci.get(child.cmdb_ci);',
+      '  }',
+      '}'
+    ]));
+    assert.deepEqual(diagnostics.map(d => [d.line, d.related[0].line]), [[7, 3], [10, 7]]);
+  });
+
+  test('ignores queries outside result loops, recursion, and code that does not parse', () => {
+    assert.deepEqual(analyzeNestedQueries(joinLines([
+      'function depth(node) {',
+      '  return node.parent ? 1 + depth(node.parent) : 0;',
+      '}',
+      "var gr = new GlideRecord('incident');",
+      'gr.query();',
+      'while (gr.next()) total += depth(gr);',
+      "var user = new GlideRecord('sys_user');",
+      'user.get(gs.getUserID());'
+    ])), []);
+    assert.deepEqual(analyzeNestedQueries('while (gr.next() {'), []);
+  });
+});
+
+describe('related locations', () => {
+  const code = joinLines([
+    ...INCIDENTS,
+    "  var sla = new GlideRecord('task_sla');",
+    '  sla.query();',
+    '}'
+  ]);
+
+  test('become informational markers', () => {
+    const [diagnostic] = lintCode(code, { scriptType: 'script_include' }).filter(d => d.ruleId === 'sn/nested-query');
+    const [marker] = toRelatedMarkers(diagnostic, { Error: 8, Warning: 4, Info: 2 });
+    assert.deepEqual(marker, {
+      severity: 2,
+      message: 'Outer query: the loop runs once per incident record of gr',
+      code: 'sn/nested-query',
+      source: 'GlideAware',
+      startLineNumber: 3,
+      startColumn: 1,
+      endLineNumber: 3,
+      endColumn: 11
+    });
+  });
+
+  test('become SARIF relatedLocations', () => {
+    const diagnostic = lintCode(code, { scriptType: 'script_include' }).find(d => d.ruleId === 'sn/nested-query');
+    const report = createFileReport('scripts/sla.js', code, { success: true, output: code, warnings: [diagnostic] });
+    const [result] = JSON.parse(formatSarifReport([report])).runs[0].results;
+    assert.deepEqual(result.relatedLocations, [{
+      id: 0,
+      physicalLocation: {
+        artifactLocation: { uri: 'scripts/sla.js' },
+        region: { startLine: 3, startColumn: 1, endLine: 3, endColumn: 11 }
+      },
+      message: { text: 'Outer query: the loop runs once per incident record of gr' }
+    }]);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Release Warnings Tests
+ * @description Release status of APIs from their history, and warnings for
+ * APIs that are deprecated or unavailable on the target release.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { API_RELEASES, LATEST_RELEASE, getApiStatus } from '../src/utils/fixes/servicenowReleases.js';
+import { analyzeReleaseWarnings } from '../src/utils/warnings/releaseWarnings.js';
+import { CONTEXT_METHOD_MAP } from '../src/utils/fixes/servicenowDictionary.js';
+
+describe('getApiStatus', () => {
+  const history = { since: 'quebec', deprecated: 'tokyo', removed: 'xanadu' };
+
+  test('follows the history across releases', () => {
+    assert.deepEqual(getApiStatus(history, 'paris'), { status: 'unavailable', reason: 'since' });
+    assert.deepEqual(getApiStatus(history, 'quebec'), { status: 'available', reason: null });
+    assert.deepEqual(getApiStatus(history, 'utah'), { status: 'deprecated', reason: null });
+    assert.deepEqual(getApiStatus(history, 'xanadu'), { status: 'unavailable', reason: 'removed' });
+  });
+
+  test('treats APIs without history as available on the latest release', () => {
+    assert.deepEqual(getApiStatus(null), { status: 'available', reason: null });
+    assert.deepEqual(getApiStatus({ since: 'paris' }), getApiStatus({ since: 'paris' }, LATEST_RELEASE));
+  });
+});
+
+describe('analyzeReleaseWarnings', () => {
+  const messages = (code, options) => analyzeReleaseWarnings(code, options).map(d => `${d.ruleId}: ${d.message}`);
+
+  test('suggests the replacement of deprecated classes, also behind a namespace', () => {
+    const [diagnostic] = analyzeReleaseWarnings("var e = new global.GlideEncrypter();\ne.encrypt('x');", { release: 'yokohama' });
+    assert.equal(diagnostic.ruleId, 'sn/deprecated-api');
+    assert.equal(diagnostic.message, 'GlideEncrypter is deprecated since Washington DC; use sn_kmf_ns.KMFCryptoOperation instead');
+    assert.equal(diagnostic.suggestion, 'sn_kmf_ns.KMFCryptoOperation');
+  });
+
+  test('reports each reference once', () => {
+    assert.deepEqual(messages("var q = new GlideQuery('incident').select('number');", { release: 'orlando' }), [
+      'sn/unavailable-api: GlideQuery is not available on Orlando: it was added in Paris'
+    ]);
+  });
+
+  test('reports removed classes from their removal on', () => {
+    assert.deepEqual(messages('var e = new GlideEncrypter();', { release: 'zurich' }), [
+      'sn/unavailable-api: GlideEncrypter was removed in Zurich; use sn_kmf_ns.KMFCryptoOperation instead'
+    ]);
+  });
+
+  test('checks methods of typed receivers', () => {
+    const code = 'var gdt = new GlideDateTime();\nvar month = gdt.getMonth();';
+    const [diagnostic] = analyzeReleaseWarnings(code);
+    assert.equal(diagnostic.message, 'GlideDateTime.getMonth() is deprecated; use getMonthLocalTime() or getMonthUTC() instead');
+    assert.deepEqual([diagnostic.line, diagnostic.column], [2, 17]);
+  });
+
+  test('checks GlideQuery methods added after GlideQuery itself through chains', () => {
+    const code = "new GlideQuery('incident')\n  .where('active', true)\n  .withSecurityDataFilters()\n  .disableAutoSysFields()\n  .select('number');";
+    assert.deepEqual(messages(code, { release: 'paris' }), [
+      'sn/unavailable-api: GlideQuery.disableAutoSysFields() is not available on Paris: it was added in Quebec',
+      'sn/unavailable-api: GlideQuery.withSecurityDataFilters() is not available on Paris: it was added in Washington DC'
+    ]);
+    assert.deepEqual(messages(code, { release: 'vancouver' }), [
+      'sn/unavailable-api: GlideQuery.withSecurityDataFilters() is not available on Vancouver: it was added in Washington DC'
+    ]);
+    assert.deepEqual(messages(code, { release: 'washingtondc' }), []);
+  });
+
+  test('checks static methods of namespaced classes', () => {
+    assert.deepEqual(messages("sn_fd.FlowAPI.getRunner().flow('global.approve').run();", { release: 'quebec' }), [
+      'sn/unavailable-api: FlowAPI.getRunner() is not available on Quebec: it was added in Rome'
+    ]);
+    assert.deepEqual(messages("var kmf = new sn_kmf_ns.KMFCryptoOperation('global.key', 'SYMMETRIC_ENCRYPTION');", { release: 'quebec' }), [
+      'sn/unavailable-api: KMFCryptoOperation is not available on Quebec: it was added in Rome'
+    ]);
+  });
+
+  test('lists every method entry under a type of the method dictionary', () => {
+    for (const key of Object.keys(API_RELEASES).filter(key => key.includes('.'))) {
+      const [type, method] = key.split('.');
+      assert.ok(CONTEXT_METHOD_MAP[type] && CONTEXT_METHOD_MAP[type].includes(method), key);
+    }
+  });
+
+  test('falls back to the latest release for unknown ids and ignores code that does not parse', () => {
+    assert.deepEqual(messages('new GlideQuery("x");', { release: 'nope' }), []);
+    assert.deepEqual(messages('new GlideHTTPRequest(;'), []);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Rule Profile Tests
+ * @description Validation of imported profiles: rule settings, thresholds,
+ * and the Prettier options Prettier would otherwise reject on every polish.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { importProfile, DEFAULT_PRETTIER_OPTIONS } from '../src/utils/ruleProfiles.js';
+
+const exported = profile => ({ version: 1, profile: { name: 'Team', ...profile } });
+
+describe('importProfile', () => {
+  test('fills in the defaults and keeps valid overrides', () => {
+    const profile = importProfile(exported({
+      prettier: { javascript: { trailingComma: 'all', arrowParens: 'avoid', tabWidth: 2 } }
+    }));
+    assert.deepEqual(profile.prettier.javascript, {
+      ...DEFAULT_PRETTIER_OPTIONS.javascript, trailingComma: 'all', arrowParens: 'avoid', tabWidth: 2
+    });
+    assert.deepEqual(profile.prettier.json, DEFAULT_PRETTIER_OPTIONS.json);
+  });
+
+  test('rejects Prettier options outside their choices', () => {
+    assert.throws(() => importProfile(exported({ prettier: { javascript: { trailingComma: 'sometimes' } } })), {
+      message: 'Invalid profile: prettier.javascript.trailingComma must be none, es5, or all'
+    });
+    assert.throws(() => importProfile(exported({ prettier: { javascript: { arrowParens: 'maybe' } } })), {
+      message: 'Invalid profile: prettier.javascript.arrowParens must be always or avoid'
+    });
+  });
+
+  test('rejects options of the wrong type and invalid rule settings', () => {
+    assert.throws(() => importProfile(exported({ prettier: { javascript: { semi: 'yes' } } })),
+      /prettier\.javascript\.semi must be a boolean/);
+    assert.throws(() => importProfile(exported({ thresholds: { maxParams: 0 } })),
+      /thresholds\.maxParams must be a positive integer/);
+    assert.throws(() => importProfile(exported({ rules: { 'generic/var-usage': { severity: 'fatal' } } })),
+      /severity must be error, warning, or info/);
+  });
+});
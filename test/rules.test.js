@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Rule Fixture Tests
+ * @description Runs the input/expected-output corpus in test/fixtures/rules
+ * against the fix and analyzer modules, and checks that every rule has at
+ * least one fixture.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyGenericFixes } from '../src/utils/fixes/genericFixes.js';
+import { applyServiceNowFixes } from '../src/utils/fixes/servicenowFixes.js';
+import { applyScopedFixes } from '../src/utils/fixes/scopedFixes.js';
+import { applyJsonFixes } from '../src/utils/fixes/jsonFixes.js';
+import { applyLanguageFixes } from '../src/utils/fixes/languageFixes.js';
+import { analyzeJsonWarnings } from '../src/utils/warnings/jsonWarnings.js';
+import { lintCode } from '../src/utils/codePolish.js';
+import { RULE_CATALOG } from '../src/utils/ruleCatalog.js';
+import { loadRuleFixtures, joinLines } from './support/fixtures.js';
+
+// =============================================================================
+// TARGETS
+// =============================================================================
+
+/**
+ * Fix targets: (input, options) => { processed, fixes }
+ */
+const FIX_TARGETS = {
+  genericFixes: (input) => applyGenericFixes(input),
+  servicenowFixes: (input, options) => applyServiceNowFixes(input, options),
+  scopedFixes: (input) => applyScopedFixes(input),
+  jsonFixes: (input) => applyJsonFixes(input),
+  languageFixes: (input, options) => applyLanguageFixes(input, options)
+};
+
+/**
+ * Check targets: (input, options) => Diagnostic[]
+ */
+const CHECK_TARGETS = {
+  lint: (input, options) => lintCode(input, options),
+  jsonWarnings: (input) => {
+    const { warnings, errors } = analyzeJsonWarnings(input);
+    return [...warnings, ...errors];
+  }
+};
+
+/** Rule groups covered by the golden and verification tests instead of fixtures */
+const GOLDEN_ONLY_GROUPS = new Set(['Formatting', 'Syntax', 'Verification']);
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+const fixtures = loadRuleFixtures();
+
+for (const { file, target, cases } of fixtures) {
+  describe(file, () => {
+    for (const fixture of cases) {
+      test(`${fixture.rule}: ${fixture.name}`, () => {
+        const input = joinLines(fixture.input);
+        const options = fixture.options || {};
+
+        if (FIX_TARGETS[target]) {
+          const expected = joinLines(fixture.output);
+          const { processed, fixes } = FIX_TARGETS[target](input, options);
+          assert.equal(processed, expected);
+          const fired = fixes.some(fix => fix.ruleId === fixture.rule);
+          assert.equal(fired, expected !== input, `${fixture.rule} ${fired ? 'fired' : 'did not fire'}`);
+        } else if (CHECK_TARGETS[target]) {
+          const lines = CHECK_TARGETS[target](input, options)
+            .filter(diagnostic => diagnostic.ruleId === fixture.rule)
+            .map(diagnostic => diagnostic.line);
+          assert.deepEqual(lines, fixture.lines);
+        } else {
+          assert.fail(`Unknown fixture target "${target}"`);
+        }
+      });
+    }
+  });
+}
+
+test('every rule has a fixture', () => {
+  const covered = new Set(fixtures.flatMap(({ cases }) => cases.map(fixture => fixture.rule)));
+  const missing = Object.values(RULE_CATALOG)
+    .filter(rule => !GOLDEN_ONLY_GROUPS.has(rule.group) && !covered.has(rule.id))
+    .map(rule => rule.id);
+  assert.deepEqual(missing, []);
+});
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Test Fixture Loading
+ * @description Reads the rule fixture corpus and the golden test cases from
+ * test/fixtures, applies quick fixes, and turns pipeline results into the
+ * stable summaries the golden files store. Set UPDATE_GOLDEN=1 to rewrite golden files from the
+ * current results instead of comparing against them.
+ */
+
+import { readFileSync, readdirSync, writeFileSync, existsSync } from 'node:fs';
+import { join, extname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const FIXTURES_DIR = fileURLToPath(new URL('../fixtures/', import.meta.url));
+
+/** Rule fixture files: { target, cases: RuleCase[] } */
+export const RULES_DIR = join(FIXTURES_DIR, 'rules');
+
+/** Golden inputs (.js, .json) next to their <input>.golden.json results */
+export const GOLDEN_DIR = join(FIXTURES_DIR, 'golden');
+
+const GOLDEN_SUFFIX = '.golden.json';
+
+/** Whether golden files are rewritten rather than compared */
+export const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+// =============================================================================
+// RULE FIXTURES
+// =============================================================================
+
+/**
+ * One fixture of a rule.
+ * @typedef {Object} RuleCase
+ * @property {string} rule - Rule id under test
+ * @property {string} name - What the case shows
+ * @property {string|string[]} input - Source, or its lines
+ * @property {string|string[]} [output] - Fix rules: expected output; equal to the input when the rule must not fire
+ * @property {number[]} [lines] - Check rules: lines the rule reports on; empty when it must not fire
+ * @property {Object} [options] - Options passed to the target (scriptType, scopedApp)
+ */
+
+/**
+ * Joins text given as an array of lines.
+ *
+ * @param {string|string[]} text - Text or lines
+ * @returns {string}
+ */
+export function joinLines(text) {
+  return Array.isArray(text) ? text.join('\n') : text;
+}
+
+/**
+ * Applies the edits of a quick fix, last edit first.
+ *
+ * @param {string} code - Source the quick fix was made for
+ * @param {{ edits: Array<{ line: number, column: number, endLine: number, endColumn: number, text: string }> }} quickFix
+ * @returns {string} Source with the edits applied
+ */
+export function applyQuickFix(code, { edits }) {
+  const starts = [0];
+  for (let i = 0; i < code.length; i++) if (code[i] === '\n') starts.push(i + 1);
+  const offset = (line, column) => starts[line - 1] + column - 1;
+  return [...edits]
+    .sort((a, b) => offset(b.line, b.column) - offset(a.line, a.column))
+    .reduce((text, edit) => text.slice(0, offset(edit.line, edit.column)) + edit.text +
+      text.slice(offset(edit.endLine, edit.endColumn)), code);
+}
+
+/**
+ * Loads every rule fixture file.
+ *
+ * @returns {Array<{ file: string, target: string, cases: RuleCase[] }>}
+ */
+export function loadRuleFixtures() {
+  return readdirSync(RULES_DIR)
+    .filter(name => extname(name) === '.json')
+    .sort()
+    .map(name => ({ file: name, ...JSON.parse(readFileSync(join(RULES_DIR, name), 'utf8')) }));
+}
+
+// =============================================================================
+// GOLDEN FILES
+// =============================================================================
+
+/**
+ * Lists the golden test inputs.
+ *
+ * @returns {Array<{ name: string, language: 'javascript'|'json', input: string, goldenPath: string }>}
+ */
+export function loadGoldenCases() {
+  return readdirSync(GOLDEN_DIR)
+    .filter(name => !name.endsWith(GOLDEN_SUFFIX) && ['.js', '.json'].includes(extname(name)))
+    .sort()
+    .map(name => ({
+      name,
+      language: extname(name) === '.json' ? 'json' : 'javascript',
+      input: readFileSync(join(GOLDEN_DIR, name), 'utf8'),
+      goldenPath: join(GOLDEN_DIR, name + GOLDEN_SUFFIX)
+    }));
+}
+
+/**
+ * Reduces a diagnostic to the fields a golden file pins down.
+ *
+ * @param {Diagnostic} diagnostic - Diagnostic
+ * @returns {Object}
+ */
+function summarizeDiagnostic({ ruleId, severity, message, line, column }) {
+  return { ruleId, severity, message, line, column };
+}
+
+/**
+ * Reduces a polishCode/polishJson result to what golden files store.
+ *
+ * @param {Object} result - Pipeline result
+ * @returns {Object}
+ */
+export function summarizeResult(result) {
+  return {
+    success: result.success,
+    output: result.output,
+    fixes: result.fixes.map(summarizeDiagnostic),
+    warnings: result.warnings.map(summarizeDiagnostic),
+    errors: result.errors.map(summarizeDiagnostic)
+  };
+}
+
+/**
+ * Reads a golden file, or writes it from the current summary when
+ * UPDATE_GOLDEN is set.
+ *
+ * @param {string} path - Golden file path
+ * @param {Object} actual - Current summary
+ * @returns {Object} Expected summary
+ */
+export function readGolden(path, actual) {
+  if (UPDATE_GOLDEN) {
+    writeFileSync(path, `${JSON.stringify(actual, null, 2)}\n`);
+    return actual;
+  }
+  if (!existsSync(path)) {
+    throw new Error(`Missing golden file ${path}; run UPDATE_GOLDEN=1 npm test to create it`);
+  }
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Type Inference Tests
+ * @description How expression types flow through a script: declarations,
+ * reassignments, returns of known methods and local functions, arguments,
+ * entry point parameters, dot-walked fields, and shadowed platform globals,
+ * and the receivers IntelliSense types while a script is being typed.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseCode } from '../src/utils/astParser.js';
+import { walk } from '../src/utils/astWalker.js';
+import { inferTypes } from '../src/utils/typeInference.js';
+import { resolveReceiverType, findCallContext } from '../src/utils/intellisense.js';
+
+/**
+ * Returns the inferred types of the receiver of the last call to a method.
+ *
+ * @param {string} code - Script to analyze
+ * @param {string} method - Method name
+ * @returns {string[]}
+ */
+function receiverTypes(code, method) {
+  const { ast } = parseCode(code, { ecmaVersion: 'latest' });
+  const { typeOf } = inferTypes(ast);
+  let types = null;
+  walk(ast, (node, ancestors) => {
+    if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+        node.callee.property.name === method) {
+      types = typeOf(node.callee.object, ancestors);
+    }
+  });
+  return types;
+}
+
+describe('inferTypes', () => {
+  test('types instances and platform globals', () => {
+    assert.deepEqual(receiverTypes("var gr = new GlideRecord('incident'); gr.query();", 'query'), ['GlideRecord']);
+    assert.deepEqual(receiverTypes("gs.info('x');", 'info'), ['gs']);
+  });
+
+  test('follows the return types of known methods through chains', () => {
+    assert.deepEqual(receiverTypes("var el = current.getElement('state'); el.getLabel();", 'getLabel'), ['GlideElement']);
+    assert.deepEqual(receiverTypes("var rm = new RESTMessageV2('x', 'get'); var res = rm.execute(); res.getBody();", 'getBody'), ['RESTResponseV2']);
+    assert.deepEqual(receiverTypes('gs.getUser().getFullName();', 'getFullName'), ['GlideUser']);
+  });
+
+  test('types instances of namespaced classes by their class name', () => {
+    const code = "var r = new sn_ws.RESTMessageV2('x', 'get'); var resp = r.execute(); resp.getBody();";
+    assert.deepEqual(receiverTypes(code, 'execute'), ['RESTMessageV2']);
+    assert.deepEqual(receiverTypes(code, 'getBody'), ['RESTResponseV2']);
+    assert.deepEqual(receiverTypes('var u = new global.IncidentUtils(); u.close();', 'close'), ['IncidentUtils']);
+  });
+
+  test('types dot-walked record fields as GlideElement', () => {
+    assert.deepEqual(receiverTypes('current.caller_id.manager.getDisplayValue();', 'getDisplayValue'), ['GlideElement']);
+  });
+
+  test('keeps every type a reassigned variable holds', () => {
+    const code = 'var x = new GlideDateTime(); x = gs.getUser(); x.getFullName();';
+    assert.deepEqual(receiverTypes(code, 'getFullName').sort(), ['GlideDateTime', 'GlideUser']);
+  });
+
+  test('passes argument types to parameters and return types to callers', () => {
+    const passed = "function close(rec) { rec.update(); }\nclose(new GlideRecord('incident'));";
+    assert.deepEqual(receiverTypes(passed, 'update'), ['GlideRecord']);
+    const returned = "function load() { var g = new GlideRecord('task'); return g; }\nvar t = load(); t.isValidRecord();";
+    assert.deepEqual(receiverTypes(returned, 'isValidRecord'), ['GlideRecord']);
+  });
+
+  test('passes arguments to object literal methods called through this', () => {
+    const code = "var U = Class.create(); U.prototype = { run: function() { this.save(new GlideRecord('x')); }, save: function(rec) { rec.update(); } };";
+    assert.deepEqual(receiverTypes(code, 'update'), ['GlideRecord']);
+  });
+
+  test('types entry point parameters', () => {
+    assert.deepEqual(receiverTypes('(function executeRule(current, previous) { previous.getValue("state"); })(current, previous);', 'getValue'), ['previous']);
+    assert.deepEqual(receiverTypes('function onChange(control, oldValue, newValue) { newValue.indexOf("a"); }', 'indexOf'), ['string']);
+  });
+
+  test('parameters shadow platform globals', () => {
+    assert.deepEqual(receiverTypes("function f(gs) { gs.info('x'); }", 'info'), []);
+  });
+});
+
+describe('IntelliSense receivers', () => {
+  /** Types the receiver before the last `<chain>.` of some text */
+  const typeBeforeDot = (code, chain) => resolveReceiverType(code, code.lastIndexOf(`${chain}.`) + chain.length, chain);
+
+  test('type the variable in scope at the cursor', () => {
+    const code = "var gr = new GlideRecord('incident');\nfunction f() {\n  var gr = new GlideDateTime();\n  gr.";
+    assert.equal(typeBeforeDot(code, 'gr'), 'GlideDateTime');
+    assert.equal(typeBeforeDot('var gs = 5;\ngs.', 'gs'), null);
+    assert.equal(typeBeforeDot('(function executeRule(current, previous) {\n  current.state.', 'current.state'), 'GlideElement');
+  });
+
+  test('follow assignments into the receiver of an unclosed call', () => {
+    const code = "var gr = new GlideRecord('incident');\nwhile (gr.next()) {\n  var copy = gr;\n  copy.addQuery('active', ";
+    const call = findCallContext(code);
+    assert.equal(resolveReceiverType(code, call.chainEnd, call.chain), 'GlideRecord');
+  });
+
+  test('fall back to declarations when the text does not parse', () => {
+    assert.equal(typeBeforeDot("var gr = new GlideRecord('x');\nfor (var i = 0; i < gr.", 'gr'), 'GlideRecord');
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Typo Pattern Tests
+ * @description Checks every known-typo pattern of the ServiceNow fixes: the
+ * misspelling must polish to the same code as the correct spelling, and the
+ * correct spelling must be left alone by every typo rule. A new pattern that
+ * rewrites a correct name, or whose output another pattern changes again,
+ * fails here.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TYPO_CATEGORIES, applyServiceNowFixes } from '../src/utils/fixes/servicenowFixes.js';
+import { ENVIRONMENT } from '../src/utils/scriptTypes.js';
+
+/** Script type each category is exercised with, by environment */
+const SCRIPT_TYPE_BY_ENVIRONMENT = {
+  [ENVIRONMENT.SERVER]: 'script_include',
+  [ENVIRONMENT.CLIENT]: 'client_onload'
+};
+
+const TYPO_RULES = new Set(TYPO_CATEGORIES.map(category => category.id));
+
+/**
+ * Turns a typo pattern into the text it matches. Patterns are literal
+ * names with escaped punctuation and optional word boundaries.
+ *
+ * @param {RegExp} pattern - Typo pattern
+ * @returns {string}
+ */
+function sampleOf(pattern) {
+  return pattern.source.replace(/\\b/g, '').replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Embeds a name in a statement: method names get a receiver.
+ *
+ * @param {string} text - Typo or correct spelling
+ * @returns {string}
+ */
+function statementFor(text) {
+  return text.startsWith('.') ? `record${text});` : `var value = ${text};`;
+}
+
+for (const category of TYPO_CATEGORIES) {
+  const options = { scriptType: SCRIPT_TYPE_BY_ENVIRONMENT[category.environment] || 'generic' };
+
+  describe(category.id, () => {
+    test('lists each typo once', () => {
+      const sources = category.list.map(([pattern]) => pattern.source);
+      const repeated = sources.filter((source, index) => sources.indexOf(source) !== index);
+      assert.deepEqual(repeated, []);
+    });
+
+    for (const [pattern, replacement] of category.list) {
+      const typo = sampleOf(pattern);
+
+      test(`${typo} → ${replacement}`, () => {
+        assert.notEqual(typo, replacement, 'pattern rewrites the correct spelling to itself');
+
+        const correct = applyServiceNowFixes(statementFor(replacement), options);
+        const typoFixes = correct.fixes.filter(fix => TYPO_RULES.has(fix.ruleId)).map(fix => fix.ruleId);
+        assert.deepEqual(typoFixes, [], 'typo rules changed the correct spelling');
+
+        const fixed = applyServiceNowFixes(statementFor(typo), options);
+        assert.equal(fixed.processed, correct.processed);
+      });
+    }
+  });
+}
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Polish Verification Tests
+ * @description Polishing must be idempotent: every JavaScript input of the
+ * golden and rule fixtures is polished, and the output must polish to itself
+ * with nothing reported by the verification step. Also checks the
+ * verification result of polishCode and when the second run is skipped.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { polishCode } from '../src/utils/codePolish.js';
+import { loadGoldenCases, loadRuleFixtures, joinLines } from './support/fixtures.js';
+
+/** Fixture targets whose inputs are JavaScript */
+const JAVASCRIPT_TARGETS = new Set(['genericFixes', 'servicenowFixes', 'scopedFixes', 'languageFixes', 'lint']);
+
+/**
+ * Collects every JavaScript input of the golden and rule fixtures.
+ *
+ * @returns {Array<{ name: string, input: string, options: Object }>}
+ */
+function javascriptInputs() {
+  const golden = loadGoldenCases()
+    .filter(({ language }) => language !== 'json')
+    .map(({ name, input }) => ({ name, input, options: {} }));
+  const fixtures = loadRuleFixtures()
+    .filter(({ target }) => JAVASCRIPT_TARGETS.has(target))
+    .flatMap(({ file, cases }) => cases.map(fixture => ({
+      name: `${file} ${fixture.rule}: ${fixture.name}`,
+      input: joinLines(fixture.input),
+      options: fixture.options || {}
+    })));
+  return [...golden, ...fixtures];
+}
+
+describe('polish(polish(x)) === polish(x)', () => {
+  for (const { name, input, options } of javascriptInputs()) {
+    test(name, async () => {
+      const first = await polishCode(input, options);
+      if (!first.success) return;
+
+      const verificationRules = [...first.warnings, ...first.errors]
+        .map(d => d.ruleId)
+        .filter(ruleId => ruleId.startsWith('polish/'));
+      assert.deepEqual(verificationRules, []);
+      assert.deepEqual(first.verification.unsafeRules, []);
+
+      const second = await polishCode(first.output, { ...options, scriptType: first.scriptType.id });
+      assert.equal(second.output, first.output);
+    });
+  }
+});
+
+describe('verification result', () => {
+  const CODE = "var gr = new GlideRecord('incident');\ngr.udpate();";
+
+  test('reports a parsed, idempotent output', async () => {
+    const result = await polishCode(CODE);
+    assert.deepEqual(result.verification, {
+      unsafeRules: [],
+      parsed: true,
+      idempotent: true,
+      unstableRules: []
+    });
+  });
+
+  test('skips the second run when verify is false', async () => {
+    const result = await polishCode(CODE, { verify: false });
+    assert.equal(result.verification.parsed, null);
+    assert.equal(result.verification.idempotent, null);
+  });
+
+  test('skips the second run when edits were rejected', async () => {
+    const { edits } = await polishCode(CODE);
+    const result = await polishCode(CODE, { rejectedEdits: new Set(edits.map(edit => edit.id)) });
+    assert.equal(result.output, "var gr = new GlideRecord('incident');\ngr.udpate();\n");
+    assert.equal(result.verification.idempotent, null);
+  });
+
+  test('counts only the edits that were kept in the fix messages', async () => {
+    const code = "var gr = new GlideRecord('incident');\ngr.udpate();\ngr.qurey();";
+    const { edits, fixes } = await polishCode(code);
+    assert.deepEqual(fixes.map(fix => fix.message), ['Fixed 2 GlideRecord method typos']);
+    const result = await polishCode(code, { rejectedEdits: new Set([edits[0].id]) });
+    assert.deepEqual(result.fixes.map(fix => [fix.message, fix.line]), [['Fixed 1 GlideRecord method typo', 3]]);
+  });
+});
@@ -3,6 +3,9 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
+  worker: {
+    format: 'es'
+  },
   optimizeDeps: {
     include: ['prettier/standalone', 'prettier/plugins/babel', 'prettier/plugins/estree']
   }